@@ -0,0 +1,205 @@
+// Activity Stats - per-day event counts and accumulated motion, kept across reloads
+(function (global) {
+    const KEEP_DAYS = 90;
+    const HEATMAP_COLUMNS = 32;
+    const HEATMAP_ROWS = 18;
+    const NO_ZONE = 'Whole frame';
+
+    function dayKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function createHeatmap() {
+        return { columns: HEATMAP_COLUMNS, rows: HEATMAP_ROWS, frames: 0, cells: new Array(HEATMAP_COLUMNS * HEATMAP_ROWS).fill(0) };
+    }
+
+    function createStats() {
+        return { days: {}, heatmap: createHeatmap() };
+    }
+
+    function createDay() {
+        return { hours: new Array(24).fill(0), types: {}, zones: {}, classified: 0, falseAlarms: 0 };
+    }
+
+    // Stats as saved, or fresh ones if missing or unreadable
+    function normalize(saved) {
+        const stats = createStats();
+        if (!saved || typeof saved !== 'object') return stats;
+
+        if (saved.days && typeof saved.days === 'object') {
+            Object.keys(saved.days).forEach(key => {
+                const day = saved.days[key];
+                if (!day || !Array.isArray(day.hours) || day.hours.length !== 24) return;
+                stats.days[key] = { ...createDay(), ...day };
+            });
+        }
+        const heatmap = saved.heatmap;
+        if (heatmap && Array.isArray(heatmap.cells) && heatmap.cells.length === HEATMAP_COLUMNS * HEATMAP_ROWS) {
+            stats.heatmap = { ...createHeatmap(), frames: heatmap.frames || 0, cells: heatmap.cells };
+        }
+        return stats;
+    }
+
+    function getDay(stats, time, create = false) {
+        const key = dayKey(time);
+        if (!stats.days[key] && create) stats.days[key] = createDay();
+        return stats.days[key] || null;
+    }
+
+    // One event: { time, type, zone, labels }. Tampering is counted but
+    // left out of the hourly activity. Labels, when known, feed the
+    // false-alarm ratio.
+    function record(stats, event) {
+        const time = event.time || Date.now();
+        const day = getDay(stats, time, true);
+        const type = event.type || 'motion';
+
+        day.types[type] = (day.types[type] || 0) + 1;
+        if (type === 'tamper') return;
+
+        day.hours[new Date(time).getHours()]++;
+        const zone = event.zone || NO_ZONE;
+        day.zones[zone] = (day.zones[zone] || 0) + 1;
+        if (event.labels) recordClassification(stats, time, event.labels);
+    }
+
+    // Motion the classifier found nothing in (only 'other') is a false alarm
+    function recordClassification(stats, time, labels) {
+        const day = getDay(stats, time, true);
+        day.classified++;
+        if (!labels.some(label => label !== 'other')) day.falseAlarms++;
+    }
+
+    // Add one analysis mask to the spatial heatmap
+    function addMask(stats, mask, width, height) {
+        const { columns, rows, cells } = stats.heatmap;
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * rows / height) * columns;
+            for (let x = 0; x < width; x++) {
+                if (mask[y * width + x]) cells[row + Math.floor(x * columns / width)]++;
+            }
+        }
+        stats.heatmap.frames++;
+    }
+
+    function clearHeatmap(stats) {
+        stats.heatmap = createHeatmap();
+    }
+
+    function prune(stats, now = new Date()) {
+        const oldest = new Date(now);
+        oldest.setDate(oldest.getDate() - KEEP_DAYS);
+        const cutoff = dayKey(oldest);
+        Object.keys(stats.days).forEach(key => {
+            if (key < cutoff) delete stats.days[key];
+        });
+    }
+
+    // The `count` days ending with `end`'s day, oldest first
+    function lastDays(end, count) {
+        const days = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const date = new Date(end);
+            date.setHours(0, 0, 0, 0);
+            date.setDate(date.getDate() - i);
+            days.push(date);
+        }
+        return days;
+    }
+
+    function dayTotal(day) {
+        return day ? day.hours.reduce((sum, value) => sum + value, 0) : 0;
+    }
+
+    // Counts for the 24 hours up to and including now's hour: [{ time, count }]
+    function lastHours(stats, now = new Date()) {
+        const hours = [];
+        for (let i = 23; i >= 0; i--) {
+            const time = new Date(now);
+            time.setMinutes(0, 0, 0);
+            time.setHours(time.getHours() - i);
+            const day = getDay(stats, time);
+            hours.push({ time, count: day ? day.hours[time.getHours()] : 0 });
+        }
+        return hours;
+    }
+
+    // Rows of [24 hourly counts] for each of the `count` days up to `end`
+    function weekByHour(stats, end = new Date(), count = 7) {
+        return lastDays(end, count).map(date => {
+            const day = getDay(stats, date);
+            return { date, hours: day ? day.hours.slice() : new Array(24).fill(0) };
+        });
+    }
+
+    // Daily totals over `count` days, with the same figures for the period before
+    function trend(stats, end = new Date(), count = 7) {
+        const days = lastDays(end, count).map(date => ({ date, count: dayTotal(getDay(stats, date)) }));
+        const before = new Date(days[0].date);
+        before.setDate(before.getDate() - 1);
+        const previous = lastDays(before, count).reduce((sum, date) => sum + dayTotal(getDay(stats, date)), 0);
+        const total = days.reduce((sum, day) => sum + day.count, 0);
+
+        return {
+            days,
+            total,
+            previous,
+            average: total / count,
+            busiestDay: days.reduce((best, day) => (day.count > best.count ? day : best), days[0])
+        };
+    }
+
+    function summarize(stats, end = new Date(), count = 7) {
+        const zones = {};
+        const types = {};
+        let classified = 0;
+        let falseAlarms = 0;
+
+        lastDays(end, count).forEach(date => {
+            const day = getDay(stats, date);
+            if (!day) return;
+            Object.keys(day.zones).forEach(zone => {
+                zones[zone] = (zones[zone] || 0) + day.zones[zone];
+            });
+            Object.keys(day.types).forEach(type => {
+                types[type] = (types[type] || 0) + day.types[type];
+            });
+            classified += day.classified;
+            falseAlarms += day.falseAlarms;
+        });
+
+        return {
+            zones: Object.keys(zones)
+                .map(zone => ({ zone, count: zones[zone] }))
+                .sort((a, b) => b.count - a.count),
+            types,
+            classified,
+            falseAlarms,
+            falseAlarmRatio: classified > 0 ? falseAlarms / classified : null
+        };
+    }
+
+    const ActivityStats = {
+        KEEP_DAYS,
+        NO_ZONE,
+        dayKey,
+        createStats,
+        normalize,
+        record,
+        recordClassification,
+        addMask,
+        clearHeatmap,
+        prune,
+        lastHours,
+        weekByHour,
+        trend,
+        summarize
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ActivityStats;
+    } else {
+        global.ActivityStats = ActivityStats;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -3,24 +3,116 @@ class MotionSecurityCamera {
     constructor() {
         this.camera = null;
         this.currentStream = null;
+        this.cameraDeviceId = null;   // Chosen camera, null for the default back camera
+        this.captureResolution = '1280x720';
+        this.frameRate = 30;
+        this.cameraDevices = [];
+        this.wakeLock = null;
         this.motionDetectionActive = false;
         this.motionCanvas = null;
         this.motionContext = null;
-        this.captureCanvas = null;
-        this.captureContext = null;
-        this.lastFrame = null;
+        this.captureCanvas = null;   // Holds the full capture size; each capture draws into its own copy
         this.captures = [];
         this.alerts = [];
         this.sensitivity = 30;
         this.captureDelay = 3;
-        this.lastCaptureTime = 0;
         this.cooldownPeriod = 5000; // 5 seconds default
         this.sessionCaptures = 0;
         this.startTime = Date.now();
         this.motionThreshold = 2; // percentage
         this.maxStorageImages = 100;
         this.imageQuality = 0.7;
-        this.activityData = new Array(24).fill(0);
+        this.activityStats = ActivityStats.createStats(); // Hourly counts per day and where motion happens, kept across reloads
+        this.activitySaveTimer = null;
+        this.analyticsDays = 7;
+        this.zones = [];
+        this.zoneDraft = null;
+        this.analysisWidth = 320; // Max width of frames sent for analysis (0 = full)
+        this.analysisSize = null;
+        this.detectionAlgorithm = 'simple'; // 'simple' frame diff or 'background' model
+        this.learningRate = 0.05;
+        this.noiseSuppression = false;
+        this.minBlobPercent = 0.1;
+        this.tamperDetection = true;      // Alert when the camera is covered, blinded, defocused or moved
+        this.trackMuteTimer = null;
+        this.nightMode = false;           // Always use night mode
+        this.autoNightMode = false;       // Switch to night mode when the scene gets dark
+        this.nightBrightnessThreshold = NightMode.DEFAULT_THRESHOLD;
+        this.nightModeActive = false;     // Whether night mode is in effect right now
+        this.sceneDark = false;
+        this.sceneBrightness = null;
+        this.classifyObjects = false;     // Label captures with the on-device model
+        this.classifierMinScore = ObjectClassifier.DEFAULT_MIN_SCORE;
+        this.notifyClasses = [...ObjectClassifier.CLASSES, ObjectClassifier.OTHER];
+        this.classifier = null;
+        this.classifierStatus = 'off';    // 'off' | 'loading' | 'ready' | 'unavailable'
+        this.audioDetection = false;      // Listen for loud sounds as well as motion
+        this.audioThreshold = AudioDetection.DEFAULT_THRESHOLD; // dBFS
+        this.clipAudio = false;           // Record the microphone into clips
+        this.audioStream = null;
+        this.audioContext = null;
+        this.audioTimer = null;
+        this.audioLevel = null;
+        this.soundDetector = AudioDetection.createSoundDetector();
+        this.recordClips = false;
+        this.clipPreSeconds = 5;
+        this.clipPostSeconds = 5;
+        this.clipRecorder = null;
+        this.captureStore = new CaptureStore();
+        this.objectUrls = new Map(); // Cached blob URLs keyed by `${id}:${variant}`
+        this.thumbnailObservers = new Map();
+        this.captureQuery = {};
+        this.alertQuery = {};
+        this.schedule = ArmingSchedule.createSchedule();
+        this.armingMode = 'disarmed'; // 'away' | 'home' | 'disarmed'
+        this.scheduledMode = null;    // Last mode applied by the schedule
+        this.scheduleTimer = null;
+        this.webhooks = [];
+        this.webhookLog = [];
+        this.viewerMode = new URLSearchParams(location.search).has('viewer'); // Watching another device
+        this.remotePeers = [];      // Camera side: connected viewers
+        this.viewerPeer = null;     // Viewer side: the connection to the camera
+        this.pendingPeer = null;    // Camera side: viewer being paired
+        this.lastRemoteMotion = 0;
+        this.cameraId = null;       // Stable id of this device, stamped on alerts and captures
+        this.cameraName = '';
+        this.hubMode = new URLSearchParams(location.search).has('hub'); // Aggregating other cameras
+        this.hubRelayUrl = '';
+        this.hubEnabled = false;    // Camera side: report to a hub
+        this.hubTransport = null;
+        this.hubState = HubLink.createHubState();
+        this.hubFrameTimer = null;
+        this.triggerRules = TriggerRules.createDefaultRules();
+        this.siren = null;
+        this.incidentGap = Incidents.DEFAULT_GAP; // Seconds of quiet before a new incident starts
+        this.notifiedIncidents = new Set();  // Incidents already announced, so a burst notifies once
+        this.expandedIncidents = new Set();  // Incidents opened up in the alerts list
+        this.timelineDay = new Date();       // Day shown in the timeline
+        this.timelineZoom = 0;               // Index into Timeline.ZOOM_LEVELS
+        this.timelineSelected = null;        // Key of the incident picked in the timeline
+        this.timelineFrame = null;           // Capture shown in the scrub preview
+        this.vaultRecord = null;      // Stored vault, null when encryption is off
+        this.vaultPublicKey = null;
+        this.vaultPrivateKey = null;  // Only held while unlocked
+        this.lockedAlerts = [];       // Sealed alerts saved before a locked restart, opened on unlock
+        this.sealedAlerts = new Map(); // Alert JSON -> sealed copy, so unchanged alerts are not re-encrypted
+        this.alertSaveQueue = Promise.resolve();
+        this.autoLockMinutes = 5;     // 0 = never
+        this.lastInteraction = Date.now();
+        this.autoLockTimer = null;
+        this.evidenceHead = null;     // { seq, hash } of the newest evidence log entry
+        this.evidenceQueue = Promise.resolve();
+        this.motionWorker = null;
+        this.mainThreadAnalysis = false; // No worker: frames go to the core's own analyzer
+        this.analysisPending = false;
+        
+        // Arming, analysis, trigger rules and incident ids live in the
+        // DOM-free core; the UI follows its events
+        this.core = CameraCore.createCameraCore({
+            rules: this.triggerRules,
+            capture: details => this.captureMotionImage(details)
+        });
+        this.subscribeToCore();
         
         this.init();
     }
@@ -29,6 +121,9 @@ class MotionSecurityCamera {
         console.log('Initializing Motion Security Camera...');
         
         try {
+            // Cache the app for offline use
+            this.registerServiceWorker();
+            
             // Setup canvases first
             this.setupCanvases();
             
@@ -36,10 +131,23 @@ class MotionSecurityCamera {
             this.setupEventListeners();
             
             // Load saved data
-            this.loadSavedData();
+            await this.loadSavedData();
+            
+            // Stored captures and alerts stay hidden until the vault is unlocked
+            if (this.vaultRecord) this.showLockScreen();
+            this.updateVaultSettings();
+            this.startAutoLock();
             
-            // Initialize camera with back-facing preference
-            await this.initCamera();
+            if (this.hubMode) {
+                // Show the cameras connected to the relay instead of our own
+                this.initHubMode();
+            } else if (this.viewerMode) {
+                // The feed comes from the camera device once paired
+                this.initViewerMode();
+            } else {
+                // Initialize the chosen camera (back-facing by default)
+                await this.initCamera();
+            }
             
             // Update UI
             this.updateUI();
@@ -50,8 +158,16 @@ class MotionSecurityCamera {
             // Request notification permission
             this.requestNotificationPermission();
             
-            // Setup activity tracking
-            this.startActivityTracking();
+            // Start scheduled arming and report to the hub
+            if (!this.viewerMode && !this.hubMode) {
+                this.startScheduler();
+                this.updateHubConnection();
+                this.updateClassifier();
+                this.updateAudioMonitoring();
+            }
+            
+            // Restore a bookmarked view
+            this.applyLocationHash();
             
             console.log('Initialization complete');
         } catch (error) {
@@ -77,28 +193,25 @@ class MotionSecurityCamera {
                 throw new Error('Camera API not supported in this browser');
             }
             
-            // Try back-facing camera first
+            // Try the chosen camera, then the back camera, then any camera
+            const attempts = CameraDevices.buildConstraints({
+                deviceId: this.cameraDeviceId,
+                resolution: this.captureResolution,
+                frameRate: this.frameRate
+            });
+            
             let stream;
-            try {
-                console.log('Requesting back camera...');
-                stream = await navigator.mediaDevices.getUserMedia({
-                    video: {
-                        facingMode: 'environment',
-                        width: { ideal: 1280 },
-                        height: { ideal: 720 }
-                    },
-                    audio: false
-                });
-            } catch (envError) {
-                console.log('Back camera failed, trying any camera...');
-                // Fallback to any camera
-                stream = await navigator.mediaDevices.getUserMedia({
-                    video: true,
-                    audio: false
-                });
+            for (let i = 0; i < attempts.length && !stream; i++) {
+                try {
+                    stream = await navigator.mediaDevices.getUserMedia(attempts[i]);
+                } catch (attemptError) {
+                    if (i === attempts.length - 1) throw attemptError;
+                    console.log('Camera request failed, trying fallback...', attemptError.name);
+                }
             }
             
             this.currentStream = stream;
+            this.watchVideoTrack(stream);
             video.srcObject = stream;
             
             // Wait for video to load
@@ -115,6 +228,9 @@ class MotionSecurityCamera {
             // Setup motion detection when video is ready
             this.setupMotionDetection();
             
+            await this.updateCameraDevices();
+            this.renderCameraControls();
+            
             console.log('Camera initialized successfully');
             
         } catch (error) {
@@ -139,635 +255,3809 @@ class MotionSecurityCamera {
         }
     }
 
-    setupCanvases() {
-        // Motion detection canvas
-        this.motionCanvas = document.getElementById('motionCanvas');
-        if (this.motionCanvas) {
-            this.motionContext = this.motionCanvas.getContext('2d', { willReadFrequently: true });
-        }
-        
-        // Capture canvas for taking pictures
-        this.captureCanvas = document.getElementById('captureCanvas');
-        if (this.captureCanvas) {
-            this.captureContext = this.captureCanvas.getContext('2d');
-        }
-    }
-
-    setupMotionDetection() {
+    // Tear down the current stream and open the chosen camera with the
+    // current resolution/frame rate, keeping detection and clips running
+    async restartCamera() {
         const video = document.getElementById('cameraFeed');
+        const recording = !!this.clipRecorder;
         
-        if (!video) return;
+        this.stopClipRecorder();
+        this.stopCurrentStream();
+        if (video) video.srcObject = null;
+        
+        await this.initCamera();
         
-        // Set canvas dimensions to match video
-        if (this.motionCanvas && video.videoWidth) {
-            this.motionCanvas.width = video.videoWidth;
-            this.motionCanvas.height = video.videoHeight;
+        // The new stream may have a different size; start from a fresh baseline
+        this.resetMotionAnalysis();
+        
+        // Keep remote viewers on the new stream
+        const track = this.getVideoTrack();
+        if (track) {
+            this.remotePeers.forEach(peer => peer.replaceVideoTrack(track));
+        }
+        if (recording) {
+            this.startClipRecorder();
         }
-        if (this.captureCanvas && video.videoWidth) {
-            this.captureCanvas.width = video.videoWidth;
-            this.captureCanvas.height = video.videoHeight;
+    }
+
+    stopCurrentStream() {
+        if (this.currentStream) {
+            this.currentStream.getTracks().forEach(track => track.stop());
+            this.currentStream = null;
         }
+    }
+
+    // A feed that ends or goes silent while armed is reported as tampering
+    watchVideoTrack(stream) {
+        const track = stream.getVideoTracks()[0];
+        if (!track) return;
         
-        // Motion detection loop
-        if (!this.motionInterval) {
-            this.motionInterval = setInterval(() => {
-                if (this.motionDetectionActive && video.readyState === video.HAVE_ENOUGH_DATA) {
-                    this.detectMotion();
+        const armed = () => this.currentStream === stream && this.motionDetectionActive && this.tamperDetection;
+        
+        track.addEventListener('ended', () => {
+            if (armed()) this.onTamperDetected('track-ended');
+        });
+        track.addEventListener('mute', () => {
+            clearTimeout(this.trackMuteTimer);
+            this.trackMuteTimer = setTimeout(() => {
+                // Browsers mute the camera of a hidden page - that is not tampering
+                if (armed() && track.muted && document.visibilityState === 'visible') {
+                    this.onTamperDetected('track-muted');
                 }
-            }, 100); // Check every 100ms
-        }
+            }, TamperDetection.MUTE_HOLD_TIME);
+        });
+        track.addEventListener('unmute', () => clearTimeout(this.trackMuteTimer));
     }
 
-    detectMotion() {
-        const video = document.getElementById('cameraFeed');
-        const canvas = this.motionCanvas;
-        const context = this.motionContext;
+    async switchCamera(deviceId) {
+        this.cameraDeviceId = deviceId || null;
+        this.updateStoredSettings({ cameraDeviceId: this.cameraDeviceId });
+        await this.restartCamera();
+    }
+
+    async updateCameraDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+        
+        try {
+            this.cameraDevices = CameraDevices.listVideoInputs(await navigator.mediaDevices.enumerateDevices());
+        } catch (error) {
+            console.error('Error listing cameras:', error);
+            this.cameraDevices = [];
+        }
+        
+        const select = document.getElementById('cameraSelect');
+        if (!select) return;
         
-        if (!context || !video || video.readyState !== video.HAVE_ENOUGH_DATA) return;
+        const track = this.getVideoTrack();
+        const activeId = track && track.getSettings ? track.getSettings().deviceId : this.cameraDeviceId;
+        
+        select.innerHTML = this.cameraDevices.map(device => `
+            <option value="${this.escapeHtml(device.deviceId)}" ${device.deviceId === activeId ? 'selected' : ''}>
+                ${this.escapeHtml(device.label)}
+            </option>
+        `).join('');
+        select.disabled = this.cameraDevices.length < 2;
+    }
+
+    getVideoTrack() {
+        return this.currentStream ? this.currentStream.getVideoTracks()[0] || null : null;
+    }
+
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
         
         try {
-            // Draw current frame
-            context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            const currentFrame = context.getImageData(0, 0, canvas.width, canvas.height);
-            
-            if (this.lastFrame) {
-                let changedPixels = 0;
-                const threshold = (100 - this.sensitivity) * 2.55; // Convert percentage to 0-255 range
-                const pixelCount = currentFrame.data.length / 4;
-                
-                // Compare frames pixel by pixel
-                for (let i = 0; i < currentFrame.data.length; i += 4) {
-                    const rDiff = Math.abs(currentFrame.data[i] - this.lastFrame.data[i]);
-                    const gDiff = Math.abs(currentFrame.data[i + 1] - this.lastFrame.data[i + 1]);
-                    const bDiff = Math.abs(currentFrame.data[i + 2] - this.lastFrame.data[i + 2]);
-                    
-                    const totalDiff = (rDiff + gDiff + bDiff) / 3;
-                    
-                    if (totalDiff > threshold) {
-                        changedPixels++;
-                        // Highlight motion areas in red
-                        currentFrame.data[i] = 255;     // Red
-                        currentFrame.data[i + 1] = 0;   // Green
-                        currentFrame.data[i + 2] = 0;   // Blue
-                    }
-                }
-                
-                // Put highlighted frame back on canvas
-                context.putImageData(currentFrame, 0, 0);
-                
-                // Calculate motion percentage
-                const motionPercentage = (changedPixels / pixelCount) * 100;
-                
-                // Check if motion exceeds threshold
-                if (motionPercentage > this.motionThreshold) {
-                    this.onMotionDetected(motionPercentage);
-                }
-            }
-            
-            // Store current frame for next comparison
-            this.lastFrame = context.getImageData(0, 0, canvas.width, canvas.height);
+            await navigator.serviceWorker.register('sw.js');
+            console.log('Service worker registered');
         } catch (error) {
-            console.error('Motion detection error:', error);
+            console.error('Service worker registration failed:', error);
         }
     }
 
-    onMotionDetected(motionLevel) {
-        const now = Date.now();
+    // Keep the screen (and with it the camera) on while monitoring is armed
+    async requestWakeLock() {
+        if (this.wakeLock || !('wakeLock' in navigator) || document.hidden) return;
         
-        // Check cooldown period
-        if (now - this.lastCaptureTime < this.cooldownPeriod) {
-            return; // Still in cooldown
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+        } catch (error) {
+            console.error('Wake lock unavailable:', error.message);
+        }
+    }
+
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release();
+            this.wakeLock = null;
+        }
+    }
+
+    // The browser drops the wake lock when the page is hidden and may
+    // suspend or end the camera track; recover both when we come back
+    async handleVisibilityChange() {
+        if (document.hidden) {
+            if (this.motionDetectionActive) {
+                console.log('Page hidden, motion detection continues');
+            }
+            return;
         }
         
-        console.log('Motion detected! Level:', motionLevel);
+        if (!this.motionDetectionActive) return;
         
-        // Show motion indicator
-        const indicator = document.getElementById('motionIndicator');
-        if (indicator) {
-            indicator.classList.add('active');
-            setTimeout(() => indicator.classList.remove('active'), 2000);
-        }
+        await this.requestWakeLock();
         
-        // Update last motion time
-        const lastMotionEl = document.getElementById('lastMotion');
-        if (lastMotionEl) {
-            lastMotionEl.textContent = new Date().toLocaleTimeString();
+        const track = this.getVideoTrack();
+        if (!track || track.readyState === 'ended' || track.muted) {
+            console.log('Camera stream was suspended, restarting...');
+            await this.restartCamera();
         }
+    }
+
+    // Viewer mode: this device shows another device's camera instead of its own
+    initViewerMode() {
+        document.body.classList.add('viewer-mode');
         
-        // Capture image
-        this.captureMotionImage();
+        const status = document.getElementById('cameraStatus');
+        if (status) {
+            status.textContent = 'Not Connected';
+            status.style.background = 'rgba(231, 76, 60, 0.9)';
+        }
         
-        // Create alert
-        const alert = {
-            id: Date.now(),
-            timestamp: new Date().toISOString(),
-            motionLevel: motionLevel.toFixed(1),
-            read: false
+        this.openRemoteDialog();
+    }
+
+    openRemoteDialog() {
+        const modal = document.getElementById('remoteModal');
+        if (modal) {
+            modal.classList.add('active');
+            this.renderRemoteViewers();
+        }
+    }
+
+    getRemoteStatus() {
+        return {
+            type: 'status',
+            active: this.motionDetectionActive,
+            armingMode: this.armingMode,
+            nightMode: this.nightModeActive
         };
+    }
+
+    // Remote viewers and the hub get the same status, motion and alert messages
+    hasRemoteListeners() {
+        return this.remotePeers.length > 0 || !!(this.hubTransport && this.hubTransport.state === 'connected');
+    }
+
+    broadcastRemote(message) {
+        this.remotePeers.forEach(peer => peer.send(message));
+        if (this.hubTransport) {
+            this.hubTransport.send(message);
+        }
+    }
+
+    broadcastRemoteStatus() {
+        if (this.hasRemoteListeners()) {
+            this.broadcastRemote(this.getRemoteStatus());
+        }
+    }
+
+    // Camera side: answer a viewer's offer with our stream
+    async acceptRemoteOffer() {
+        const input = document.getElementById('remoteOfferInput');
+        const code = input ? input.value.trim() : '';
+        if (!code) {
+            this.showToast('Paste or scan the code shown on the viewer', 'warning');
+            return;
+        }
+        if (!this.currentStream) {
+            this.showToast('Camera not ready', 'error');
+            return;
+        }
         
-        this.alerts.unshift(alert);
-        this.saveAlerts();
-        this.updateAlertsList();
-        this.updateNotificationBadge();
+        if (this.pendingPeer) {
+            this.pendingPeer.close();
+        }
         
-        // Update activity data
-        const hour = new Date().getHours();
-        this.activityData[hour]++;
+        const peer = new RemoteLink.RemotePeer('camera', {
+            onOpen: () => peer.send(this.getRemoteStatus()),
+            onMessage: (message) => this.handleRemoteMessage(peer, message),
+            onStateChange: (state) => this.onRemotePeerState(peer, state)
+        });
+        this.pendingPeer = peer;
         
-        // Send notifications
-        const enableAlerts = document.getElementById('enableAlerts');
-        if (enableAlerts && enableAlerts.checked) {
-            this.showNotification('Motion Detected!', `Motion level: ${motionLevel.toFixed(1)}%`);
-            
-            const soundAlerts = document.getElementById('soundAlerts');
-            if (soundAlerts && soundAlerts.checked) {
-                this.playAlertSound();
+        try {
+            const answer = await peer.acceptOffer(code, this.currentStream);
+            this.showRemoteCode('remoteAnswer', answer);
+            this.showToast('Show this answer to the viewer', 'info');
+        } catch (error) {
+            console.error('Error answering viewer:', error);
+            this.showToast('Could not pair: ' + error.message, 'error');
+            peer.close();
+            this.pendingPeer = null;
+        }
+    }
+
+    onRemotePeerState(peer, state) {
+        console.log('Viewer connection:', state);
+        
+        if (state === 'connected') {
+            if (peer === this.pendingPeer) this.pendingPeer = null;
+            if (!this.remotePeers.includes(peer)) {
+                this.remotePeers.push(peer);
+                this.showToast('Remote viewer connected', 'success');
             }
-            
-            const vibrationAlerts = document.getElementById('vibrationAlerts');
-            if (vibrationAlerts && vibrationAlerts.checked && navigator.vibrate) {
-                navigator.vibrate([200, 100, 200]);
+        } else if (state === 'failed' || state === 'closed' || state === 'disconnected') {
+            if (this.remotePeers.includes(peer)) {
+                this.remotePeers = this.remotePeers.filter(p => p !== peer);
+                this.showToast('Remote viewer disconnected', 'warning');
             }
+            if (state !== 'disconnected') peer.close();
         }
         
-        this.lastCaptureTime = now;
+        this.renderRemoteViewers();
     }
 
-    captureMotionImage() {
-        const video = document.getElementById('cameraFeed');
-        const canvas = this.captureCanvas;
-        const context = this.captureContext;
+    handleRemoteMessage(peer, message) {
+        if (message.type !== 'command') return;
         
-        if (!video || !canvas || !context) {
-            console.error('Capture elements not ready');
-            return;
+        console.log('Remote command:', message.command);
+        let result = 'Done';
+        
+        if (message.command === 'arm') {
+            if (!this.motionDetectionActive) this.toggleMotionDetection();
+            result = 'Monitoring started';
+        } else if (message.command === 'disarm') {
+            if (this.motionDetectionActive) this.toggleMotionDetection();
+            result = 'Monitoring stopped';
+        } else if (message.command === 'capture') {
+            this.manualCapture();
+            result = 'Image captured';
         }
         
-        try {
-            // Set canvas size if not set
-            if (canvas.width === 0) {
-                canvas.width = video.videoWidth || 640;
-                canvas.height = video.videoHeight || 480;
-            }
-            
-            // Draw current video frame to capture canvas
-            context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            
-            // Add timestamp overlay
-            context.fillStyle = 'rgba(0, 0, 0, 0.5)';
-            context.fillRect(0, canvas.height - 30, canvas.width, 30);
-            context.fillStyle = 'white';
-            context.font = '16px monospace';
-            context.fillText(new Date().toLocaleString(), 10, canvas.height - 10);
-            
-            // Convert to data URL with specified quality
-            const imageData = canvas.toDataURL('image/jpeg', this.imageQuality);
-            
-            // Create capture object
-            const capture = {
-                id: Date.now(),
-                timestamp: new Date().toISOString(),
-                imageData: imageData,
-                size: this.getImageSize(imageData)
-            };
-            
-            // Add to captures array
-            this.captures.unshift(capture);
-            
-            // Manage storage limits
-            this.manageStorage();
-            
-            // Save to localStorage
-            this.saveCaptures();
-            
-            // Update UI
-            this.sessionCaptures++;
-            const sessionCapturesEl = document.getElementById('sessionCaptures');
-            if (sessionCapturesEl) {
-                sessionCapturesEl.textContent = this.sessionCaptures;
-            }
-            
-            this.updateCapturesGrid();
-            this.updateDashboard();
-            
-            // Show success message
-            this.showToast('Motion captured!', 'success');
-            
-            console.log('Image captured successfully');
-        } catch (error) {
-            console.error('Capture error:', error);
-            this.showToast('Failed to capture image', 'error');
+        peer.send({ type: 'result', command: message.command, message: result });
+        peer.send(this.getRemoteStatus());
+    }
+
+    disconnectViewer(id) {
+        const peer = this.remotePeers.find(p => p.id === id);
+        if (peer) {
+            peer.close();
+            this.onRemotePeerState(peer, 'closed');
         }
     }
 
-    getImageSize(dataUrl) {
-        const base64 = dataUrl.split(',')[1];
-        const bytes = atob(base64).length;
-        if (bytes < 1024) return bytes + ' B';
-        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    closeRemotePeers() {
+        this.remotePeers.forEach(peer => peer.close());
+        this.remotePeers = [];
+        [this.pendingPeer, this.viewerPeer].forEach(peer => {
+            if (peer) peer.close();
+        });
+        this.pendingPeer = null;
+        this.viewerPeer = null;
     }
 
-    manageStorage() {
-        // Check max images limit
-        if (this.captures.length > this.maxStorageImages) {
-            // Remove oldest captures
-            const removed = this.captures.splice(this.maxStorageImages);
-            console.log(`Removed ${removed.length} old captures`);
-        }
+    renderRemoteViewers() {
+        const list = document.getElementById('remoteViewers');
+        if (!list) return;
         
-        // Check retention period if auto-delete is enabled
-        const autoDelete = document.getElementById('autoDelete');
-        if (autoDelete && autoDelete.checked) {
-            const retentionDays = parseInt(document.getElementById('retentionDays')?.value || 7);
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-            
-            this.captures = this.captures.filter(capture => {
-                return new Date(capture.timestamp) > cutoffDate;
-            });
+        if (this.remotePeers.length === 0) {
+            list.innerHTML = '<div class="zone-empty">No viewers connected</div>';
+            return;
         }
+        
+        list.innerHTML = this.remotePeers.map((peer, index) => `
+            <div class="zone-item">
+                <span class="zone-name">📱 Viewer ${index + 1}</span>
+                <span class="zone-type include">${peer.state}</span>
+                <button class="capture-action-btn" onclick="window.app.disconnectViewer(${peer.id})">✖️</button>
+            </div>
+        `).join('');
     }
 
-    setupEventListeners() {
-        console.log('Setting up event listeners...');
+    // Viewer side: start pairing by creating an offer for the camera
+    async createRemoteOffer() {
+        if (this.viewerPeer) {
+            this.viewerPeer.close();
+        }
         
-        // Navigation
-        document.querySelectorAll('.nav-item').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.switchTab(e.target.closest('.nav-item'));
-            });
+        const peer = new RemoteLink.RemotePeer('viewer', {
+            onTrack: (stream) => {
+                const video = document.getElementById('cameraFeed');
+                if (video) {
+                    video.srcObject = stream;
+                    video.play().catch(() => {});
+                }
+            },
+            onMessage: (message) => this.handleViewerMessage(message),
+            onStateChange: (state) => this.updateViewerConnection(state)
         });
+        this.viewerPeer = peer;
         
-        // Motion detection toggle
-        const toggleBtn = document.getElementById('toggleDetection');
-        if (toggleBtn) {
-            toggleBtn.addEventListener('click', () => this.toggleMotionDetection());
-        }
-        
-        // Manual capture
-        const manualCaptureBtn = document.getElementById('manualCapture');
-        if (manualCaptureBtn) {
-            manualCaptureBtn.addEventListener('click', () => this.manualCapture());
+        try {
+            this.showRemoteCode('remoteOffer', await peer.createOffer());
+            this.showToast('Show this code to the camera', 'info');
+        } catch (error) {
+            console.error('Error creating offer:', error);
+            this.showToast('Could not create pairing code: ' + error.message, 'error');
         }
-        
-        // Clear motion area
-        const clearBtn = document.getElementById('clearMotionArea');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => this.clearMotionArea());
+    }
+
+    async acceptRemoteAnswer() {
+        const input = document.getElementById('remoteAnswerInput');
+        const code = input ? input.value.trim() : '';
+        if (!this.viewerPeer || !code) {
+            this.showToast('Create an offer first, then paste the camera\'s answer', 'warning');
+            return;
         }
         
-        // Sensitivity slider
-        const sensitivitySlider = document.getElementById('sensitivitySlider');
-        if (sensitivitySlider) {
-            sensitivitySlider.addEventListener('input', (e) => {
-                this.sensitivity = e.target.value;
-                document.getElementById('sensitivityValue').textContent = `${e.target.value}%`;
-            });
+        try {
+            await this.viewerPeer.acceptAnswer(code);
+        } catch (error) {
+            console.error('Error connecting to camera:', error);
+            this.showToast('Could not connect: ' + error.message, 'error');
         }
+    }
+
+    updateViewerConnection(state) {
+        const status = document.getElementById('cameraStatus');
+        const connected = state === 'connected';
         
-        // Capture delay slider
-        const delaySlider = document.getElementById('captureDelay');
-        if (delaySlider) {
-            delaySlider.addEventListener('input', (e) => {
-                this.captureDelay = e.target.value;
-                this.cooldownPeriod = e.target.value * 1000;
-                document.getElementById('delayValue').textContent = `${e.target.value}s`;
-            });
+        if (status) {
+            status.textContent = connected ? 'Remote Camera' : (state === 'connecting' ? 'Connecting...' : 'Not Connected');
+            status.style.background = connected ? 'rgba(39, 174, 96, 0.9)' : 'rgba(231, 76, 60, 0.9)';
         }
         
-        // Settings
-        const settingsBtn = document.getElementById('settingsBtn');
-        if (settingsBtn) {
-            settingsBtn.addEventListener('click', () => this.openSettings());
-        }
+        const stateEl = document.getElementById('viewerConnectionState');
+        if (stateEl) stateEl.textContent = state;
         
-        const saveSettingsBtn = document.getElementById('saveSettings');
-        if (saveSettingsBtn) {
-            saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+        if (connected) {
+            this.closeModal(document.getElementById('remoteModal'));
+            this.showToast('Connected to camera', 'success');
+        } else if (state === 'failed' || state === 'disconnected') {
+            this.showToast('Connection to camera lost', 'error');
         }
-        
-        const resetSettingsBtn = document.getElementById('resetSettings');
-        if (resetSettingsBtn) {
-            resetSettingsBtn.addEventListener('click', () => this.resetSettings());
+    }
+
+    handleViewerMessage(message) {
+        if (message.type === 'status') {
+            this.motionDetectionActive = !!message.active;
+            this.armingMode = message.armingMode || 'disarmed';
+            this.nightModeActive = !!message.nightMode;
+            this.updateDetectionControls();
+            this.updateScheduleStatus();
+            this.updateNightModeStatus();
+        } else if (message.type === 'motion') {
+            const detectionText = document.getElementById('detectionText');
+            if (detectionText && this.motionDetectionActive) {
+                detectionText.textContent = `Motion Detection: ON • ${message.level}%`;
+            }
+        } else if (message.type === 'alert' && message.alert) {
+            const alert = { ...message.alert, remote: true, read: false };
+            
+            const indicator = document.getElementById('motionIndicator');
+            if (indicator) {
+                indicator.classList.add('active');
+                setTimeout(() => indicator.classList.remove('active'), 2000);
+            }
+            
+            this.alerts.unshift(alert);
+            this.recordActivity({ time: alert.timestamp, type: alert.type, zone: alert.zone, labels: alert.labels });
+            this.saveAlerts();
+            this.updateAlertsList();
+            this.updateNotificationBadge();
+            // One notification per incident
+            if (this.claimIncidentNotification(alert)) {
+                if (alert.type === 'tamper') {
+                    this.notifyTamper(alert);
+                } else {
+                    this.notifyMotion(alert);
+                }
+            }
+        } else if (message.type === 'result') {
+            this.showToast(`Camera: ${message.message}`, 'success');
         }
-        
-        // Captures management
-        const clearCapturesBtn = document.getElementById('clearCaptures');
-        if (clearCapturesBtn) {
-            clearCapturesBtn.addEventListener('click', () => this.clearAllCaptures());
+    }
+
+    sendRemoteCommand(command) {
+        if (!this.viewerPeer || !this.viewerPeer.send({ type: 'command', command })) {
+            this.showToast('Not connected to a camera', 'error');
+            this.openRemoteDialog();
         }
-        
-        const exportBtn = document.getElementById('exportCaptures');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', () => this.exportCaptures());
+    }
+
+    // Camera side: connect to (or leave) the hub relay to match the settings
+    updateHubConnection() {
+        if (this.hubTransport) {
+            this.hubTransport.close();
+            this.hubTransport = null;
         }
+        clearInterval(this.hubFrameTimer);
+        this.hubFrameTimer = null;
         
-        const dateFilter = document.getElementById('dateFilter');
-        if (dateFilter) {
-            dateFilter.addEventListener('change', (e) => this.filterCaptures(e.target.value));
+        if (!this.hubEnabled || !this.hubRelayUrl) {
+            this.updateHubState('closed');
+            return;
         }
         
-        // Alert filters
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
-                e.target.classList.add('active');
-                this.filterAlerts(e.target.dataset.filter);
-            });
+        const transport = HubLink.createRelayTransport(this.hubRelayUrl, {
+            role: 'camera',
+            cameraId: this.cameraId,
+            name: this.cameraName
         });
+        transport.onStateChange = (state) => this.updateHubState(state);
+        transport.onMessage = (message) => {
+            if (message.type === 'hub-joined') {
+                transport.send(this.getRemoteStatus());
+                transport.send({ type: 'alerts', alerts: this.alerts.slice(0, 50) });
+            } else if (message.type === 'command' && RemoteLink.COMMANDS.includes(message.command)) {
+                this.handleRemoteMessage(transport, message);
+            }
+        };
+        this.hubTransport = transport;
+        transport.connect();
         
-        // Modal close buttons
-        document.querySelectorAll('.close-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.target.closest('.modal').classList.remove('active');
-            });
-        });
+        // Low frame rate preview for the hub's tile
+        this.hubFrameTimer = setInterval(() => this.sendHubFrame(), 1000);
+    }
+
+    async sendHubFrame() {
+        const video = document.getElementById('cameraFeed');
+        if (!this.hubTransport || this.hubTransport.state !== 'connected' ||
+            !video || video.readyState !== video.HAVE_ENOUGH_DATA) return;
         
-        // Modal click outside to close
-        document.querySelectorAll('.modal').forEach(modal => {
-            modal.addEventListener('click', (e) => {
-                if (e.target === modal) {
-                    modal.classList.remove('active');
-                }
-            });
+        try {
+            const bitmap = await createImageBitmap(video);
+            const thumbnail = await this.createThumbnail(bitmap, 320);
+            bitmap.close();
+            if (thumbnail) {
+                const data = await this.blobToBase64(thumbnail);
+                this.hubTransport.send({ type: 'frame', image: `data:${thumbnail.type};base64,${data}` });
+            }
+        } catch (error) {
+            console.error('Error sending hub frame:', error);
+        }
+    }
+
+    updateHubState(state) {
+        const labels = {
+            closed: 'Not connected',
+            connecting: 'Connecting...',
+            connected: 'Connected',
+            reconnecting: 'Relay unreachable, retrying...'
+        };
+        ['hubConnectionState', 'hubState'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = labels[state] || state;
         });
     }
 
-    toggleMotionDetection() {
-        this.motionDetectionActive = !this.motionDetectionActive;
+    // Hub mode: this device shows every camera on the relay
+    initHubMode() {
+        document.body.classList.add('hub-mode');
         
-        const btn = document.getElementById('toggleDetection');
-        const status = document.getElementById('detectionStatus');
-        const motionCanvas = document.getElementById('motionCanvas');
+        const urlInput = document.getElementById('hubConnectUrl');
+        if (urlInput) urlInput.value = this.hubRelayUrl;
         
-        if (!btn || !status) return;
+        this.alerts = [];
+        this.renderHubGrid();
         
-        if (this.motionDetectionActive) {
-            btn.classList.add('active');
-            btn.querySelector('.toggle-text').textContent = 'Stop Monitoring';
-            btn.style.background = 'var(--success-color)';
-            
-            status.classList.add('active');
-            const detectionText = document.getElementById('detectionText');
-            if (detectionText) {
-                detectionText.textContent = 'Motion Detection: ON';
-            }
-            
-            if (motionCanvas) {
-                motionCanvas.classList.add('active');
-            }
-            
-            this.showToast('Motion detection activated', 'success');
-            console.log('Motion detection started');
-        } else {
-            btn.classList.remove('active');
-            btn.querySelector('.toggle-text').textContent = 'Start Monitoring';
-            btn.style.background = '';
-            
-            status.classList.remove('active');
-            const detectionText = document.getElementById('detectionText');
-            if (detectionText) {
-                detectionText.textContent = 'Motion Detection: OFF';
-            }
-            
-            if (motionCanvas) {
-                motionCanvas.classList.remove('active');
-            }
-            
-            this.lastFrame = null; // Reset frame comparison
-            
-            this.showToast('Motion detection deactivated', 'warning');
-            console.log('Motion detection stopped');
+        if (this.hubRelayUrl) {
+            this.connectHub();
         }
     }
 
-    manualCapture() {
-        const video = document.getElementById('cameraFeed');
-        if (!video || video.readyState !== video.HAVE_ENOUGH_DATA) {
-            this.showToast('Camera not ready', 'error');
+    connectHub() {
+        const urlInput = document.getElementById('hubConnectUrl');
+        const url = urlInput ? urlInput.value.trim() : this.hubRelayUrl;
+        if (!/^wss?:\/\//.test(url)) {
+            this.showToast('Enter the relay address, e.g. ws://192.168.1.10:8788', 'warning');
             return;
         }
         
-        console.log('Manual capture triggered');
-        this.captureMotionImage();
-    }
-
-    clearMotionArea() {
-        this.lastFrame = null;
-        if (this.motionContext && this.motionCanvas) {
-            this.motionContext.clearRect(0, 0, this.motionCanvas.width, this.motionCanvas.height);
+        this.hubRelayUrl = url;
+        this.updateStoredSettings({ hubRelayUrl: url });
+        
+        if (this.hubTransport) {
+            this.hubTransport.close();
         }
-        this.showToast('Detection area reset', 'success');
+        this.hubState = HubLink.createHubState();
+        
+        const transport = HubLink.createRelayTransport(url, { role: 'hub' });
+        transport.onStateChange = (state) => this.updateHubState(state);
+        transport.onMessage = (message) => this.handleHubMessage(message);
+        this.hubTransport = transport;
+        transport.connect();
     }
 
-    switchTab(navItem) {
-        if (!navItem) return;
-        
-        // Update navigation
-        document.querySelectorAll('.nav-item').forEach(item => item.classList.remove('active'));
-        navItem.classList.add('active');
-        
-        // Update content
-        const tabName = navItem.dataset.tab;
-        if (!tabName) return;
+    handleHubMessage(message) {
+        HubLink.applyMessage(this.hubState, message);
         
-        document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
-        const targetTab = document.getElementById(`${tabName}Tab`);
-        if (targetTab) {
-            targetTab.classList.add('active');
+        if (message.type === 'frame' || message.type === 'motion' || message.type === 'status') {
+            this.updateHubTile(message.from);
+            return;
         }
         
-        // Update specific tab content
-        if (tabName === 'captures') {
-            this.updateCapturesGrid();
-        } else if (tabName === 'alerts') {
+        if (message.type === 'alert' || message.type === 'alerts') {
+            // Keep read flags across history refreshes
+            const readKeys = new Set(this.alerts.filter(a => a.read).map(a => `${a.cameraId}:${a.id}`));
+            this.alerts = HubLink.getMergedAlerts(this.hubState);
+            this.alerts.forEach(alert => {
+                if (readKeys.has(`${alert.cameraId}:${alert.id}`)) alert.read = true;
+            });
+            
             this.updateAlertsList();
-        } else if (tabName === 'dashboard') {
-            this.updateDashboard();
+            this.updateNotificationBadge();
+            this.updateQueryOptions();
+            
+            if (message.type === 'alert' && message.alert) {
+                const alert = this.alerts.find(a => a.cameraId === message.from && a.id === Number(message.alert.id));
+                if (alert) {
+                    this.recordActivity({
+                        time: alert.timestamp,
+                        type: alert.type,
+                        zone: [alert.cameraName, alert.zone].filter(Boolean).join(' - '),
+                        labels: alert.labels
+                    });
+                    if (this.claimIncidentNotification(alert)) {
+                        if (alert.type === 'tamper') {
+                            this.notifyTamper({ ...alert, description: `${alert.cameraName}: ${alert.description}` });
+                        } else {
+                            this.notifyMotion({ ...alert, zone: [alert.cameraName, alert.zone].filter(Boolean).join(' - ') });
+                        }
+                    }
+                    this.flashHubTile(message.from);
+                }
+            }
+        } else if (message.type === 'result') {
+            this.showToast(`${message.name}: ${message.message}`, 'success');
+        }
+        
+        if (message.type === 'cameras' || message.type === 'camera-left' || !this.hubTileExists(message.from)) {
+            this.renderHubGrid();
         }
     }
 
-    updateCapturesGrid() {
-        const grid = document.getElementById('capturesGrid');
+    hubTileExists(cameraId) {
+        return !cameraId || !!document.querySelector(`.hub-tile[data-camera-id="${CSS.escape(cameraId)}"]`);
+    }
+
+    renderHubGrid() {
+        const grid = document.getElementById('hubGrid');
         if (!grid) return;
         
-        if (this.captures.length === 0) {
+        const cameras = HubLink.getCameras(this.hubState);
+        if (cameras.length === 0) {
             grid.innerHTML = `
-                <div class="empty-state" style="grid-column: 1/-1;">
-                    <div class="empty-state-icon">📸</div>
-                    <div class="empty-state-text">No captures yet</div>
-                    <p style="color: var(--text-secondary); margin-top: 1rem;">
-                        Start monitoring to capture motion events
-                    </p>
+                <div class="empty-state">
+                    <div class="empty-state-icon">🎥</div>
+                    <div class="empty-state-text">No cameras connected to the relay yet</div>
                 </div>
             `;
             return;
         }
         
-        grid.innerHTML = this.captures.map(capture => `
-            <div class="capture-item" data-id="${capture.id}">
-                <img src="${capture.imageData}" alt="Motion capture" class="capture-image" loading="lazy">
-                <div class="capture-info">
-                    <span class="capture-date">${new Date(capture.timestamp).toLocaleDateString()}</span>
-                    <span class="capture-time">${new Date(capture.timestamp).toLocaleTimeString()}</span>
+        grid.innerHTML = cameras.map(camera => `
+            <div class="hub-tile" data-camera-id="${this.escapeHtml(camera.id)}">
+                <div class="hub-frame">
+                    <img alt="${this.escapeHtml(camera.name)}">
+                    <span class="hub-offline">Offline</span>
+                </div>
+                <div class="hub-tile-info">
+                    <span class="hub-name">${this.escapeHtml(camera.name)}</span>
+                    <span class="hub-status"></span>
                 </div>
-                <div class="capture-actions">
-                    <button class="capture-action-btn" onclick="window.app.viewCapture(${capture.id})">👁️</button>
-                    <button class="capture-action-btn" onclick="window.app.downloadCapture(${capture.id})">⬇️</button>
-                    <button class="capture-action-btn" onclick="window.app.deleteCapture(${capture.id})">🗑️</button>
+                <div class="hub-tile-actions">
+                    <button class="action-btn hub-arm" data-hub-command="toggle-arm"></button>
+                    <button class="action-btn" data-hub-command="capture">📸</button>
                 </div>
             </div>
         `).join('');
+        
+        cameras.forEach(camera => this.updateHubTile(camera.id));
     }
 
-    viewCapture(id) {
-        const capture = this.captures.find(c => c.id === id);
-        if (!capture) return;
-        
-        const modal = document.getElementById('imageModal');
-        const img = document.getElementById('modalImage');
-        
-        if (!modal || !img) return;
+    // Update one tile in place so frames do not rebuild the whole grid
+    updateHubTile(cameraId) {
+        const camera = this.hubState.cameras[cameraId];
+        const tile = cameraId ? document.querySelector(`.hub-tile[data-camera-id="${CSS.escape(cameraId)}"]`) : null;
+        if (!camera || !tile) return;
         
-        img.src = capture.imageData;
+        tile.classList.toggle('offline', !camera.online);
+        tile.classList.toggle('armed', camera.active);
         
-        const dateEl = document.getElementById('imageDate');
-        if (dateEl) dateEl.textContent = new Date(capture.timestamp).toLocaleDateString();
-        
-        const timeEl = document.getElementById('imageTime');
-        if (timeEl) timeEl.textContent = new Date(capture.timestamp).toLocaleTimeString();
-        
-        const sizeEl = document.getElementById('imageSize');
-        if (sizeEl) sizeEl.textContent = capture.size;
+        const img = tile.querySelector('img');
+        if (img && camera.frame && img.src !== camera.frame) img.src = camera.frame;
         
-        // Set download action
-        const downloadBtn = document.getElementById('downloadImage');
-        if (downloadBtn) {
-            downloadBtn.onclick = () => this.downloadCapture(id);
+        const status = tile.querySelector('.hub-status');
+        if (status) {
+            const level = camera.active && camera.motionLevel !== null ? ` • ${camera.motionLevel}%` : '';
+            status.textContent = `${ArmingSchedule.MODE_LABELS[camera.armingMode] || 'Disarmed'}${camera.nightMode ? ' 🌙' : ''}${level}`;
         }
         
-        const deleteBtn = document.getElementById('deleteImage');
-        if (deleteBtn) {
-            deleteBtn.onclick = () => {
-                this.deleteCapture(id);
-                modal.classList.remove('active');
-            };
-        }
+        const arm = tile.querySelector('.hub-arm');
+        if (arm) arm.textContent = camera.active ? '⏹️ Disarm' : '▶️ Arm';
+    }
+
+    // Delegated from the grid; the tile says which camera
+    onHubGridClick(e) {
+        const button = e.target.closest('[data-hub-command]');
+        const tile = button && button.closest('.hub-tile');
+        const camera = tile && this.hubState.cameras[tile.dataset.cameraId];
+        if (!camera) return;
         
-        const shareBtn = document.getElementById('shareImage');
-        if (shareBtn) {
-            shareBtn.onclick = () => this.shareCapture(id);
+        const command = button.dataset.hubCommand;
+        if (command === 'toggle-arm') {
+            this.sendHubCommand(camera.id, camera.active ? 'disarm' : 'arm');
+        } else if (command === 'capture') {
+            this.sendHubCommand(camera.id, 'capture');
         }
-        
-        modal.classList.add('active');
     }
 
-    downloadCapture(id) {
-        const capture = this.captures.find(c => c.id === id);
-        if (!capture) return;
-        
-        const link = document.createElement('a');
-        link.download = `motion_${new Date(capture.timestamp).getTime()}.jpg`;
-        link.href = capture.imageData;
-        link.click();
+    flashHubTile(cameraId) {
+        const tile = document.querySelector(`.hub-tile[data-camera-id="${CSS.escape(cameraId)}"]`);
+        if (!tile) return;
         
-        this.showToast('Image downloaded', 'success');
+        tile.classList.add('motion');
+        setTimeout(() => tile.classList.remove('motion'), 2000);
     }
 
-    async shareCapture(id) {
-        const capture = this.captures.find(c => c.id === id);
-        if (!capture) return;
-        
-        if (navigator.share && navigator.canShare) {
-            try {
-                // Convert data URL to blob
-                const response = await fetch(capture.imageData);
-                const blob = await response.blob();
-                const file = new File([blob], `motion_${capture.id}.jpg`, { type: 'image/jpeg' });
-                
-                if (navigator.canShare({ files: [file] })) {
-                    await navigator.share({
-                        title: 'Motion Capture',
-                        text: `Motion detected at ${new Date(capture.timestamp).toLocaleString()}`,
-                        files: [file]
-                    });
-                    
-                    this.showToast('Image shared successfully', 'success');
-                } else {
-                    throw new Error('Cannot share files on this device');
-                }
-            } catch (error) {
-                console.error('Error sharing:', error);
-                if (error.name !== 'AbortError') {
-                    this.showToast('Sharing failed: ' + error.message, 'error');
-                }
-            }
-        } else {
-            // Fallback - copy link or download
-            this.downloadCapture(id);
-            this.showToast('Sharing not supported - downloading instead', 'warning');
+    sendHubCommand(cameraId, command) {
+        if (!this.hubTransport || !this.hubTransport.send({ type: 'command', command, to: cameraId })) {
+            this.showToast('Not connected to the relay', 'error');
         }
     }
 
-    deleteCapture(id) {
-        if (!confirm('Delete this capture?')) return;
+    // Show a pairing code as text and as a QR code
+    showRemoteCode(prefix, code) {
+        const box = document.getElementById(`${prefix}Box`);
+        const output = document.getElementById(`${prefix}Output`);
+        const canvas = document.getElementById(`${prefix}Qr`);
         
-        const index = this.captures.findIndex(c => c.id === id);
-        if (index !== -1) {
-            this.captures.splice(index, 1);
-            this.saveCaptures();
-            this.updateCapturesGrid();
-            this.updateDashboard();
-            this.showToast('Capture deleted', 'success');
+        if (box) box.style.display = 'block';
+        if (output) output.value = code;
+        if (!canvas) return;
+        
+        try {
+            const qr = QRCode.encode(code, { level: 'L' });
+            const margin = 4;
+            const scale = Math.max(2, Math.floor(320 / (qr.size + margin * 2)));
+            const context = canvas.getContext('2d');
+            
+            canvas.width = canvas.height = (qr.size + margin * 2) * scale;
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#000000';
+            qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+                if (dark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            }));
+            canvas.style.display = 'block';
+        } catch (error) {
+            // Too long for a QR code - the text still works
+            console.warn('Pairing code not shown as QR:', error.message);
+            canvas.style.display = 'none';
         }
     }
 
-    clearAllCaptures() {
-        if (!confirm('Delete all captures? This cannot be undone.')) return;
+    async copyRemoteCode(id) {
+        const output = document.getElementById(id);
+        if (!output || !output.value) return;
         
-        this.captures = [];
-        this.saveCaptures();
-        this.updateCapturesGrid();
-        this.updateDashboard();
-        this.showToast('All captures cleared', 'success');
+        try {
+            await navigator.clipboard.writeText(output.value);
+            this.showToast('Code copied', 'success');
+        } catch (error) {
+            output.select();
+            document.execCommand('copy');
+            this.showToast('Code copied', 'success');
+        }
     }
 
-    exportCaptures() {
-        if (this.captures.length === 0) {
-            this.showToast('No captures to export', 'warning');
+    // Read a pairing code from a QR code. The camera scans with its own feed;
+    // a viewer borrows its camera just for the scan.
+    async scanRemoteCode(targetId) {
+        if (!('BarcodeDetector' in window)) {
+            this.showToast('QR scanning is not supported in this browser - paste the code instead', 'warning');
             return;
         }
         
-        // Create a zip file or download all images
-        this.captures.forEach((capture, index) => {
-            setTimeout(() => {
-                const link = document.createElement('a');
-                link.download = `motion_${new Date(capture.timestamp).getTime()}.jpg`;
-                link.href = capture.imageData;
-                link.click();
-            }, index * 500); // Stagger downloads
-        });
+        const target = document.getElementById(targetId);
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        let video = document.getElementById('cameraFeed');
+        let scanStream = null;
         
-        this.showToast(`Exporting ${this.captures.length} captures...`, 'success');
-    }
-
-    filterCaptures(filter) {
-        console.log('Filtering captures by:', filter);
-        // Implementation for filtering captures by date
-        // This would filter the display, not the actual data
+        try {
+            if (this.viewerMode) {
+                scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+                video = document.getElementById('qrScanVideo');
+                video.srcObject = scanStream;
+                video.style.display = 'block';
+                await video.play();
+            }
+            
+            this.showToast('Point the camera at the QR code...', 'info');
+            const deadline = Date.now() + 30000;
+            
+            while (Date.now() < deadline) {
+                const codes = await detector.detect(video);
+                const match = codes.find(code => RemoteLink.isSignal(code.rawValue));
+                if (match) {
+                    if (target) target.value = match.rawValue;
+                    this.showToast('Code scanned', 'success');
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, 300));
+            }
+            
+            this.showToast('No pairing QR code found', 'warning');
+        } catch (error) {
+            console.error('QR scan error:', error);
+            this.showToast('QR scan failed: ' + error.message, 'error');
+        } finally {
+            if (scanStream) {
+                scanStream.getTracks().forEach(track => track.stop());
+                video.srcObject = null;
+                video.style.display = 'none';
+            }
+        }
     }
 
-    filterAlerts(filter) {
-        console.log('Filtering alerts by:', filter);
-        // Implementation for filtering alerts
+    // Zoom, focus, exposure and torch controls for whatever the camera supports
+    renderCameraControls() {
+        const container = document.getElementById('trackControls');
+        if (!container) return;
+        
+        const track = this.getVideoTrack();
+        const controls = track && track.getCapabilities
+            ? CameraDevices.getAvailableControls(track.getCapabilities(), track.getSettings())
+            : [];
+        
+        container.innerHTML = controls.map(control => {
+            if (control.type === 'range') {
+                return `
+                    <label class="track-control">
+                        <span>${control.label}</span>
+                        <input type="range" min="${control.min}" max="${control.max}" step="${control.step}" value="${control.value}"
+                            oninput="window.app.applyCameraControl('${control.name}', parseFloat(this.value))">
+                    </label>
+                `;
+            }
+            if (control.type === 'select') {
+                return `
+                    <label class="track-control">
+                        <span>${control.label}</span>
+                        <select onchange="window.app.applyCameraControl('${control.name}', this.value)">
+                            ${control.options.map(option => `
+                                <option value="${option}" ${option === control.value ? 'selected' : ''}>${option}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `;
+            }
+            return `
+                <label class="switch track-control">
+                    <input type="checkbox" ${control.value ? 'checked' : ''}
+                        onchange="window.app.applyCameraControl('${control.name}', this.checked)">
+                    <span class="slider"></span>
+                    <span class="switch-label">${control.label}</span>
+                </label>
+            `;
+        }).join('');
+    }
+
+    async applyCameraControl(name, value) {
+        const track = this.getVideoTrack();
+        if (!track) return;
+        
+        try {
+            await track.applyConstraints({ advanced: [{ [name]: value }] });
+            
+            // Switching focus/exposure mode can enable or disable other controls
+            if (name.endsWith('Mode')) {
+                this.renderCameraControls();
+            }
+        } catch (error) {
+            console.error(`Error applying ${name}:`, error);
+            this.showToast(`Camera does not accept ${name} = ${value}`, 'warning');
+        }
+    }
+
+    setupCanvases() {
+        // Motion detection canvas
+        this.motionCanvas = document.getElementById('motionCanvas');
+        if (this.motionCanvas) {
+            this.motionContext = this.motionCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        
+        // Capture canvas for taking pictures
+        this.captureCanvas = document.getElementById('captureCanvas');
+    }
+
+    subscribeToCore() {
+        this.core.on('armed', mode => this.onArmed(mode));
+        this.core.on('disarmed', () => this.onDisarmed());
+        this.core.on('frame', result => this.onAnalysisFrame(result));
+        this.core.on('motion', result => this.onMotionDetected(result));
+        this.core.on('tamper', ({ type, details }) => console.warn('Tamper detected:', type, details));
+        this.core.on('trigger', fired => this.onTrigger(fired));
+        this.core.on('capture', capture => this.onCaptureTaken(capture));
+        this.core.on('error', error => console.error('Camera core error:', error));
+    }
+
+    setupMotionDetection() {
+        const video = document.getElementById('cameraFeed');
+        
+        if (!video) return;
+        
+        // Motion canvas runs at the (downscaled) analysis resolution and is
+        // stretched over the video by CSS; captures use the full resolution
+        if (video.videoWidth) {
+            this.analysisSize = MotionAnalysis.getAnalysisSize(video.videoWidth, video.videoHeight, this.analysisWidth);
+            
+            if (this.motionCanvas) {
+                this.motionCanvas.width = this.analysisSize.width;
+                this.motionCanvas.height = this.analysisSize.height;
+            }
+            if (this.captureCanvas) {
+                this.captureCanvas.width = video.videoWidth;
+                this.captureCanvas.height = video.videoHeight;
+            }
+        }
+        
+        this.startMotionWorker();
+        this.configureMotionAnalysis();
+        
+        // Motion detection loop
+        if (!this.motionInterval) {
+            this.motionInterval = setInterval(() => {
+                if (this.motionDetectionActive && video.readyState === video.HAVE_ENOUGH_DATA) {
+                    this.detectMotion();
+                }
+            }, 100); // Check every 100ms
+        }
+    }
+
+    startMotionWorker() {
+        if (this.motionWorker || this.mainThreadAnalysis) return;
+        
+        try {
+            if (!window.Worker) {
+                throw new Error('Web Workers not supported');
+            }
+            
+            this.motionWorker = new Worker('motion-worker.js');
+            this.motionWorker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            this.motionWorker.onerror = (error) => {
+                console.error('Motion worker failed, analysing on main thread:', error.message);
+                this.motionWorker.terminate();
+                this.motionWorker = null;
+                this.workerSupportsBitmaps = false;
+                this.analysisPending = false;
+                this.startMainThreadAnalyzer();
+            };
+        } catch (error) {
+            console.warn('Motion worker unavailable:', error.message);
+            this.startMainThreadAnalyzer();
+        }
+    }
+
+    startMainThreadAnalyzer() {
+        this.mainThreadAnalysis = true;
+        this.configureMotionAnalysis();
+    }
+
+    configureMotionAnalysis() {
+        this.core.configure({
+            threshold: this.getEffectiveThreshold(),
+            cooldown: this.cooldownPeriod,
+            tamperDetection: this.tamperDetection,
+            incidentGap: this.incidentGap
+        });
+        
+        if (!this.analysisSize) return;
+        
+        const settings = {
+            width: this.analysisSize.width,
+            height: this.analysisSize.height,
+            sensitivity: Number(this.getEffectiveSensitivity()),
+            zones: this.getDetectionZones(),
+            algorithm: this.detectionAlgorithm,
+            learningRate: this.learningRate,
+            noiseSuppression: this.noiseSuppression,
+            minBlobPercent: this.minBlobPercent,
+            nightMode: this.nightModeActive,
+            measureScene: this.tamperDetection
+        };
+        
+        if (this.motionWorker) {
+            this.motionWorker.postMessage({ type: 'configure', settings });
+        } else if (this.mainThreadAnalysis) {
+            this.core.configure({ analysis: settings });
+        }
+    }
+
+    resetMotionAnalysis() {
+        this.core.reset();
+        
+        if (this.motionWorker) {
+            this.motionWorker.postMessage({ type: 'reset' });
+        }
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'ready') {
+            this.workerSupportsBitmaps = message.offscreen && typeof createImageBitmap === 'function';
+        } else if (message.type === 'result') {
+            this.analysisPending = false;
+            this.core.handleResult(message.result);
+        } else if (message.type === 'error') {
+            this.analysisPending = false;
+            console.error('Motion detection error:', message.message);
+        }
+    }
+
+    async detectMotion() {
+        const video = document.getElementById('cameraFeed');
+        
+        if (!video || video.readyState !== video.HAVE_ENOUGH_DATA || !this.analysisSize) return;
+        
+        // Drop frames while the previous one is still being analysed
+        if (this.analysisPending) return;
+        
+        const { width, height } = this.analysisSize;
+        
+        try {
+            if (this.motionWorker) {
+                this.analysisPending = true;
+                
+                if (this.workerSupportsBitmaps) {
+                    // Scaling happens in the worker on an OffscreenCanvas
+                    const bitmap = await createImageBitmap(video);
+                    this.motionWorker.postMessage({ type: 'frame', bitmap, width, height }, [bitmap]);
+                } else {
+                    const pixels = this.grabAnalysisFrame(video, width, height);
+                    this.motionWorker.postMessage({ type: 'frame', buffer: pixels.buffer }, [pixels.buffer]);
+                }
+            } else if (this.mainThreadAnalysis) {
+                this.core.processFrame(this.grabAnalysisFrame(video, width, height));
+            }
+        } catch (error) {
+            this.analysisPending = false;
+            console.error('Motion detection error:', error);
+        }
+    }
+
+    // Draw the video into a small scratch canvas and return its RGBA pixels
+    grabAnalysisFrame(video, width, height) {
+        if (!this.analysisCanvas) {
+            this.analysisCanvas = document.createElement('canvas');
+            this.analysisContext = this.analysisCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.analysisCanvas.width !== width || this.analysisCanvas.height !== height) {
+            this.analysisCanvas.width = width;
+            this.analysisCanvas.height = height;
+        }
+        
+        this.analysisContext.drawImage(video, 0, 0, width, height);
+        return this.analysisContext.getImageData(0, 0, width, height).data;
+    }
+
+    // Every analysed frame while armed
+    onAnalysisFrame(result) {
+        this.updateSceneBrightness(result.brightness);
+        this.drawMotionMask(result);
+        
+        // Live motion level for remote viewers, once a second
+        if (this.hasRemoteListeners() && Date.now() - this.lastRemoteMotion > 1000) {
+            this.lastRemoteMotion = Date.now();
+            this.broadcastRemote({ type: 'motion', level: Number(result.percentage.toFixed(1)) });
+        }
+    }
+
+    updateSceneBrightness(brightness) {
+        if (typeof brightness !== 'number') return;
+        
+        this.sceneBrightness = NightMode.smoothBrightness(this.sceneBrightness, brightness);
+        this.sceneDark = NightMode.shouldUseNightMode(this.sceneDark, this.sceneBrightness, this.nightBrightnessThreshold);
+        this.updateNightMode();
+    }
+
+    // Night mode is on when forced in settings, or when auto mode finds the scene dark
+    updateNightMode() {
+        const active = this.nightMode || (this.autoNightMode && this.sceneDark);
+        if (active === this.nightModeActive) return;
+        
+        this.nightModeActive = active;
+        this.configureMotionAnalysis();
+        this.updateNightModeStatus();
+        this.broadcastRemoteStatus();
+        
+        if (this.autoNightMode && !this.nightMode) {
+            this.showToast(active ? '🌙 Low light - night mode on' : '☀️ Night mode off', 'info');
+        }
+    }
+
+    updateNightModeStatus() {
+        const statusEl = document.getElementById('nightModeStatus');
+        if (statusEl) {
+            statusEl.classList.toggle('active', this.nightModeActive);
+        }
+    }
+
+    drawMotionMask(result) {
+        const canvas = this.motionCanvas;
+        const context = this.motionContext;
+        if (!canvas || !context) return;
+        
+        if (canvas.width !== result.width || canvas.height !== result.height) {
+            canvas.width = result.width;
+            canvas.height = result.height;
+        }
+        
+        // Highlight motion areas in red
+        const overlay = context.createImageData(result.width, result.height);
+        for (let p = 0; p < result.mask.length; p++) {
+            if (result.mask[p]) {
+                const i = p * 4;
+                overlay.data[i] = 255;     // Red
+                overlay.data[i + 3] = 255; // Alpha
+            }
+        }
+        
+        context.putImageData(overlay, 0, 0);
+        this.drawZones(context, canvas.width, canvas.height);
+    }
+
+    // Frames with motion build up the map of where it happens
+    onMotionDetected(result) {
+        if (!result.mask) return;
+        
+        ActivityStats.addMask(this.activityStats, result.mask, result.width, result.height);
+        this.saveActivityStats();
+    }
+
+    onSoundDetected(sound) {
+        console.log('Sound detected!', sound.type, `${sound.db} dB`);
+        this.core.reportSound(sound);
+    }
+
+    onTamperDetected(type, details = {}) {
+        this.core.reportTamper(type, details);
+    }
+
+    // Motion checks, sounds and tampering all go through the core's trigger
+    // rules; the actions of the rules that fire decide what happens
+    onTrigger(fired) {
+        const { event } = fired;
+        // One alert per trigger, shared by every step (stored by the alert
+        // step), so webhooks and notifications refer to the same id
+        const trigger = { ...fired, still: null, alert: this.buildTriggerAlert(fired), done: new Set() };
+        
+        if (event.type === 'motion') {
+            console.log('Motion detected! Level:', trigger.motionLevel, trigger.zone ? `Zone: ${trigger.zone.name}` : '');
+        }
+        
+        if (event.type !== 'tamper') {
+            // Show motion indicator
+            const indicator = document.getElementById('motionIndicator');
+            if (indicator) {
+                indicator.classList.add('active');
+                setTimeout(() => indicator.classList.remove('active'), 2000);
+            }
+            
+            // Update last motion time
+            const lastMotionEl = document.getElementById('lastMotion');
+            if (lastMotionEl) {
+                lastMotionEl.textContent = new Date().toLocaleTimeString();
+            }
+        }
+        
+        // Kept for the dashboard analytics
+        this.recordActivity({ time: trigger.time, type: event.type, zone: trigger.zone ? trigger.zone.name : null });
+        
+        trigger.rules.forEach(rule => this.runRuleActions(rule, trigger));
+    }
+
+    // Steps run in order. Several rules firing on one event share a single
+    // capture, clip, alert, notification and webhook delivery.
+    async runRuleActions(rule, trigger) {
+        try {
+            for (const action of rule.actions) {
+                // Rules for certain classes classify the capture before going on
+                if (rule.conditions.classes.length > 0 && action.type !== 'capture' && action.type !== 'clip') {
+                    const capture = await this.triggerCapture(trigger);
+                    if (!TriggerRules.classesMatch(rule, capture && capture.labels)) return;
+                }
+                await this.runTriggerAction(action, trigger);
+            }
+        } catch (error) {
+            console.error(`Error running rule "${rule.name}":`, error);
+        }
+    }
+
+    async runTriggerAction(action, trigger) {
+        if (action.type === 'siren') {
+            this.startSiren(action.seconds || TriggerRules.DEFAULT_SIREN_SECONDS);
+            return;
+        }
+        if (trigger.done.has(action.type)) return;
+        trigger.done.add(action.type);
+        
+        switch (action.type) {
+            case 'capture':
+                this.triggerCapture(trigger);
+                break;
+                
+            case 'clip':
+                // Keep the rolling video buffer as a clip around this event
+                if (this.clipRecorder) {
+                    this.clipRecorder.trigger({
+                        still: trigger.still || Promise.resolve(null), // Its thumbnail becomes the clip poster
+                        incidentId: trigger.incidentId,
+                        trigger, // Its alert, once raised, gets the clip
+                        motionLevel: trigger.motionLevel,
+                        zone: trigger.zone ? trigger.zone.name : null,
+                        sound: trigger.sound
+                    });
+                }
+                break;
+                
+            case 'alert':
+                this.createTriggerAlert(trigger);
+                break;
+                
+            case 'notify': {
+                const capture = await trigger.still;
+                const { alert } = trigger;
+                if (alert.type === 'tamper') {
+                    if (this.claimIncidentNotification(alert)) this.notifyTamper(alert);
+                } else if (ObjectClassifier.matchesFilter(capture ? capture.labels : null, this.notifyClasses)) {
+                    // Send notifications for the classes the user cares about,
+                    // once per incident
+                    if (this.claimIncidentNotification(alert)) this.notifyMotion(alert);
+                }
+                break;
+            }
+                
+            case 'webhook': {
+                const capture = await trigger.still;
+                this.dispatchWebhooks(trigger.alert, capture, trigger);
+                break;
+            }
+        }
+    }
+
+    // One still per event, taken the first time a step needs it
+    triggerCapture(trigger) {
+        if (!trigger.still) {
+            const { event } = trigger;
+            if (event.type === 'tamper') {
+                // Keep a frame of what the camera sees now, unless the feed itself is gone
+                trigger.still = event.tamperType.startsWith('track-')
+                    ? Promise.resolve(null)
+                    : this.core.capture({ tamperType: event.tamperType, incidentId: trigger.incidentId });
+            } else {
+                trigger.still = this.core.capture(trigger.sound
+                    ? { sound: trigger.sound, incidentId: trigger.incidentId }
+                    : { motionLevel: trigger.motionLevel, zone: trigger.zone, incidentId: trigger.incidentId });
+            }
+            
+            // An alert raised before the still was taken links to it here
+            trigger.still
+                .then(capture => {
+                    if (capture) this.linkCapture(trigger.alert, capture);
+                })
+                .catch(error => console.error('Error taking trigger still:', error));
+        }
+        return trigger.still;
+    }
+
+    buildTriggerAlert(trigger) {
+        return CameraCore.buildAlert(trigger, {
+            cameraId: this.cameraId,
+            cameraName: this.cameraName,
+            armingMode: this.armingMode,
+            nightMode: this.nightModeActive
+        });
+    }
+
+    createTriggerAlert(trigger) {
+        const { alert } = trigger;
+        
+        this.alerts.unshift(alert);
+        this.logAlertEvidence(alert);
+        this.saveAlerts();
+        this.updateAlertsList();
+        this.updateNotificationBadge();
+        
+        // Wait for the capture so the alert carries what the classifier saw,
+        // then push it to remote viewers
+        Promise.resolve(trigger.still).then(capture => {
+            if (capture) {
+                if (capture.labels) alert.labels = capture.labels;
+                this.linkCapture(alert, capture);
+                this.updateAlertsList();
+            }
+            this.broadcastRemote({ type: 'alert', alert });
+        }).catch(error => console.error('Error finishing alert:', error));
+        return alert;
+    }
+
+    // Record on both sides that `capture` was taken for `alert`
+    linkCapture(alert, capture) {
+        if (capture.alertId === alert.id || !this.alerts.includes(alert)) return;
+        
+        EventModel.link(alert, capture);
+        this.saveAlerts();
+        // Skip captures already removed by the storage limits
+        if (this.captures.includes(capture)) {
+            this.captureStore.updateMeta(capture).catch(error => console.error('Error linking capture:', error));
+        }
+    }
+
+    // Alternating two-tone alarm through the speaker
+    startSiren(seconds) {
+        this.stopSiren();
+        
+        try {
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            oscillator.type = 'square';
+            gainNode.gain.value = 0.5;
+            
+            for (let t = 0; t < seconds; t += 0.5) {
+                oscillator.frequency.setValueAtTime(t % 1 === 0 ? 960 : 770, audioContext.currentTime + t);
+            }
+            oscillator.start();
+            oscillator.stop(audioContext.currentTime + seconds);
+            oscillator.onended = () => {
+                if (this.siren === audioContext) this.stopSiren();
+            };
+            
+            this.siren = audioContext;
+        } catch (error) {
+            console.error('Error starting siren:', error);
+        }
+    }
+
+    stopSiren() {
+        if (!this.siren) return;
+        
+        this.siren.close().catch(() => {});
+        this.siren = null;
+    }
+
+    async captureMotionImage(details = {}) {
+        const video = document.getElementById('cameraFeed');
+        
+        if (!video || !this.captureCanvas) {
+            console.error('Capture elements not ready');
+            return null;
+        }
+        
+        try {
+            // A canvas of its own per capture: classification is awaited
+            // below, and a second capture may start in the meantime
+            const canvas = document.createElement('canvas');
+            canvas.width = this.captureCanvas.width || video.videoWidth || 640;
+            canvas.height = this.captureCanvas.height || video.videoHeight || 480;
+            const context = canvas.getContext('2d');
+            
+            const timestamp = new Date();
+            
+            // Draw current video frame to capture canvas
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            
+            // Look for people, vehicles and animals before anything is drawn on top
+            const detections = await this.classifyCapture(canvas);
+            
+            // Brighten dark frames so there is something to see
+            if (this.nightModeActive) {
+                const frame = context.getImageData(0, 0, canvas.width, canvas.height);
+                NightMode.enhanceLowLight(frame.data);
+                context.putImageData(frame, 0, 0);
+            }
+            
+            if (detections && detections.length > 0) {
+                ObjectClassifier.drawDetections(context, detections);
+            }
+            
+            // Add timestamp overlay
+            context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            context.fillRect(0, canvas.height - 30, canvas.width, 30);
+            context.fillStyle = 'white';
+            context.font = '16px monospace';
+            context.fillText(timestamp.toLocaleString(), 10, canvas.height - 10);
+            
+            // Encode with specified quality, plus a small thumbnail for the grids
+            const blob = await this.canvasToBlob(canvas, 'image/jpeg', this.imageQuality);
+            const thumbnail = await this.createThumbnail(canvas);
+            
+            // Create capture metadata
+            const capture = {
+                id: EventModel.createId(),
+                type: 'image',
+                timestamp: timestamp.toISOString(),
+                motionLevel: details.motionLevel !== undefined ? Number(details.motionLevel.toFixed(1)) : null,
+                zone: details.zone ? details.zone.name : null,
+                tags: [details.tamperType ? 'tamper' : details.sound ? 'sound' : (details.motionLevel !== undefined ? 'motion' : 'manual')],
+                soundType: details.sound ? details.sound.type : null,
+                soundLevel: details.sound ? details.sound.peakDb : null,
+                incidentId: details.incidentId || null,
+                alertId: null,
+                cameraId: this.cameraId,
+                cameraName: this.cameraName,
+                nightMode: this.nightModeActive,
+                mimeType: blob.type,
+                bytes: blob.size,
+                size: this.formatBytes(blob.size)
+            };
+            
+            if (detections) {
+                capture.objects = detections;
+                capture.labels = ObjectClassifier.getLabels(detections);
+                capture.tags.push(...capture.labels.filter(label => label !== ObjectClassifier.OTHER));
+            }
+            
+            await this.storeCapture(capture, blob, thumbnail);
+            
+            // Add to captures array
+            this.captures.unshift(capture);
+            
+            // Manage storage limits
+            this.manageStorage();
+            
+            // Update UI
+            this.sessionCaptures++;
+            const sessionCapturesEl = document.getElementById('sessionCaptures');
+            if (sessionCapturesEl) {
+                sessionCapturesEl.textContent = this.sessionCaptures;
+            }
+            
+            this.updateCapturesGrid();
+            this.updateAlertsList();
+            this.updateDashboard();
+            
+            // Show success message
+            this.showToast('Motion captured!', 'success');
+            
+            console.log('Image captured successfully');
+            return capture;
+        } catch (error) {
+            console.error('Capture error:', error);
+            this.showToast('Failed to capture image', 'error');
+            return null;
+        }
+    }
+
+    // Classified motion captures feed the false-alarm ratio
+    onCaptureTaken(capture) {
+        if (capture.labels && capture.motionLevel !== null) {
+            ActivityStats.recordClassification(this.activityStats, new Date(capture.timestamp), capture.labels);
+            this.saveActivityStats();
+        }
+    }
+
+    // Resolves to detections, or null when classification is off or fails
+    // (the capture is then a plain motion capture)
+    async classifyCapture(canvas) {
+        if (!this.classifier || !this.classifier.ready) return null;
+        
+        try {
+            const bitmap = await createImageBitmap(canvas);
+            return await this.classifier.classify(bitmap, this.classifierMinScore);
+        } catch (error) {
+            console.error('Classification error:', error);
+            return null;
+        }
+    }
+
+    // Load or drop the model to match the setting
+    async updateClassifier() {
+        if (!this.classifyObjects || this.viewerMode || this.hubMode) {
+            if (this.classifier) this.classifier.close();
+            this.classifier = null;
+            this.setClassifierStatus('off');
+            return;
+        }
+        if (this.classifier) return;
+        
+        const classifier = ObjectClassifier.createClassifier();
+        this.classifier = classifier;
+        this.setClassifierStatus('loading');
+        
+        try {
+            await classifier.load();
+            if (this.classifier === classifier) {
+                this.setClassifierStatus('ready');
+            }
+        } catch (error) {
+            console.error('Object classifier unavailable:', error);
+            classifier.close();
+            if (this.classifier === classifier) {
+                this.classifier = null;
+                this.setClassifierStatus('unavailable');
+                this.showToast('Object model could not be loaded - using plain motion alerts', 'warning');
+            }
+        }
+    }
+
+    setClassifierStatus(status) {
+        this.classifierStatus = status;
+        
+        const labels = {
+            off: 'Off',
+            loading: 'Loading model...',
+            ready: 'Ready',
+            unavailable: 'Model unavailable - plain motion alerts'
+        };
+        const statusEl = document.getElementById('classifierStatus');
+        if (statusEl) statusEl.textContent = labels[status];
+    }
+
+    canvasToBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('Failed to encode image'));
+            }, type, quality);
+        });
+    }
+
+    // Scale a canvas or ImageBitmap down to a JPEG thumbnail blob
+    createThumbnail(source, maxWidth = 320) {
+        if (!this.thumbnailCanvas) {
+            this.thumbnailCanvas = document.createElement('canvas');
+        }
+        
+        const scale = Math.min(1, maxWidth / source.width);
+        this.thumbnailCanvas.width = Math.round(source.width * scale);
+        this.thumbnailCanvas.height = Math.round(source.height * scale);
+        this.thumbnailCanvas.getContext('2d').drawImage(source, 0, 0, this.thumbnailCanvas.width, this.thumbnailCanvas.height);
+        
+        return this.canvasToBlob(this.thumbnailCanvas, 'image/jpeg', 0.7);
+    }
+
+    async storeCapture(capture, blob, thumbnail, source = 'camera') {
+        try {
+            await this.captureStore.put(capture, blob, thumbnail);
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError' || this.captures.length === 0) throw error;
+            
+            // Make room by dropping the oldest tenth of the captures, then retry once
+            const count = Math.max(1, Math.ceil(this.captures.length / 10));
+            const removed = this.captures.splice(this.captures.length - count);
+            await Promise.all(removed.map(c => this.deleteStoredCapture(c, 'storage-full')));
+            this.showToast(`Storage full - removed ${count} oldest captures`, 'warning');
+            
+            await this.captureStore.put(capture, blob, thumbnail);
+        }
+        
+        await this.logCaptureEvidence(capture, blob, source);
+    }
+
+    async logCaptureEvidence(capture, blob, source) {
+        this.logEvidence({
+            event: 'capture',
+            itemType: 'capture',
+            itemId: capture.id,
+            itemTimestamp: capture.timestamp,
+            contentHash: await EvidenceLog.sha256(blob),
+            source
+        });
+    }
+
+    async deleteStoredCapture(capture, reason = 'user') {
+        this.releaseCapture(capture);
+        this.logCaptureDeletion(capture, reason);
+        if (EventModel.unlinkCapture(this.alerts, capture).length > 0) {
+            this.saveAlerts();
+        }
+        try {
+            await this.captureStore.delete(capture.id);
+        } catch (error) {
+            console.error('Error deleting capture:', error);
+        }
+    }
+
+    // Fill in <img data-thumb-id> thumbnails as they scroll into view
+    loadThumbnails(container) {
+        const images = container.querySelectorAll('img[data-thumb-id]');
+        
+        const load = async (img) => {
+            const capture = this.captures.find(c => String(c.id) === img.dataset.thumbId);
+            if (!capture) return;
+            
+            const url = await this.getCaptureUrl(capture, 'thumb');
+            if (url) img.src = url;
+        };
+        
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(load);
+            return;
+        }
+        
+        const previous = this.thumbnailObservers.get(container.id);
+        if (previous) previous.disconnect();
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    load(entry.target);
+                }
+            });
+        }, { rootMargin: '200px' });
+        
+        images.forEach(img => observer.observe(img));
+        this.thumbnailObservers.set(container.id, observer);
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+
+    startClipRecorder() {
+        if (!this.recordClips || this.clipRecorder || !this.currentStream) return;
+        
+        if (!ClipRecorder.isSupported()) {
+            this.showToast('Video clips are not supported in this browser', 'warning');
+            return;
+        }
+        
+        this.clipRecorder = new ClipRecorder(this.getRecordingStream(), {
+            preSeconds: this.clipPreSeconds,
+            postSeconds: this.clipPostSeconds,
+            onClip: (clip) => this.onClipRecorded(clip)
+        });
+        this.clipRecorder.start();
+        console.log('Clip buffer started');
+    }
+
+    // The camera stream, plus the microphone when clips should have sound
+    getRecordingStream() {
+        if (!this.clipAudio || !this.audioStream) return this.currentStream;
+        
+        return new MediaStream([
+            ...this.currentStream.getVideoTracks(),
+            ...this.audioStream.getAudioTracks()
+        ]);
+    }
+
+    stopClipRecorder() {
+        if (!this.clipRecorder) return;
+        
+        // Triggered clips still finish and are saved
+        this.clipRecorder.stop();
+        this.clipRecorder = null;
+    }
+
+
+    // Start or stop the microphone to match the settings
+    async updateAudioMonitoring() {
+        const wanted = (this.audioDetection || this.clipAudio) && !this.viewerMode && !this.hubMode;
+        this.soundDetector.configure({ threshold: this.audioThreshold });
+        
+        if (wanted && !this.audioStream) {
+            await this.startAudioMonitoring();
+        } else if (!wanted && this.audioStream) {
+            this.stopAudioMonitoring();
+        } else {
+            return;
+        }
+        
+        // Pick up (or drop) the microphone track in clips
+        if (this.clipRecorder) {
+            this.stopClipRecorder();
+            this.startClipRecorder();
+        }
+    }
+
+    async startAudioMonitoring() {
+        try {
+            // Raw levels: the voice-call processing would flatten a bang or a shout
+            this.audioStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+                video: false
+            });
+        } catch (error) {
+            console.error('Microphone error:', error);
+            this.showToast('Microphone unavailable - audio detection off', 'warning');
+            return;
+        }
+        
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        this.audioContext.createMediaStreamSource(this.audioStream).connect(analyser);
+        
+        const samples = new Float32Array(analyser.fftSize);
+        this.soundDetector.reset();
+        
+        this.audioTimer = setInterval(() => {
+            analyser.getFloatTimeDomainData(samples);
+            const { db } = AudioDetection.measureLevel(samples);
+            this.audioLevel = db;
+            this.updateAudioMeter(db);
+            
+            // The detector always learns the noise floor; events only count while armed
+            const sound = this.soundDetector.update(db);
+            if (sound && this.audioDetection && this.motionDetectionActive) {
+                this.onSoundDetected(sound);
+            }
+        }, 50);
+        
+        const meter = document.getElementById('audioMeter');
+        if (meter) meter.classList.add('active');
+        
+        console.log('Microphone monitoring started');
+    }
+
+    stopAudioMonitoring() {
+        clearInterval(this.audioTimer);
+        this.audioTimer = null;
+        
+        if (this.audioStream) {
+            this.audioStream.getTracks().forEach(track => track.stop());
+            this.audioStream = null;
+        }
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        this.audioLevel = null;
+        
+        const meter = document.getElementById('audioMeter');
+        if (meter) meter.classList.remove('active');
+    }
+
+    updateAudioMeter(db) {
+        const fill = document.getElementById('audioMeterFill');
+        if (fill) {
+            fill.style.width = `${AudioDetection.dbToPercent(db)}%`;
+            fill.classList.toggle('loud', db >= this.audioThreshold);
+        }
+        
+        const mark = document.getElementById('audioMeterThreshold');
+        if (mark) mark.style.left = `${AudioDetection.dbToPercent(this.audioThreshold)}%`;
+        
+        const value = document.getElementById('audioMeterValue');
+        if (value) value.textContent = `${Math.round(db)} dB`;
+    }
+
+    async onClipRecorded(clip) {
+        if (!clip.blob.size) return;
+        
+        try {
+            const still = await clip.meta.still;
+            const thumbnail = still ? await this.captureStore.getThumbnail(still.id) : null;
+            
+            const capture = {
+                id: EventModel.createId(),
+                type: 'clip',
+                timestamp: new Date(clip.triggerTime).toISOString(),
+                motionLevel: typeof clip.meta.motionLevel === 'number' ? Number(clip.meta.motionLevel.toFixed(1)) : null,
+                zone: clip.meta.zone || null,
+                tags: [clip.meta.sound ? 'sound' : 'motion', 'clip'],
+                soundType: clip.meta.sound ? clip.meta.sound.type : null,
+                soundLevel: clip.meta.sound ? clip.meta.sound.peakDb : null,
+                audio: clip.hasAudio,
+                incidentId: clip.meta.incidentId || null,
+                alertId: null,
+                cameraId: this.cameraId,
+                cameraName: this.cameraName,
+                mimeType: clip.mimeType,
+                duration: clip.duration,
+                preRoll: (clip.triggerTime - clip.startTime) / 1000,
+                bytes: clip.blob.size,
+                size: this.formatBytes(clip.blob.size)
+            };
+            
+            const alert = clip.meta.trigger ? clip.meta.trigger.alert : null;
+            const linked = alert && this.alerts.includes(alert);
+            if (linked) EventModel.link(alert, capture);
+            
+            await this.storeCapture(capture, clip.blob, thumbnail);
+            
+            this.captures.unshift(capture);
+            if (linked) this.saveAlerts();
+            this.manageStorage();
+            
+            this.updateCapturesGrid();
+            this.updateDashboard();
+            
+            console.log(`Clip recorded: ${capture.duration.toFixed(1)}s, ${capture.size}`);
+        } catch (error) {
+            console.error('Error saving clip:', error);
+            this.showToast('Failed to save video clip', 'error');
+        }
+    }
+
+    getCaptureExtension(capture) {
+        if (capture.type !== 'clip') return 'jpg';
+        return (capture.mimeType || '').includes('mp4') ? 'mp4' : 'webm';
+    }
+
+    // Resolve a blob URL for a capture's full data ('full') or thumbnail ('thumb')
+    async getCaptureUrl(capture, variant = 'full') {
+        const cacheKey = `${capture.id}:${variant}`;
+        if (this.objectUrls.has(cacheKey)) {
+            return this.objectUrls.get(cacheKey);
+        }
+        if (this.captureStore.locked) return null;
+        
+        const blob = variant === 'thumb'
+            ? await this.captureStore.getThumbnail(capture.id)
+            : await this.captureStore.getBlob(capture.id);
+        if (!blob) return null;
+        
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.set(cacheKey, url);
+        return url;
+    }
+
+    manageStorage() {
+        // Count limit always, retention period if auto-delete is enabled
+        const autoDelete = document.getElementById('autoDelete');
+        const { kept, removed } = CameraCore.applyStoragePolicy(this.captures, {
+            maxImages: this.maxStorageImages,
+            retentionDays: autoDelete && autoDelete.checked
+                ? parseInt(document.getElementById('retentionDays')?.value || 7)
+                : null
+        });
+        
+        if (removed.length > 0) {
+            this.captures = kept;
+            removed.forEach(capture => this.deleteStoredCapture(capture, 'retention'));
+            console.log(`Removed ${removed.length} old captures`);
+        }
+    }
+
+    releaseCapture(capture) {
+        ['full', 'thumb'].forEach(variant => {
+            const cacheKey = `${capture.id}:${variant}`;
+            if (this.objectUrls.has(cacheKey)) {
+                URL.revokeObjectURL(this.objectUrls.get(cacheKey));
+                this.objectUrls.delete(cacheKey);
+            }
+        });
+    }
+
+    setupEventListeners() {
+        console.log('Setting up event listeners...');
+        
+        // Navigation
+        document.querySelectorAll('.nav-item').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.switchTab(e.target.closest('.nav-item'));
+            });
+        });
+        
+        // Motion detection toggle
+        const toggleBtn = document.getElementById('toggleDetection');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleMotionDetection());
+        }
+        
+        // Manual capture
+        const manualCaptureBtn = document.getElementById('manualCapture');
+        if (manualCaptureBtn) {
+            manualCaptureBtn.addEventListener('click', () => this.manualCapture());
+        }
+        
+        // Clear motion area
+        const clearBtn = document.getElementById('clearMotionArea');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.clearMotionArea());
+        }
+        
+        // Camera picker
+        const cameraSelect = document.getElementById('cameraSelect');
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', (e) => this.switchCamera(e.target.value));
+        }
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.updateCameraDevices());
+        }
+        
+        // Detection zones editor
+        const zonesBtn = document.getElementById('editZones');
+        if (zonesBtn) {
+            zonesBtn.addEventListener('click', () => this.toggleZoneEditor());
+        }
+        
+        const drawZoneBtn = document.getElementById('drawZone');
+        if (drawZoneBtn) {
+            drawZoneBtn.addEventListener('click', () => this.startZoneDrawing());
+        }
+        
+        const finishZoneBtn = document.getElementById('finishZone');
+        if (finishZoneBtn) {
+            finishZoneBtn.addEventListener('click', () => this.finishZoneDrawing());
+        }
+        
+        const cancelZoneBtn = document.getElementById('cancelZone');
+        if (cancelZoneBtn) {
+            cancelZoneBtn.addEventListener('click', () => this.cancelZoneDrawing());
+        }
+        
+        if (this.motionCanvas) {
+            this.motionCanvas.addEventListener('click', (e) => this.addZonePoint(e));
+            this.motionCanvas.addEventListener('dblclick', (e) => {
+                e.preventDefault();
+                this.finishZoneDrawing();
+            });
+        }
+        
+        // Sensitivity slider
+        const sensitivitySlider = document.getElementById('sensitivitySlider');
+        if (sensitivitySlider) {
+            sensitivitySlider.addEventListener('input', (e) => {
+                this.sensitivity = e.target.value;
+                this.configureMotionAnalysis();
+                document.getElementById('sensitivityValue').textContent = `${e.target.value}%`;
+            });
+        }
+        
+        // Capture delay slider
+        const delaySlider = document.getElementById('captureDelay');
+        if (delaySlider) {
+            delaySlider.addEventListener('input', (e) => {
+                this.captureDelay = e.target.value;
+                this.cooldownPeriod = e.target.value * 1000;
+                document.getElementById('delayValue').textContent = `${e.target.value}s`;
+            });
+        }
+        
+        // Settings
+        const settingsBtn = document.getElementById('settingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.openSettings());
+        }
+        
+        const saveSettingsBtn = document.getElementById('saveSettings');
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+        }
+        
+        const resetSettingsBtn = document.getElementById('resetSettings');
+        if (resetSettingsBtn) {
+            resetSettingsBtn.addEventListener('click', () => this.resetSettings());
+        }
+        
+        // Arming schedule editor
+        const scheduleEnabled = document.getElementById('scheduleEnabled');
+        if (scheduleEnabled) {
+            scheduleEnabled.addEventListener('change', (e) => {
+                this.schedule.enabled = e.target.checked;
+                this.onScheduleChanged();
+            });
+        }
+        
+        const scheduleDefaultMode = document.getElementById('scheduleDefaultMode');
+        if (scheduleDefaultMode) {
+            scheduleDefaultMode.addEventListener('change', (e) => {
+                this.schedule.defaultMode = e.target.value;
+                this.onScheduleChanged();
+            });
+        }
+        
+        const addWindowBtn = document.getElementById('addWindow');
+        if (addWindowBtn) {
+            addWindowBtn.addEventListener('click', () => this.addScheduleWindow());
+        }
+        
+        const addOverrideBtn = document.getElementById('addOverride');
+        if (addOverrideBtn) {
+            addOverrideBtn.addEventListener('click', () => this.addScheduleOverride());
+        }
+        
+        // Remote viewing
+        const remoteBtn = document.getElementById('remoteBtn');
+        if (remoteBtn) {
+            remoteBtn.addEventListener('click', () => this.openRemoteDialog());
+        }
+        
+        const remoteActions = {
+            acceptRemoteOffer: () => this.acceptRemoteOffer(),
+            scanRemoteOffer: () => this.scanRemoteCode('remoteOfferInput'),
+            copyRemoteAnswer: () => this.copyRemoteCode('remoteAnswerOutput'),
+            createRemoteOffer: () => this.createRemoteOffer(),
+            copyRemoteOffer: () => this.copyRemoteCode('remoteOfferOutput'),
+            scanRemoteAnswer: () => this.scanRemoteCode('remoteAnswerInput'),
+            acceptRemoteAnswer: () => this.acceptRemoteAnswer()
+        };
+        Object.keys(remoteActions).forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', remoteActions[id]);
+        });
+        
+        // Webhooks
+        const hubConnectBtn = document.getElementById('hubConnect');
+        if (hubConnectBtn) {
+            hubConnectBtn.addEventListener('click', () => this.connectHub());
+        }
+        
+        const addTriggerRuleBtn = document.getElementById('addTriggerRule');
+        if (addTriggerRuleBtn) {
+            addTriggerRuleBtn.addEventListener('click', () => this.addTriggerRule());
+        }
+        
+        const applyTriggerRulesBtn = document.getElementById('applyTriggerRules');
+        if (applyTriggerRulesBtn) {
+            applyTriggerRulesBtn.addEventListener('click', () => this.applyTriggerRulesJson());
+        }
+        
+        const defaultTriggerRulesBtn = document.getElementById('defaultTriggerRules');
+        if (defaultTriggerRulesBtn) {
+            defaultTriggerRulesBtn.addEventListener('click', () => this.restoreDefaultTriggerRules());
+        }
+        
+        const addWebhookBtn = document.getElementById('addWebhook');
+        if (addWebhookBtn) {
+            addWebhookBtn.addEventListener('click', () => this.addWebhook());
+        }
+        
+        const clearWebhookLogBtn = document.getElementById('clearWebhookLog');
+        if (clearWebhookLogBtn) {
+            clearWebhookLogBtn.addEventListener('click', () => this.clearWebhookLog());
+        }
+        
+        // Captures management
+        const clearCapturesBtn = document.getElementById('clearCaptures');
+        if (clearCapturesBtn) {
+            clearCapturesBtn.addEventListener('click', () => this.clearAllCaptures());
+        }
+        
+        const exportBtn = document.getElementById('exportCaptures');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.openExportDialog());
+        }
+        
+        // Alert and hub rows carry data-* attributes instead of inline handlers
+        const alertsList = document.getElementById('alertsList');
+        if (alertsList) {
+            alertsList.addEventListener('click', (e) => this.onAlertsListClick(e));
+        }
+        
+        const capturesGrid = document.getElementById('capturesGrid');
+        if (capturesGrid) {
+            capturesGrid.addEventListener('click', (e) => this.onCapturesGridClick(e));
+        }
+        
+        const hubGrid = document.getElementById('hubGrid');
+        if (hubGrid) {
+            hubGrid.addEventListener('click', (e) => this.onHubGridClick(e));
+        }
+        
+        // Dashboard analytics
+        const analyticsRange = document.getElementById('analyticsRange');
+        if (analyticsRange) {
+            analyticsRange.addEventListener('change', (e) => {
+                this.analyticsDays = parseInt(e.target.value);
+                this.updateAnalytics();
+            });
+        }
+        
+        const clearMotionHeatmapBtn = document.getElementById('clearMotionHeatmap');
+        if (clearMotionHeatmapBtn) {
+            clearMotionHeatmapBtn.addEventListener('click', () => this.clearMotionHeatmap());
+        }
+        
+        // Save batched activity stats before the page goes away
+        window.addEventListener('pagehide', () => {
+            if (this.activitySaveTimer) this.writeActivityStats();
+        });
+        
+        // Timeline
+        const timelinePrevDay = document.getElementById('timelinePrevDay');
+        if (timelinePrevDay) {
+            timelinePrevDay.addEventListener('click', () => this.shiftTimelineDay(-1));
+        }
+        
+        const timelineNextDay = document.getElementById('timelineNextDay');
+        if (timelineNextDay) {
+            timelineNextDay.addEventListener('click', () => this.shiftTimelineDay(1));
+        }
+        
+        const timelineToday = document.getElementById('timelineToday');
+        if (timelineToday) {
+            timelineToday.addEventListener('click', () => this.setTimelineDay(new Date()));
+        }
+        
+        const timelineDate = document.getElementById('timelineDate');
+        if (timelineDate) {
+            timelineDate.addEventListener('change', (e) => {
+                if (e.target.value) this.setTimelineDay(Timeline.fromDateInput(e.target.value));
+            });
+        }
+        
+        const timelineZoomIn = document.getElementById('timelineZoomIn');
+        if (timelineZoomIn) {
+            timelineZoomIn.addEventListener('click', () => this.setTimelineZoom(this.timelineZoom + 1));
+        }
+        
+        const timelineZoomOut = document.getElementById('timelineZoomOut');
+        if (timelineZoomOut) {
+            timelineZoomOut.addEventListener('click', () => this.setTimelineZoom(this.timelineZoom - 1));
+        }
+        
+        const timelineScroller = document.getElementById('timelineScroller');
+        if (timelineScroller) {
+            timelineScroller.addEventListener('pointermove', (e) => this.scrubTimeline(e));
+            timelineScroller.addEventListener('click', (e) => this.onTimelineClick(e));
+            timelineScroller.addEventListener('keydown', (e) => this.onTimelineKey(e));
+            // Ctrl + wheel (and trackpad pinch) zooms around the pointer
+            timelineScroller.addEventListener('wheel', (e) => {
+                if (!e.ctrlKey) return;
+                e.preventDefault();
+                const offset = e.clientX - timelineScroller.getBoundingClientRect().left;
+                this.setTimelineZoom(this.timelineZoom + (e.deltaY < 0 ? 1 : -1), offset);
+            }, { passive: false });
+        }
+        
+        const exportRange = document.getElementById('exportRange');
+        if (exportRange) {
+            exportRange.addEventListener('change', () => this.updateExportSummary());
+        }
+        
+        const startExportBtn = document.getElementById('startExport');
+        if (startExportBtn) {
+            startExportBtn.addEventListener('click', () => this.exportCaptures());
+        }
+        
+        const verifyEvidenceBtn = document.getElementById('verifyEvidence');
+        if (verifyEvidenceBtn) {
+            verifyEvidenceBtn.addEventListener('click', () => this.checkIntegrity());
+        }
+        
+        const exportEvidenceBtn = document.getElementById('exportEvidence');
+        if (exportEvidenceBtn) {
+            exportEvidenceBtn.addEventListener('click', () => this.exportEvidence());
+        }
+        
+        const startImportBtn = document.getElementById('startImport');
+        if (startImportBtn) {
+            startImportBtn.addEventListener('click', () => {
+                const fileInput = document.getElementById('importFile');
+                if (fileInput && fileInput.files[0]) {
+                    this.importArchive(fileInput.files[0]);
+                } else {
+                    this.showToast('Choose a ZIP archive to import', 'warning');
+                }
+            });
+        }
+        
+        // Vault
+        const lockBtn = document.getElementById('lockBtn');
+        if (lockBtn) {
+            lockBtn.addEventListener('click', () => this.lockVault());
+        }
+        
+        const unlockBtn = document.getElementById('unlockVault');
+        if (unlockBtn) {
+            unlockBtn.addEventListener('click', () => this.unlockVault());
+        }
+        
+        const lockPassphrase = document.getElementById('lockPassphrase');
+        if (lockPassphrase) {
+            lockPassphrase.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.unlockVault();
+            });
+        }
+        
+        const unlockAuthBtn = document.getElementById('unlockWithAuthenticator');
+        if (unlockAuthBtn) {
+            unlockAuthBtn.addEventListener('click', () => this.unlockVault(true));
+        }
+        
+        const enableVaultBtn = document.getElementById('enableVault');
+        if (enableVaultBtn) {
+            enableVaultBtn.addEventListener('click', () => this.enableVault());
+        }
+        
+        const disableVaultBtn = document.getElementById('disableVault');
+        if (disableVaultBtn) {
+            disableVaultBtn.addEventListener('click', () => this.disableVault());
+        }
+        
+        const changePassphraseBtn = document.getElementById('changeVaultPassphrase');
+        if (changePassphraseBtn) {
+            changePassphraseBtn.addEventListener('click', () => this.changeVaultPassphrase());
+        }
+        
+        const registerAuthBtn = document.getElementById('registerAuthenticator');
+        if (registerAuthBtn) {
+            registerAuthBtn.addEventListener('click', () => this.registerVaultAuthenticator());
+        }
+        
+        // Capture query bar
+        const captureFilters = document.getElementById('captureFilters');
+        if (captureFilters) {
+            captureFilters.querySelectorAll('[data-query]').forEach(control => {
+                control.addEventListener('change', () => this.filterCaptures(this.readQueryControls(captureFilters)));
+            });
+        }
+        
+        const clearCaptureQueryBtn = document.getElementById('clearCaptureQuery');
+        if (clearCaptureQueryBtn) {
+            clearCaptureQueryBtn.addEventListener('click', () => this.filterCaptures({}));
+        }
+        
+        // Alert filters
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.filterAlerts(e.target.dataset.filter));
+        });
+        
+        const alertFilters = document.getElementById('alertFilters');
+        if (alertFilters) {
+            alertFilters.querySelectorAll('[data-query]').forEach(control => {
+                control.addEventListener('change', () => {
+                    this.filterAlerts({ ...this.alertQuery, ...this.readQueryControls(alertFilters) });
+                });
+            });
+        }
+        
+        // Bookmarkable views
+        window.addEventListener('hashchange', () => this.applyLocationHash());
+        
+        // Modal close buttons
+        document.querySelectorAll('.close-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.closeModal(e.target.closest('.modal'));
+            });
+        });
+        
+        // Modal click outside to close
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    this.closeModal(modal);
+                }
+            });
+        });
+    }
+
+    closeModal(modal) {
+        if (!modal) return;
+        
+        modal.classList.remove('active');
+        // Stop clip playback when the viewer closes
+        modal.querySelectorAll('video').forEach(video => video.pause());
+    }
+
+    toggleMotionDetection() {
+        // A viewer asks the camera to do it instead
+        if (this.viewerMode) {
+            this.sendRemoteCommand(this.motionDetectionActive ? 'disarm' : 'arm');
+            return;
+        }
+        
+        // Manual arming is away; the schedule sets the mode itself
+        if (this.core.isArmed()) {
+            this.core.disarm();
+        } else {
+            this.core.arm('away');
+        }
+    }
+
+    // The core decides whether detection is armed; the UI follows it
+    onArmed(mode) {
+        const starting = !this.motionDetectionActive;
+        this.motionDetectionActive = true;
+        this.armingMode = mode;
+        
+        // Apply the mode's sensitivity and zone set
+        this.configureMotionAnalysis();
+        this.updateScheduleStatus();
+        this.updateDetectionControls();
+        
+        if (starting) {
+            this.startClipRecorder();
+            this.requestWakeLock();
+            
+            // Browsers start audio suspended until the page is interacted with
+            if (this.audioContext && this.audioContext.state === 'suspended') {
+                this.audioContext.resume();
+            }
+            
+            this.showToast('Motion detection activated', 'success');
+            console.log('Motion detection started');
+        }
+        
+        this.broadcastRemoteStatus();
+    }
+
+    onDisarmed() {
+        this.motionDetectionActive = false;
+        this.armingMode = 'disarmed';
+        this.configureMotionAnalysis();
+        this.updateScheduleStatus();
+        this.updateDetectionControls();
+        
+        // The core has reset its own analysis; the worker's frame comparison too
+        if (this.motionWorker) {
+            this.motionWorker.postMessage({ type: 'reset' });
+        }
+        this.stopClipRecorder();
+        this.stopSiren();
+        this.releaseWakeLock();
+        
+        this.showToast('Motion detection deactivated', 'warning');
+        console.log('Motion detection stopped');
+        
+        this.broadcastRemoteStatus();
+    }
+
+    updateDetectionControls() {
+        const btn = document.getElementById('toggleDetection');
+        const status = document.getElementById('detectionStatus');
+        const motionCanvas = document.getElementById('motionCanvas');
+        const detectionText = document.getElementById('detectionText');
+        
+        if (!btn || !status) return;
+        
+        if (this.motionDetectionActive) {
+            btn.classList.add('active');
+            btn.querySelector('.toggle-text').textContent = 'Stop Monitoring';
+            btn.style.background = 'var(--success-color)';
+            
+            status.classList.add('active');
+            if (detectionText) {
+                detectionText.textContent = 'Motion Detection: ON';
+            }
+            
+            if (motionCanvas) {
+                motionCanvas.classList.add('active');
+            }
+        } else {
+            btn.classList.remove('active');
+            btn.querySelector('.toggle-text').textContent = 'Start Monitoring';
+            btn.style.background = '';
+            
+            status.classList.remove('active');
+            if (detectionText) {
+                detectionText.textContent = 'Motion Detection: OFF';
+            }
+            
+            if (motionCanvas) {
+                motionCanvas.classList.remove('active');
+            }
+        }
+    }
+
+    manualCapture() {
+        if (this.viewerMode) {
+            this.sendRemoteCommand('capture');
+            return;
+        }
+        
+        const video = document.getElementById('cameraFeed');
+        if (!video || video.readyState !== video.HAVE_ENOUGH_DATA) {
+            this.showToast('Camera not ready', 'error');
+            return;
+        }
+        
+        console.log('Manual capture triggered');
+        this.core.capture();
+    }
+
+    clearMotionArea() {
+        this.resetMotionAnalysis();
+        if (this.motionContext && this.motionCanvas) {
+            this.motionContext.clearRect(0, 0, this.motionCanvas.width, this.motionCanvas.height);
+        }
+        this.renderZoneOverlay();
+        this.showToast('Detection area reset', 'success');
+    }
+
+    toggleZoneEditor() {
+        const editor = document.getElementById('zoneEditor');
+        if (!editor) return;
+        
+        const isOpen = editor.classList.toggle('active');
+        if (this.motionCanvas) {
+            this.motionCanvas.classList.toggle('zones-visible', isOpen);
+        }
+        if (!isOpen) {
+            this.cancelZoneDrawing();
+        }
+        this.updateZonesList();
+        this.renderZoneOverlay();
+    }
+
+    startZoneDrawing() {
+        this.zoneDraft = [];
+        
+        if (this.motionCanvas) {
+            this.motionCanvas.classList.add('editing');
+        }
+        this.updateZoneEditorButtons();
+        this.renderZoneOverlay();
+        this.showToast('Tap the video to add zone corners, double-tap to finish', 'info');
+    }
+
+    addZonePoint(event) {
+        if (!this.zoneDraft || !this.motionCanvas) return;
+        
+        // Store normalized coordinates relative to the displayed canvas
+        const rect = this.motionCanvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        
+        const point = {
+            x: (event.clientX - rect.left) / rect.width,
+            y: (event.clientY - rect.top) / rect.height
+        };
+        
+        // A double-click also fires two clicks; ignore the duplicate point
+        const last = this.zoneDraft[this.zoneDraft.length - 1];
+        if (last && Math.abs(last.x - point.x) < 0.005 && Math.abs(last.y - point.y) < 0.005) return;
+        
+        this.zoneDraft.push(point);
+        this.updateZoneEditorButtons();
+        this.renderZoneOverlay();
+    }
+
+    finishZoneDrawing() {
+        if (!this.zoneDraft) return;
+        
+        if (this.zoneDraft.length < 3) {
+            this.showToast('A zone needs at least 3 points', 'warning');
+            return;
+        }
+        
+        const nameEl = document.getElementById('zoneName');
+        const typeEl = document.getElementById('zoneType');
+        const name = nameEl?.value || `Zone ${this.zones.length + 1}`;
+        const zone = MotionZones.createZone(name, typeEl?.value || 'include', this.zoneDraft);
+        
+        this.zones.push(zone);
+        this.zoneDraft = null;
+        if (nameEl) nameEl.value = '';
+        
+        this.onZonesChanged();
+        this.showToast(`Zone "${zone.name}" added`, 'success');
+    }
+
+    cancelZoneDrawing() {
+        this.zoneDraft = null;
+        if (this.motionCanvas) {
+            this.motionCanvas.classList.remove('editing');
+        }
+        this.updateZoneEditorButtons();
+        this.renderZoneOverlay();
+    }
+
+    toggleZone(id) {
+        const zone = this.zones.find(z => z.id === id);
+        if (zone) {
+            zone.active = !zone.active;
+            this.onZonesChanged();
+        }
+    }
+
+    deleteZone(id) {
+        const zone = this.zones.find(z => z.id === id);
+        if (!zone || !confirm(`Delete zone "${zone.name}"?`)) return;
+        
+        this.zones = this.zones.filter(z => z.id !== id);
+        this.onZonesChanged();
+        this.showToast('Zone deleted', 'success');
+    }
+
+    onZonesChanged() {
+        this.configureMotionAnalysis();
+        this.saveZones();
+        this.cancelZoneDrawing();
+        this.updateZonesList();
+        this.renderScheduleEditor();
+    }
+
+    updateZoneEditorButtons() {
+        const drawing = !!this.zoneDraft;
+        
+        const drawBtn = document.getElementById('drawZone');
+        if (drawBtn) drawBtn.disabled = drawing;
+        
+        const finishBtn = document.getElementById('finishZone');
+        if (finishBtn) finishBtn.disabled = !drawing || this.zoneDraft.length < 3;
+        
+        const cancelBtn = document.getElementById('cancelZone');
+        if (cancelBtn) cancelBtn.disabled = !drawing;
+    }
+
+    updateZonesList() {
+        const list = document.getElementById('zonesList');
+        if (!list) return;
+        
+        if (this.zones.length === 0) {
+            list.innerHTML = '<div class="zone-empty">No zones - the whole frame is monitored</div>';
+            return;
+        }
+        
+        list.innerHTML = this.zones.map(zone => `
+            <div class="zone-item ${zone.active ? '' : 'inactive'}">
+                <span class="zone-type ${zone.type}">${zone.type === 'include' ? 'Include' : 'Exclude'}</span>
+                <span class="zone-name">${this.escapeHtml(zone.name)}</span>
+                <button class="capture-action-btn" onclick="window.app.toggleZone('${zone.id}')">${zone.active ? '⏸️' : '▶️'}</button>
+                <button class="capture-action-btn" onclick="window.app.deleteZone('${zone.id}')">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    // Redraw zone outlines when the detection loop is not painting the canvas
+    renderZoneOverlay() {
+        const canvas = this.motionCanvas;
+        const context = this.motionContext;
+        if (!canvas || !context || this.motionDetectionActive) return;
+        
+        if (this.analysisSize && canvas.width !== this.analysisSize.width) {
+            canvas.width = this.analysisSize.width;
+            canvas.height = this.analysisSize.height;
+        }
+        
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        this.drawZones(context, canvas.width, canvas.height);
+    }
+
+    drawZones(context, width, height) {
+        const editor = document.getElementById('zoneEditor');
+        const showZones = editor && editor.classList.contains('active');
+        if (!showZones && !this.zoneDraft) return;
+        
+        const tracePath = (points) => {
+            context.beginPath();
+            points.forEach((p, i) => {
+                const x = p.x * width;
+                const y = p.y * height;
+                if (i === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+        };
+        
+        // Canvas pixels per CSS pixel, so outlines look the same at any analysis size
+        const scale = width / (context.canvas.clientWidth || width);
+        
+        context.save();
+        context.lineWidth = 2 * scale;
+        context.font = `${Math.round(14 * scale)}px sans-serif`;
+        
+        this.zones.forEach(zone => {
+            const color = zone.type === 'include' ? '39, 174, 96' : '231, 76, 60';
+            const alpha = zone.active ? 1 : 0.35;
+            
+            tracePath(zone.points);
+            context.closePath();
+            context.fillStyle = `rgba(${color}, ${0.15 * alpha})`;
+            context.strokeStyle = `rgba(${color}, ${alpha})`;
+            context.fill();
+            context.stroke();
+            
+            context.fillStyle = `rgba(255, 255, 255, ${alpha})`;
+            context.fillText(zone.name, zone.points[0].x * width + 4, zone.points[0].y * height - 4);
+        });
+        
+        if (this.zoneDraft && this.zoneDraft.length > 0) {
+            context.strokeStyle = '#f39c12';
+            context.fillStyle = '#f39c12';
+            context.setLineDash([8, 6]);
+            tracePath(this.zoneDraft);
+            context.stroke();
+            context.setLineDash([]);
+            
+            this.zoneDraft.forEach(p => {
+                context.beginPath();
+                context.arc(p.x * width, p.y * height, context.lineWidth * 2, 0, Math.PI * 2);
+                context.fill();
+            });
+        }
+        
+        context.restore();
+    }
+
+    // Safe in element content and in quoted attributes
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    startScheduler() {
+        this.checkSchedule();
+        
+        if (!this.scheduleTimer) {
+            this.scheduleTimer = setInterval(() => this.checkSchedule(), 15000);
+        }
+    }
+
+    // Apply the scheduled mode whenever it changes. Manual arming in between
+    // is left alone until the next scheduled change.
+    checkSchedule() {
+        if (!this.schedule.enabled) {
+            this.scheduledMode = null;
+            this.updateScheduleStatus();
+            return;
+        }
+        
+        const { mode } = ArmingSchedule.getModeAt(this.schedule);
+        if (mode !== this.scheduledMode) {
+            this.scheduledMode = mode;
+            this.setArmingMode(mode);
+            this.showToast(`Schedule: ${ArmingSchedule.MODE_LABELS[mode]}`, 'info');
+            console.log('Scheduled arming mode:', mode);
+        }
+        
+        this.updateScheduleStatus();
+    }
+
+    setArmingMode(mode) {
+        if (mode === 'disarmed') {
+            this.core.disarm();
+        } else {
+            this.core.arm(mode);
+        }
+    }
+
+    getActiveProfile() {
+        return this.schedule.profiles[this.armingMode] || null;
+    }
+
+    getEffectiveSensitivity() {
+        const profile = this.getActiveProfile();
+        return profile && profile.sensitivity !== null ? profile.sensitivity : this.sensitivity;
+    }
+
+    getEffectiveThreshold() {
+        const profile = this.getActiveProfile();
+        return profile && profile.motionThreshold !== null ? profile.motionThreshold : this.motionThreshold;
+    }
+
+    // Zones in effect for the current mode; an empty zone set means all zones
+    getDetectionZones() {
+        const profile = this.getActiveProfile();
+        if (!profile || !profile.zoneIds || profile.zoneIds.length === 0) {
+            return this.zones;
+        }
+        return this.zones.filter(zone => profile.zoneIds.includes(zone.id));
+    }
+
+    updateScheduleStatus() {
+        const statusEl = document.getElementById('scheduleStatus');
+        if (!statusEl) return;
+        
+        let text = ArmingSchedule.MODE_LABELS[this.armingMode];
+        
+        if (this.schedule.enabled) {
+            const next = ArmingSchedule.getNextChange(this.schedule);
+            if (next) {
+                const sameDay = next.time.toDateString() === new Date().toDateString();
+                const time = next.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                const day = sameDay ? '' : next.time.toLocaleDateString([], { weekday: 'short' }) + ' ';
+                text += ` • Next: ${ArmingSchedule.MODE_LABELS[next.mode]} at ${day}${time}`;
+            }
+        }
+        
+        statusEl.textContent = `🛡️ ${text}`;
+        statusEl.className = `schedule-status ${this.armingMode}`;
+    }
+
+    onScheduleChanged() {
+        ArmingSchedule.pruneOverrides(this.schedule);
+        this.saveSchedule();
+        
+        // Re-sync with the schedule right away
+        this.scheduledMode = null;
+        this.checkSchedule();
+        this.configureMotionAnalysis();
+        this.renderScheduleEditor();
+    }
+
+    addScheduleWindow() {
+        const days = [...document.querySelectorAll('#windowDays input:checked')].map(input => Number(input.value));
+        const start = document.getElementById('windowStart')?.value;
+        const end = document.getElementById('windowEnd')?.value;
+        const mode = document.getElementById('windowMode')?.value || 'away';
+        
+        if (days.length === 0 || !start || !end) {
+            this.showToast('Pick at least one day and a start and end time', 'warning');
+            return;
+        }
+        
+        this.schedule.windows.push(ArmingSchedule.createWindow(days, start, end, mode));
+        this.onScheduleChanged();
+    }
+
+    deleteScheduleWindow(id) {
+        this.schedule.windows = this.schedule.windows.filter(window => window.id !== id);
+        this.onScheduleChanged();
+    }
+
+    addScheduleOverride() {
+        const start = document.getElementById('overrideStart')?.value;
+        const end = document.getElementById('overrideEnd')?.value;
+        const mode = document.getElementById('overrideMode')?.value || 'away';
+        
+        if (!start || !end || new Date(end) <= new Date(start)) {
+            this.showToast('Enter a start and an end after it', 'warning');
+            return;
+        }
+        
+        this.schedule.overrides.push(ArmingSchedule.createOverride(start, end, mode));
+        this.onScheduleChanged();
+    }
+
+    deleteScheduleOverride(id) {
+        this.schedule.overrides = this.schedule.overrides.filter(override => override.id !== id);
+        this.onScheduleChanged();
+    }
+
+    updateModeProfile(mode, field, value) {
+        const profile = this.schedule.profiles[mode];
+        if (!profile) return;
+        
+        profile[field] = value === '' ? null : parseFloat(value);
+        this.onScheduleChanged();
+    }
+
+    toggleProfileZone(mode, zoneId, enabled) {
+        const profile = this.schedule.profiles[mode];
+        if (!profile) return;
+        
+        profile.zoneIds = profile.zoneIds.filter(id => id !== zoneId);
+        if (enabled) profile.zoneIds.push(zoneId);
+        this.onScheduleChanged();
+    }
+
+    renderScheduleEditor() {
+        const enabledEl = document.getElementById('scheduleEnabled');
+        if (enabledEl) enabledEl.checked = this.schedule.enabled;
+        
+        const defaultModeEl = document.getElementById('scheduleDefaultMode');
+        if (defaultModeEl) defaultModeEl.value = this.schedule.defaultMode;
+        
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        
+        const windowsEl = document.getElementById('scheduleWindows');
+        if (windowsEl) {
+            windowsEl.innerHTML = this.schedule.windows.length === 0
+                ? '<div class="zone-empty">No weekly windows</div>'
+                : this.schedule.windows.map(window => `
+                    <div class="zone-item">
+                        <span class="zone-type ${window.mode}">${ArmingSchedule.MODE_LABELS[window.mode]}</span>
+                        <span class="zone-name">${window.days.map(d => dayNames[d]).join(', ')} • ${window.start}–${window.end}</span>
+                        <button class="capture-action-btn" onclick="window.app.deleteScheduleWindow('${window.id}')">🗑️</button>
+                    </div>
+                `).join('');
+        }
+        
+        const overridesEl = document.getElementById('scheduleOverrides');
+        if (overridesEl) {
+            overridesEl.innerHTML = this.schedule.overrides.length === 0
+                ? '<div class="zone-empty">No overrides</div>'
+                : this.schedule.overrides.map(override => `
+                    <div class="zone-item">
+                        <span class="zone-type ${override.mode}">${ArmingSchedule.MODE_LABELS[override.mode]}</span>
+                        <span class="zone-name">${new Date(override.start).toLocaleString()} → ${new Date(override.end).toLocaleString()}</span>
+                        <button class="capture-action-btn" onclick="window.app.deleteScheduleOverride('${override.id}')">🗑️</button>
+                    </div>
+                `).join('');
+        }
+        
+        const profilesEl = document.getElementById('modeProfiles');
+        if (profilesEl) {
+            profilesEl.innerHTML = ['away', 'home'].map(mode => {
+                const profile = this.schedule.profiles[mode];
+                const zones = this.zones.map(zone => `
+                    <label class="profile-zone">
+                        <input type="checkbox" ${profile.zoneIds.includes(zone.id) ? 'checked' : ''}
+                            onchange="window.app.toggleProfileZone('${mode}', '${zone.id}', this.checked)">
+                        ${this.escapeHtml(zone.name)}
+                    </label>
+                `).join('');
+                
+                return `
+                    <div class="mode-profile">
+                        <h4>${ArmingSchedule.MODE_LABELS[mode]}</h4>
+                        <div class="setting-item">
+                            <label>Sensitivity (%):</label>
+                            <input type="number" min="1" max="100" placeholder="Use slider"
+                                value="${profile.sensitivity === null ? '' : profile.sensitivity}"
+                                onchange="window.app.updateModeProfile('${mode}', 'sensitivity', this.value)">
+                        </div>
+                        <div class="setting-item">
+                            <label>Motion Threshold (%):</label>
+                            <input type="number" min="0.5" max="10" step="0.5" placeholder="Use setting"
+                                value="${profile.motionThreshold === null ? '' : profile.motionThreshold}"
+                                onchange="window.app.updateModeProfile('${mode}', 'motionThreshold', this.value)">
+                        </div>
+                        <div class="profile-zones">
+                            ${zones || '<span class="zone-empty">No zones drawn - whole frame is used</span>'}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    }
+
+    switchTab(navItem) {
+        if (!navItem) return;
+        
+        // Update navigation
+        document.querySelectorAll('.nav-item').forEach(item => item.classList.remove('active'));
+        navItem.classList.add('active');
+        
+        // Update content
+        const tabName = navItem.dataset.tab;
+        if (!tabName) return;
+        
+        document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
+        const targetTab = document.getElementById(`${tabName}Tab`);
+        if (targetTab) {
+            targetTab.classList.add('active');
+        }
+        
+        // Update specific tab content
+        if (tabName === 'captures') {
+            this.updateCapturesGrid();
+        } else if (tabName === 'timeline') {
+            this.renderTimeline();
+        } else if (tabName === 'alerts') {
+            this.updateAlertsList();
+        } else if (tabName === 'dashboard') {
+            this.updateDashboard();
+        }
+        
+        this.updateLocationHash();
+    }
+
+    switchTabByName(tabName) {
+        this.switchTab(document.querySelector(`.nav-item[data-tab="${tabName}"]`));
+    }
+
+    getActiveTab() {
+        const navItem = document.querySelector('.nav-item.active');
+        return navItem ? navItem.dataset.tab : 'camera';
+    }
+
+    // Reflect the active tab and its filters in the URL so views can be bookmarked
+    updateLocationHash() {
+        const tab = this.getActiveTab();
+        const query = tab === 'captures' ? this.captureQuery : tab === 'alerts' ? this.alertQuery : {};
+        const hash = CaptureQuery.buildHash(tab, query);
+        
+        if (location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    applyLocationHash() {
+        const { tab, query } = CaptureQuery.parseHash(location.hash);
+        if (!tab || !document.getElementById(`${tab}Tab`)) return;
+        
+        if (tab === 'captures') {
+            this.captureQuery = query;
+        } else if (tab === 'alerts') {
+            this.alertQuery = query;
+        }
+        
+        this.switchTabByName(tab);
+        this.syncQueryControls();
+    }
+
+    updateCapturesGrid() {
+        this.renderTimeline();
+        
+        const grid = document.getElementById('capturesGrid');
+        if (!grid) return;
+        
+        const captures = this.getFilteredCaptures();
+        this.updateQueryCount('capturesCount', captures.length, this.captures.length);
+        this.updateQueryOptions();
+        
+        if (this.captures.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state" style="grid-column: 1/-1;">
+                    <div class="empty-state-icon">📸</div>
+                    <div class="empty-state-text">No captures yet</div>
+                    <p style="color: var(--text-secondary); margin-top: 1rem;">
+                        Start monitoring to capture motion events
+                    </p>
+                </div>
+            `;
+            return;
+        }
+        
+        if (captures.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state" style="grid-column: 1/-1;">
+                    <div class="empty-state-icon">🔍</div>
+                    <div class="empty-state-text">No captures match the current filters</div>
+                </div>
+            `;
+            return;
+        }
+        
+        grid.innerHTML = captures.map(capture => {
+            const id = this.escapeHtml(capture.id);
+            return `
+                <div class="capture-item ${capture.type === 'clip' ? 'clip' : ''}" data-id="${id}">
+                    <img data-thumb-id="${id}" alt="Motion capture" class="capture-image">
+                    ${capture.type === 'clip' ? `<span class="clip-badge">▶️ ${Math.round(capture.duration)}s</span>` : ''}
+                    <div class="capture-info">
+                        <span class="capture-date">${new Date(capture.timestamp).toLocaleDateString()}</span>
+                        <span class="capture-time">${new Date(capture.timestamp).toLocaleTimeString()}</span>
+                    </div>
+                    <div class="capture-actions">
+                        <button class="capture-action-btn" data-action="view-capture" data-id="${id}">👁️</button>
+                        <button class="capture-action-btn" data-action="download-capture" data-id="${id}">⬇️</button>
+                        <button class="capture-action-btn" data-action="delete-capture" data-id="${id}">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        this.loadThumbnails(grid);
+    }
+
+    onCapturesGridClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const id = Number(target.dataset.id);
+        switch (target.dataset.action) {
+            case 'view-capture':
+                this.viewCapture(id);
+                break;
+            case 'download-capture':
+                this.downloadCapture(id);
+                break;
+            case 'delete-capture':
+                this.deleteCapture(id);
+                break;
+        }
+    }
+
+    // Day view: incidents as markers along a zoomable time axis, with the
+    // day's frames underneath for scrubbing
+    renderTimeline() {
+        const track = document.getElementById('timelineTrack');
+        if (!track || this.getActiveTab() !== 'timeline') return;
+        
+        const bounds = Timeline.dayBounds(this.timelineDay);
+        const zoom = Timeline.ZOOM_LEVELS[this.timelineZoom];
+        const incidents = this.getTimelineIncidents(bounds);
+        const frames = this.getTimelineFrames(bounds);
+        const maxLevel = Math.max(0, ...incidents.map(incident => incident.peakLevel || 0));
+        
+        const dateInput = document.getElementById('timelineDate');
+        if (dateInput) dateInput.value = Timeline.toDateInput(bounds.start);
+        
+        const countEl = document.getElementById('timelineCount');
+        if (countEl) {
+            countEl.textContent = `${incidents.length} incident${incidents.length === 1 ? '' : 's'}, ${frames.length} frame${frames.length === 1 ? '' : 's'}`;
+        }
+        
+        track.style.width = `${zoom * 100}%`;
+        track.innerHTML = `
+            ${Timeline.getTicks(bounds, zoom).map(tick => `
+                <div class="timeline-tick ${tick.major ? 'major' : ''}" style="left: ${Timeline.position(tick.time, bounds)}%">
+                    <span>${new Date(tick.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                </div>
+            `).join('')}
+            ${frames.map(capture => `
+                <div class="timeline-frame ${capture.type === 'clip' ? 'clip' : ''}" style="left: ${Timeline.position(capture.timestamp, bounds)}%"></div>
+            `).join('')}
+            ${incidents.map(incident => {
+                const left = Timeline.position(incident.start, bounds);
+                const width = Timeline.position(incident.end, bounds) - left;
+                const kind = incident.kind === 'tamper' ? 'tamper' : incident.types.includes('motion') ? '' : 'sound';
+                return `
+                    <div class="timeline-marker ${kind} ${incident.read ? '' : 'unread'} ${incident.key === this.timelineSelected ? 'selected' : ''}"
+                        data-incident="${this.escapeHtml(incident.key)}"
+                        style="left: ${left}%; width: ${width}%; --intensity: ${Timeline.intensity(incident.peakLevel, maxLevel).toFixed(2)}"
+                        title="${this.describeIncident(incident)} - ${this.formatIncidentTime(incident)}"></div>
+                `;
+            }).join('')}
+            <div id="timelineCursor" class="timeline-cursor"></div>
+        `;
+    }
+
+    getTimelineIncidents(bounds) {
+        return this.getIncidents()
+            .filter(incident => new Date(incident.end).getTime() >= bounds.start && new Date(incident.start).getTime() < bounds.end)
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    getTimelineFrames(bounds) {
+        return this.captures.filter(capture => {
+            const time = new Date(capture.timestamp).getTime();
+            return time >= bounds.start && time < bounds.end;
+        });
+    }
+
+    setTimelineDay(date) {
+        this.timelineDay = date;
+        this.timelineSelected = null;
+        this.renderTimeline();
+    }
+
+    shiftTimelineDay(days) {
+        this.setTimelineDay(Timeline.shiftDay(this.timelineDay, days));
+    }
+
+    // Keep the time at `offset` px into the view (default: the middle) in place
+    setTimelineZoom(index, offset) {
+        const scroller = document.getElementById('timelineScroller');
+        const track = document.getElementById('timelineTrack');
+        index = Math.max(0, Math.min(Timeline.ZOOM_LEVELS.length - 1, index));
+        if (!scroller || !track || index === this.timelineZoom) return;
+        
+        if (offset === undefined) offset = scroller.clientWidth / 2;
+        const fraction = (scroller.scrollLeft + offset) / track.offsetWidth;
+        
+        this.timelineZoom = index;
+        this.renderTimeline();
+        scroller.scrollLeft = fraction * track.offsetWidth - offset;
+    }
+
+    scrollTimelineTo(time) {
+        const scroller = document.getElementById('timelineScroller');
+        const track = document.getElementById('timelineTrack');
+        if (!scroller || !track) return;
+        
+        const bounds = Timeline.dayBounds(this.timelineDay);
+        scroller.scrollLeft = Timeline.position(time, bounds) / 100 * track.offsetWidth - scroller.clientWidth / 2;
+    }
+
+    // Show the frame nearest the pointer; returns it
+    scrubTimeline(e) {
+        const track = document.getElementById('timelineTrack');
+        if (!track) return null;
+        
+        const rect = track.getBoundingClientRect();
+        const bounds = Timeline.dayBounds(this.timelineDay);
+        const time = Timeline.timeAt((e.clientX - rect.left) / rect.width, bounds);
+        
+        const cursor = document.getElementById('timelineCursor');
+        if (cursor) cursor.style.left = `${Timeline.position(time, bounds)}%`;
+        
+        // Frames within 2% of the visible span count as under the pointer
+        const reach = (bounds.end - bounds.start) / Timeline.ZOOM_LEVELS[this.timelineZoom] / 50;
+        const frame = Timeline.nearest(this.getTimelineFrames(bounds), time, reach);
+        this.showTimelineFrame(frame, time);
+        return frame;
+    }
+
+    async showTimelineFrame(capture, time) {
+        const image = document.getElementById('timelinePreviewImage');
+        const info = document.getElementById('timelinePreviewInfo');
+        if (!image || !info) return;
+        
+        if (!capture) {
+            this.timelineFrame = null;
+            image.removeAttribute('src');
+            info.textContent = `${new Date(time).toLocaleTimeString()} - no frames`;
+            return;
+        }
+        if (capture === this.timelineFrame) return;
+        this.timelineFrame = capture;
+        
+        info.textContent = [
+            new Date(capture.timestamp).toLocaleTimeString(),
+            capture.type === 'clip' ? `▶️ ${Math.round(capture.duration)}s clip` : null,
+            typeof capture.motionLevel === 'number' ? `Level: ${capture.motionLevel}%` : null,
+            capture.zone ? `Zone: ${capture.zone}` : null,
+            capture.locked ? '🔒 Locked' : null
+        ].filter(Boolean).join(' • ');
+        
+        const url = await this.getCaptureUrl(capture, 'thumb');
+        // Scrubbing may have moved on while the thumbnail loaded
+        if (this.timelineFrame !== capture) return;
+        if (url) {
+            image.src = url;
+        } else {
+            image.removeAttribute('src');
+        }
+    }
+
+    onTimelineClick(e) {
+        const marker = e.target.closest('[data-incident]');
+        if (marker) {
+            this.selectTimelineIncident(marker.dataset.incident, true);
+            return;
+        }
+        
+        // Taps do not always move the pointer first
+        const frame = this.scrubTimeline(e);
+        if (frame) this.viewCapture(frame.id);
+    }
+
+    selectTimelineIncident(key, open = false) {
+        const incident = this.getIncidents().find(i => i.key === key);
+        if (!incident) return;
+        
+        this.timelineSelected = key;
+        const bounds = Timeline.dayBounds(this.timelineDay);
+        const start = new Date(incident.start).getTime();
+        if (start < bounds.start || start >= bounds.end) {
+            this.timelineDay = new Date(start);
+        }
+        
+        this.renderTimeline();
+        this.scrollTimelineTo(start);
+        this.showTimelineFrame(incident.bestCapture, start);
+        
+        if (open) {
+            if (incident.bestCapture) {
+                this.viewCapture(incident.bestCapture.id);
+            } else {
+                this.showToast('No frames were captured for this event', 'info');
+            }
+        }
+    }
+
+    // Previous/next incident, moving on to other days at either end of this one
+    stepTimelineIncident(direction) {
+        const incidents = this.getIncidents().sort((a, b) => new Date(a.start) - new Date(b.start));
+        if (incidents.length === 0) return;
+        
+        let index = incidents.findIndex(incident => incident.key === this.timelineSelected);
+        if (index === -1) {
+            const bounds = Timeline.dayBounds(this.timelineDay);
+            index = direction > 0
+                ? incidents.findIndex(incident => new Date(incident.start).getTime() >= bounds.start)
+                : incidents.map(incident => new Date(incident.start).getTime() < bounds.end).lastIndexOf(true);
+        } else {
+            index += direction;
+        }
+        
+        if (index >= 0 && index < incidents.length) {
+            this.selectTimelineIncident(incidents[index].key);
+        }
+    }
+
+    onTimelineKey(e) {
+        const actions = {
+            ArrowLeft: () => this.stepTimelineIncident(-1),
+            ArrowRight: () => this.stepTimelineIncident(1),
+            Enter: () => this.timelineSelected && this.selectTimelineIncident(this.timelineSelected, true),
+            PageUp: () => this.shiftTimelineDay(-1),
+            PageDown: () => this.shiftTimelineDay(1),
+            '+': () => this.setTimelineZoom(this.timelineZoom + 1),
+            '=': () => this.setTimelineZoom(this.timelineZoom + 1),
+            '-': () => this.setTimelineZoom(this.timelineZoom - 1)
+        };
+        
+        const action = actions[e.key];
+        if (!action) return;
+        e.preventDefault();
+        action();
+    }
+
+    async viewCapture(id) {
+        const capture = this.captures.find(c => c.id === id);
+        if (!capture) return;
+        
+        const modal = document.getElementById('imageModal');
+        const img = document.getElementById('modalImage');
+        const video = document.getElementById('modalVideo');
+        
+        if (!modal || !img) return;
+        
+        const url = await this.getCaptureUrl(capture);
+        if (!url) {
+            this.showToast('Capture data not found', 'error');
+            return;
+        }
+        
+        const isClip = capture.type === 'clip';
+        if (video) {
+            video.style.display = isClip ? 'block' : 'none';
+            if (isClip) {
+                video.poster = (await this.getCaptureUrl(capture, 'thumb')) || '';
+                video.src = url;
+            } else {
+                video.removeAttribute('src');
+                video.load();
+            }
+        }
+        img.style.display = isClip ? 'none' : 'block';
+        if (!isClip) img.src = url;
+        
+        const titleEl = document.getElementById('imageModalTitle');
+        if (titleEl) titleEl.textContent = isClip ? 'Motion Clip' : 'Captured Image';
+        
+        const dateEl = document.getElementById('imageDate');
+        if (dateEl) dateEl.textContent = new Date(capture.timestamp).toLocaleDateString();
+        
+        const timeEl = document.getElementById('imageTime');
+        if (timeEl) timeEl.textContent = new Date(capture.timestamp).toLocaleTimeString();
+        
+        const sizeEl = document.getElementById('imageSize');
+        if (sizeEl) sizeEl.textContent = capture.size;
+        
+        const tagsEl = document.getElementById('imageTags');
+        if (tagsEl) {
+            tagsEl.value = (capture.tags || []).join(', ');
+            tagsEl.onchange = () => this.updateCaptureTags(id, tagsEl.value);
+        }
+        
+        // Set download action
+        const downloadBtn = document.getElementById('downloadImage');
+        if (downloadBtn) {
+            downloadBtn.onclick = () => this.downloadCapture(id);
+        }
+        
+        const deleteBtn = document.getElementById('deleteImage');
+        if (deleteBtn) {
+            deleteBtn.onclick = () => {
+                this.deleteCapture(id);
+                this.closeModal(modal);
+            };
+        }
+        
+        const shareBtn = document.getElementById('shareImage');
+        if (shareBtn) {
+            shareBtn.onclick = () => this.shareCapture(id);
+        }
+        
+        modal.classList.add('active');
+    }
+
+    async updateCaptureTags(id, value) {
+        const capture = this.captures.find(c => c.id === id);
+        if (!capture) return;
+        
+        capture.tags = [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+        
+        try {
+            await this.captureStore.updateMeta(capture);
+        } catch (error) {
+            console.error('Error saving tags:', error);
+            this.showToast('Failed to save tags', 'error');
+        }
+    }
+
+    async downloadCapture(id) {
+        const capture = this.captures.find(c => c.id === id);
+        if (!capture) return;
+        
+        const url = await this.getCaptureUrl(capture);
+        if (!url) {
+            this.showToast('Capture data not found', 'error');
+            return;
+        }
+        
+        const link = document.createElement('a');
+        link.download = `motion_${new Date(capture.timestamp).getTime()}.${this.getCaptureExtension(capture)}`;
+        link.href = url;
+        link.click();
+        
+        this.showToast(capture.type === 'clip' ? 'Clip downloaded' : 'Image downloaded', 'success');
+    }
+
+    async shareCapture(id) {
+        const capture = this.captures.find(c => c.id === id);
+        if (!capture) return;
+        
+        if (navigator.share && navigator.canShare) {
+            try {
+                const blob = await this.captureStore.getBlob(capture.id);
+                if (!blob) {
+                    throw new Error('Capture data not found');
+                }
+                const file = new File([blob], `motion_${capture.id}.${this.getCaptureExtension(capture)}`, { type: blob.type });
+                
+                if (navigator.canShare({ files: [file] })) {
+                    await navigator.share({
+                        title: 'Motion Capture',
+                        text: `Motion detected at ${new Date(capture.timestamp).toLocaleString()}`,
+                        files: [file]
+                    });
+                    
+                    this.showToast('Image shared successfully', 'success');
+                } else {
+                    throw new Error('Cannot share files on this device');
+                }
+            } catch (error) {
+                console.error('Error sharing:', error);
+                if (error.name !== 'AbortError') {
+                    this.showToast('Sharing failed: ' + error.message, 'error');
+                }
+            }
+        } else {
+            // Fallback - copy link or download
+            this.downloadCapture(id);
+            this.showToast('Sharing not supported - downloading instead', 'warning');
+        }
+    }
+
+    deleteCapture(id) {
+        if (!confirm('Delete this capture?')) return;
+        
+        const index = this.captures.findIndex(c => c.id === id);
+        if (index !== -1) {
+            const [removed] = this.captures.splice(index, 1);
+            this.deleteStoredCapture(removed);
+            this.updateCapturesGrid();
+            this.updateDashboard();
+            this.showToast('Capture deleted', 'success');
+        }
+    }
+
+    clearAllCaptures() {
+        if (!confirm('Delete all captures? This cannot be undone.')) return;
+        
+        this.captures.forEach(capture => {
+            this.releaseCapture(capture);
+            this.logCaptureDeletion(capture, 'user');
+            EventModel.unlinkCapture(this.alerts, capture);
+        });
+        this.captures = [];
+        this.saveAlerts();
+        this.captureStore.clear().catch(error => console.error('Error clearing captures:', error));
+        this.updateCapturesGrid();
+        this.updateDashboard();
+        this.showToast('All captures cleared', 'success');
+    }
+
+    openExportDialog() {
+        const modal = document.getElementById('exportModal');
+        if (!modal) return;
+        
+        // Default to the period currently shown in the Captures tab
+        const dateFilter = document.getElementById('dateFilter');
+        const exportRange = document.getElementById('exportRange');
+        if (dateFilter && exportRange) {
+            exportRange.value = dateFilter.value === 'custom' ? 'all' : dateFilter.value;
+        }
+        
+        this.updateExportSummary();
+        modal.classList.add('active');
+    }
+
+    getExportSelection() {
+        const preset = document.getElementById('exportRange')?.value || 'all';
+        const range = DateRange.getRange(preset);
+        
+        return {
+            preset,
+            range,
+            captures: this.captures.filter(capture => DateRange.contains(range, capture.timestamp)),
+            alerts: this.alerts.filter(alert => DateRange.contains(range, alert.timestamp))
+        };
+    }
+
+    updateExportSummary() {
+        const summary = document.getElementById('exportSummary');
+        if (!summary) return;
+        
+        const { captures, alerts } = this.getExportSelection();
+        const bytes = captures.reduce((sum, capture) => sum + (capture.bytes || 0), 0);
+        summary.textContent = `${captures.length} captures (${this.formatBytes(bytes)}) and ${alerts.length} alerts`;
+    }
+
+    // Bundle the selected captures, their thumbnails and a manifest.json of
+    // capture and alert metadata into a single ZIP download
+    async exportCaptures() {
+        const { preset, range, captures, alerts } = this.getExportSelection();
+        const includeAlerts = document.getElementById('exportIncludeAlerts')?.checked !== false;
+        const passphrase = this.getExportPassphrase();
+        if (passphrase === null) return;
+        
+        if (captures.length === 0 && (!includeAlerts || alerts.length === 0)) {
+            this.showToast('No captures to export', 'warning');
+            return;
+        }
+        
+        const exportBtn = document.getElementById('startExport');
+        if (exportBtn) exportBtn.disabled = true;
+        this.showToast(`Preparing ${captures.length} captures...`, 'info');
+        
+        try {
+            const entries = [];
+            const manifestCaptures = [];
+            
+            for (const capture of captures) {
+                const record = await this.captureStore.getRecord(capture.id);
+                if (!record || !record.blob) continue;
+                
+                const date = new Date(capture.timestamp);
+                const file = `captures/motion_${date.getTime()}_${capture.id}.${this.getCaptureExtension(capture)}`;
+                entries.push({ name: file, data: new Uint8Array(await record.blob.arrayBuffer()), date });
+                
+                let thumbnailFile = null;
+                if (record.thumbnail) {
+                    thumbnailFile = `thumbnails/${capture.id}.jpg`;
+                    entries.push({ name: thumbnailFile, data: new Uint8Array(await record.thumbnail.arrayBuffer()), date });
+                }
+                
+                manifestCaptures.push({ ...capture, file, thumbnailFile });
+            }
+            
+            const manifest = {
+                app: 'motion-security-camera',
+                formatVersion: 1,
+                schemaVersion: EventModel.SCHEMA_VERSION,
+                exportedAt: new Date().toISOString(),
+                range: {
+                    preset,
+                    start: range.start ? range.start.toISOString() : null,
+                    end: range.end ? range.end.toISOString() : null
+                },
+                captures: manifestCaptures,
+                alerts: includeAlerts ? alerts : []
+            };
+            entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+            
+            const blob = await this.downloadArchive(entries, `motion-captures_${preset}_${new Date().toISOString().slice(0, 10)}`, passphrase);
+            
+            this.closeModal(document.getElementById('exportModal'));
+            this.showToast(`Exported ${manifestCaptures.length} captures (${this.formatBytes(blob.size)})`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            if (exportBtn) exportBtn.disabled = false;
+        }
+    }
+
+    // '' for a plain export, null (after telling the user) when the vault is
+    // on and no passphrase was given - exports must not leave it in the clear
+    getExportPassphrase() {
+        const passphrase = document.getElementById('exportPassphrase')?.value || '';
+        if (this.vaultRecord && !passphrase) {
+            this.showToast('Enter an export passphrase - the vault is encrypted', 'warning');
+            return null;
+        }
+        return passphrase;
+    }
+
+    // Download ZIP entries, encrypted when a passphrase is given
+    async downloadArchive(entries, baseName, passphrase) {
+        let blob = new Blob(Zip.createZipParts(entries), { type: 'application/zip' });
+        let fileName = `${baseName}.zip`;
+        if (passphrase) {
+            const encrypted = await Vault.encryptExport(new Uint8Array(await blob.arrayBuffer()), passphrase);
+            blob = new Blob([encrypted], { type: 'application/octet-stream' });
+            fileName += '.enc';
+        }
+        
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        return blob;
+    }
+
+    // Restore captures and alerts from an archive made by exportCaptures.
+    // Items whose id already exists are skipped.
+    async importArchive(file) {
+        const importBtn = document.getElementById('startImport');
+        if (importBtn) importBtn.disabled = true;
+        
+        try {
+            let data = new Uint8Array(await file.arrayBuffer());
+            if (Vault.isEncryptedExport(data)) {
+                const passphrase = document.getElementById('importPassphrase')?.value || '';
+                if (!passphrase) {
+                    throw new Error('this archive is encrypted - enter its passphrase');
+                }
+                data = await Vault.decryptExport(data, passphrase);
+            }
+            
+            const entries = await Zip.readZip(data);
+            const files = new Map(entries.map(entry => [entry.name, entry.data]));
+            
+            const manifestData = files.get('manifest.json');
+            if (!manifestData) {
+                throw new Error('manifest.json missing - not a capture export');
+            }
+            const manifest = JSON.parse(new TextDecoder().decode(manifestData));
+            
+            const existingCaptures = new Set(this.captures.map(c => String(c.id)));
+            let importedCaptures = 0;
+            
+            let skipped = 0;
+            
+            for (const item of Array.isArray(manifest.captures) ? manifest.captures : []) {
+                // Only the fields the app stores, checked, so the archive
+                // cannot put arbitrary ids or markup into the grid
+                const capture = EventModel.sanitizeCapture(item);
+                if (!capture || typeof item.file !== 'string' || !files.has(item.file)) {
+                    skipped++;
+                    continue;
+                }
+                if (existingCaptures.has(String(capture.id))) continue;
+                
+                const blob = new Blob([files.get(item.file)], { type: capture.mimeType });
+                const thumbnail = typeof item.thumbnailFile === 'string' && files.has(item.thumbnailFile)
+                    ? new Blob([files.get(item.thumbnailFile)], { type: 'image/jpeg' })
+                    : null;
+                
+                await this.storeCapture(capture, blob, thumbnail, 'import');
+                this.captures.push(capture);
+                existingCaptures.add(String(capture.id));
+                importedCaptures++;
+            }
+            
+            const existingAlerts = new Set(this.alerts.map(a => String(a.id)));
+            const newAlerts = [];
+            for (const item of Array.isArray(manifest.alerts) ? manifest.alerts : []) {
+                const alert = EventModel.sanitizeAlert(item);
+                if (!alert) {
+                    skipped++;
+                    continue;
+                }
+                if (existingAlerts.has(String(alert.id))) continue;
+                
+                newAlerts.push(alert);
+                existingAlerts.add(String(alert.id));
+            }
+            newAlerts.forEach(alert => this.logAlertEvidence(alert, 'import'));
+            
+            this.captures.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.alerts = this.alerts.concat(newAlerts)
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.saveAlerts();
+            // Links to captures that were not imported are dropped
+            await this.migrateEventData(manifest.schemaVersion || 1);
+            
+            this.updateUI();
+            this.closeModal(document.getElementById('exportModal'));
+            this.showToast(`Imported ${importedCaptures} captures and ${newAlerts.length} alerts` +
+                (skipped > 0 ? ` (skipped ${skipped} unreadable)` : ''), 'success');
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast('Import failed: ' + error.message, 'error');
+        } finally {
+            if (importBtn) importBtn.disabled = false;
+        }
+    }
+
+    // Continue the evidence log from its newest entry, or from the head kept
+    // in localStorage if that is further along, so entries removed from the
+    // end of the log leave a detectable gap
+    async loadEvidenceHead() {
+        try {
+            const entries = await this.captureStore.getEvidence();
+            const last = entries[entries.length - 1];
+            const stored = JSON.parse(localStorage.getItem('evidenceHead') || 'null');
+            
+            this.evidenceHead = last ? { seq: last.seq, hash: last.hash } : null;
+            if (stored && (!last || stored.seq > last.seq)) {
+                this.evidenceHead = stored;
+            }
+        } catch (error) {
+            console.error('Error loading evidence log:', error);
+        }
+    }
+
+    // Entries are chained, so appends are queued to keep them in order
+    logEvidence(fields) {
+        // Viewers and the hub only mirror another device's events
+        if (this.viewerMode || this.hubMode) return this.evidenceQueue;
+        
+        this.evidenceQueue = this.evidenceQueue.then(async () => {
+            const entry = await EvidenceLog.createEntry(this.evidenceHead, fields);
+            await this.captureStore.appendEvidence(entry);
+            this.evidenceHead = { seq: entry.seq, hash: entry.hash };
+            localStorage.setItem('evidenceHead', JSON.stringify(this.evidenceHead));
+        }).catch(error => console.error('Error writing evidence log:', error));
+        
+        return this.evidenceQueue;
+    }
+
+    async logAlertEvidence(alert, source = 'camera') {
+        this.logEvidence({
+            event: 'alert',
+            itemType: 'alert',
+            itemId: alert.id,
+            itemTimestamp: alert.timestamp,
+            contentHash: await EvidenceLog.hashAlert(alert),
+            source
+        });
+    }
+
+    // The alert under its new id; verification treats it like a fresh entry
+    async logAlertRename(alert, previousId) {
+        this.logEvidence({
+            event: 'rename',
+            itemType: 'alert',
+            itemId: alert.id,
+            itemTimestamp: alert.timestamp,
+            contentHash: await EvidenceLog.hashAlert(alert),
+            reason: `Duplicate id ${previousId} replaced`
+        });
+    }
+
+    logCaptureDeletion(capture, reason) {
+        this.logEvidence({
+            event: 'delete',
+            itemType: 'capture',
+            itemId: capture.id,
+            itemTimestamp: capture.timestamp,
+            reason
+        });
+    }
+
+    // An alert leaving the list: log it and clear it from its captures
+    forgetAlert(alert, reason) {
+        this.logAlertDeletion(alert, reason);
+        EventModel.unlinkAlert(this.captures, alert).forEach(capture => {
+            this.captureStore.updateMeta(capture).catch(error => console.error('Error unlinking capture:', error));
+        });
+    }
+
+    logAlertDeletion(alert, reason) {
+        this.logEvidence({
+            event: 'delete',
+            itemType: 'alert',
+            itemId: alert.id,
+            itemTimestamp: alert.timestamp,
+            reason
+        });
+    }
+
+    // Hash everything stored now and compare it with the log
+    async verifyEvidence() {
+        await this.evidenceQueue;
+        
+        const entries = (await this.captureStore.getEvidence()).sort((a, b) => a.seq - b.seq);
+        const storedHead = JSON.parse(localStorage.getItem('evidenceHead') || 'null');
+        const chain = await EvidenceLog.verifyChain(entries, storedHead);
+        
+        const current = new Map();
+        for (const capture of this.captures) {
+            try {
+                const blob = await this.captureStore.getBlob(capture.id);
+                if (blob) current.set(`capture:${capture.id}`, await EvidenceLog.sha256(blob));
+            } catch (error) {
+                console.error('Error reading capture for verification:', capture.id, error);
+            }
+        }
+        for (const alert of this.alerts) {
+            if (alert.remote) continue;
+            current.set(`alert:${alert.id}`, await EvidenceLog.hashAlert(alert));
+        }
+        
+        return {
+            generatedAt: new Date().toISOString(),
+            cameraId: this.cameraId,
+            cameraName: this.cameraName,
+            head: this.evidenceHead,
+            chain,
+            items: EvidenceLog.verifyItems(entries, current),
+            entries
+        };
+    }
+
+    async checkIntegrity() {
+        const result = document.getElementById('evidenceResult');
+        const verifyBtn = document.getElementById('verifyEvidence');
+        if (verifyBtn) verifyBtn.disabled = true;
+        if (result) result.textContent = 'Checking...';
+        
+        try {
+            const report = await this.verifyEvidence();
+            const { chain, items } = report;
+            const ok = chain.ok && items.ok;
+            
+            if (result) {
+                const problems = chain.problems.map(p => `Log entry ${p.seq}: ${p.problem}`)
+                    .concat(items.items
+                        .filter(item => item.status === 'modified' || item.status === 'missing')
+                        .map(item => `${item.itemType} ${item.itemId}: ${item.status}`));
+                
+                result.className = `evidence-result ${ok ? 'ok' : 'failed'}`;
+                result.innerHTML = `
+                    <strong>${ok ? '✓ No changes detected' : '✗ Changes detected'}</strong>
+                    <span>${chain.entries} log entries · ${items.counts.intact} intact · ${items.counts.modified} modified ·
+                        ${items.counts.missing} missing · ${items.counts.deleted} deleted (logged) · ${items.counts.unlogged} not in log</span>
+                    ${problems.slice(0, 20).map(problem => `<span>${this.escapeHtml(problem)}</span>`).join('')}
+                    ${problems.length > 20 ? `<span>...and ${problems.length - 20} more</span>` : ''}
+                `;
+            }
+            this.showToast(ok ? 'Integrity check passed' : 'Integrity check found changes', ok ? 'success' : 'error');
+        } catch (error) {
+            console.error('Integrity check error:', error);
+            if (result) result.textContent = 'Check failed: ' + error.message;
+        } finally {
+            if (verifyBtn) verifyBtn.disabled = false;
+        }
+    }
+
+    async getEvidenceSigningKey() {
+        let keys = await this.captureStore.getKey('evidenceSigning');
+        if (!keys) {
+            keys = await EvidenceLog.createSigningKey();
+            await this.captureStore.putKey('evidenceSigning', keys);
+        }
+        return keys;
+    }
+
+    // Captures in the export range with the full log, a verification report
+    // and this device's signatures over both
+    async exportEvidence() {
+        const passphrase = this.getExportPassphrase();
+        if (passphrase === null) return;
+        
+        const evidenceBtn = document.getElementById('exportEvidence');
+        if (evidenceBtn) evidenceBtn.disabled = true;
+        this.showToast('Verifying and packaging evidence...', 'info');
+        
+        try {
+            const { preset, captures, alerts } = this.getExportSelection();
+            const { entries: logEntries, ...report } = await this.verifyEvidence();
+            const hashes = new Map(logEntries.filter(e => e.event === 'capture').map(e => [String(e.itemId), e.contentHash]));
+            
+            const entries = [];
+            const files = [];
+            for (const capture of captures) {
+                const blob = await this.captureStore.getBlob(capture.id);
+                if (!blob) continue;
+                
+                const name = `captures/motion_${new Date(capture.timestamp).getTime()}_${capture.id}.${this.getCaptureExtension(capture)}`;
+                entries.push({ name, data: new Uint8Array(await blob.arrayBuffer()), date: new Date(capture.timestamp) });
+                files.push({ file: name, captureId: capture.id, timestamp: capture.timestamp, loggedHash: hashes.get(String(capture.id)) || null });
+            }
+            
+            const log = JSON.stringify({ formatVersion: EvidenceLog.FORMAT_VERSION, entries: logEntries }, null, 2);
+            const reportJson = JSON.stringify({ ...report, files, alerts }, null, 2);
+            const signature = await EvidenceLog.sign(await this.getEvidenceSigningKey(), {
+                'evidence-log.json': log,
+                'verification-report.json': reportJson
+            });
+            
+            entries.unshift(
+                { name: 'evidence-log.json', data: log },
+                { name: 'verification-report.json', data: reportJson },
+                { name: 'verification-report.txt', data: EvidenceLog.formatReport(report) },
+                { name: 'signature.json', data: JSON.stringify(signature, null, 2) }
+            );
+            
+            await this.downloadArchive(entries, `motion-evidence_${preset}_${new Date().toISOString().slice(0, 10)}`, passphrase);
+            this.showToast(`Evidence exported (${files.length} captures)`, 'success');
+        } catch (error) {
+            console.error('Evidence export error:', error);
+            this.showToast('Evidence export failed: ' + error.message, 'error');
+        } finally {
+            if (evidenceBtn) evidenceBtn.disabled = false;
+        }
+    }
+
+    getFilteredCaptures() {
+        return CaptureQuery.filterItems(this.captures, this.captureQuery);
+    }
+
+    getFilteredAlerts() {
+        return CaptureQuery.filterItems(this.alerts, this.alertQuery);
+    }
+
+    // Filters only change what is displayed, never the stored data
+    filterCaptures(query) {
+        this.captureQuery = CaptureQuery.normalize(query);
+        this.syncQueryControls();
+        this.updateCapturesGrid();
+        this.updateLocationHash();
+    }
+
+    // Accepts a query object or one of the All/Today/Unread button presets
+    filterAlerts(filter) {
+        let query = filter;
+        if (typeof filter === 'string') {
+            const { date, read, ...rest } = this.alertQuery;
+            query = rest;
+            if (filter === 'today') query.date = 'today';
+            if (filter === 'unread') query.read = 'unread';
+        }
+        
+        this.alertQuery = CaptureQuery.normalize(query);
+        this.syncQueryControls();
+        this.updateAlertsList();
+        this.updateLocationHash();
+    }
+
+    readQueryControls(container) {
+        const query = {};
+        container.querySelectorAll('[data-query]').forEach(control => {
+            query[control.dataset.query] = control.value;
+        });
+        return query;
+    }
+
+    writeQueryControls(container, query) {
+        container.querySelectorAll('[data-query]').forEach(control => {
+            const value = query[control.dataset.query];
+            control.value = value === undefined ? (control.tagName === 'SELECT' ? control.options[0].value : '') : value;
+        });
+    }
+
+    // Bring the filter inputs in line with the current queries
+    syncQueryControls() {
+        this.updateQueryOptions();
+        
+        const captureFilters = document.getElementById('captureFilters');
+        if (captureFilters) {
+            this.writeQueryControls(captureFilters, this.captureQuery);
+            captureFilters.classList.toggle('custom-range', this.captureQuery.date === 'custom');
+        }
+        
+        const alertFilters = document.getElementById('alertFilters');
+        if (alertFilters) {
+            this.writeQueryControls(alertFilters, this.alertQuery);
+        }
+        
+        const activePreset = this.alertQuery.read === 'unread' ? 'unread'
+            : this.alertQuery.date === 'today' ? 'today'
+            : Object.keys(this.alertQuery).length === 0 ? 'all' : null;
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === activePreset);
+        });
+    }
+
+    // Offer the zones and tags that exist in the data as filter choices
+    updateQueryOptions() {
+        const zoneNames = new Set(this.zones.map(zone => zone.name));
+        this.captures.concat(this.alerts).forEach(item => {
+            if (item.zone) zoneNames.add(item.zone);
+        });
+        const zoneOptions = '<option value="">All Zones</option>' + [...zoneNames].sort()
+            .map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+        
+        [['captureZone', this.captureQuery], ['alertZone', this.alertQuery]].forEach(([id, query]) => {
+            const select = document.getElementById(id);
+            if (select && select.innerHTML !== zoneOptions) {
+                select.innerHTML = zoneOptions;
+                select.value = query.zone || '';
+            }
+        });
+        
+        const tagList = document.getElementById('captureTagList');
+        if (tagList) {
+            const tags = new Set();
+            this.captures.forEach(capture => (capture.tags || []).forEach(tag => tags.add(tag)));
+            tagList.innerHTML = [...tags].sort().map(tag => `<option value="${this.escapeHtml(tag)}">`).join('');
+        }
+    }
+
+    updateQueryCount(elementId, shown, total) {
+        const countEl = document.getElementById(elementId);
+        if (!countEl) return;
+        
+        countEl.textContent = shown === total ? `${total} total` : `${shown} of ${total}`;
     }
 
     updateAlertsList() {
+        // The timeline shows the same incidents
+        this.renderTimeline();
+        
         const list = document.getElementById('alertsList');
         if (!list) return;
         
+        const alerts = this.getFilteredAlerts();
+        const incidents = this.getIncidents(alerts);
+        this.updateQueryCount('alertsCount', alerts.length, this.alerts.length);
+        const countEl = document.getElementById('alertsCount');
+        if (countEl && incidents.length > 0) {
+            countEl.textContent = `${incidents.length} incident${incidents.length === 1 ? '' : 's'} • ${countEl.textContent} alerts`;
+        }
+        
         if (this.alerts.length === 0) {
             list.innerHTML = `
                 <div class="empty-state">
@@ -778,28 +4068,206 @@ class MotionSecurityCamera {
             return;
         }
         
-        list.innerHTML = this.alerts.slice(0, 50).map(alert => {
-            const capture = this.captures.find(c => 
-                Math.abs(new Date(c.timestamp).getTime() - new Date(alert.timestamp).getTime()) < 1000
-            );
+        if (alerts.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🔍</div>
+                    <div class="empty-state-text">No alerts match the current filters</div>
+                </div>
+            `;
+            return;
+        }
+        
+        list.innerHTML = incidents.slice(0, 50).map(incident => {
+            const key = this.escapeHtml(incident.key);
+            const expanded = this.expandedIncidents.has(incident.key);
+            const failures = [].concat(...incident.alerts.map(alert => alert.deliveryFailures || []));
             
             return `
-                <div class="alert-item ${alert.read ? '' : 'unread'}" data-id="${alert.id}">
-                    ${capture ? `<img src="${capture.imageData}" alt="Alert" class="alert-thumbnail">` : ''}
-                    <div class="alert-info">
-                        <div class="alert-title">Motion Detected</div>
-                        <div class="alert-meta">
-                            ${new Date(alert.timestamp).toLocaleString()} • 
-                            Level: ${alert.motionLevel}%
+                <div class="incident ${expanded ? 'expanded' : ''}">
+                    <div class="alert-item ${incident.read ? '' : 'unread'} ${incident.kind === 'tamper' ? 'tamper' : ''}" data-action="toggle-incident" data-key="${key}">
+                        ${incident.bestCapture ? `<img data-thumb-id="${incident.bestCapture.id}" alt="Incident" class="alert-thumbnail">` : ''}
+                        <div class="alert-info">
+                            <div class="alert-title">${this.describeIncident(incident)}${incident.nightMode ? ' <span class="night-badge">🌙 Night</span>' : ''}</div>
+                            <div class="alert-meta">
+                                ${this.formatIncidentTime(incident)}
+                                • ${incident.count} event${incident.count === 1 ? '' : 's'}${incident.captures.length > 0 ? `, ${incident.captures.length} frame${incident.captures.length === 1 ? '' : 's'}` : ''}
+                                ${incident.peakLevel !== null ? ` • Peak: ${incident.peakLevel}%` : ''}
+                                ${incident.peakSound !== null ? ` • Sound: ${incident.peakSound} dB` : ''}
+                                ${incident.zones.length > 0 ? ` • Zone: ${incident.zones.map(zone => this.escapeHtml(zone)).join(', ')}` : ''}
+                                ${this.hubMode && incident.cameraName ? ` • ${this.escapeHtml(incident.cameraName)}` : ''}
+                            </div>
+                            ${failures.length > 0 ? `
+                                <div class="alert-delivery-error">
+                                    ⚠️ ${failures.length} webhook deliver${failures.length === 1 ? 'y' : 'ies'} failed
+                                </div>
+                            ` : ''}
+                        </div>
+                        <div class="alert-actions">
+                            <button class="action-btn" data-action="read-incident" data-key="${key}">✓</button>
+                            <button class="action-btn" data-action="delete-incident" data-key="${key}">🗑️</button>
                         </div>
                     </div>
-                    <div class="alert-actions">
-                        <button class="action-btn" onclick="window.app.markAlertRead(${alert.id})">✓</button>
-                        <button class="action-btn" onclick="window.app.deleteAlert(${alert.id})">🗑️</button>
-                    </div>
+                    ${expanded ? this.renderIncidentDetails(incident) : ''}
                 </div>
             `;
         }).join('');
+        
+        this.loadThumbnails(list);
+    }
+
+    // Delegated from the list; the innermost element with an action wins,
+    // so buttons inside an incident row do not also toggle it
+    onAlertsListClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+        
+        const { key } = target.dataset;
+        const id = Number(target.dataset.id);
+        switch (target.dataset.action) {
+            case 'toggle-incident':
+                this.toggleIncident(key);
+                break;
+            case 'read-incident':
+                this.markIncidentRead(key);
+                break;
+            case 'delete-incident':
+                this.deleteIncident(key);
+                break;
+            case 'view-capture':
+                this.viewCapture(id);
+                break;
+            case 'read-alert':
+                this.markAlertRead(id);
+                break;
+            case 'delete-alert':
+                this.deleteAlert(id);
+                break;
+        }
+    }
+
+    // Drill-down: every frame and alert that makes up an incident
+    renderIncidentDetails(incident) {
+        return `
+            <div class="incident-details">
+                ${incident.captures.length > 0 ? `
+                    <div class="incident-frames">
+                        ${incident.captures.map(capture => `
+                            <div class="incident-frame" data-action="view-capture" data-id="${capture.id}">
+                                <img data-thumb-id="${capture.id}" alt="Frame">
+                                ${capture.type === 'clip' ? `<span class="clip-badge">▶️ ${Math.round(capture.duration)}s</span>` : ''}
+                                <span class="incident-frame-time">${new Date(capture.timestamp).toLocaleTimeString()}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${incident.alerts.map(alert => `
+                    <div class="incident-alert ${alert.read ? '' : 'unread'}">
+                        <div class="alert-info">
+                            <div class="alert-title">${this.describeAlert(alert)}</div>
+                            <div class="alert-meta">
+                                ${new Date(alert.timestamp).toLocaleTimeString()}
+                                ${alert.motionLevel !== null && alert.motionLevel !== undefined ? ` • Level: ${this.escapeHtml(alert.motionLevel)}%` : ''}
+                                ${alert.type === 'sound' ? ` • Sound: ${this.escapeHtml(alert.soundLevel)} dB` : ''}
+                                ${alert.zone ? ` • Zone: ${this.escapeHtml(alert.zone)}` : ''}
+                            </div>
+                            ${(alert.deliveryFailures || []).map(failure => `
+                                <div class="alert-delivery-error">
+                                    ⚠️ Webhook "${this.escapeHtml(failure.sinkName)}" failed after ${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'}: ${this.escapeHtml(failure.error || 'unknown error')}
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="alert-actions">
+                            <button class="action-btn" data-action="read-alert" data-id="${this.escapeHtml(alert.id)}">✓</button>
+                            <button class="action-btn" data-action="delete-alert" data-id="${this.escapeHtml(alert.id)}">🗑️</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getIncidents(alerts = this.alerts) {
+        return Incidents.buildIncidents(alerts, this.captures, { gap: this.incidentGap });
+    }
+
+    findIncident(key) {
+        return this.getIncidents().find(incident => incident.key === key);
+    }
+
+    // Heading for an incident: what was seen across all of its alerts
+    describeIncident(incident) {
+        if (incident.kind === 'tamper' || !incident.types.includes('motion')) {
+            return this.describeAlert(incident.alerts[incident.alerts.length - 1]);
+        }
+        return `${ObjectClassifier.describe(incident.labels)} Detected`;
+    }
+
+    formatIncidentTime(incident) {
+        const start = new Date(incident.start);
+        const end = new Date(incident.end);
+        if (end - start < 1000) return start.toLocaleString();
+        return `${start.toLocaleString()} – ${end.toLocaleTimeString()}`;
+    }
+
+    toggleIncident(key) {
+        if (this.expandedIncidents.has(key)) {
+            this.expandedIncidents.delete(key);
+        } else {
+            this.expandedIncidents.add(key);
+        }
+        this.updateAlertsList();
+    }
+
+    markIncidentRead(key) {
+        const incident = this.findIncident(key);
+        if (!incident) return;
+        
+        incident.alerts.forEach(alert => {
+            alert.read = true;
+        });
+        this.saveAlerts();
+        this.updateAlertsList();
+        this.updateNotificationBadge();
+    }
+
+    // Removes the incident's alerts; its captures stay in the gallery
+    deleteIncident(key) {
+        const incident = this.findIncident(key);
+        if (!incident) return;
+        
+        this.alerts = this.alerts.filter(alert => !incident.alerts.includes(alert));
+        incident.alerts.forEach(alert => this.forgetAlert(alert, 'user'));
+        this.expandedIncidents.delete(key);
+        this.saveAlerts();
+        this.updateAlertsList();
+        this.updateNotificationBadge();
+    }
+
+    // True the first time an alert's incident is seen, so a burst of
+    // alerts notifies once. Alerts from before incidents always notify.
+    claimIncidentNotification(alert) {
+        if (!alert.incidentId) return true;
+        
+        const key = `${alert.cameraId || ''}:${alert.incidentId}`;
+        if (this.notifiedIncidents.has(key)) return false;
+        
+        this.notifiedIncidents.add(key);
+        if (this.notifiedIncidents.size > 200) {
+            this.notifiedIncidents.delete(this.notifiedIncidents.values().next().value);
+        }
+        return true;
+    }
+
+    // Heading for an alert in lists and notifications
+    describeAlert(alert) {
+        if (alert.type === 'tamper') {
+            return `⚠️ Tampering: ${this.escapeHtml(alert.description || 'camera obstructed')}`;
+        }
+        if (alert.type === 'sound') {
+            return `🔊 ${AudioDetection.TYPE_LABELS[alert.soundType] || 'Sound'} Detected`;
+        }
+        return `${ObjectClassifier.describe(alert.labels)} Detected`;
     }
 
     markAlertRead(id) {
@@ -815,7 +4283,8 @@ class MotionSecurityCamera {
     deleteAlert(id) {
         const index = this.alerts.findIndex(a => a.id === id);
         if (index !== -1) {
-            this.alerts.splice(index, 1);
+            const [removed] = this.alerts.splice(index, 1);
+            this.forgetAlert(removed, 'user');
             this.saveAlerts();
             this.updateAlertsList();
             this.updateNotificationBadge();
@@ -826,7 +4295,7 @@ class MotionSecurityCamera {
         const badge = document.getElementById('notificationBadge');
         if (!badge) return;
         
-        const unreadCount = this.alerts.filter(a => !a.read).length;
+        const unreadCount = this.getIncidents(this.alerts.filter(a => !a.read)).length;
         badge.textContent = unreadCount;
         badge.style.display = unreadCount > 0 ? 'block' : 'none';
     }
@@ -847,6 +4316,8 @@ class MotionSecurityCamera {
         const storageIndicator = document.getElementById('storageIndicator');
         if (storageIndicator) storageIndicator.textContent = totalSize;
         
+        this.updateStorageQuota();
+        
         // Update uptime
         const uptime = Date.now() - this.startTime;
         const hours = Math.floor(uptime / 3600000);
@@ -856,23 +4327,30 @@ class MotionSecurityCamera {
         
         // Update activity chart
         this.updateActivityChart();
+        this.updateAnalytics();
         
         // Update recent activity
         this.updateRecentActivity();
     }
 
     calculateTotalStorage() {
-        let totalBytes = 0;
-        this.captures.forEach(capture => {
-            if (capture.imageData) {
-                const base64 = capture.imageData.split(',')[1];
-                totalBytes += atob(base64).length;
-            }
-        });
+        const totalBytes = this.captures.reduce((sum, capture) => sum + (capture.bytes || 0), 0);
+        return this.formatBytes(totalBytes);
+    }
+
+    async updateStorageQuota() {
+        const quotaEl = document.getElementById('storageQuota');
+        if (!quotaEl) return;
+        
+        const estimate = await CaptureStore.estimate();
+        if (!estimate || !estimate.quota) {
+            quotaEl.textContent = this.captureStore.persistent ? '' : 'Not persisted';
+            return;
+        }
         
-        if (totalBytes < 1024) return totalBytes + ' B';
-        if (totalBytes < 1024 * 1024) return (totalBytes / 1024).toFixed(1) + ' KB';
-        return (totalBytes / (1024 * 1024)).toFixed(1) + ' MB';
+        const percent = (estimate.usage / estimate.quota) * 100;
+        quotaEl.textContent = `${percent.toFixed(1)}% of ${this.formatBytes(estimate.quota)} quota`;
+        quotaEl.classList.toggle('warning', percent > 80);
     }
 
     updateActivityChart() {
@@ -885,38 +4363,228 @@ class MotionSecurityCamera {
         
         ctx.clearRect(0, 0, width, height);
         
-        // Draw activity bars
-        const barWidth = width / 24;
-        const maxValue = Math.max(...this.activityData, 1);
+        // Draw activity bars, oldest hour first
+        const hours = ActivityStats.lastHours(this.activityStats);
+        const barWidth = width / hours.length;
+        const maxValue = Math.max(...hours.map(hour => hour.count), 1);
         
         ctx.fillStyle = '#4a90e2';
         
-        this.activityData.forEach((value, hour) => {
-            const barHeight = (value / maxValue) * (height - 40);
-            const x = hour * barWidth;
+        hours.forEach(({ count }, index) => {
+            const barHeight = (count / maxValue) * (height - 40);
+            const x = index * barWidth;
             const y = height - barHeight - 20;
             
             ctx.fillRect(x + 2, y, barWidth - 4, barHeight);
         });
         
-        // Draw axis labels
-        ctx.fillStyle = '#b0b0b0';
-        ctx.font = '10px Arial';
+        // Draw axis labels
+        ctx.fillStyle = '#b0b0b0';
+        ctx.font = '10px Arial';
+        
+        for (let i = 0; i < hours.length; i += 4) {
+            ctx.fillText(`${hours[i].time.getHours()}:00`, i * barWidth, height - 5);
+        }
+    }
+
+    // Trends, busiest zones, false alarms and heatmaps from the saved stats
+    updateAnalytics() {
+        const days = this.analyticsDays;
+        const trend = ActivityStats.trend(this.activityStats, new Date(), days);
+        const summary = ActivityStats.summarize(this.activityStats, new Date(), days);
+        
+        const summaryEl = document.getElementById('analyticsSummary');
+        if (summaryEl) {
+            const change = trend.previous > 0 ? Math.round((trend.total - trend.previous) / trend.previous * 100) : null;
+            summaryEl.textContent = [
+                `${trend.total} events`,
+                `${trend.average.toFixed(1)} per day`,
+                change !== null ? `${change >= 0 ? '▲' : '▼'} ${Math.abs(change)}% on the previous ${days} days` : null,
+                trend.busiestDay.count > 0 ? `Busiest: ${trend.busiestDay.date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}` : null,
+                summary.types.tamper ? `${summary.types.tamper} tampering` : null
+            ].filter(Boolean).join(' • ');
+        }
+        
+        this.drawTrendChart(trend.days);
+        
+        const zonesEl = document.getElementById('busiestZones');
+        if (zonesEl) {
+            const top = summary.zones.slice(0, 5);
+            zonesEl.innerHTML = top.length === 0
+                ? '<div class="zone-empty">No activity recorded</div>'
+                : top.map(({ zone, count }) => `
+                    <div class="analytics-bar">
+                        <span class="analytics-bar-label">${this.escapeHtml(zone)}</span>
+                        <span class="analytics-bar-track"><span style="width: ${count / top[0].count * 100}%"></span></span>
+                        <span class="analytics-bar-value">${count}</span>
+                    </div>
+                `).join('');
+        }
+        
+        const falseAlarmEl = document.getElementById('falseAlarmRatio');
+        if (falseAlarmEl) {
+            falseAlarmEl.innerHTML = summary.falseAlarmRatio === null
+                ? '<div class="zone-empty">Turn on object classification to measure false alarms</div>'
+                : `
+                    <div class="false-alarm-value">${Math.round(summary.falseAlarmRatio * 100)}%</div>
+                    <div class="export-summary">${summary.falseAlarms} of ${summary.classified} classified motion events had no person, vehicle or animal in them</div>
+                `;
+        }
+        
+        this.drawWeekHeatmap();
+        this.drawMotionHeatmap();
+    }
+
+    drawTrendChart(days) {
+        const canvas = document.getElementById('trendChart');
+        if (!canvas) return;
+        
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = 200;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        const barWidth = width / days.length;
+        const maxValue = Math.max(...days.map(day => day.count), 1);
+        
+        ctx.fillStyle = '#4a90e2';
+        days.forEach(({ count }, index) => {
+            const barHeight = (count / maxValue) * (height - 40);
+            ctx.fillRect(index * barWidth + 2, height - barHeight - 20, Math.max(1, barWidth - 4), barHeight);
+        });
+        
+        // A label per day for a week, every fifth day for a month
+        ctx.fillStyle = '#b0b0b0';
+        ctx.font = '10px Arial';
+        const step = days.length > 7 ? 5 : 1;
+        for (let i = days.length - 1; i >= 0; i -= step) {
+            const label = days.length > 7
+                ? days[i].date.toLocaleDateString([], { month: 'numeric', day: 'numeric' })
+                : days[i].date.toLocaleDateString([], { weekday: 'short' });
+            ctx.fillText(label, i * barWidth + 2, height - 5);
+        }
+    }
+
+    // Last 7 days down, hours across, shaded by how busy each hour was
+    drawWeekHeatmap() {
+        const canvas = document.getElementById('weekHeatmap');
+        if (!canvas) return;
+        
+        const rows = ActivityStats.weekByHour(this.activityStats);
+        const labelWidth = 40;
+        const cellHeight = 24;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = rows.length * cellHeight + 20;
+        const cellWidth = (width - labelWidth) / 24;
+        const maxValue = Math.max(1, ...rows.map(row => Math.max(...row.hours)));
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px Arial';
+        
+        rows.forEach((row, y) => {
+            ctx.fillStyle = '#b0b0b0';
+            ctx.fillText(row.date.toLocaleDateString([], { weekday: 'short' }), 0, y * cellHeight + 16);
+            
+            row.hours.forEach((count, hour) => {
+                ctx.fillStyle = count > 0
+                    ? `rgba(74, 144, 226, ${0.15 + 0.85 * count / maxValue})`
+                    : 'rgba(255, 255, 255, 0.04)';
+                ctx.fillRect(labelWidth + hour * cellWidth + 1, y * cellHeight + 1, cellWidth - 2, cellHeight - 2);
+            });
+        });
+        
+        ctx.fillStyle = '#b0b0b0';
+        for (let hour = 0; hour < 24; hour += 3) {
+            ctx.fillText(`${hour}:00`, labelWidth + hour * cellWidth, height - 5);
+        }
+    }
+
+    // Accumulated motion over the current camera view: yellow for some,
+    // red for the most
+    drawMotionHeatmap() {
+        const canvas = document.getElementById('motionHeatmap');
+        if (!canvas) return;
+        
+        const { columns, rows, cells, frames } = this.activityStats.heatmap;
+        const video = document.getElementById('cameraFeed');
+        const live = video && video.readyState >= video.HAVE_CURRENT_DATA && video.videoWidth > 0;
+        
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.offsetWidth;
+        const height = canvas.height = Math.round(width * (live ? video.videoHeight / video.videoWidth : 9 / 16));
+        
+        if (live) {
+            ctx.drawImage(video, 0, 0, width, height);
+        } else {
+            ctx.fillStyle = '#1a1a1a';
+            ctx.fillRect(0, 0, width, height);
+        }
+        
+        const maxValue = Math.max(...cells);
+        if (maxValue > 0) {
+            const cellWidth = width / columns;
+            const cellHeight = height / rows;
+            cells.forEach((value, index) => {
+                if (!value) return;
+                const level = value / maxValue;
+                ctx.fillStyle = `hsla(${Math.round(60 - 60 * level)}, 100%, 50%, ${(0.15 + 0.5 * level).toFixed(2)})`;
+                ctx.fillRect((index % columns) * cellWidth, Math.floor(index / columns) * cellHeight, cellWidth, cellHeight);
+            });
+        }
+        
+        const info = document.getElementById('motionHeatmapInfo');
+        if (info) {
+            info.textContent = frames > 0
+                ? `Built from ${frames} analysed frames with motion${live ? '' : ' - start the camera to see it over the scene'}`
+                : 'No motion recorded yet';
+        }
+    }
+
+    recordActivity(event) {
+        ActivityStats.record(this.activityStats, event);
+        this.saveActivityStats();
+    }
+
+    // Motion frames add to the stats several times a second, so saves are batched
+    saveActivityStats() {
+        if (this.activitySaveTimer) return;
+        this.activitySaveTimer = setTimeout(() => this.writeActivityStats(), 10000);
+    }
+
+    writeActivityStats() {
+        clearTimeout(this.activitySaveTimer);
+        this.activitySaveTimer = null;
+        ActivityStats.prune(this.activityStats);
         
-        for (let i = 0; i < 24; i += 4) {
-            ctx.fillText(`${i}:00`, i * barWidth, height - 5);
+        try {
+            localStorage.setItem('activityStats', JSON.stringify(this.activityStats));
+        } catch (error) {
+            console.error('Error saving activity stats:', error);
         }
     }
 
+    clearMotionHeatmap() {
+        ActivityStats.clearHeatmap(this.activityStats);
+        this.writeActivityStats();
+        this.drawMotionHeatmap();
+        this.showToast('Motion heatmap reset', 'success');
+    }
+
     updateRecentActivity() {
         const list = document.getElementById('recentActivityList');
         if (!list) return;
         
-        const recentEvents = [...this.alerts]
+        const recentEvents = this.getIncidents()
             .slice(0, 5)
-            .map(alert => ({
-                text: `Motion detected (${alert.motionLevel}%)`,
-                time: new Date(alert.timestamp).toLocaleTimeString()
+            .map(incident => ({
+                text: incident.kind === 'tamper' || !incident.types.includes('motion')
+                    ? this.describeIncident(incident)
+                    : `${this.describeIncident(incident)} (peak ${incident.peakLevel}%)`,
+                count: incident.count,
+                night: incident.nightMode,
+                time: new Date(incident.start).toLocaleTimeString()
             }));
         
         if (recentEvents.length === 0) {
@@ -926,27 +4594,12 @@ class MotionSecurityCamera {
         
         list.innerHTML = recentEvents.map(event => `
             <div class="activity-item">
-                <span class="activity-text">${event.text}</span>
+                <span class="activity-text">${event.text}${event.count > 1 ? ` • ${event.count} events` : ''}${event.night ? ' <span class="night-badge">🌙 Night</span>' : ''}</span>
                 <span class="activity-time">${event.time}</span>
             </div>
         `).join('');
     }
 
-    startActivityTracking() {
-        // Reset activity data at midnight
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(0, 0, 0, 0);
-        
-        const msUntilMidnight = tomorrow - now;
-        
-        setTimeout(() => {
-            this.activityData = new Array(24).fill(0);
-            this.startActivityTracking(); // Reschedule for next midnight
-        }, msUntilMidnight);
-    }
-
     startTimeUpdate() {
         setInterval(() => {
             const timestamp = document.getElementById('timestamp');
@@ -961,6 +4614,10 @@ class MotionSecurityCamera {
         if (modal) {
             modal.classList.add('active');
             this.loadSettings();
+            this.renderScheduleEditor();
+            this.renderWebhooks();
+            this.renderWebhookLog();
+            this.renderTriggerRules();
         }
     }
 
@@ -968,7 +4625,11 @@ class MotionSecurityCamera {
         const savedSettings = localStorage.getItem('cameraSettings');
         if (savedSettings) {
             try {
-                const settings = JSON.parse(savedSettings);
+                // Out-of-range values are dropped and keep their defaults
+                const settings = CameraCore.normalizeSettings(JSON.parse(savedSettings));
+                
+                const cameraNameEl = document.getElementById('cameraName');
+                if (cameraNameEl) cameraNameEl.value = this.cameraName;
                 
                 if (settings.imageQuality) {
                     const qualityEl = document.getElementById('imageQuality');
@@ -988,116 +4649,825 @@ class MotionSecurityCamera {
                     this.cooldownPeriod = parseInt(settings.cooldownPeriod) * 1000;
                 }
                 
+                if (settings.incidentGap) {
+                    const incidentGapEl = document.getElementById('incidentGap');
+                    if (incidentGapEl) incidentGapEl.value = settings.incidentGap;
+                    this.incidentGap = parseInt(settings.incidentGap);
+                }
+                
                 if (settings.maxImages) {
                     const maxImagesEl = document.getElementById('maxImages');
                     if (maxImagesEl) maxImagesEl.value = settings.maxImages;
                     this.maxStorageImages = parseInt(settings.maxImages);
                 }
+                
+                if (settings.captureResolution) {
+                    const resolutionEl = document.getElementById('captureResolution');
+                    if (resolutionEl) resolutionEl.value = settings.captureResolution;
+                    this.captureResolution = settings.captureResolution;
+                }
+                
+                if (settings.frameRate) {
+                    const frameRateEl = document.getElementById('frameRate');
+                    if (frameRateEl) frameRateEl.value = settings.frameRate;
+                    this.frameRate = parseInt(settings.frameRate);
+                }
+                
+                if (settings.cameraDeviceId) {
+                    this.cameraDeviceId = settings.cameraDeviceId;
+                }
+                
+                if (settings.hubRelayUrl) {
+                    const relayEl = document.getElementById('hubRelayUrl');
+                    if (relayEl) relayEl.value = settings.hubRelayUrl;
+                    this.hubRelayUrl = settings.hubRelayUrl;
+                }
+                
+                if (settings.hubEnabled !== undefined) {
+                    const hubEnabledEl = document.getElementById('hubEnabled');
+                    if (hubEnabledEl) hubEnabledEl.checked = settings.hubEnabled;
+                    this.hubEnabled = !!settings.hubEnabled;
+                }
+                
+                if (settings.audioDetection !== undefined) {
+                    const audioEl = document.getElementById('audioDetection');
+                    if (audioEl) audioEl.checked = settings.audioDetection;
+                    this.audioDetection = !!settings.audioDetection;
+                }
+                
+                if (settings.audioThreshold !== undefined) {
+                    const audioThresholdEl = document.getElementById('audioThreshold');
+                    if (audioThresholdEl) audioThresholdEl.value = settings.audioThreshold;
+                    this.audioThreshold = parseFloat(settings.audioThreshold);
+                }
+                
+                if (settings.clipAudio !== undefined) {
+                    const clipAudioEl = document.getElementById('clipAudio');
+                    if (clipAudioEl) clipAudioEl.checked = settings.clipAudio;
+                    this.clipAudio = !!settings.clipAudio;
+                }
+                
+                if (settings.autoLockMinutes !== undefined) {
+                    const autoLockEl = document.getElementById('autoLockMinutes');
+                    if (autoLockEl) autoLockEl.value = settings.autoLockMinutes;
+                    this.autoLockMinutes = parseInt(settings.autoLockMinutes);
+                }
+                
+                if (settings.recordClips !== undefined) {
+                    const recordClipsEl = document.getElementById('recordClips');
+                    if (recordClipsEl) recordClipsEl.checked = settings.recordClips;
+                    this.recordClips = !!settings.recordClips;
+                }
+                
+                if (settings.clipPreSeconds) {
+                    const preEl = document.getElementById('clipPreSeconds');
+                    if (preEl) preEl.value = settings.clipPreSeconds;
+                    this.clipPreSeconds = parseInt(settings.clipPreSeconds);
+                }
+                
+                if (settings.clipPostSeconds) {
+                    const postEl = document.getElementById('clipPostSeconds');
+                    if (postEl) postEl.value = settings.clipPostSeconds;
+                    this.clipPostSeconds = parseInt(settings.clipPostSeconds);
+                }
+                
+                if (settings.analysisResolution !== undefined) {
+                    const analysisEl = document.getElementById('analysisResolution');
+                    if (analysisEl) analysisEl.value = settings.analysisResolution;
+                    this.analysisWidth = parseInt(settings.analysisResolution);
+                }
+                
+                if (settings.detectionAlgorithm && MotionAnalysis.ALGORITHMS.includes(settings.detectionAlgorithm)) {
+                    const algorithmEl = document.getElementById('detectionAlgorithm');
+                    if (algorithmEl) algorithmEl.value = settings.detectionAlgorithm;
+                    this.detectionAlgorithm = settings.detectionAlgorithm;
+                }
+                
+                if (settings.learningRate) {
+                    const learningRateEl = document.getElementById('learningRate');
+                    if (learningRateEl) learningRateEl.value = settings.learningRate;
+                    this.learningRate = parseFloat(settings.learningRate) / 100;
+                }
+                
+                if (settings.noiseSuppression !== undefined) {
+                    const noiseEl = document.getElementById('noiseSuppression');
+                    if (noiseEl) noiseEl.checked = settings.noiseSuppression;
+                    this.noiseSuppression = !!settings.noiseSuppression;
+                }
+                
+                if (settings.tamperDetection !== undefined) {
+                    const tamperEl = document.getElementById('tamperDetection');
+                    if (tamperEl) tamperEl.checked = settings.tamperDetection;
+                    this.tamperDetection = !!settings.tamperDetection;
+                }
+                
+                if (settings.minBlobSize) {
+                    const minBlobEl = document.getElementById('minBlobSize');
+                    if (minBlobEl) minBlobEl.value = settings.minBlobSize;
+                    this.minBlobPercent = parseFloat(settings.minBlobSize);
+                }
+                
+                if (settings.nightMode !== undefined) {
+                    const nightModeEl = document.getElementById('nightMode');
+                    if (nightModeEl) nightModeEl.checked = settings.nightMode;
+                    this.nightMode = !!settings.nightMode;
+                }
+                
+                if (settings.autoNightMode !== undefined) {
+                    const autoNightEl = document.getElementById('autoNightMode');
+                    if (autoNightEl) autoNightEl.checked = settings.autoNightMode;
+                    this.autoNightMode = !!settings.autoNightMode;
+                }
+                
+                if (settings.nightBrightnessThreshold) {
+                    const nightThresholdEl = document.getElementById('nightBrightnessThreshold');
+                    if (nightThresholdEl) nightThresholdEl.value = settings.nightBrightnessThreshold;
+                    this.nightBrightnessThreshold = parseFloat(settings.nightBrightnessThreshold);
+                }
+                this.updateNightMode();
+                
+                if (settings.classifyObjects !== undefined) {
+                    const classifyEl = document.getElementById('classifyObjects');
+                    if (classifyEl) classifyEl.checked = settings.classifyObjects;
+                    this.classifyObjects = !!settings.classifyObjects;
+                }
+                
+                if (settings.classifierMinScore) {
+                    const minScoreEl = document.getElementById('classifierMinScore');
+                    if (minScoreEl) minScoreEl.value = settings.classifierMinScore;
+                    this.classifierMinScore = parseFloat(settings.classifierMinScore) / 100;
+                }
+                
+                if (Array.isArray(settings.notifyClasses)) {
+                    this.notifyClasses = settings.notifyClasses;
+                    document.querySelectorAll('[data-notify-class]').forEach(el => {
+                        el.checked = this.notifyClasses.includes(el.dataset.notifyClass);
+                    });
+                }
+                
+                if (Array.isArray(settings.zones)) {
+                    this.zones = settings.zones.filter(zone => MotionZones.isValidZone(zone));
+                }
+                
+                if (Array.isArray(settings.webhooks)) {
+                    this.webhooks = settings.webhooks.filter(sink => Webhooks.isValidUrl(sink.url));
+                }
+                
+                if (settings.triggerRules && !TriggerRules.validateRules(settings.triggerRules)) {
+                    this.triggerRules = settings.triggerRules.map(rule => TriggerRules.createRule(rule));
+                    this.core.configure({ rules: this.triggerRules });
+                }
+                
+                if (settings.schedule) {
+                    const defaults = ArmingSchedule.createSchedule();
+                    this.schedule = {
+                        ...defaults,
+                        ...settings.schedule,
+                        profiles: { ...defaults.profiles, ...settings.schedule.profiles }
+                    };
+                }
             } catch (error) {
                 console.error('Error loading settings:', error);
             }
         }
     }
 
-    saveSettings() {
-        const settings = {
-            imageQuality: document.getElementById('imageQuality')?.value || '0.7',
-            captureResolution: document.getElementById('captureResolution')?.value || '1280x720',
-            motionThreshold: document.getElementById('motionThreshold')?.value || '2',
-            cooldownPeriod: document.getElementById('cooldownPeriod')?.value || '5',
-            nightMode: document.getElementById('nightMode')?.checked || false,
-            maxImages: document.getElementById('maxImages')?.value || '100',
-            autoDelete: document.getElementById('autoDelete')?.checked || false,
-            retentionDays: document.getElementById('retentionDays')?.value || '7'
-        };
+    saveSettings() {
+        const settings = {
+            imageQuality: document.getElementById('imageQuality')?.value || '0.7',
+            captureResolution: document.getElementById('captureResolution')?.value || '1280x720',
+            frameRate: document.getElementById('frameRate')?.value || '30',
+            cameraDeviceId: this.cameraDeviceId,
+            hubRelayUrl: document.getElementById('hubRelayUrl')?.value.trim() || '',
+            hubEnabled: document.getElementById('hubEnabled')?.checked || false,
+            audioDetection: document.getElementById('audioDetection')?.checked || false,
+            audioThreshold: document.getElementById('audioThreshold')?.value || String(AudioDetection.DEFAULT_THRESHOLD),
+            clipAudio: document.getElementById('clipAudio')?.checked || false,
+            autoLockMinutes: document.getElementById('autoLockMinutes')?.value || '5',
+            recordClips: document.getElementById('recordClips')?.checked || false,
+            clipPreSeconds: document.getElementById('clipPreSeconds')?.value || '5',
+            clipPostSeconds: document.getElementById('clipPostSeconds')?.value || '5',
+            motionThreshold: document.getElementById('motionThreshold')?.value || '2',
+            cooldownPeriod: document.getElementById('cooldownPeriod')?.value || '5',
+            incidentGap: document.getElementById('incidentGap')?.value || String(Incidents.DEFAULT_GAP),
+            analysisResolution: document.getElementById('analysisResolution')?.value || '320',
+            detectionAlgorithm: document.getElementById('detectionAlgorithm')?.value || 'simple',
+            learningRate: document.getElementById('learningRate')?.value || '5',
+            noiseSuppression: document.getElementById('noiseSuppression')?.checked || false,
+            minBlobSize: document.getElementById('minBlobSize')?.value || '0.1',
+            tamperDetection: document.getElementById('tamperDetection')?.checked || false,
+            nightMode: document.getElementById('nightMode')?.checked || false,
+            autoNightMode: document.getElementById('autoNightMode')?.checked || false,
+            nightBrightnessThreshold: document.getElementById('nightBrightnessThreshold')?.value || String(NightMode.DEFAULT_THRESHOLD),
+            classifyObjects: document.getElementById('classifyObjects')?.checked || false,
+            classifierMinScore: document.getElementById('classifierMinScore')?.value || '50',
+            notifyClasses: [...document.querySelectorAll('[data-notify-class]')]
+                .filter(el => el.checked).map(el => el.dataset.notifyClass),
+            maxImages: document.getElementById('maxImages')?.value || '100',
+            autoDelete: document.getElementById('autoDelete')?.checked || false,
+            retentionDays: document.getElementById('retentionDays')?.value || '7',
+            zones: this.zones,
+            schedule: this.schedule,
+            webhooks: this.webhooks,
+            triggerRules: this.triggerRules
+        };
+        
+        const problem = CameraCore.validateSettings(settings);
+        if (problem) {
+            this.showToast(problem, 'error');
+            return;
+        }
+        
+        // Apply settings
+        const cameraChanged = settings.captureResolution !== this.captureResolution ||
+            parseInt(settings.frameRate) !== this.frameRate;
+        this.captureResolution = settings.captureResolution;
+        this.frameRate = parseInt(settings.frameRate);
+        this.imageQuality = parseFloat(settings.imageQuality);
+        this.motionThreshold = parseFloat(settings.motionThreshold);
+        this.cooldownPeriod = parseInt(settings.cooldownPeriod) * 1000;
+        this.incidentGap = parseInt(settings.incidentGap);
+        this.maxStorageImages = parseInt(settings.maxImages);
+        this.analysisWidth = parseInt(settings.analysisResolution);
+        this.detectionAlgorithm = settings.detectionAlgorithm;
+        this.learningRate = parseFloat(settings.learningRate) / 100;
+        this.noiseSuppression = settings.noiseSuppression;
+        this.minBlobPercent = parseFloat(settings.minBlobSize);
+        this.tamperDetection = settings.tamperDetection;
+        this.nightMode = settings.nightMode;
+        this.autoNightMode = settings.autoNightMode;
+        this.nightBrightnessThreshold = parseFloat(settings.nightBrightnessThreshold);
+        this.updateNightMode();
+        this.classifyObjects = settings.classifyObjects;
+        this.classifierMinScore = parseFloat(settings.classifierMinScore) / 100;
+        this.notifyClasses = settings.notifyClasses;
+        this.updateClassifier();
+        this.recordClips = settings.recordClips;
+        this.clipPreSeconds = parseInt(settings.clipPreSeconds);
+        this.clipPostSeconds = parseInt(settings.clipPostSeconds);
+        
+        const cameraName = document.getElementById('cameraName')?.value.trim() || this.cameraName;
+        const hubChanged = settings.hubRelayUrl !== this.hubRelayUrl ||
+            settings.hubEnabled !== this.hubEnabled || cameraName !== this.cameraName;
+        this.cameraName = cameraName;
+        this.saveCameraIdentity();
+        this.hubRelayUrl = settings.hubRelayUrl;
+        this.hubEnabled = settings.hubEnabled;
+        if (hubChanged && !this.hubMode && !this.viewerMode) {
+            this.updateHubConnection();
+        }
+        
+        this.audioDetection = settings.audioDetection;
+        this.audioThreshold = parseFloat(settings.audioThreshold);
+        this.clipAudio = settings.clipAudio;
+        this.autoLockMinutes = parseInt(settings.autoLockMinutes);
+        
+        // Restart the clip buffer with the new timings (once the microphone
+        // is on or off, so clips pick up the audio setting)
+        this.stopClipRecorder();
+        this.updateAudioMonitoring().then(() => {
+            if (this.motionDetectionActive) {
+                this.startClipRecorder();
+            }
+        });
+        
+        localStorage.setItem('cameraSettings', JSON.stringify(settings));
+        
+        // Reopen the camera for a new resolution/frame rate, otherwise just
+        // re-size the analysis pipeline
+        if (cameraChanged) {
+            this.restartCamera();
+        } else {
+            this.setupMotionDetection();
+        }
+        
+        const modal = document.getElementById('settingsModal');
+        if (modal) modal.classList.remove('active');
+        
+        this.updateAlertsList();
+        this.updateNotificationBadge();
+        
+        this.showToast('Settings saved', 'success');
+    }
+
+    resetSettings() {
+        if (!confirm('Reset all settings to default?')) return;
+        
+        localStorage.removeItem('cameraSettings');
+        
+        // Drawn zones, the chosen camera, webhooks, trigger rules and the hub
+        // relay are kept - they describe the setup, not a preference
+        if (this.zones.length > 0) {
+            this.saveZones();
+        }
+        if (this.webhooks.length > 0) {
+            this.saveWebhooks();
+        }
+        this.saveTriggerRules();
+        if (this.cameraDeviceId) {
+            this.updateStoredSettings({ cameraDeviceId: this.cameraDeviceId });
+        }
+        if (this.hubRelayUrl) {
+            this.updateStoredSettings({ hubRelayUrl: this.hubRelayUrl, hubEnabled: this.hubEnabled });
+        }
+        
+        const cameraChanged = this.captureResolution !== '1280x720' || this.frameRate !== 30;
+        this.captureResolution = '1280x720';
+        this.frameRate = 30;
+        
+        // Reset to defaults
+        this.imageQuality = 0.7;
+        this.motionThreshold = 2;
+        this.cooldownPeriod = 5000;
+        this.incidentGap = Incidents.DEFAULT_GAP;
+        this.maxStorageImages = 100;
+        this.sensitivity = 30;
+        this.analysisWidth = 320;
+        this.detectionAlgorithm = 'simple';
+        this.learningRate = 0.05;
+        this.noiseSuppression = false;
+        this.minBlobPercent = 0.1;
+        this.tamperDetection = true;
+        this.nightMode = false;
+        this.autoNightMode = false;
+        this.nightBrightnessThreshold = NightMode.DEFAULT_THRESHOLD;
+        this.updateNightMode();
+        this.classifyObjects = false;
+        this.classifierMinScore = ObjectClassifier.DEFAULT_MIN_SCORE;
+        this.notifyClasses = [...ObjectClassifier.CLASSES, ObjectClassifier.OTHER];
+        this.updateClassifier();
+        this.schedule = ArmingSchedule.createSchedule();
+        this.scheduledMode = null;
+        this.renderScheduleEditor();
+        this.updateScheduleStatus();
+        this.recordClips = false;
+        this.clipPreSeconds = 5;
+        this.clipPostSeconds = 5;
+        this.stopClipRecorder();
+        this.audioDetection = false;
+        this.audioThreshold = AudioDetection.DEFAULT_THRESHOLD;
+        this.clipAudio = false;
+        this.autoLockMinutes = 5;
+        this.updateAudioMonitoring();
+        if (cameraChanged) {
+            this.restartCamera();
+        } else {
+            this.setupMotionDetection();
+        }
+        
+        // Reset UI
+        const qualityEl = document.getElementById('imageQuality');
+        if (qualityEl) qualityEl.value = '0.7';
+        
+        const thresholdEl = document.getElementById('motionThreshold');
+        if (thresholdEl) thresholdEl.value = '2';
+        
+        const cooldownEl = document.getElementById('cooldownPeriod');
+        if (cooldownEl) cooldownEl.value = '5';
+        
+        const incidentGapEl = document.getElementById('incidentGap');
+        if (incidentGapEl) incidentGapEl.value = String(Incidents.DEFAULT_GAP);
+        
+        const maxImagesEl = document.getElementById('maxImages');
+        if (maxImagesEl) maxImagesEl.value = '100';
+        
+        const analysisEl = document.getElementById('analysisResolution');
+        if (analysisEl) analysisEl.value = '320';
+        
+        const algorithmEl = document.getElementById('detectionAlgorithm');
+        if (algorithmEl) algorithmEl.value = 'simple';
+        
+        const learningRateEl = document.getElementById('learningRate');
+        if (learningRateEl) learningRateEl.value = '5';
+        
+        const noiseEl = document.getElementById('noiseSuppression');
+        if (noiseEl) noiseEl.checked = false;
+        
+        const tamperEl = document.getElementById('tamperDetection');
+        if (tamperEl) tamperEl.checked = true;
+        
+        const minBlobEl = document.getElementById('minBlobSize');
+        if (minBlobEl) minBlobEl.value = '0.1';
+        
+        const nightModeEl = document.getElementById('nightMode');
+        if (nightModeEl) nightModeEl.checked = false;
+        
+        const autoNightEl = document.getElementById('autoNightMode');
+        if (autoNightEl) autoNightEl.checked = false;
+        
+        const nightThresholdEl = document.getElementById('nightBrightnessThreshold');
+        if (nightThresholdEl) nightThresholdEl.value = String(NightMode.DEFAULT_THRESHOLD);
+        
+        const classifyEl = document.getElementById('classifyObjects');
+        if (classifyEl) classifyEl.checked = false;
+        
+        const minScoreEl = document.getElementById('classifierMinScore');
+        if (minScoreEl) minScoreEl.value = '50';
+        
+        document.querySelectorAll('[data-notify-class]').forEach(el => { el.checked = true; });
+        
+        const recordClipsEl = document.getElementById('recordClips');
+        if (recordClipsEl) recordClipsEl.checked = false;
+        
+        const preEl = document.getElementById('clipPreSeconds');
+        if (preEl) preEl.value = '5';
+        
+        const postEl = document.getElementById('clipPostSeconds');
+        if (postEl) postEl.value = '5';
+        
+        const audioEl = document.getElementById('audioDetection');
+        if (audioEl) audioEl.checked = false;
+        
+        const audioThresholdEl = document.getElementById('audioThreshold');
+        if (audioThresholdEl) audioThresholdEl.value = String(AudioDetection.DEFAULT_THRESHOLD);
+        
+        const clipAudioEl = document.getElementById('clipAudio');
+        if (clipAudioEl) clipAudioEl.checked = false;
+        
+        const autoLockEl = document.getElementById('autoLockMinutes');
+        if (autoLockEl) autoLockEl.value = '5';
+        
+        const resolutionEl = document.getElementById('captureResolution');
+        if (resolutionEl) resolutionEl.value = '1280x720';
+        
+        const frameRateEl = document.getElementById('frameRate');
+        if (frameRateEl) frameRateEl.value = '30';
+        
+        this.updateAlertsList();
+        this.updateNotificationBadge();
+        
+        this.showToast('Settings reset to defaults', 'success');
+    }
+
+    saveZones() {
+        this.updateStoredSettings({ zones: this.zones });
+    }
+
+    saveSchedule() {
+        this.updateStoredSettings({ schedule: this.schedule });
+    }
+
+    saveWebhooks() {
+        this.updateStoredSettings({ webhooks: this.webhooks });
+    }
+
+    saveTriggerRules() {
+        this.core.configure({ rules: this.triggerRules });
+        this.updateStoredSettings({ triggerRules: this.triggerRules });
+    }
+
+    saveWebhookLog() {
+        try {
+            localStorage.setItem('webhookLog', JSON.stringify(this.webhookLog));
+        } catch (error) {
+            console.error('Error saving webhook log:', error);
+        }
+    }
+
+    // Each device keeps its own id and name so a hub can tell cameras apart
+    loadCameraIdentity() {
+        try {
+            const identity = JSON.parse(localStorage.getItem('cameraIdentity') || '{}');
+            this.cameraId = identity.id || null;
+            this.cameraName = identity.name || '';
+        } catch (error) {
+            console.error('Error loading camera identity:', error);
+        }
+        
+        if (!this.cameraId) {
+            this.cameraId = 'cam_' + Math.random().toString(36).slice(2, 10);
+            this.cameraName = this.cameraName || 'Camera ' + this.cameraId.slice(4, 8).toUpperCase();
+            this.saveCameraIdentity();
+        }
+    }
+
+    saveCameraIdentity() {
+        try {
+            localStorage.setItem('cameraIdentity', JSON.stringify({ id: this.cameraId, name: this.cameraName }));
+        } catch (error) {
+            console.error('Error saving camera identity:', error);
+        }
+    }
+
+    // Merge values into the saved cameraSettings without touching the rest
+    updateStoredSettings(values) {
+        try {
+            const settings = JSON.parse(localStorage.getItem('cameraSettings') || '{}');
+            Object.assign(settings, values);
+            localStorage.setItem('cameraSettings', JSON.stringify(settings));
+        } catch (error) {
+            console.error('Error saving settings:', error);
+        }
+    }
+
+    saveAlerts() {
+        // The hub only mirrors alerts held by the cameras
+        if (this.hubMode) return;
+        
+        // Only the newest 100 alerts are kept; the evidence log records the rest leaving
+        if (this.alerts.length > 100) {
+            this.alerts.splice(100).forEach(alert => this.forgetAlert(alert, 'limit'));
+        }
+        
+        if (this.vaultPublicKey) {
+            this.saveSealedAlerts();
+            return;
+        }
+        
+        try {
+            localStorage.setItem('alerts', JSON.stringify(this.alerts.slice(0, 100)));
+        } catch (error) {
+            console.error('Error saving alerts:', error);
+        }
+    }
+
+    // Each alert is sealed on its own so new alerts can be added while the
+    // vault is locked. Saves are queued so a slow one cannot overwrite a newer list.
+    saveSealedAlerts() {
+        const alerts = this.alerts.slice(0, 100);
+        
+        this.alertSaveQueue = this.alertSaveQueue.then(async () => {
+            const sealed = new Map();
+            const items = [];
+            for (const alert of alerts) {
+                const json = JSON.stringify(alert);
+                const data = this.sealedAlerts.get(json) || await Vault.sealJSON(this.vaultPublicKey, alert);
+                sealed.set(json, data);
+                items.push({ id: alert.id, timestamp: alert.timestamp, data });
+            }
+            this.sealedAlerts = sealed;
+            
+            const all = items.concat(this.lockedAlerts)
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, 100);
+            localStorage.setItem('alerts', JSON.stringify({ sealed: all }));
+        }).catch(error => console.error('Error saving alerts:', error));
+        
+        return this.alertSaveQueue;
+    }
+
+    async loadVault() {
+        try {
+            this.vaultRecord = JSON.parse(localStorage.getItem('vault') || 'null');
+            if (!this.vaultRecord) return;
+            
+            this.vaultPublicKey = await Vault.importPublicKey(this.vaultRecord);
+            this.captureStore.setVault({ publicKey: this.vaultPublicKey, privateKey: null });
+        } catch (error) {
+            console.error('Error loading vault:', error);
+        }
+    }
+
+    get vaultLocked() {
+        return !!this.vaultRecord && !this.vaultPrivateKey;
+    }
+
+    saveVaultRecord() {
+        try {
+            localStorage.setItem('vault', JSON.stringify(this.vaultRecord));
+        } catch (error) {
+            console.error('Error saving vault:', error);
+        }
+    }
+
+    showLockScreen() {
+        document.body.classList.add('locked');
+        
+        const authBtn = document.getElementById('unlockWithAuthenticator');
+        if (authBtn) authBtn.style.display = this.vaultRecord && this.vaultRecord.authenticator ? '' : 'none';
+        
+        const error = document.getElementById('lockError');
+        if (error) error.textContent = '';
+        
+        const input = document.getElementById('lockPassphrase');
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+    }
+
+    // Hide captures and alerts again. Monitoring, alerts and remote viewers
+    // keep running; new captures are sealed with the public key.
+    lockVault() {
+        if (!this.vaultRecord || this.vaultLocked) return;
         
-        // Apply settings
-        this.imageQuality = parseFloat(settings.imageQuality);
-        this.motionThreshold = parseFloat(settings.motionThreshold);
-        this.cooldownPeriod = parseInt(settings.cooldownPeriod) * 1000;
-        this.maxStorageImages = parseInt(settings.maxImages);
+        this.vaultPrivateKey = null;
+        this.captureStore.setVault({ publicKey: this.vaultPublicKey, privateKey: null });
         
-        localStorage.setItem('cameraSettings', JSON.stringify(settings));
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls.clear();
+        document.querySelectorAll('.modal.active').forEach(modal => this.closeModal(modal));
         
-        const modal = document.getElementById('settingsModal');
-        if (modal) modal.classList.remove('active');
+        this.showLockScreen();
+    }
+
+    async unlockVault(useAuthenticator = false) {
+        const input = document.getElementById('lockPassphrase');
+        const error = document.getElementById('lockError');
+        if (error) error.textContent = useAuthenticator ? '' : 'Unlocking...';
         
-        this.showToast('Settings saved', 'success');
+        try {
+            const privateKey = useAuthenticator
+                ? await Vault.unlockWithAuthenticator(this.vaultRecord)
+                : await Vault.unlock(this.vaultRecord, input ? input.value : '');
+            if (input) input.value = '';
+            await this.openVault(privateKey);
+        } catch (err) {
+            console.error('Unlock failed:', err);
+            if (error) error.textContent = err.message;
+        }
     }
 
-    resetSettings() {
-        if (!confirm('Reset all settings to default?')) return;
+    async openVault(privateKey) {
+        this.vaultPrivateKey = privateKey;
+        this.captureStore.setVault({ publicKey: this.vaultPublicKey, privateKey });
         
-        localStorage.removeItem('cameraSettings');
+        if (this.lockedAlerts.length > 0) {
+            const known = new Set(this.alerts.map(alert => String(alert.id)));
+            for (const item of this.lockedAlerts) {
+                if (known.has(String(item.id))) continue;
+                try {
+                    this.alerts.push(await Vault.openJSON(privateKey, item.data));
+                } catch (error) {
+                    console.error('Error opening alert:', item.id, error);
+                }
+            }
+            this.lockedAlerts = [];
+            this.alerts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
         
-        // Reset to defaults
-        this.imageQuality = 0.7;
-        this.motionThreshold = 2;
-        this.cooldownPeriod = 5000;
-        this.maxStorageImages = 100;
-        this.sensitivity = 30;
+        try {
+            this.captures = await this.captureStore.getAll();
+            await this.migrateEventData();
+        } catch (error) {
+            console.error('Error loading captures:', error);
+        }
         
-        // Reset UI
-        const qualityEl = document.getElementById('imageQuality');
-        if (qualityEl) qualityEl.value = '0.7';
+        this.lastInteraction = Date.now();
+        document.body.classList.remove('locked');
+        this.updateUI();
+        this.updateVaultSettings();
+    }
+
+    startAutoLock() {
+        const touch = () => {
+            this.lastInteraction = Date.now();
+        };
+        document.addEventListener('pointerdown', touch, { passive: true });
+        document.addEventListener('keydown', touch);
         
-        const thresholdEl = document.getElementById('motionThreshold');
-        if (thresholdEl) thresholdEl.value = '2';
+        this.autoLockTimer = setInterval(() => {
+            if (!this.vaultRecord || this.vaultLocked || !this.autoLockMinutes) return;
+            if (Date.now() - this.lastInteraction > this.autoLockMinutes * 60000) {
+                this.lockVault();
+            }
+        }, 15000);
+    }
+
+    async updateVaultSettings() {
+        const enabled = !!this.vaultRecord;
         
-        const cooldownEl = document.getElementById('cooldownPeriod');
-        if (cooldownEl) cooldownEl.value = '5';
+        const setup = document.getElementById('vaultSetup');
+        if (setup) setup.style.display = enabled ? 'none' : '';
         
-        const maxImagesEl = document.getElementById('maxImages');
-        if (maxImagesEl) maxImagesEl.value = '100';
+        const manage = document.getElementById('vaultManage');
+        if (manage) manage.style.display = enabled ? '' : 'none';
         
-        this.showToast('Settings reset to defaults', 'success');
+        const lockBtn = document.getElementById('lockBtn');
+        if (lockBtn) lockBtn.style.display = enabled ? '' : 'none';
+        
+        const status = document.getElementById('vaultStatus');
+        if (status) {
+            if (!enabled) {
+                status.textContent = 'Off - captures and alerts are stored unencrypted';
+            } else {
+                const authenticator = this.vaultRecord.authenticator ? ', authenticator unlock on' : '';
+                status.textContent = `On - encrypted since ${new Date(this.vaultRecord.createdAt).toLocaleDateString()}${authenticator}`;
+            }
+        }
+        
+        const registerBtn = document.getElementById('registerAuthenticator');
+        if (registerBtn) {
+            registerBtn.disabled = !(await Vault.isAuthenticatorAvailable());
+            registerBtn.textContent = enabled && this.vaultRecord.authenticator ? 'Replace Authenticator' : 'Add Authenticator';
+        }
+    }
+
+    // Turn encryption on: captures and alerts already stored are sealed too
+    async enableVault() {
+        const passphraseEl = document.getElementById('vaultPassphrase');
+        const confirmEl = document.getElementById('vaultPassphraseConfirm');
+        const passphrase = passphraseEl ? passphraseEl.value : '';
+        
+        if (passphrase !== (confirmEl ? confirmEl.value : '')) {
+            this.showToast('Passphrases do not match', 'warning');
+            return;
+        }
+        
+        const enableBtn = document.getElementById('enableVault');
+        if (enableBtn) enableBtn.disabled = true;
+        
+        try {
+            const { record, publicKey, privateKey } = await Vault.createVault(passphrase);
+            
+            // Saved first, so captures sealed before a failure can still be opened
+            this.vaultRecord = record;
+            this.vaultPublicKey = publicKey;
+            this.vaultPrivateKey = privateKey;
+            this.saveVaultRecord();
+            
+            this.showToast('Encrypting stored captures...', 'info');
+            await this.captureStore.reseal({ publicKey, privateKey });
+            this.sealedAlerts.clear();
+            await this.saveSealedAlerts();
+            
+            if (passphraseEl) passphraseEl.value = '';
+            if (confirmEl) confirmEl.value = '';
+            this.lastInteraction = Date.now();
+            this.showToast('Vault enabled - captures and alerts are encrypted', 'success');
+        } catch (error) {
+            console.error('Error enabling vault:', error);
+            this.showToast('Could not enable vault: ' + error.message, 'error');
+        } finally {
+            if (enableBtn) enableBtn.disabled = false;
+            this.updateVaultSettings();
+        }
     }
 
-    saveCaptures() {
+    async disableVault() {
+        if (!this.vaultRecord || this.vaultLocked) return;
+        if (!confirm('Turn off the vault? Captures and alerts will be stored unencrypted.')) return;
+        
         try {
-            // Only save metadata and limited captures due to localStorage limits
-            const toSave = this.captures.slice(0, 10).map(capture => ({
-                ...capture,
-                // Compress image data for storage
-                imageData: this.compressImageData(capture.imageData)
-            }));
+            await this.alertSaveQueue;
+            await this.captureStore.reseal(null);
             
-            localStorage.setItem('captures', JSON.stringify(toSave));
+            localStorage.removeItem('vault');
+            this.vaultRecord = null;
+            this.vaultPublicKey = null;
+            this.vaultPrivateKey = null;
+            this.sealedAlerts.clear();
+            this.saveAlerts();
+            
+            this.showToast('Vault turned off', 'success');
         } catch (error) {
-            console.error('Error saving captures:', error);
-            if (error.name === 'QuotaExceededError') {
-                this.showToast('Storage full - clearing old captures', 'warning');
-                this.captures = this.captures.slice(0, 5);
-                this.saveCaptures();
-            }
+            console.error('Error disabling vault:', error);
+            this.showToast('Could not turn off vault: ' + error.message, 'error');
+        } finally {
+            this.updateVaultSettings();
         }
     }
 
-    compressImageData(dataUrl) {
-        // Simple compression by reducing quality
-        // In a real app, you'd want better compression or server storage
-        return dataUrl;
+    async changeVaultPassphrase() {
+        const currentEl = document.getElementById('vaultCurrentPassphrase');
+        const nextEl = document.getElementById('vaultNewPassphrase');
+        
+        try {
+            this.vaultRecord = await Vault.changePassphrase(this.vaultRecord, currentEl?.value || '', nextEl?.value || '');
+            this.saveVaultRecord();
+            if (currentEl) currentEl.value = '';
+            if (nextEl) nextEl.value = '';
+            this.showToast('Passphrase changed', 'success');
+        } catch (error) {
+            console.error('Error changing passphrase:', error);
+            this.showToast(error.message, 'error');
+        }
     }
 
-    saveAlerts() {
+    // Fingerprint / face / device PIN unlock; the current passphrase confirms it
+    async registerVaultAuthenticator() {
+        const currentEl = document.getElementById('vaultCurrentPassphrase');
+        
         try {
-            localStorage.setItem('alerts', JSON.stringify(this.alerts.slice(0, 100)));
+            this.vaultRecord = await Vault.registerAuthenticator(this.vaultRecord, currentEl?.value || '');
+            this.saveVaultRecord();
+            if (currentEl) currentEl.value = '';
+            this.showToast('Authenticator added', 'success');
         } catch (error) {
-            console.error('Error saving alerts:', error);
+            console.error('Error adding authenticator:', error);
+            this.showToast('Could not add authenticator: ' + error.message, 'error');
+        } finally {
+            this.updateVaultSettings();
         }
     }
 
-    loadSavedData() {
+    async loadSavedData() {
         // Load settings
+        this.loadCameraIdentity();
         this.loadSettings();
+        await this.loadVault();
         
         // Load captures
+        let capturesLoaded = false;
         try {
-            const savedCaptures = localStorage.getItem('captures');
-            if (savedCaptures) {
-                this.captures = JSON.parse(savedCaptures);
-                console.log(`Loaded ${this.captures.length} captures`);
-            }
+            await this.captureStore.open();
+            await this.loadEvidenceHead();
+            await this.migrateLegacyCaptures();
+            this.captures = await this.captureStore.getAll();
+            capturesLoaded = true;
+            console.log(`Loaded ${this.captures.length} captures`);
+            
+            CaptureStore.requestPersistence();
         } catch (error) {
             console.error('Error loading captures:', error);
             this.captures = [];
@@ -1107,13 +5477,131 @@ class MotionSecurityCamera {
         try {
             const savedAlerts = localStorage.getItem('alerts');
             if (savedAlerts) {
-                this.alerts = JSON.parse(savedAlerts);
-                console.log(`Loaded ${this.alerts.length} alerts`);
+                const parsed = JSON.parse(savedAlerts);
+                if (Array.isArray(parsed)) {
+                    this.alerts = parsed;
+                    console.log(`Loaded ${this.alerts.length} alerts`);
+                } else {
+                    // Sealed alerts are opened once the vault is unlocked
+                    this.lockedAlerts = parsed.sealed || [];
+                    console.log(`Loaded ${this.lockedAlerts.length} sealed alerts`);
+                }
             }
         } catch (error) {
             console.error('Error loading alerts:', error);
             this.alerts = [];
         }
+        
+        EventModel.seedIds([...this.alerts, ...this.lockedAlerts, ...this.captures]);
+        if (capturesLoaded) {
+            await this.migrateEventData();
+        }
+        
+        // Load activity analytics
+        try {
+            this.activityStats = ActivityStats.normalize(JSON.parse(localStorage.getItem('activityStats') || 'null'));
+        } catch (error) {
+            console.error('Error loading activity stats:', error);
+        }
+        
+        // Load webhook delivery log
+        try {
+            this.webhookLog = JSON.parse(localStorage.getItem('webhookLog') || '[]');
+        } catch (error) {
+            console.error('Error loading webhook log:', error);
+            this.webhookLog = [];
+        }
+    }
+
+    // Bring stored alerts and captures up to the current schema. Needs both
+    // readable, so with the vault on it waits until the vault is unlocked.
+    async migrateEventData(fromVersion = parseInt(localStorage.getItem('schemaVersion')) || 1) {
+        if (this.vaultLocked || this.viewerMode || this.hubMode) return;
+        
+        const changed = EventModel.migrate(this.alerts, this.captures, fromVersion);
+        if (changed.alerts.length > 0) this.saveAlerts();
+        for (const { alert, from } of changed.renamed) {
+            await this.logAlertRename(alert, from);
+        }
+        for (const capture of changed.captures) {
+            try {
+                await this.captureStore.updateMeta(capture);
+            } catch (error) {
+                console.error('Error migrating capture:', capture.id, error);
+            }
+        }
+        
+        if (fromVersion < EventModel.SCHEMA_VERSION) {
+            console.log(`Migrated alerts and captures to schema version ${EventModel.SCHEMA_VERSION}`);
+        }
+        localStorage.setItem('schemaVersion', String(EventModel.SCHEMA_VERSION));
+    }
+
+    // Move captures saved by older versions (base64 JSON in localStorage)
+    // into the capture store, then drop the localStorage copy
+    async migrateLegacyCaptures() {
+        const savedCaptures = localStorage.getItem('captures');
+        if (!savedCaptures) return;
+        
+        let legacy;
+        try {
+            legacy = JSON.parse(savedCaptures);
+        } catch (error) {
+            console.error('Unreadable legacy captures, discarding:', error);
+            localStorage.removeItem('captures');
+            return;
+        }
+        if (!Array.isArray(legacy)) {
+            console.error('Unexpected legacy captures, discarding');
+            localStorage.removeItem('captures');
+            return;
+        }
+        
+        let migrated = 0;
+        const failed = [];
+        for (const old of legacy) {
+            if (!old || !old.imageData) continue;
+            
+            try {
+                const blob = await (await fetch(old.imageData)).blob();
+                const bitmap = await createImageBitmap(blob);
+                const thumbnail = await this.createThumbnail(bitmap);
+                bitmap.close();
+                
+                const capture = {
+                    id: old.id,
+                    type: 'image',
+                    timestamp: old.timestamp,
+                    motionLevel: null,
+                    zone: null,
+                    tags: ['motion'],
+                    mimeType: blob.type,
+                    bytes: blob.size,
+                    size: this.formatBytes(blob.size)
+                };
+                await this.captureStore.put(capture, blob, thumbnail);
+                await this.logCaptureEvidence(capture, blob, 'migration');
+                migrated++;
+            } catch (error) {
+                console.error('Error migrating capture:', old.id, error);
+                failed.push(old);
+            }
+        }
+        
+        // Without IndexedDB the migrated copies only live in memory. Captures
+        // that failed stay in localStorage for the next start to retry.
+        if (this.captureStore.persistent) {
+            if (failed.length === 0) {
+                localStorage.removeItem('captures');
+            } else {
+                try {
+                    localStorage.setItem('captures', JSON.stringify(failed));
+                } catch (error) {
+                    console.error('Error keeping unmigrated captures:', error);
+                }
+            }
+        }
+        console.log(`Migrated ${migrated} captures from localStorage`);
     }
 
     updateUI() {
@@ -1121,6 +5609,7 @@ class MotionSecurityCamera {
         this.updateAlertsList();
         this.updateDashboard();
         this.updateNotificationBadge();
+        this.updateZonesList();
     }
 
     async requestNotificationPermission() {
@@ -1134,7 +5623,51 @@ class MotionSecurityCamera {
         }
     }
 
-    showNotification(title, body) {
+    notifyMotion(alert) {
+        const enableAlerts = document.getElementById('enableAlerts');
+        if (!enableAlerts || !enableAlerts.checked) return;
+        
+        const zoneText = alert.zone ? ` in ${alert.zone}` : '';
+        const levelText = alert.type === 'sound' ? `Sound level: ${alert.soundLevel} dB` : `Motion level: ${alert.motionLevel}%`;
+        this.showNotification(`${this.describeAlert(alert)}!`, `${levelText}${zoneText}`);
+        
+        const soundAlerts = document.getElementById('soundAlerts');
+        if (soundAlerts && soundAlerts.checked) {
+            this.playAlertSound();
+        }
+        
+        const vibrationAlerts = document.getElementById('vibrationAlerts');
+        if (vibrationAlerts && vibrationAlerts.checked && navigator.vibrate) {
+            navigator.vibrate([200, 100, 200]);
+        }
+    }
+
+    // Tampering always notifies (no class filter) and stays on screen until seen
+    notifyTamper(alert) {
+        const enableAlerts = document.getElementById('enableAlerts');
+        if (!enableAlerts || !enableAlerts.checked) return;
+        
+        this.showNotification('⚠️ Camera Tampering!', alert.description, {
+            tag: 'tamper',
+            requireInteraction: true
+        });
+        
+        const soundAlerts = document.getElementById('soundAlerts');
+        if (soundAlerts && soundAlerts.checked) {
+            this.playAlertSound();
+            setTimeout(() => this.playAlertSound(), 600);
+            setTimeout(() => this.playAlertSound(), 1200);
+        }
+        
+        const vibrationAlerts = document.getElementById('vibrationAlerts');
+        if (vibrationAlerts && vibrationAlerts.checked && navigator.vibrate) {
+            navigator.vibrate([500, 200, 500, 200, 500]);
+        }
+        
+        this.showToast(`⚠️ Tampering: ${alert.description}`, 'error');
+    }
+
+    showNotification(title, body, options = {}) {
         if ('Notification' in window && Notification.permission === 'granted') {
             try {
                 new Notification(title, {
@@ -1142,7 +5675,8 @@ class MotionSecurityCamera {
                     icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text y="20" font-size="20">🔐</text></svg>',
                     badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><text y="20" font-size="20">📸</text></svg>',
                     tag: 'motion-detection',
-                    renotify: true
+                    renotify: true,
+                    ...options
                 });
             } catch (error) {
                 console.error('Error showing notification:', error);
@@ -1208,15 +5742,289 @@ class MotionSecurityCamera {
         }
     }
 
+    // POST the alert to every enabled webhook sink
+    // With a trigger, a failed delivery raises its alert if no step has, so
+    // the failure shows in the Alerts tab
+    async dispatchWebhooks(alert, stillCapture, trigger = null) {
+        const sinks = this.webhooks.filter(sink => sink.enabled);
+        if (sinks.length === 0) return;
+        
+        let snapshot = null;
+        if (sinks.some(sink => sink.includeSnapshot)) {
+            try {
+                const capture = await stillCapture;
+                const blob = capture ? await this.captureStore.getBlob(capture.id) : null;
+                if (blob) {
+                    snapshot = { mimeType: blob.type, data: await this.blobToBase64(blob) };
+                }
+            } catch (error) {
+                console.error('Error reading snapshot for webhooks:', error);
+            }
+        }
+        
+        await Promise.all(sinks.map(async (sink) => {
+            const payload = Webhooks.buildPayload(sink, alert, snapshot);
+            const entry = await Webhooks.deliver(sink, payload, { alertId: alert.id });
+            if (entry.status !== 'delivered' && trigger) this.runTriggerAction({ type: 'alert' }, trigger);
+            this.recordWebhookDelivery(entry);
+        }));
+    }
+
+    recordWebhookDelivery(entry) {
+        this.webhookLog.unshift(entry);
+        this.webhookLog = this.webhookLog.slice(0, 100);
+        this.saveWebhookLog();
+        this.renderWebhookLog();
+        
+        if (entry.status === 'delivered') return;
+        
+        console.error(`Webhook ${entry.sinkName} failed:`, entry.error);
+        
+        // Surface the failure on the alert it belongs to
+        const alert = this.alerts.find(a => a.id === entry.alertId);
+        if (alert) {
+            alert.deliveryFailures = [...(alert.deliveryFailures || []), {
+                sinkId: entry.sinkId,
+                sinkName: entry.sinkName,
+                error: entry.error,
+                attempts: entry.attempts,
+                timestamp: entry.timestamp
+            }];
+            this.saveAlerts();
+            this.updateAlertsList();
+        }
+        
+        this.showToast(`Webhook "${entry.sinkName}" failed: ${entry.error}`, 'error');
+    }
+
+    blobToBase64(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    addWebhook() {
+        const name = document.getElementById('webhookName')?.value.trim();
+        const url = document.getElementById('webhookUrl')?.value.trim();
+        const includeSnapshot = document.getElementById('webhookSnapshot')?.checked || false;
+        const template = document.getElementById('webhookTemplate')?.value.trim() || '';
+        
+        if (!Webhooks.isValidUrl(url)) {
+            this.showToast('Enter an http:// or https:// URL', 'warning');
+            return;
+        }
+        
+        const templateError = Webhooks.validateTemplate(template);
+        if (templateError) {
+            this.showToast(templateError, 'error');
+            return;
+        }
+        
+        this.webhooks.push(Webhooks.createSink({ name, url, includeSnapshot, template }));
+        this.saveWebhooks();
+        this.renderWebhooks();
+        
+        ['webhookName', 'webhookUrl', 'webhookTemplate'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = '';
+        });
+    }
+
+    deleteWebhook(id) {
+        this.webhooks = this.webhooks.filter(sink => sink.id !== id);
+        this.saveWebhooks();
+        this.renderWebhooks();
+    }
+
+    toggleWebhook(id, enabled) {
+        const sink = this.webhooks.find(s => s.id === id);
+        if (!sink) return;
+        
+        sink.enabled = enabled;
+        this.saveWebhooks();
+        this.renderWebhooks();
+    }
+
+    async testWebhook(id) {
+        const sink = this.webhooks.find(s => s.id === id);
+        if (!sink) return;
+        
+        const alert = {
+            id: Date.now(),
+            type: 'test',
+            timestamp: new Date().toISOString(),
+            motionLevel: '0.0',
+            zone: null,
+            armingMode: this.armingMode
+        };
+        
+        this.showToast(`Sending test to "${sink.name}"...`, 'info');
+        const entry = await Webhooks.deliver(sink, Webhooks.buildPayload(sink, alert, null));
+        this.recordWebhookDelivery(entry);
+        
+        if (entry.status === 'delivered') {
+            this.showToast(`Webhook "${sink.name}" OK (HTTP ${entry.httpStatus})`, 'success');
+        }
+    }
+
+    renderTriggerRules() {
+        const list = document.getElementById('triggerRuleList');
+        if (list) {
+            list.innerHTML = this.triggerRules.length === 0
+                ? '<div class="zone-empty">No rules - events are ignored</div>'
+                : this.triggerRules.map(rule => `
+                    <div class="zone-item ${rule.enabled ? '' : 'inactive'}">
+                        <input type="checkbox" ${rule.enabled ? 'checked' : ''}
+                            onchange="window.app.toggleTriggerRule('${this.escapeHtml(rule.id)}', this.checked)" title="Enabled">
+                        <span class="zone-name">
+                            ${this.escapeHtml(rule.name)}
+                            <span class="webhook-url">${this.escapeHtml(TriggerRules.describeRule(rule, this.zones))}</span>
+                        </span>
+                        <button class="capture-action-btn" onclick="window.app.deleteTriggerRule('${this.escapeHtml(rule.id)}')">🗑️</button>
+                    </div>
+                `).join('');
+        }
+        
+        const editor = document.getElementById('triggerRulesJson');
+        if (editor) editor.value = JSON.stringify(this.triggerRules, null, 2);
+    }
+
+    toggleTriggerRule(id, enabled) {
+        const rule = this.triggerRules.find(r => r.id === id);
+        if (!rule) return;
+        
+        rule.enabled = enabled;
+        this.saveTriggerRules();
+        this.renderTriggerRules();
+    }
+
+    deleteTriggerRule(id) {
+        this.triggerRules = this.triggerRules.filter(rule => rule.id !== id);
+        this.saveTriggerRules();
+        this.renderTriggerRules();
+    }
+
+    // Append a starting point to edit in the JSON box
+    addTriggerRule() {
+        this.triggerRules.push(TriggerRules.createRule({ enabled: false }));
+        this.saveTriggerRules();
+        this.renderTriggerRules();
+    }
+
+    applyTriggerRulesJson() {
+        const editor = document.getElementById('triggerRulesJson');
+        if (!editor) return;
+        
+        let rules;
+        try {
+            rules = JSON.parse(editor.value);
+        } catch (error) {
+            this.showToast('Rules are not valid JSON: ' + error.message, 'error');
+            return;
+        }
+        
+        const problem = TriggerRules.validateRules(rules);
+        if (problem) {
+            this.showToast(problem, 'error');
+            return;
+        }
+        
+        this.triggerRules = rules.map(rule => TriggerRules.createRule(rule));
+        this.saveTriggerRules();
+        this.renderTriggerRules();
+        this.showToast('Trigger rules saved', 'success');
+    }
+
+    restoreDefaultTriggerRules() {
+        if (!confirm('Replace all trigger rules with the defaults?')) return;
+        
+        this.triggerRules = TriggerRules.createDefaultRules();
+        this.saveTriggerRules();
+        this.renderTriggerRules();
+    }
+
+    renderWebhooks() {
+        const list = document.getElementById('webhookList');
+        if (!list) return;
+        
+        if (this.webhooks.length === 0) {
+            list.innerHTML = '<div class="zone-empty">No webhooks configured</div>';
+            return;
+        }
+        
+        list.innerHTML = this.webhooks.map(sink => `
+            <div class="zone-item ${sink.enabled ? '' : 'inactive'}">
+                <input type="checkbox" ${sink.enabled ? 'checked' : ''}
+                    onchange="window.app.toggleWebhook('${sink.id}', this.checked)" title="Enabled">
+                <span class="zone-name">
+                    ${this.escapeHtml(sink.name)}
+                    <span class="webhook-url">${this.escapeHtml(sink.url)}</span>
+                </span>
+                ${sink.includeSnapshot ? '<span class="zone-type include">📷</span>' : ''}
+                ${sink.template ? '<span class="zone-type include">{ }</span>' : ''}
+                <button class="capture-action-btn" onclick="window.app.testWebhook('${sink.id}')" title="Send test">📤</button>
+                <button class="capture-action-btn" onclick="window.app.deleteWebhook('${sink.id}')">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    renderWebhookLog() {
+        const list = document.getElementById('webhookLog');
+        if (!list) return;
+        
+        if (this.webhookLog.length === 0) {
+            list.innerHTML = '<div class="zone-empty">No deliveries yet</div>';
+            return;
+        }
+        
+        list.innerHTML = this.webhookLog.slice(0, 20).map(entry => `
+            <div class="webhook-log-item ${entry.status}">
+                <span>${entry.status === 'delivered' ? '✅' : '❌'} ${this.escapeHtml(entry.sinkName)}</span>
+                <span>${entry.status === 'delivered' ? `HTTP ${entry.httpStatus}` : this.escapeHtml(entry.error || '')} • ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}</span>
+                <span class="activity-time">${new Date(entry.timestamp).toLocaleString()}</span>
+            </div>
+        `).join('');
+    }
+
+    clearWebhookLog() {
+        this.webhookLog = [];
+        this.saveWebhookLog();
+        this.renderWebhookLog();
+    }
+
     // Cleanup method
     destroy() {
         if (this.motionInterval) {
             clearInterval(this.motionInterval);
         }
         
-        if (this.currentStream) {
-            this.currentStream.getTracks().forEach(track => track.stop());
+        if (this.motionWorker) {
+            this.motionWorker.terminate();
+        }
+        
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+        }
+        
+        this.stopClipRecorder();
+        this.stopSiren();
+        this.releaseWakeLock();
+        this.closeRemotePeers();
+        
+        if (this.hubTransport) {
+            this.hubTransport.close();
         }
+        clearInterval(this.hubFrameTimer);
+        
+        if (this.classifier) {
+            this.classifier.close();
+        }
+        
+        this.stopAudioMonitoring();
+        this.stopCurrentStream();
     }
 }
 
@@ -1245,7 +6053,7 @@ window.addEventListener('beforeunload', () => {
 
 // Handle visibility changes
 document.addEventListener('visibilitychange', () => {
-    if (document.hidden && app && app.motionDetectionActive) {
-        console.log('Page hidden, motion detection continues');
+    if (app) {
+        app.handleVisibilityChange();
     }
 });
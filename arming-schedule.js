@@ -0,0 +1,156 @@
+// Arming Schedule - weekly time windows and one-off overrides that decide the arming mode
+(function (global) {
+    const MODES = ['away', 'home', 'disarmed'];
+    const MODE_LABELS = {
+        away: 'Armed Away',
+        home: 'Armed Home',
+        disarmed: 'Disarmed'
+    };
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function createSchedule() {
+        return {
+            enabled: false,
+            defaultMode: 'disarmed',
+            windows: [],    // { id, days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', mode }
+            overrides: [],  // { id, start: ISO, end: ISO, mode }
+            profiles: {
+                away: { sensitivity: null, motionThreshold: null, zoneIds: [] },
+                home: { sensitivity: null, motionThreshold: null, zoneIds: [] }
+            }
+        };
+    }
+
+    function createId(prefix) {
+        return prefix + '_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    function createWindow(days, start, end, mode) {
+        return { id: createId('window'), days: days.map(Number), start, end, mode };
+    }
+
+    function createOverride(start, end, mode) {
+        return {
+            id: createId('override'),
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            mode
+        };
+    }
+
+    function parseTime(value) {
+        const [hours, minutes] = String(value || '0:0').split(':').map(Number);
+        return { hours: hours || 0, minutes: minutes || 0 };
+    }
+
+    function atTime(day, value) {
+        const { hours, minutes } = parseTime(value);
+        const date = new Date(day);
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+    }
+
+    // Concrete [start, end) occurrences of a weekly window that begin on `day`.
+    // Windows whose end is not after their start run past midnight.
+    function windowOccurrence(window, day) {
+        if (!window.days.includes(day.getDay())) return null;
+
+        const start = atTime(day, window.start);
+        let end = atTime(day, window.end);
+        if (end <= start) {
+            end = new Date(end.getTime() + DAY_MS);
+        }
+        return { start, end, mode: window.mode };
+    }
+
+    function startOfDay(date, offsetDays = 0) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        day.setDate(day.getDate() + offsetDays);
+        return day;
+    }
+
+    // Mode in effect at `date`: overrides win, then weekly windows (later
+    // entries win where windows overlap), then the default mode.
+    function getModeAt(schedule, date = new Date()) {
+        const time = date.getTime();
+
+        const override = [...(schedule.overrides || [])].reverse().find(o =>
+            new Date(o.start).getTime() <= time && time < new Date(o.end).getTime()
+        );
+        if (override) {
+            return { mode: override.mode, source: 'override', entry: override };
+        }
+
+        const windows = schedule.windows || [];
+        for (let i = windows.length - 1; i >= 0; i--) {
+            // A window that started yesterday may still be running
+            for (const offset of [0, -1]) {
+                const occurrence = windowOccurrence(windows[i], startOfDay(date, offset));
+                if (occurrence && occurrence.start.getTime() <= time && time < occurrence.end.getTime()) {
+                    return { mode: occurrence.mode, source: 'window', entry: windows[i] };
+                }
+            }
+        }
+
+        return { mode: schedule.defaultMode || 'disarmed', source: 'default', entry: null };
+    }
+
+    // The next moment after `date` at which the scheduled mode changes,
+    // looking up to `horizonDays` ahead. Returns null if nothing changes.
+    function getNextChange(schedule, date = new Date(), horizonDays = 8) {
+        const time = date.getTime();
+        const limit = time + horizonDays * DAY_MS;
+        const candidates = [];
+
+        (schedule.overrides || []).forEach(o => {
+            candidates.push(new Date(o.start).getTime(), new Date(o.end).getTime());
+        });
+
+        (schedule.windows || []).forEach(window => {
+            for (let offset = -1; offset <= horizonDays; offset++) {
+                const occurrence = windowOccurrence(window, startOfDay(date, offset));
+                if (occurrence) {
+                    candidates.push(occurrence.start.getTime(), occurrence.end.getTime());
+                }
+            }
+        });
+
+        const current = getModeAt(schedule, date).mode;
+        const times = [...new Set(candidates)]
+            .filter(t => t > time && t <= limit)
+            .sort((a, b) => a - b);
+
+        for (const t of times) {
+            const next = getModeAt(schedule, new Date(t)).mode;
+            if (next !== current) {
+                return { time: new Date(t), mode: next };
+            }
+        }
+        return null;
+    }
+
+    // Drop overrides that have already ended
+    function pruneOverrides(schedule, date = new Date()) {
+        const time = date.getTime();
+        schedule.overrides = (schedule.overrides || []).filter(o => new Date(o.end).getTime() > time);
+        return schedule;
+    }
+
+    const ArmingSchedule = {
+        MODES,
+        MODE_LABELS,
+        createSchedule,
+        createWindow,
+        createOverride,
+        getModeAt,
+        getNextChange,
+        pruneOverrides
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ArmingSchedule;
+    } else {
+        global.ArmingSchedule = ArmingSchedule;
+    }
+})(typeof self !== 'undefined' ? self : this);
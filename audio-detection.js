@@ -0,0 +1,124 @@
+// Audio Detection - microphone level metering and simple sound-event triggers
+(function (global) {
+    const TYPES = ['impulse', 'loud', 'sustained'];
+    const TYPE_LABELS = {
+        impulse: 'Sudden bang or crash',
+        loud: 'Loud sound',
+        sustained: 'Sustained noise'
+    };
+
+    const MIN_DB = -100;           // Level reported for silence
+    const DEFAULT_THRESHOLD = -30; // dBFS above which a sound counts
+    const IMPULSE_RISE = 25;       // dB jump from the previous tick at onset for a bang or crash
+    const MIN_DURATION = 100;      // ms a sound must last to count as loud
+    const SUSTAIN_TIME = 1500;     // ms of continuous sound for shouting, alarms, engines
+    const RELEASE_TIME = 300;      // ms below threshold before a sound is over
+    const FLOOR_RATE = 0.05;       // How fast the noise floor follows quiet levels
+
+    // RMS of full-scale samples (-1..1) as dBFS, 0 being the loudest
+    function rmsToDb(rms) {
+        return rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+    }
+
+    function measureLevel(samples) {
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const value = samples[i];
+            sumSquares += value * value;
+            if (Math.abs(value) > peak) peak = Math.abs(value);
+        }
+        const rms = samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+        return { rms, peak, db: rmsToDb(rms) };
+    }
+
+    // Meter level 0-100 for a dBFS value, so -60 dB and below reads empty
+    function dbToPercent(db, floor = -60) {
+        return Math.max(0, Math.min(100, (db - floor) / -floor * 100));
+    }
+
+    // Feed it one level (dBFS) per analysis tick. While the level is over
+    // the threshold a sound is in progress; it produces at most one
+    // 'impulse' or 'loud' event, and one 'sustained' event if it goes on
+    // long enough. Events: { type, db, peakDb, noiseFloor }.
+    function createSoundDetector(options = {}) {
+        let threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+        let noiseFloor = null;
+        let previous = null;
+        let sound = null; // { start, lastAbove, peakDb, onsetRise, fired: Set }
+
+        function configure(next = {}) {
+            if (next.threshold !== undefined) threshold = next.threshold;
+        }
+
+        function reset() {
+            noiseFloor = null;
+            previous = null;
+            sound = null;
+        }
+
+        function event(type, db) {
+            sound.fired.add(type);
+            return {
+                type,
+                db: Math.round(db * 10) / 10,
+                peakDb: Math.round(sound.peakDb * 10) / 10,
+                noiseFloor: Math.round(noiseFloor * 10) / 10
+            };
+        }
+
+        function update(db, now = Date.now()) {
+            if (noiseFloor === null) noiseFloor = Math.min(db, threshold);
+            const rise = db - (previous !== null ? previous : noiseFloor);
+            previous = db;
+
+            if (db < threshold) {
+                if (sound && now - sound.lastAbove > RELEASE_TIME) sound = null;
+                if (!sound) noiseFloor += (db - noiseFloor) * FLOOR_RATE;
+                return null;
+            }
+
+            if (!sound) {
+                sound = { start: now, lastAbove: now, peakDb: db, onsetRise: rise, fired: new Set() };
+            }
+            sound.lastAbove = now;
+            sound.peakDb = Math.max(sound.peakDb, db);
+
+            const duration = now - sound.start;
+            if (!sound.fired.has('impulse') && !sound.fired.has('loud')) {
+                if (sound.onsetRise >= IMPULSE_RISE) return event('impulse', db);
+                if (duration >= MIN_DURATION) return event('loud', db);
+            }
+            if (!sound.fired.has('sustained') && duration >= SUSTAIN_TIME) {
+                return event('sustained', db);
+            }
+            return null;
+        }
+
+        return {
+            configure,
+            reset,
+            update,
+            get noiseFloor() {
+                return noiseFloor;
+            }
+        };
+    }
+
+    const AudioDetection = {
+        TYPES,
+        TYPE_LABELS,
+        MIN_DB,
+        DEFAULT_THRESHOLD,
+        rmsToDb,
+        measureLevel,
+        dbToPercent,
+        createSoundDetector
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AudioDetection;
+    } else {
+        global.AudioDetection = AudioDetection;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,156 @@
+// Types for camera-core.js - the DOM-free detection core behind the app.
+// In the browser it is the global `CameraCore`; in Node, require('./camera-core.js').
+
+export type ArmingMode = 'away' | 'home' | 'disarmed';
+export type EventType = 'motion' | 'sound' | 'tamper';
+
+export interface Zone {
+    id: string;
+    name: string;
+}
+
+// One motion zone's share of changed pixels; id is null for the full frame
+export interface ZoneResult {
+    id: string | null;
+    name: string;
+    percentage: number;
+}
+
+// What MotionAnalysis returns for a frame
+export interface AnalysisResult {
+    width: number;
+    height: number;
+    percentage: number;
+    zones: ZoneResult[];
+    peakZone: ZoneResult | null;
+    brightness: number;
+    scene: { contrast: number; sharpness: number; signature: number[] } | null;
+    mask: Uint8Array;
+}
+
+export interface AnalysisSettings {
+    width: number;
+    height: number;
+    sensitivity?: number;     // 1-100
+    zones?: object[];
+    algorithm?: 'simple' | 'background';
+    learningRate?: number;    // 0-1
+    noiseSuppression?: boolean;
+    minBlobPercent?: number;
+    nightMode?: boolean;
+    measureScene?: boolean;
+}
+
+export interface Sound {
+    type: string;
+    db: number;
+    peakDb: number;
+}
+
+export interface DetectionEvent {
+    type: EventType;
+    zones?: ZoneResult[];
+    sound?: Sound;
+    tamperType?: string;
+    details?: object;
+}
+
+// Trigger rules that fired on one event
+export interface Trigger {
+    event: DetectionEvent;
+    time: number;             // ms
+    incidentId: string;
+    motionLevel?: number;     // % changed, motion only
+    zone: Zone | null;
+    sound: Sound | null;
+    rules: object[];          // TriggerRules rules
+}
+
+export interface Alert {
+    id: number;
+    type: EventType;
+    incidentId: string;
+    timestamp: string;        // ISO 8601
+    motionLevel: string | null;
+    zoneId: string | null;
+    zone: string | null;
+    cameraId: string | null;
+    cameraName: string;
+    armingMode: ArmingMode;
+    nightMode: boolean;
+    read: boolean;
+    soundType?: string;
+    soundLevel?: number;
+    tamperType?: string;
+    description?: string;
+    priority?: 'high';
+    details?: object;
+}
+
+export interface AlertContext {
+    cameraId?: string | null;
+    cameraName?: string;
+    armingMode?: ArmingMode;
+    nightMode?: boolean;
+}
+
+export interface Capture {
+    id: number;
+    timestamp: string;
+    [field: string]: unknown;
+}
+
+export interface StoragePolicy {
+    maxImages?: number;
+    retentionDays?: number | null; // null or 0 keeps captures of any age
+}
+
+export interface CoreSettings {
+    threshold?: number;       // Motion is more than this % changed
+    cooldown?: number;        // ms between firings of a rule without its own cooldown
+    tamperDetection?: boolean;
+    incidentGap?: number;     // Seconds of quiet that end an incident
+    rules?: object[];
+    analysis?: AnalysisSettings;
+}
+
+export interface CoreOptions {
+    rules?: object[];                                   // Default: TriggerRules.createDefaultRules()
+    capture?: (details: object) => Promise<Capture | null>; // Takes a still; the core has no camera
+    now?: () => number;                                 // Clock in ms, e.g. a fake timer
+}
+
+export interface CoreEvents {
+    armed: (mode: 'away' | 'home') => void;
+    disarmed: () => void;
+    frame: (result: AnalysisResult) => void;           // Every analysed frame while armed
+    motion: (result: AnalysisResult) => void;          // Frames over the threshold
+    tamper: (tamper: { type: string; details: object }) => void;
+    trigger: (trigger: Trigger) => void;
+    capture: (capture: Capture) => void;
+    error: (error: Error) => void;                     // A listener threw
+}
+
+export interface CameraCoreInstance {
+    on<K extends keyof CoreEvents>(type: K, listener: CoreEvents[K]): () => void;
+    off<K extends keyof CoreEvents>(type: K, listener: CoreEvents[K]): void;
+    configure(settings: CoreSettings): void;
+    reset(): void;
+    arm(mode?: 'away' | 'home'): void;
+    disarm(): void;
+    isArmed(): boolean;
+    getArmingMode(): ArmingMode;
+    handleResult(result: AnalysisResult | null, time?: number): Trigger | null;
+    processFrame(pixels: Uint8ClampedArray | Uint8Array, time?: number): Trigger | null;
+    reportSound(sound: Sound, time?: number): Trigger | null;
+    reportTamper(type: string, details?: object, time?: number): Trigger | null;
+    capture(details?: object): Promise<Capture | null>;
+}
+
+export const EVENTS: (keyof CoreEvents)[];
+export const SETTING_LIMITS: { [key: string]: [number, number, string] };
+export function validateSettings(settings: object): string | null;
+export function normalizeSettings(settings: object): object;
+export function buildAlert(trigger: Trigger, context?: AlertContext): Alert;
+export function applyStoragePolicy<T extends Capture>(captures: T[], policy?: StoragePolicy, now?: number): { kept: T[]; removed: T[] };
+export function createCameraCore(options?: CoreOptions): CameraCoreInstance;
@@ -0,0 +1,303 @@
+// Camera Core - DOM-free detection, arming, cooldowns, alerts and storage
+// policy. The UI feeds it frames and subscribes to what it reports.
+(function (global) {
+    const isModule = typeof module !== 'undefined' && module.exports;
+    const MotionAnalysis = isModule ? require('./motion-analysis.js') : global.MotionAnalysis;
+    const TamperDetection = isModule ? require('./tamper-detection.js') : global.TamperDetection;
+    const TriggerRules = isModule ? require('./trigger-rules.js') : global.TriggerRules;
+    const Incidents = isModule ? require('./incidents.js') : global.Incidents;
+    const EventModel = isModule ? require('./event-model.js') : global.EventModel;
+
+    const EVENTS = ['armed', 'disarmed', 'frame', 'motion', 'tamper', 'trigger', 'capture', 'error'];
+    const ARMED_MODES = ['away', 'home'];
+
+    // Numeric settings as stored (the units of the settings form): [min, max, label]
+    const SETTING_LIMITS = {
+        motionThreshold: [0.5, 10, 'Motion threshold'],
+        cooldownPeriod: [1, 30, 'Cooldown period'],
+        incidentGap: [5, 600, 'Incident gap'],
+        maxImages: [10, 500, 'Maximum images'],
+        retentionDays: [1, 30, 'Retention days'],
+        learningRate: [1, 20, 'Learning rate'],
+        minBlobSize: [0, 5, 'Minimum blob size'],
+        clipPreSeconds: [2, 30, 'Seconds before a clip'],
+        clipPostSeconds: [2, 30, 'Seconds after a clip'],
+        audioThreshold: [-60, -5, 'Sound threshold'],
+        nightBrightnessThreshold: [5, 120, 'Night brightness threshold'],
+        classifierMinScore: [20, 95, 'Classifier confidence']
+    };
+
+    // First problem with a settings object, or null. Missing fields are fine.
+    function validateSettings(settings) {
+        if (!settings || typeof settings !== 'object') return 'Settings must be an object';
+
+        for (const key of Object.keys(SETTING_LIMITS)) {
+            if (settings[key] === undefined) continue;
+            const [min, max, label] = SETTING_LIMITS[key];
+            const value = Number(settings[key]);
+            if (settings[key] === '' || !isFinite(value) || value < min || value > max) {
+                return `${label} must be between ${min} and ${max}`;
+            }
+        }
+        if (settings.detectionAlgorithm !== undefined && !MotionAnalysis.ALGORITHMS.includes(settings.detectionAlgorithm)) {
+            return `Unknown detection algorithm "${settings.detectionAlgorithm}"`;
+        }
+        if (settings.triggerRules !== undefined) {
+            const problem = TriggerRules.validateRules(settings.triggerRules);
+            if (problem) return problem;
+        }
+        return null;
+    }
+
+    // A copy of saved settings without the fields that fail validation, so
+    // a bad value falls back to its default instead of breaking detection
+    function normalizeSettings(settings) {
+        if (!settings || typeof settings !== 'object') return {};
+
+        const normalized = { ...settings };
+        if (normalized.triggerRules !== undefined) normalized.triggerRules = TriggerRules.upgradeRules(normalized.triggerRules);
+        Object.keys(normalized).forEach(key => {
+            if (validateSettings({ [key]: normalized[key] })) delete normalized[key];
+        });
+        return normalized;
+    }
+
+    // The alert for a trigger. context: { cameraId, cameraName, armingMode, nightMode }
+    function buildAlert(trigger, context = {}) {
+        const { event, sound, zone } = trigger;
+        const alert = {
+            id: EventModel.createId(),
+            type: event.type,
+            incidentId: trigger.incidentId,
+            timestamp: new Date(trigger.time || Date.now()).toISOString(),
+            motionLevel: event.type === 'motion' ? trigger.motionLevel.toFixed(1) : null,
+            zoneId: zone ? zone.id : null,
+            zone: zone ? zone.name : null,
+            cameraId: context.cameraId || null,
+            cameraName: context.cameraName || '',
+            armingMode: context.armingMode || 'disarmed',
+            nightMode: !!context.nightMode,
+            read: false
+        };
+
+        if (event.type === 'sound') {
+            alert.soundType = sound.type;
+            alert.soundLevel = sound.peakDb;
+        } else if (event.type === 'tamper') {
+            alert.tamperType = event.tamperType;
+            alert.description = TamperDetection.TYPE_LABELS[event.tamperType];
+            alert.priority = 'high';
+            alert.details = event.details;
+        }
+        return alert;
+    }
+
+    // Split captures (newest first) into those to keep and those past the
+    // count limit or, when retentionDays is set, older than that
+    function applyStoragePolicy(captures, policy = {}, now = Date.now()) {
+        const kept = [];
+        const removed = [];
+        let cutoff = null;
+        if (policy.retentionDays) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - policy.retentionDays);
+            cutoff = date.getTime();
+        }
+
+        captures.forEach((capture, index) => {
+            const expired = (policy.maxImages && index >= policy.maxImages) ||
+                (cutoff !== null && new Date(capture.timestamp).getTime() <= cutoff);
+            (expired ? removed : kept).push(capture);
+        });
+        return { kept, removed };
+    }
+
+    // options: {
+    //   rules: trigger rules (default: TriggerRules.createDefaultRules()),
+    //   capture: async (details) => capture - takes a still; the core has no camera,
+    //   now: () => ms - clock, replaceable for fake timers
+    // }
+    function createCameraCore(options = {}) {
+        const now = options.now || Date.now;
+        const listeners = {};
+        const analyzer = MotionAnalysis.createMotionAnalyzer();
+        const tamperDetector = TamperDetection.createTamperDetector();
+        const engine = TriggerRules.createEngine(options.rules || TriggerRules.createDefaultRules());
+        const tracker = Incidents.createTracker();
+
+        let armed = false;
+        let armingMode = 'disarmed';
+        const settings = {
+            threshold: 2,          // Motion is more than this % changed, as in the trigger rules
+            cooldown: 5000,        // ms between firings of a rule without its own cooldown
+            tamperDetection: false
+        };
+
+        // Returns a function that unsubscribes the listener
+        function on(type, listener) {
+            if (!EVENTS.includes(type)) throw new Error(`Unknown event "${type}"`);
+            (listeners[type] = listeners[type] || []).push(listener);
+            return () => off(type, listener);
+        }
+
+        function off(type, listener) {
+            if (listeners[type]) listeners[type] = listeners[type].filter(fn => fn !== listener);
+        }
+
+        // A failing listener must not stop detection or the other listeners
+        function emit(type, ...args) {
+            (listeners[type] || []).slice().forEach(listener => {
+                try {
+                    listener(...args);
+                } catch (error) {
+                    if (type === 'error' || !listeners.error || listeners.error.length === 0) {
+                        console.error(`Camera core "${type}" listener failed:`, error);
+                    } else {
+                        emit('error', error);
+                    }
+                }
+            });
+        }
+
+        // next: { threshold, cooldown, tamperDetection, incidentGap (s), rules, analysis }
+        // where analysis is the MotionAnalysis settings for processFrame()
+        function configure(next = {}) {
+            ['threshold', 'cooldown', 'tamperDetection'].forEach(key => {
+                if (next[key] !== undefined) settings[key] = next[key];
+            });
+            if (next.incidentGap !== undefined) tracker.configure({ gap: next.incidentGap });
+            if (next.rules) engine.setRules(next.rules);
+            if (next.analysis) analyzer.configure(next.analysis);
+        }
+
+        // Forget the frame baseline, obstruction state and runs of motion
+        function reset() {
+            analyzer.reset();
+            tamperDetector.reset();
+            engine.reset();
+        }
+
+        // Arming again while armed just changes the mode
+        function arm(mode = 'away') {
+            if (!ARMED_MODES.includes(mode)) throw new Error(`Unknown arming mode "${mode}"`);
+            if (armed && mode === armingMode) return;
+
+            armed = true;
+            armingMode = mode;
+            emit('armed', mode);
+        }
+
+        function disarm() {
+            if (!armed) return;
+
+            armed = false;
+            armingMode = 'disarmed';
+            reset();
+            emit('disarmed');
+        }
+
+        // Rules only run while armed, so none can ask for the disarmed mode
+        function evaluate(event, time) {
+            if (!armed) return null;
+
+            const matches = engine.evaluate(event, {
+                armingMode,
+                threshold: settings.threshold,
+                cooldown: settings.cooldown,
+                now: time
+            });
+            if (matches.length === 0) return null;
+
+            // The strongest match supplies the level and zone
+            const best = matches.reduce((a, b) => ((b.level || 0) > (a.level || 0) ? b : a));
+            const trigger = {
+                event,
+                time,
+                // Triggers close together belong to the same incident
+                incidentId: tracker.track(event.type, time).id,
+                motionLevel: event.type === 'motion' ? best.level : undefined,
+                zone: best.zone,
+                sound: event.sound || null,
+                rules: matches.map(match => match.rule)
+            };
+            emit('trigger', trigger);
+            return trigger;
+        }
+
+        // An analysis result from MotionAnalysis, here or in a worker. Every
+        // check goes to the trigger rules, even below the threshold, so rules
+        // can ask for motion over several checks in a row.
+        function handleResult(result, time = now()) {
+            // Results may arrive after monitoring was switched off
+            if (!armed || !result) return null;
+
+            emit('frame', result);
+
+            if (settings.tamperDetection) {
+                const tamper = tamperDetector.update(result, time);
+                if (tamper) reportTamper(tamper.type, tamper.details, time);
+
+                // Motion in a covered or blinded frame is the obstruction itself
+                if (tamperDetector.isObstructed()) return null;
+            }
+
+            if (result.percentage > settings.threshold) emit('motion', result);
+            return evaluate({ type: 'motion', zones: result.zones }, time);
+        }
+
+        // RGBA pixels at the configured analysis size
+        function processFrame(pixels, time = now()) {
+            if (!armed) return null;
+            return handleResult(analyzer.process(pixels), time);
+        }
+
+        function reportSound(sound, time = now()) {
+            return evaluate({ type: 'sound', sound }, time);
+        }
+
+        function reportTamper(type, details = {}, time = now()) {
+            emit('tamper', { type, details });
+            return evaluate({ type: 'tamper', tamperType: type, details }, time);
+        }
+
+        async function capture(details = {}) {
+            if (!options.capture) throw new Error('No capture source');
+
+            const result = await options.capture(details);
+            if (result) emit('capture', result);
+            return result;
+        }
+
+        return {
+            on,
+            off,
+            configure,
+            reset,
+            arm,
+            disarm,
+            isArmed: () => armed,
+            getArmingMode: () => armingMode,
+            handleResult,
+            processFrame,
+            reportSound,
+            reportTamper,
+            capture
+        };
+    }
+
+    const CameraCore = {
+        EVENTS,
+        SETTING_LIMITS,
+        validateSettings,
+        normalizeSettings,
+        buildAlert,
+        applyStoragePolicy,
+        createCameraCore
+    };
+
+    if (isModule) {
+        module.exports = CameraCore;
+    } else {
+        global.CameraCore = CameraCore;
+    }
+})(typeof self !== 'undefined' ? self : this);
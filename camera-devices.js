@@ -0,0 +1,100 @@
+// Camera Devices - getUserMedia constraints and track capability controls
+(function (global) {
+    const DEFAULT_RESOLUTION = '1280x720';
+    const DEFAULT_FRAME_RATE = 30;
+
+    // Track settings exposed as controls when getCapabilities() reports them
+    const CONTROLS = [
+        { name: 'zoom', label: 'Zoom', type: 'range' },
+        { name: 'focusMode', label: 'Focus', type: 'select' },
+        { name: 'focusDistance', label: 'Focus Distance', type: 'range' },
+        { name: 'exposureMode', label: 'Exposure', type: 'select' },
+        { name: 'exposureCompensation', label: 'Exposure Compensation', type: 'range' },
+        { name: 'torch', label: 'Torch', type: 'toggle' }
+    ];
+
+    // '1280x720' -> { width: 1280, height: 720 }
+    function parseResolution(value) {
+        const match = /^(\d+)x(\d+)$/.exec(String(value || ''));
+        if (!match) return parseResolution(DEFAULT_RESOLUTION);
+        return { width: parseInt(match[1]), height: parseInt(match[2]) };
+    }
+
+    // Constraint sets to try in order: the chosen device, then the default
+    // back camera, then anything the browser will give us.
+    function buildConstraints(options = {}) {
+        const { width, height } = parseResolution(options.resolution);
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: parseInt(options.frameRate) || DEFAULT_FRAME_RATE }
+        };
+
+        const attempts = [];
+        if (options.deviceId) {
+            attempts.push({ video: { ...video, deviceId: { exact: options.deviceId } }, audio: false });
+        }
+        attempts.push({ video: { ...video, facingMode: 'environment' }, audio: false });
+        attempts.push({ video: true, audio: false });
+        return attempts;
+    }
+
+    // Video inputs from enumerateDevices(); labels are empty until the user
+    // has granted camera permission
+    function listVideoInputs(devices) {
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    // Controls supported by a track, with their ranges/options and current values
+    function getAvailableControls(capabilities, settings = {}) {
+        if (!capabilities) return [];
+
+        return CONTROLS.reduce((controls, control) => {
+            const capability = capabilities[control.name];
+            if (capability === undefined) return controls;
+
+            if (control.type === 'range') {
+                if (typeof capability.min !== 'number' || !(capability.max > capability.min)) return controls;
+                controls.push({
+                    ...control,
+                    min: capability.min,
+                    max: capability.max,
+                    step: capability.step || (capability.max - capability.min) / 100,
+                    value: settings[control.name] !== undefined ? settings[control.name] : capability.min
+                });
+            } else if (control.type === 'select') {
+                if (!Array.isArray(capability) || capability.length < 2) return controls;
+                controls.push({
+                    ...control,
+                    options: capability,
+                    value: settings[control.name] !== undefined ? settings[control.name] : capability[0]
+                });
+            } else if (capability === true || (Array.isArray(capability) && capability.includes(true))) {
+                controls.push({ ...control, value: !!settings[control.name] });
+            }
+
+            return controls;
+        }, []);
+    }
+
+    const CameraDevices = {
+        DEFAULT_RESOLUTION,
+        DEFAULT_FRAME_RATE,
+        CONTROLS,
+        parseResolution,
+        buildConstraints,
+        listVideoInputs,
+        getAvailableControls
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CameraDevices;
+    } else {
+        global.CameraDevices = CameraDevices;
+    }
+})(typeof self !== 'undefined' ? self : this);
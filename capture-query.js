@@ -0,0 +1,133 @@
+// Capture Query - pure filtering of captures/alerts and URL hash (de)serialization
+(function (global) {
+    const DateRanges = typeof module !== 'undefined' && module.exports
+        ? require('./date-range.js')
+        : global.DateRange;
+
+    // Query fields and the URL parameter each one is stored under
+    const FIELDS = {
+        date: 'date',     // DateRange preset or 'custom'
+        from: 'from',     // Custom range start (datetime-local string or ISO)
+        to: 'to',         // Custom range end, exclusive
+        minLevel: 'min',  // Motion level %, inclusive
+        maxLevel: 'max',
+        zone: 'zone',     // Zone name
+        tag: 'tag',
+        read: 'read',     // 'read' | 'unread'
+        type: 'type'      // 'image' | 'clip'
+    };
+
+    function parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = parseFloat(value);
+        return isNaN(number) ? null : number;
+    }
+
+    // Drop empty/default values so equal queries serialize identically
+    function normalize(query) {
+        const normalized = {};
+        Object.keys(FIELDS).forEach(key => {
+            let value = query ? query[key] : undefined;
+            if (key === 'minLevel' || key === 'maxLevel') {
+                value = parseNumber(value);
+            } else if (typeof value === 'string') {
+                value = value.trim();
+            }
+            if (value === null || value === undefined || value === '' || value === 'all') return;
+            normalized[key] = value;
+        });
+        if (normalized.date !== 'custom') {
+            delete normalized.from;
+            delete normalized.to;
+        }
+        return normalized;
+    }
+
+    function getRange(query, now) {
+        if (query.date === 'custom') {
+            return {
+                start: query.from ? new Date(query.from) : null,
+                end: query.to ? new Date(query.to) : null
+            };
+        }
+        return DateRanges.getRange(query.date || 'all', now);
+    }
+
+    // A criterion only matches items that carry the field it tests, e.g.
+    // a tag filter excludes alerts because alerts have no tags.
+    function matches(item, query, now = new Date()) {
+        const q = normalize(query);
+
+        if (q.date && !DateRanges.contains(getRange(q, now), item.timestamp)) return false;
+
+        if (q.minLevel !== undefined || q.maxLevel !== undefined) {
+            const level = parseNumber(item.motionLevel);
+            if (level === null) return false;
+            if (q.minLevel !== undefined && level < q.minLevel) return false;
+            if (q.maxLevel !== undefined && level > q.maxLevel) return false;
+        }
+
+        if (q.zone && item.zone !== q.zone) return false;
+
+        if (q.tag && !(Array.isArray(item.tags) && item.tags.includes(q.tag.toLowerCase()))) return false;
+
+        if (q.read === 'read' && !item.read) return false;
+        if (q.read === 'unread' && item.read !== false) return false;
+
+        if (q.type && (item.type || 'image') !== q.type) return false;
+
+        return true;
+    }
+
+    function filterItems(items, query, now = new Date()) {
+        return items.filter(item => matches(item, query, now));
+    }
+
+    function serialize(query) {
+        const params = new URLSearchParams();
+        const q = normalize(query);
+        Object.keys(q).forEach(key => params.set(FIELDS[key], q[key]));
+        return params.toString();
+    }
+
+    function parse(search) {
+        const params = new URLSearchParams(search || '');
+        const query = {};
+        Object.keys(FIELDS).forEach(key => {
+            if (params.has(FIELDS[key])) query[key] = params.get(FIELDS[key]);
+        });
+        return normalize(query);
+    }
+
+    // '#captures?date=today&type=clip' <-> { tab: 'captures', query: {...} }
+    function parseHash(hash) {
+        const value = (hash || '').replace(/^#/, '');
+        const separator = value.indexOf('?');
+        const tab = separator === -1 ? value : value.slice(0, separator);
+        const search = separator === -1 ? '' : value.slice(separator + 1);
+        return { tab: tab || null, query: parse(search) };
+    }
+
+    function buildHash(tab, query) {
+        const search = serialize(query);
+        return '#' + tab + (search ? '?' + search : '');
+    }
+
+    const CaptureQuery = {
+        FIELDS,
+        normalize,
+        getRange,
+        matches,
+        filterItems,
+        serialize,
+        parse,
+        parseHash,
+        buildHash
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CaptureQuery;
+    } else {
+        global.CaptureQuery = CaptureQuery;
+    }
+})(typeof self !== 'undefined' ? self : this);
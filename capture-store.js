@@ -0,0 +1,320 @@
+// Capture Store - IndexedDB persistence for capture blobs and their metadata
+(function (global) {
+    const Vault = typeof module !== 'undefined' && module.exports ? require('./vault.js') : global.Vault;
+
+    const DB_NAME = 'motion-security-camera';
+    const DB_VERSION = 2;
+    const META_STORE = 'captures';
+    const BLOB_STORE = 'captureBlobs';
+    const EVIDENCE_STORE = 'evidenceLog'; // Append-only, never cleared with the captures
+    const KEY_STORE = 'keys';             // CryptoKeys, which localStorage cannot hold
+    const RECENT_LIMIT = 4;
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Metadata (timestamp, motion level, zone, tags, ...) lives in its own
+    // store so the capture list can be loaded without reading any image data.
+    // Full-size blobs and thumbnails are read on demand by id.
+    //
+    // With a vault set, blobs, thumbnails and metadata are sealed to the
+    // vault's public key. Only id, timestamp, type and size stay readable so
+    // storage limits and retention keep working while the vault is locked.
+    class CaptureStore {
+        constructor() {
+            this.db = null;
+            this.memory = null; // Fallback when IndexedDB is unavailable
+            this.vault = null;  // { publicKey, privateKey } - privateKey is null while locked
+            // The last few sealed records in the clear, so a clip or webhook can
+            // still use the frame just taken while the vault is locked
+            this.recent = new Map();
+        }
+
+        setVault(keys) {
+            this.vault = keys || null;
+        }
+
+        get locked() {
+            return !!(this.vault && !this.vault.privateKey);
+        }
+
+        async sealMeta(meta) {
+            if (!this.vault) return meta;
+            const { id, timestamp, type, bytes, size } = meta;
+            return { id, timestamp, type, bytes, size, sealed: await Vault.sealJSON(this.vault.publicKey, meta) };
+        }
+
+        async openMeta(record) {
+            if (!record.sealed) return record;
+            if (this.locked || !this.vault) {
+                const { sealed, ...stub } = record;
+                return { ...stub, locked: true };
+            }
+            return Vault.openJSON(this.vault.privateKey, record.sealed);
+        }
+
+        async open() {
+            if (this.db || this.memory) return;
+
+            try {
+                if (!global.indexedDB) {
+                    throw new Error('IndexedDB not supported');
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (e) => {
+                    const db = request.result;
+                    if (e.oldVersion < 1) {
+                        const meta = db.createObjectStore(META_STORE, { keyPath: 'id' });
+                        meta.createIndex('timestamp', 'timestamp');
+                        meta.createIndex('motionLevel', 'motionLevel');
+                        meta.createIndex('zone', 'zone');
+                        meta.createIndex('tags', 'tags', { multiEntry: true });
+                        db.createObjectStore(BLOB_STORE, { keyPath: 'id' });
+                    }
+                    if (e.oldVersion < 2) {
+                        db.createObjectStore(EVIDENCE_STORE, { keyPath: 'seq' });
+                        db.createObjectStore(KEY_STORE, { keyPath: 'name' });
+                    }
+                };
+                this.db = await requestToPromise(request);
+            } catch (error) {
+                console.warn('IndexedDB unavailable, captures will not persist:', error.message);
+                this.memory = { meta: new Map(), blobs: new Map(), evidence: [], keys: new Map() };
+            }
+        }
+
+        get persistent() {
+            return !!this.db;
+        }
+
+        async put(meta, blob, thumbnail) {
+            let record = { id: meta.id, blob, thumbnail };
+            if (this.vault) {
+                record = {
+                    id: meta.id,
+                    sealed: true,
+                    blobType: blob ? blob.type : '',
+                    blob: blob ? await Vault.sealBlob(this.vault.publicKey, blob) : null,
+                    thumbnail: thumbnail ? await Vault.sealBlob(this.vault.publicKey, thumbnail) : null
+                };
+                this.recent.set(meta.id, { id: meta.id, blob, thumbnail });
+                if (this.recent.size > RECENT_LIMIT) {
+                    this.recent.delete(this.recent.keys().next().value);
+                }
+            }
+            meta = await this.sealMeta(meta);
+
+            if (this.memory) {
+                this.memory.meta.set(meta.id, meta);
+                this.memory.blobs.set(meta.id, record);
+                return;
+            }
+
+            const tx = this.db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+            tx.objectStore(META_STORE).put(meta);
+            tx.objectStore(BLOB_STORE).put(record);
+            await transactionDone(tx);
+        }
+
+        async updateMeta(meta) {
+            meta = await this.sealMeta(meta);
+            if (this.memory) {
+                this.memory.meta.set(meta.id, meta);
+                return;
+            }
+
+            const tx = this.db.transaction(META_STORE, 'readwrite');
+            tx.objectStore(META_STORE).put(meta);
+            await transactionDone(tx);
+        }
+
+        // All capture metadata, newest first
+        async getAll() {
+            let records;
+            if (this.memory) {
+                records = [...this.memory.meta.values()];
+            } else {
+                const tx = this.db.transaction(META_STORE, 'readonly');
+                records = await requestToPromise(tx.objectStore(META_STORE).getAll());
+            }
+            records = await Promise.all(records.map(record => this.openMeta(record)));
+            return records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
+
+        // Metadata lookup through one of the indexes, e.g.
+        // getByIndex('tags', 'manual') or getByIndex('timestamp', IDBKeyRange.lowerBound(iso))
+        async getByIndex(indexName, query) {
+            // Sealed metadata is not indexed, so filter the opened records
+            if (this.memory || this.vault) {
+                const records = this.vault ? await this.getAll() : [...this.memory.meta.values()];
+                return records.filter(meta => {
+                    const value = meta[indexName];
+                    return Array.isArray(value) ? value.includes(query) : value === query;
+                });
+            }
+
+            const tx = this.db.transaction(META_STORE, 'readonly');
+            return requestToPromise(tx.objectStore(META_STORE).index(indexName).getAll(query));
+        }
+
+        async getRecord(id) {
+            if (this.recent.has(id)) return this.recent.get(id);
+
+            let record;
+            if (this.memory) {
+                record = this.memory.blobs.get(id) || null;
+            } else {
+                const tx = this.db.transaction(BLOB_STORE, 'readonly');
+                record = (await requestToPromise(tx.objectStore(BLOB_STORE).get(id))) || null;
+            }
+            if (!record || !record.sealed) return record;
+
+            if (!this.vault || this.locked) {
+                throw new Error('Vault is locked');
+            }
+            const { privateKey } = this.vault;
+            return {
+                id: record.id,
+                blob: record.blob ? await Vault.openBlob(privateKey, record.blob, record.blobType) : null,
+                thumbnail: record.thumbnail ? await Vault.openBlob(privateKey, record.thumbnail, 'image/jpeg') : null
+            };
+        }
+
+        // Rewrite every capture under a different vault (or none), e.g. when
+        // the vault is turned on or off. The current vault must be unlocked.
+        async reseal(keys) {
+            const metas = await this.getAll();
+            const records = [];
+            for (const meta of metas) {
+                records.push({ meta, record: await this.getRecord(meta.id) });
+            }
+
+            this.setVault(keys);
+            this.recent.clear();
+            for (const { meta, record } of records) {
+                await this.put(meta, record ? record.blob : null, record ? record.thumbnail : null);
+            }
+            return records.length;
+        }
+
+        async getBlob(id) {
+            const record = await this.getRecord(id);
+            return record ? record.blob : null;
+        }
+
+        async getThumbnail(id) {
+            const record = await this.getRecord(id);
+            return record ? (record.thumbnail || null) : null;
+        }
+
+        async delete(id) {
+            this.recent.delete(id);
+            if (this.memory) {
+                this.memory.meta.delete(id);
+                this.memory.blobs.delete(id);
+                return;
+            }
+
+            const tx = this.db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+            tx.objectStore(META_STORE).delete(id);
+            tx.objectStore(BLOB_STORE).delete(id);
+            await transactionDone(tx);
+        }
+
+        async clear() {
+            this.recent.clear();
+            if (this.memory) {
+                this.memory.meta.clear();
+                this.memory.blobs.clear();
+                return;
+            }
+
+            const tx = this.db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+            tx.objectStore(META_STORE).clear();
+            tx.objectStore(BLOB_STORE).clear();
+            await transactionDone(tx);
+        }
+
+        // Evidence entries are only ever added (add() fails on a reused seq)
+        async appendEvidence(entry) {
+            if (this.memory) {
+                this.memory.evidence.push(entry);
+                return;
+            }
+
+            const tx = this.db.transaction(EVIDENCE_STORE, 'readwrite');
+            tx.objectStore(EVIDENCE_STORE).add(entry);
+            await transactionDone(tx);
+        }
+
+        // The whole evidence log, oldest first
+        async getEvidence() {
+            if (this.memory) return this.memory.evidence.slice();
+
+            const tx = this.db.transaction(EVIDENCE_STORE, 'readonly');
+            return requestToPromise(tx.objectStore(EVIDENCE_STORE).getAll());
+        }
+
+        async getKey(name) {
+            if (this.memory) return this.memory.keys.get(name) || null;
+
+            const tx = this.db.transaction(KEY_STORE, 'readonly');
+            const record = await requestToPromise(tx.objectStore(KEY_STORE).get(name));
+            return record ? record.key : null;
+        }
+
+        async putKey(name, key) {
+            if (this.memory) {
+                this.memory.keys.set(name, key);
+                return;
+            }
+
+            const tx = this.db.transaction(KEY_STORE, 'readwrite');
+            tx.objectStore(KEY_STORE).put({ name, key });
+            await transactionDone(tx);
+        }
+
+        // Origin-wide usage and quota in bytes, or null if the browser cannot tell
+        static async estimate() {
+            if (!global.navigator || !navigator.storage || !navigator.storage.estimate) return null;
+
+            try {
+                const { usage, quota } = await navigator.storage.estimate();
+                return { usage: usage || 0, quota: quota || 0 };
+            } catch (error) {
+                console.error('Error estimating storage:', error);
+                return null;
+            }
+        }
+
+        // Ask the browser not to evict our data under storage pressure
+        static async requestPersistence() {
+            if (!global.navigator || !navigator.storage || !navigator.storage.persist) return false;
+
+            try {
+                return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+            } catch (error) {
+                return false;
+            }
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CaptureStore;
+    } else {
+        global.CaptureStore = CaptureStore;
+    }
+})(typeof self !== 'undefined' ? self : this);
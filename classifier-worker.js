@@ -0,0 +1,61 @@
+// Classifier Worker - runs the object detection model off the UI thread
+//
+// Uses the TensorFlow.js WASM backend (CPU, no WebGL needed) with the
+// COCO-SSD lite_mobilenet_v2 model, served from this origin so it works
+// offline once cached:
+//   vendor/tfjs/tf.min.js, vendor/tfjs/tf-backend-wasm.min.js and the
+//   tfjs-backend-wasm*.wasm binaries next to them
+//   vendor/coco-ssd/coco-ssd.min.js
+//   models/coco-ssd/model.json plus its weight shards
+// `node tools/fetch-model.js` downloads them into place.
+const VENDOR_SCRIPTS = [
+    'vendor/tfjs/tf.min.js',
+    'vendor/tfjs/tf-backend-wasm.min.js',
+    'vendor/coco-ssd/coco-ssd.min.js'
+];
+const DEFAULT_MODEL_URL = 'models/coco-ssd/model.json';
+
+let model = null;
+let canvas = null;
+let context = null;
+
+async function loadModel(modelUrl) {
+    if (model) return { backend: tf.getBackend() };
+
+    importScripts(...VENDOR_SCRIPTS);
+    tf.wasm.setWasmPaths('vendor/tfjs/');
+    await tf.setBackend('wasm');
+    await tf.ready();
+
+    model = await cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl: modelUrl || DEFAULT_MODEL_URL });
+    return { backend: tf.getBackend() };
+}
+
+// ImageBitmap to ImageData, which every tfjs version accepts
+function getPixels(bitmap) {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+        canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    try {
+        if (message.type === 'load') {
+            const result = await loadModel(message.modelUrl);
+            self.postMessage({ id: message.id, result });
+        } else if (message.type === 'classify') {
+            if (!model) throw new Error('Model not loaded');
+            const predictions = await model.detect(getPixels(message.bitmap));
+            self.postMessage({ id: message.id, result: predictions });
+        }
+    } catch (error) {
+        if (message.bitmap) message.bitmap.close();
+        self.postMessage({ id: message.id, error: error.message || String(error) });
+    }
+};
@@ -0,0 +1,188 @@
+// Clip Recorder - rolling MediaRecorder buffer for pre/post-event video clips
+(function (global) {
+    const MIME_TYPES = [
+        'video/webm;codecs=vp9',
+        'video/webm;codecs=vp8',
+        'video/webm',
+        'video/mp4'
+    ];
+
+    // Tried first when the stream carries a microphone track
+    const AUDIO_MIME_TYPES = [
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus',
+        'video/mp4;codecs=avc1,mp4a'
+    ];
+
+    // WebM chunks cannot be decoded without the header from the start of a
+    // recording, so instead of trimming one long recording we keep overlapping
+    // segments: a new recorder starts every `preSeconds`, and the older of the
+    // two newest segments always holds at least `preSeconds` of history. On a
+    // trigger that segment is kept running for `postSeconds` and becomes the
+    // clip, so clips start between N and 2N seconds before the event.
+    class ClipRecorder {
+        constructor(stream, options = {}) {
+            this.stream = stream;
+            this.preSeconds = options.preSeconds || 5;
+            this.postSeconds = options.postSeconds || 5;
+            this.maxSeconds = options.maxSeconds || 60;
+            this.onClip = options.onClip || (() => {});
+            this.hasAudio = stream.getAudioTracks().length > 0;
+            this.mimeType = ClipRecorder.getSupportedMimeType(this.hasAudio);
+            this.segments = [];
+            this.rotateTimer = null;
+            this.running = false;
+        }
+
+        static isSupported() {
+            return typeof MediaRecorder !== 'undefined';
+        }
+
+        static getSupportedMimeType(withAudio = false) {
+            if (!ClipRecorder.isSupported() || !MediaRecorder.isTypeSupported) return '';
+            const types = withAudio ? [...AUDIO_MIME_TYPES, ...MIME_TYPES] : MIME_TYPES;
+            return types.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        }
+
+        start() {
+            if (this.running) return;
+
+            this.running = true;
+            this.startSegment();
+            this.rotateTimer = setInterval(() => this.rotate(), this.preSeconds * 1000);
+        }
+
+        // Stop buffering. Clips already triggered are finished and delivered.
+        stop() {
+            this.running = false;
+            clearInterval(this.rotateTimer);
+            this.rotateTimer = null;
+
+            [...this.segments].forEach(segment => {
+                if (segment.claim) {
+                    this.finishSegment(segment);
+                } else {
+                    this.discardSegment(segment);
+                }
+            });
+        }
+
+        isRecordingClip() {
+            return this.segments.some(segment => segment.claim && !segment.claim.finishing);
+        }
+
+        // Mark the current moment as an event. Returns false if there is no
+        // buffered segment to build a clip from.
+        trigger(meta = {}) {
+            if (!this.running) return false;
+
+            const now = Date.now();
+
+            // Motion during an active clip extends it instead of starting another
+            const active = this.segments.find(segment => segment.claim && !segment.claim.finishing);
+            if (active) {
+                const maxEnd = active.startTime + this.maxSeconds * 1000;
+                this.scheduleFinish(active, Math.min(now + this.postSeconds * 1000, maxEnd));
+                return true;
+            }
+
+            const segment = this.segments.find(s => !s.claim);
+            if (!segment) return false;
+
+            segment.claim = { triggerTime: now, meta, timer: null, finishing: false };
+            this.scheduleFinish(segment, now + this.postSeconds * 1000);
+            return true;
+        }
+
+        startSegment() {
+            let recorder;
+            try {
+                recorder = new MediaRecorder(this.stream, this.mimeType ? { mimeType: this.mimeType } : undefined);
+            } catch (error) {
+                console.error('Unable to start clip recorder:', error);
+                return;
+            }
+
+            const segment = {
+                recorder,
+                chunks: [],
+                startTime: Date.now(),
+                claim: null,
+                discarded: false
+            };
+
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size > 0 && !segment.discarded) {
+                    segment.chunks.push(e.data);
+                }
+            };
+            recorder.onstop = () => this.onSegmentStopped(segment);
+
+            recorder.start(1000); // Emit data every second
+            this.segments.push(segment);
+        }
+
+        rotate() {
+            this.startSegment();
+
+            // Keep the two most recent unclaimed segments
+            const unclaimed = this.segments.filter(segment => !segment.claim);
+            while (unclaimed.length > 2) {
+                this.discardSegment(unclaimed.shift());
+            }
+        }
+
+        discardSegment(segment) {
+            segment.discarded = true;
+            segment.chunks = [];
+            this.segments = this.segments.filter(s => s !== segment);
+            if (segment.recorder.state !== 'inactive') {
+                segment.recorder.stop();
+            }
+        }
+
+        scheduleFinish(segment, endTime) {
+            clearTimeout(segment.claim.timer);
+            segment.claim.timer = setTimeout(() => this.finishSegment(segment), Math.max(0, endTime - Date.now()));
+        }
+
+        finishSegment(segment) {
+            clearTimeout(segment.claim.timer);
+            if (segment.claim.finishing) return;
+
+            segment.claim.finishing = true;
+            if (segment.recorder.state !== 'inactive') {
+                segment.recorder.stop(); // Delivered from onstop once the last chunk arrives
+            } else {
+                this.onSegmentStopped(segment);
+            }
+        }
+
+        onSegmentStopped(segment) {
+            this.segments = this.segments.filter(s => s !== segment);
+            if (segment.discarded || !segment.claim || segment.delivered) return;
+
+            segment.delivered = true;
+            const mimeType = segment.recorder.mimeType || this.mimeType || 'video/webm';
+            const blob = new Blob(segment.chunks, { type: mimeType });
+            const endTime = Date.now();
+
+            this.onClip({
+                blob,
+                mimeType,
+                startTime: segment.startTime,
+                triggerTime: segment.claim.triggerTime,
+                endTime,
+                duration: (endTime - segment.startTime) / 1000,
+                hasAudio: this.hasAudio,
+                meta: segment.claim.meta
+            });
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ClipRecorder;
+    } else {
+        global.ClipRecorder = ClipRecorder;
+    }
+})(typeof self !== 'undefined' ? self : this);
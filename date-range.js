@@ -0,0 +1,56 @@
+// Date Ranges - the preset periods offered by the date filter and export dialogs
+(function (global) {
+    const PRESETS = ['all', 'today', 'yesterday', 'week', 'month'];
+
+    function startOfDay(date) {
+        const d = new Date(date);
+        d.setHours(0, 0, 0, 0);
+        return d;
+    }
+
+    // Resolve a preset to { start, end } Dates. `null` means unbounded.
+    function getRange(preset, now = new Date()) {
+        const today = startOfDay(now);
+
+        switch (preset) {
+            case 'today':
+                return { start: today, end: null };
+            case 'yesterday': {
+                const start = new Date(today);
+                start.setDate(start.getDate() - 1);
+                return { start, end: today };
+            }
+            case 'week': {
+                // Weeks start on Monday
+                const start = new Date(today);
+                start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+                return { start, end: null };
+            }
+            case 'month':
+                return { start: new Date(today.getFullYear(), today.getMonth(), 1), end: null };
+            default:
+                return { start: null, end: null };
+        }
+    }
+
+    // Start is inclusive, end is exclusive
+    function contains(range, timestamp) {
+        const time = new Date(timestamp).getTime();
+        if (range.start && time < range.start.getTime()) return false;
+        if (range.end && time >= range.end.getTime()) return false;
+        return true;
+    }
+
+    const DateRange = {
+        PRESETS,
+        startOfDay,
+        getRange,
+        contains
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DateRange;
+    } else {
+        global.DateRange = DateRange;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,260 @@
+// Event Model - ids for alerts and captures, and the links between them
+(function (global) {
+    // 1: alerts matched to captures by timestamp when displayed
+    // 2: alert.captureIds and capture.alertId link them explicitly
+    const SCHEMA_VERSION = 2;
+    const LEGACY_MATCH_WINDOW = 1000; // ms between an alert and a capture that version 1 treated as the same event
+    const ALERT_TYPES = ['motion', 'sound', 'tamper'];
+    const CAPTURE_TYPES = ['image', 'clip'];
+    const ARMING_MODES = ['away', 'home', 'disarmed'];
+
+    let lastId = 0;
+
+    function time(item) {
+        return new Date(item.timestamp).getTime();
+    }
+
+    // Millisecond timestamps as before, but never the same one twice, so an
+    // alert and the capture taken for it in the same millisecond stay apart
+    function createId(now = Date.now()) {
+        lastId = Math.max(now, lastId + 1);
+        return lastId;
+    }
+
+    // Keep new ids above those already stored
+    function seedIds(items) {
+        items.forEach(item => {
+            if (item && typeof item.id === 'number' && item.id > lastId) lastId = Math.floor(item.id);
+        });
+    }
+
+    function link(alert, capture) {
+        alert.captureIds = alert.captureIds || [];
+        if (!alert.captureIds.includes(capture.id)) alert.captureIds.push(capture.id);
+        capture.alertId = alert.id;
+    }
+
+    // A capture is gone: drop it from its alerts. Returns the alerts changed.
+    function unlinkCapture(alerts, capture) {
+        return alerts.filter(alert => {
+            if (!alert.captureIds || !alert.captureIds.includes(capture.id)) return false;
+            alert.captureIds = alert.captureIds.filter(id => id !== capture.id);
+            return true;
+        });
+    }
+
+    // An alert is gone: clear it from its captures. Returns the captures changed.
+    function unlinkAlert(captures, alert) {
+        return captures.filter(capture => {
+            if (capture.alertId !== alert.id) return false;
+            capture.alertId = null;
+            return true;
+        });
+    }
+
+    function capturesFor(alert, captures) {
+        const ids = alert.captureIds || [];
+        return captures.filter(capture => ids.includes(capture.id));
+    }
+
+    function number(value) {
+        return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+
+    function text(value) {
+        return typeof value === 'string' ? value : null;
+    }
+
+    function strings(value) {
+        return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    }
+
+    function isoTime(value) {
+        const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    }
+
+    // Imported archives are untrusted: an item is rebuilt from the fields
+    // the app stores, or dropped (null) if its id, time or type is unusable
+    function sanitizeCapture(item) {
+        if (!item || typeof item !== 'object') return null;
+
+        const id = number(item.id);
+        const timestamp = isoTime(item.timestamp);
+        const type = item.type === undefined ? 'image' : item.type;
+        if (id === null || !timestamp || !CAPTURE_TYPES.includes(type)) return null;
+        if (type === 'clip' && number(item.duration) === null) return null;
+
+        const capture = {
+            id,
+            type,
+            timestamp,
+            motionLevel: number(item.motionLevel),
+            zone: text(item.zone),
+            tags: strings(item.tags),
+            soundType: text(item.soundType),
+            soundLevel: number(item.soundLevel),
+            incidentId: text(item.incidentId),
+            alertId: number(item.alertId),
+            cameraId: text(item.cameraId),
+            cameraName: text(item.cameraName) || '',
+            nightMode: !!item.nightMode,
+            mimeType: text(item.mimeType) || '',
+            bytes: number(item.bytes) || 0,
+            size: text(item.size) || ''
+        };
+
+        if (type === 'clip') {
+            capture.duration = item.duration;
+            capture.preRoll = number(item.preRoll) || 0;
+            capture.audio = !!item.audio;
+        }
+        if (Array.isArray(item.labels)) capture.labels = strings(item.labels);
+        if (Array.isArray(item.objects)) {
+            capture.objects = item.objects
+                .filter(object => object && typeof object.label === 'string' && number(object.score) !== null &&
+                    Array.isArray(object.box) && object.box.length === 4 && object.box.every(v => number(v) !== null))
+                .map(object => ({ label: object.label, source: text(object.source), score: object.score, box: object.box.slice() }));
+        }
+        return capture;
+    }
+
+    function sanitizeAlert(item) {
+        if (!item || typeof item !== 'object') return null;
+
+        const id = number(item.id);
+        const timestamp = isoTime(item.timestamp);
+        if (id === null || !timestamp || !ALERT_TYPES.includes(item.type)) return null;
+
+        const motionLevel = item.motionLevel === null || item.motionLevel === undefined ? null : parseFloat(item.motionLevel);
+        const alert = {
+            id,
+            type: item.type,
+            incidentId: text(item.incidentId),
+            timestamp,
+            motionLevel: motionLevel !== null && isFinite(motionLevel) ? motionLevel.toFixed(1) : null,
+            zoneId: text(item.zoneId),
+            zone: text(item.zone),
+            cameraId: text(item.cameraId),
+            cameraName: text(item.cameraName) || '',
+            armingMode: ARMING_MODES.includes(item.armingMode) ? item.armingMode : 'disarmed',
+            nightMode: !!item.nightMode,
+            read: !!item.read
+        };
+
+        if (item.type === 'sound') {
+            alert.soundType = text(item.soundType);
+            alert.soundLevel = number(item.soundLevel);
+        } else if (item.type === 'tamper') {
+            alert.tamperType = text(item.tamperType);
+            alert.description = text(item.description);
+            alert.priority = 'high';
+            if (item.details && typeof item.details === 'object' && !Array.isArray(item.details)) {
+                alert.details = {};
+                Object.keys(item.details).forEach(key => {
+                    const value = item.details[key];
+                    if (number(value) !== null || typeof value === 'string' || typeof value === 'boolean') alert.details[key] = value;
+                });
+            }
+        }
+        if (Array.isArray(item.labels)) alert.labels = strings(item.labels);
+        if (Array.isArray(item.captureIds)) alert.captureIds = item.captureIds.filter(id => number(id) !== null);
+        if (Array.isArray(item.deliveryFailures)) {
+            alert.deliveryFailures = item.deliveryFailures
+                .filter(failure => failure && typeof failure === 'object')
+                .map(failure => ({
+                    sinkId: text(failure.sinkId),
+                    sinkName: text(failure.sinkName) || '',
+                    error: text(failure.error),
+                    attempts: number(failure.attempts) || 0,
+                    timestamp: isoTime(failure.timestamp)
+                }));
+        }
+        return alert;
+    }
+
+    // Bring alerts and captures stored under `fromVersion` up to
+    // SCHEMA_VERSION, then drop links to items deleted while they could not
+    // be updated (e.g. with the vault locked). Returns the alerts and
+    // captures that changed and need saving.
+    function migrate(alerts, captures, fromVersion = 1) {
+        const changedAlerts = new Set();
+        const changedCaptures = new Set();
+        const renamed = [];
+        seedIds(alerts.concat(captures));
+
+        if (fromVersion < 2) {
+            // Alerts raised in the same millisecond shared an id. The newest
+            // (first in the list) keeps it, since its evidence entry was the
+            // last one logged under that id; the caller logs the others' new ids.
+            const seen = new Set();
+            alerts.forEach(alert => {
+                if (seen.has(alert.id)) {
+                    renamed.push({ alert, from: alert.id });
+                    alert.id = createId();
+                    changedAlerts.add(alert);
+                }
+                seen.add(alert.id);
+            });
+
+            // Link each capture to the closest alert within a second, which
+            // is how the alert list used to pair them
+            captures.forEach(capture => {
+                if (capture.locked || capture.alertId) return;
+                let best = null;
+                let bestGap = LEGACY_MATCH_WINDOW;
+                alerts.forEach(alert => {
+                    if (capture.cameraId && alert.cameraId && capture.cameraId !== alert.cameraId) return;
+                    const gap = Math.abs(time(alert) - time(capture));
+                    if (gap < bestGap) {
+                        best = alert;
+                        bestGap = gap;
+                    }
+                });
+                if (best) {
+                    link(best, capture);
+                    changedAlerts.add(best);
+                    changedCaptures.add(capture);
+                }
+            });
+        }
+
+        const captureIds = new Set(captures.map(capture => capture.id));
+        const alertIds = new Set(alerts.map(alert => alert.id));
+        alerts.forEach(alert => {
+            if (!alert.captureIds) return;
+            const kept = alert.captureIds.filter(id => captureIds.has(id));
+            if (kept.length !== alert.captureIds.length) {
+                alert.captureIds = kept;
+                changedAlerts.add(alert);
+            }
+        });
+        captures.forEach(capture => {
+            if (capture.alertId && !alertIds.has(capture.alertId)) {
+                capture.alertId = null;
+                changedCaptures.add(capture);
+            }
+        });
+
+        return { alerts: [...changedAlerts], captures: [...changedCaptures], renamed };
+    }
+
+    const EventModel = {
+        SCHEMA_VERSION,
+        createId,
+        seedIds,
+        link,
+        unlinkCapture,
+        unlinkAlert,
+        capturesFor,
+        sanitizeCapture,
+        sanitizeAlert,
+        migrate
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EventModel;
+    } else {
+        global.EventModel = EventModel;
+    }
+})(typeof self !== 'undefined' ? self : this);
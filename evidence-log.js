@@ -0,0 +1,229 @@
+// Evidence Log - append-only, hash-chained record of captures and alerts
+(function (global) {
+    const FORMAT_VERSION = 1;
+    const GENESIS_HASH = '0'.repeat(64);
+    const EVENTS = ['capture', 'alert', 'delete', 'rename'];
+    const SIGNING_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+    const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+    // Alert fields that change after the event (read state, labels filled in
+    // by the classifier, links to captures taken or deleted since, webhook
+    // deliveries that failed) are left out of an alert's hash
+    const MUTABLE_ALERT_FIELDS = ['read', 'labels', 'remote', 'captureIds', 'deliveryFailures'];
+
+    const subtle = () => crypto.subtle;
+
+    async function toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        return new Uint8Array(await data.arrayBuffer()); // Blob
+    }
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toBase64(buffer) {
+        const view = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < view.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    async function sha256(data) {
+        return toHex(await subtle().digest('SHA-256', await toBytes(data)));
+    }
+
+    // JSON with object keys sorted, so the same value always hashes the same
+    function canonicalJSON(value) {
+        if (value === null || typeof value !== 'object') return JSON.stringify(value === undefined ? null : value);
+        if (Array.isArray(value)) return `[${value.map(canonicalJSON).join(',')}]`;
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+
+    function hashAlert(alert) {
+        const fixed = { ...alert };
+        MUTABLE_ALERT_FIELDS.forEach(field => delete fixed[field]);
+        return sha256(canonicalJSON(fixed));
+    }
+
+    function entryHash(entry) {
+        const { hash, ...body } = entry;
+        return sha256(canonicalJSON(body));
+    }
+
+    // The next entry after `head` ({ seq, hash } of the last entry, or null).
+    // fields: { event, itemType, itemId, itemTimestamp, contentHash, reason, source }
+    async function createEntry(head, fields) {
+        if (!EVENTS.includes(fields.event)) throw new Error(`Unknown evidence event: ${fields.event}`);
+
+        const entry = {
+            version: FORMAT_VERSION,
+            seq: head ? head.seq + 1 : 1,
+            recordedAt: new Date().toISOString(),
+            event: fields.event,
+            itemType: fields.itemType,
+            itemId: fields.itemId,
+            itemTimestamp: fields.itemTimestamp || null,
+            contentHash: fields.contentHash || null,
+            reason: fields.reason || null,
+            source: fields.source || null,
+            prevHash: head ? head.hash : GENESIS_HASH
+        };
+        entry.hash = await entryHash(entry);
+        return entry;
+    }
+
+    // Problems with the chain itself: edited entries, entries removed from
+    // the middle, and (given the last known head) entries cut off the end
+    async function verifyChain(entries, head = null) {
+        const problems = [];
+        let previous = null;
+
+        for (const entry of entries) {
+            const expectedSeq = previous ? previous.seq + 1 : 1;
+            if (entry.seq !== expectedSeq) {
+                const gap = entry.seq - 1 > expectedSeq ? `Entries ${expectedSeq}-${entry.seq - 1} are` : `Entry ${expectedSeq} is`;
+                problems.push({ seq: entry.seq, problem: `${gap} missing` });
+            }
+            if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+                problems.push({ seq: entry.seq, problem: 'Does not follow the previous entry' });
+            }
+            if (entry.hash !== await entryHash(entry)) {
+                problems.push({ seq: entry.seq, problem: 'Entry has been altered' });
+            }
+            previous = entry;
+        }
+
+        if (head && (!previous || previous.seq !== head.seq || previous.hash !== head.hash)) {
+            problems.push({ seq: head.seq, problem: 'Log ends early - latest entries removed or replaced' });
+        }
+
+        return { ok: problems.length === 0, entries: entries.length, problems };
+    }
+
+    // Compare what the log recorded with what is stored now. `current` maps
+    // `${itemType}:${itemId}` to the item's hash today.
+    // Statuses: intact, modified, deleted (deletion logged), missing, unlogged.
+    function verifyItems(entries, current) {
+        const logged = new Map();
+        entries.forEach(entry => {
+            const key = `${entry.itemType}:${entry.itemId}`;
+            if (entry.event === 'delete') {
+                if (logged.has(key)) logged.get(key).deleted = entry;
+            } else {
+                logged.set(key, { entry, deleted: null });
+            }
+        });
+
+        const items = [];
+        logged.forEach(({ entry, deleted }, key) => {
+            const base = { itemType: entry.itemType, itemId: entry.itemId, itemTimestamp: entry.itemTimestamp, seq: entry.seq };
+            if (!current.has(key)) {
+                items.push(deleted
+                    ? { ...base, status: 'deleted', reason: deleted.reason, deletedAt: deleted.recordedAt }
+                    : { ...base, status: 'missing' });
+            } else {
+                items.push({ ...base, status: current.get(key) === entry.contentHash ? 'intact' : 'modified' });
+            }
+        });
+
+        current.forEach((hash, key) => {
+            if (logged.has(key)) return;
+            const [itemType, itemId] = key.split(':');
+            items.push({ itemType, itemId, itemTimestamp: null, seq: null, status: 'unlogged' });
+        });
+
+        const counts = { intact: 0, modified: 0, deleted: 0, missing: 0, unlogged: 0 };
+        items.forEach(item => counts[item.status]++);
+        return { ok: counts.modified === 0 && counts.missing === 0, counts, items };
+    }
+
+    function formatReport(report) {
+        const { chain, items } = report;
+        const lines = [
+            'Motion Security Camera - Evidence Verification Report',
+            '',
+            `Generated: ${report.generatedAt}`,
+            `Camera: ${report.cameraName || 'Unnamed'} (${report.cameraId || 'unknown id'})`,
+            `Result: ${chain.ok && items.ok ? 'PASS - no changes detected' : 'FAIL - see problems below'}`,
+            '',
+            `Log entries: ${chain.entries}`,
+            `Latest entry hash: ${report.head ? report.head.hash : 'none'}`,
+            '',
+            'Items:',
+            `  Intact:   ${items.counts.intact}`,
+            `  Modified: ${items.counts.modified}`,
+            `  Missing:  ${items.counts.missing}`,
+            `  Deleted (logged): ${items.counts.deleted}`,
+            `  Not in log: ${items.counts.unlogged}`
+        ];
+
+        if (chain.problems.length > 0) {
+            lines.push('', 'Log problems:');
+            chain.problems.forEach(p => lines.push(`  Entry ${p.seq}: ${p.problem}`));
+        }
+
+        const flagged = items.items.filter(item => item.status === 'modified' || item.status === 'missing');
+        if (flagged.length > 0) {
+            lines.push('', 'Changed items:');
+            flagged.forEach(item => lines.push(`  ${item.itemType} ${item.itemId} (${item.itemTimestamp || '?'}): ${item.status}`));
+        }
+
+        lines.push(
+            '',
+            'How to check independently:',
+            '  Each entry\'s hash is the SHA-256 of the entry (without "hash") as JSON with',
+            '  sorted keys, and "prevHash" is the hash of the entry before it. Each capture',
+            '  file\'s SHA-256 must equal the "contentHash" of its capture entry.',
+            '  signature.json holds ECDSA P-256 signatures of evidence-log.json and',
+            '  verification-report.json by this device\'s key.'
+        );
+        return lines.join('\n');
+    }
+
+    // Per-device signing key; the private half is not extractable
+    function createSigningKey() {
+        return subtle().generateKey(SIGNING_PARAMS, false, ['sign', 'verify']);
+    }
+
+    async function sign(keys, files) {
+        const signatures = {};
+        for (const [name, data] of Object.entries(files)) {
+            signatures[name] = toBase64(await subtle().sign(SIGNATURE_PARAMS, keys.privateKey, await toBytes(data)));
+        }
+        return {
+            algorithm: 'ECDSA P-256 with SHA-256 (IEEE P1363 signature, base64)',
+            publicKey: await subtle().exportKey('jwk', keys.publicKey),
+            signatures
+        };
+    }
+
+    const EvidenceLog = {
+        FORMAT_VERSION,
+        GENESIS_HASH,
+        EVENTS,
+        sha256,
+        canonicalJSON,
+        hashAlert,
+        createEntry,
+        verifyChain,
+        verifyItems,
+        formatReport,
+        createSigningKey,
+        sign
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EvidenceLog;
+    } else {
+        global.EvidenceLog = EvidenceLog;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,277 @@
+// Hub Link - connects camera devices to a hub through a pluggable transport
+(function (global) {
+    const ROLES = ['camera', 'hub'];
+    const MAX_ALERTS_PER_CAMERA = 100;
+    const RECONNECT_DELAY = 2000;
+    const MAX_RECONNECT_DELAY = 30000;
+    const MAX_NAME_LENGTH = 64;
+    const EVENT_TYPES = ['motion', 'sound', 'tamper'];
+    const ARMING_MODES = ['away', 'home', 'disarmed'];
+
+    // The relay does not authenticate anyone, so everything a camera sends
+    // is checked before the hub keeps or shows it. Camera and incident ids
+    // are limited to characters that are safe in markup and selectors.
+    const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+    // A transport moves JSON messages between one device and the others:
+    //   { connect(), send(message) -> boolean, close(), state,
+    //     onMessage(message), onStateChange(state) }
+    // The relay transport below talks to tools/hub-relay.js (or anything
+    // speaking the same protocol); others can be dropped in as long as they
+    // keep that shape. On connect the transport introduces itself with
+    // { type: 'hello', role, cameraId, name }, the relay stamps camera
+    // messages with `from` and routes hub messages by `to`.
+    function createRelayTransport(url, hello, options = {}) {
+        const WebSocketImpl = options.WebSocket || global.WebSocket;
+        let socket = null;
+        let closed = false;
+        let delay = RECONNECT_DELAY;
+        let timer = null;
+
+        const transport = {
+            state: 'closed',
+            onMessage: () => {},
+            onStateChange: () => {},
+
+            connect() {
+                closed = false;
+                open();
+            },
+
+            send(message) {
+                if (socket && socket.readyState === 1) {
+                    socket.send(JSON.stringify(message));
+                    return true;
+                }
+                return false;
+            },
+
+            close() {
+                closed = true;
+                clearTimeout(timer);
+                if (socket) socket.close();
+                setState('closed');
+            }
+        };
+
+        function setState(state) {
+            if (transport.state === state) return;
+            transport.state = state;
+            transport.onStateChange(state);
+        }
+
+        function open() {
+            setState('connecting');
+            try {
+                socket = new WebSocketImpl(url);
+            } catch (error) {
+                console.error('Hub relay connection failed:', error.message);
+                scheduleReconnect();
+                return;
+            }
+
+            socket.onopen = () => {
+                delay = RECONNECT_DELAY;
+                socket.send(JSON.stringify({ type: 'hello', ...hello }));
+                setState('connected');
+            };
+            socket.onmessage = (event) => {
+                try {
+                    transport.onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Bad hub message:', error);
+                }
+            };
+            socket.onclose = () => {
+                socket = null;
+                if (!closed) scheduleReconnect();
+            };
+            socket.onerror = () => {
+                // onclose follows and handles the reconnect
+            };
+        }
+
+        // Keep retrying with backoff so cameras come back after the relay restarts
+        function scheduleReconnect() {
+            setState('reconnecting');
+            clearTimeout(timer);
+            timer = setTimeout(open, delay);
+            delay = Math.min(delay * 2, MAX_RECONNECT_DELAY);
+        }
+
+        return transport;
+    }
+
+    function createHubState() {
+        // No prototype, so an id like 'constructor' is just another camera
+        return { cameras: Object.create(null) };
+    }
+
+    function getCamera(state, cameraId, name) {
+        if (!state.cameras[cameraId]) {
+            state.cameras[cameraId] = {
+                id: cameraId,
+                name: name || cameraId,
+                online: true,
+                active: false,
+                armingMode: 'disarmed',
+                nightMode: false,
+                motionLevel: null,
+                frame: null,
+                lastSeen: null,
+                alerts: []
+            };
+        }
+        return state.cameras[cameraId];
+    }
+
+    function isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    function text(value, fallback = null) {
+        return typeof value === 'string' ? value.slice(0, MAX_NAME_LENGTH) : fallback;
+    }
+
+    function number(value) {
+        const parsed = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+        return value !== '' && isFinite(parsed) ? parsed : null;
+    }
+
+    // A copy of a camera's alert with only known fields of the expected
+    // types, or null if it cannot be one. The camera is always the sender.
+    function sanitizeAlert(alert, camera) {
+        if (!alert || typeof alert !== 'object') return null;
+
+        const id = number(alert.id);
+        const time = new Date(alert.timestamp);
+        if (id === null || !EVENT_TYPES.includes(alert.type) || isNaN(time.getTime())) return null;
+
+        const motionLevel = number(alert.motionLevel);
+        const clean = {
+            id,
+            type: alert.type,
+            incidentId: isValidId(alert.incidentId) ? alert.incidentId : null,
+            timestamp: time.toISOString(),
+            motionLevel: motionLevel !== null ? motionLevel.toFixed(1) : null,
+            zoneId: isValidId(alert.zoneId) ? alert.zoneId : null,
+            zone: text(alert.zone),
+            cameraId: camera.id,
+            cameraName: camera.name,
+            armingMode: ARMING_MODES.includes(alert.armingMode) ? alert.armingMode : 'disarmed',
+            nightMode: !!alert.nightMode,
+            read: !!alert.read,
+            labels: Array.isArray(alert.labels) ? alert.labels.filter(label => typeof label === 'string').map(label => text(label)) : undefined
+        };
+
+        if (alert.type === 'sound') {
+            clean.soundType = text(alert.soundType);
+            clean.soundLevel = number(alert.soundLevel);
+        } else if (alert.type === 'tamper') {
+            clean.tamperType = text(alert.tamperType);
+            clean.description = text(alert.description);
+            clean.priority = 'high';
+        }
+        if (Array.isArray(alert.deliveryFailures)) {
+            clean.deliveryFailures = alert.deliveryFailures
+                .filter(failure => failure && typeof failure === 'object')
+                .map(failure => ({
+                    sinkName: text(failure.sinkName, ''),
+                    attempts: number(failure.attempts) || 0,
+                    error: text(failure.error)
+                }));
+        }
+        if (clean.labels === undefined) delete clean.labels;
+        return clean;
+    }
+
+    // Fold one relay message into the hub state (mutates and returns it).
+    // Camera messages carry `from` (and `name` once known).
+    function applyMessage(state, message, now = new Date()) {
+        if (message.type === 'cameras') {
+            (Array.isArray(message.cameras) ? message.cameras : []).forEach(info => {
+                if (!info || !isValidId(info.cameraId)) return;
+                const camera = getCamera(state, info.cameraId, text(info.name));
+                camera.name = text(info.name) || camera.name;
+                camera.online = true;
+            });
+            return state;
+        }
+
+        if (message.type === 'camera-left') {
+            if (isValidId(message.cameraId) && state.cameras[message.cameraId]) {
+                state.cameras[message.cameraId].online = false;
+            }
+            return state;
+        }
+
+        if (!isValidId(message.from)) return state;
+
+        const camera = getCamera(state, message.from, text(message.name));
+        camera.online = true;
+        camera.lastSeen = now.toISOString();
+        if (text(message.name)) camera.name = text(message.name);
+
+        switch (message.type) {
+            case 'status':
+                camera.active = !!message.active;
+                camera.armingMode = ARMING_MODES.includes(message.armingMode) ? message.armingMode : 'disarmed';
+                camera.nightMode = !!message.nightMode;
+                break;
+            case 'motion':
+                camera.motionLevel = number(message.level);
+                break;
+            case 'frame':
+                // Only inline JPEG/PNG/WebP snapshots, never other URLs
+                camera.frame = typeof message.image === 'string' && /^data:image\/(jpeg|png|webp);base64,/.test(message.image)
+                    ? message.image
+                    : null;
+                break;
+            case 'alerts':
+                // Full history from a camera that just (re)joined
+                camera.alerts = (Array.isArray(message.alerts) ? message.alerts : [])
+                    .map(alert => sanitizeAlert(alert, camera))
+                    .filter(Boolean)
+                    .slice(0, MAX_ALERTS_PER_CAMERA);
+                break;
+            case 'alert': {
+                const alert = sanitizeAlert(message.alert, camera);
+                if (alert && !camera.alerts.some(a => a.id === alert.id)) {
+                    camera.alerts.unshift(alert);
+                    camera.alerts = camera.alerts.slice(0, MAX_ALERTS_PER_CAMERA);
+                }
+                break;
+            }
+        }
+
+        return state;
+    }
+
+    // Alerts from every camera, newest first
+    function getMergedAlerts(state) {
+        return Object.values(state.cameras)
+            .reduce((all, camera) => all.concat(camera.alerts), [])
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    function getCameras(state) {
+        return Object.values(state.cameras).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    const HubLink = {
+        ROLES,
+        createRelayTransport,
+        createHubState,
+        isValidId,
+        sanitizeAlert,
+        applyMessage,
+        getMergedAlerts,
+        getCameras
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HubLink;
+    } else {
+        global.HubLink = HubLink;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,152 @@
+// Incidents - groups bursts of alerts and captures into single events
+(function (global) {
+    const DEFAULT_GAP = 60; // Seconds of quiet that end an incident
+
+    // Tampering is tracked apart from motion and sound, so a person walking
+    // past does not hide a covered lens in the same incident
+    function kindOf(type) {
+        return type === 'tamper' ? 'tamper' : 'activity';
+    }
+
+    function createId() {
+        return `incident_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function time(item) {
+        return new Date(item.timestamp).getTime();
+    }
+
+    function level(item) {
+        const value = parseFloat(item.motionLevel);
+        return isNaN(value) ? null : value;
+    }
+
+    // Hands out incident ids to triggers as they happen. A trigger within
+    // `gap` seconds of the last one of the same kind joins its incident.
+    function createTracker(options = {}) {
+        let gap = options.gap !== undefined ? options.gap : DEFAULT_GAP;
+        const current = {}; // kind -> { id, last }
+
+        function configure(next = {}) {
+            if (next.gap !== undefined) gap = next.gap;
+        }
+
+        function reset() {
+            Object.keys(current).forEach(kind => delete current[kind]);
+        }
+
+        function track(type, now = Date.now()) {
+            const kind = kindOf(type);
+            const open = current[kind];
+            if (open && now - open.last <= gap * 1000) {
+                open.last = now;
+                return { id: open.id, isNew: false };
+            }
+            current[kind] = { id: createId(), last: now };
+            return { id: current[kind].id, isNew: true };
+        }
+
+        return { configure, reset, track };
+    }
+
+    function summarize(incident) {
+        const { alerts, captures } = incident;
+        const times = alerts.map(time);
+        const levels = alerts.map(level).filter(value => value !== null);
+        const sounds = alerts.map(alert => alert.soundLevel).filter(value => typeof value === 'number');
+
+        incident.start = new Date(Math.min(...times)).toISOString();
+        incident.end = new Date(Math.max(...times)).toISOString();
+        incident.count = alerts.length;
+        incident.types = [...new Set(alerts.map(alert => alert.type || 'motion'))];
+        incident.peakLevel = levels.length > 0 ? Math.max(...levels) : null;
+        incident.peakSound = sounds.length > 0 ? Math.max(...sounds) : null;
+        incident.zones = [...new Set(alerts.map(alert => alert.zone).filter(Boolean))];
+        incident.labels = [...new Set([].concat(...alerts.map(alert => alert.labels || [])))];
+        incident.unread = alerts.filter(alert => !alert.read).length;
+        incident.read = incident.unread === 0;
+        incident.nightMode = alerts.some(alert => alert.nightMode);
+
+        // Newest first, like the alert list
+        alerts.sort((a, b) => time(b) - time(a));
+        captures.sort((a, b) => time(b) - time(a));
+
+        // The frame with the most motion stands for the incident; stills
+        // are preferred over clips, which only have a poster
+        incident.bestCapture = captures.reduce((best, capture) => {
+            if (!best) return capture;
+            if ((capture.type === 'clip') !== (best.type === 'clip')) return capture.type === 'clip' ? best : capture;
+            return (level(capture) || 0) > (level(best) || 0) ? capture : best;
+        }, null);
+        return incident;
+    }
+
+    // Alerts stamped with an incident id are grouped by it. Older alerts
+    // without one are grouped by time: same camera and kind, at most `gap`
+    // seconds apart. Captures join the incident they were taken for, or
+    // the one holding the alert they are linked to.
+    function buildIncidents(alerts, captures = [], options = {}) {
+        const gap = (options.gap !== undefined ? options.gap : DEFAULT_GAP) * 1000;
+        const byId = new Map();
+        const byAlert = new Map(); // alert id -> incident
+        const incidents = [];
+        const open = {}; // `${cameraId}:${kind}` -> latest incident of alerts without an id
+
+        [...alerts].sort((a, b) => time(a) - time(b)).forEach(alert => {
+            const kind = kindOf(alert.type);
+            let incident;
+
+            if (alert.incidentId) {
+                const key = `${alert.cameraId || ''}:${alert.incidentId}`;
+                incident = byId.get(key);
+                if (!incident) {
+                    incident = { id: alert.incidentId, key, kind, alerts: [], captures: [] };
+                    byId.set(key, incident);
+                    incidents.push(incident);
+                }
+            } else {
+                const openKey = `${alert.cameraId || ''}:${kind}`;
+                incident = open[openKey];
+                if (!incident || time(alert) - incident.last > gap) {
+                    incident = { id: `alert_${alert.id}`, key: `${alert.cameraId || ''}:alert_${alert.id}`, kind, alerts: [], captures: [] };
+                    open[openKey] = incident;
+                    incidents.push(incident);
+                }
+            }
+
+            if (!incident.cameraId) {
+                incident.cameraId = alert.cameraId || null;
+                incident.cameraName = alert.cameraName || '';
+            }
+            incident.last = time(alert);
+            incident.alerts.push(alert);
+            byAlert.set(alert.id, incident);
+        });
+
+        captures.forEach(capture => {
+            const incident = (capture.incidentId && byId.get(`${capture.cameraId || ''}:${capture.incidentId}`)) ||
+                byAlert.get(capture.alertId);
+            if (incident) incident.captures.push(capture);
+        });
+
+        incidents.forEach(incident => {
+            delete incident.last;
+            summarize(incident);
+        });
+        return incidents.sort((a, b) => new Date(b.end) - new Date(a.end));
+    }
+
+    const Incidents = {
+        DEFAULT_GAP,
+        kindOf,
+        createId,
+        createTracker,
+        buildIncidents
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Incidents;
+    } else {
+        global.Incidents = Incidents;
+    }
+})(typeof self !== 'undefined' ? self : this);
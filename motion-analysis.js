@@ -0,0 +1,478 @@
+// Motion Analysis - DOM-free frame differencing shared by the worker and the main thread
+(function (global) {
+    const Zones = typeof module !== 'undefined' && module.exports
+        ? require('./zones.js')
+        : global.MotionZones;
+
+    const ALGORITHMS = ['simple', 'background'];
+    const MIN_VARIANCE = 16;      // Floor for per-pixel noise (std dev of 4 levels)
+    const VARIANCE_FACTOR = 2.5;  // Std devs a pixel must move to count as foreground
+    const FOREGROUND_RATE = 0.1;  // Relative learning rate for foreground pixels
+    const BRIGHTNESS_STRIDE = 16; // Sample every 16th pixel when measuring brightness
+    const SCENE_STEP = 2;         // Sample every 2nd row and column for scene measurements
+    const SIGNATURE_COLS = 8;     // Coarse luminance grid used to notice the camera moving
+    const SIGNATURE_ROWS = 6;
+
+    // Convert the 1-100 sensitivity slider to a 0-255 per-pixel difference
+    function sensitivityToThreshold(sensitivity) {
+        return (100 - sensitivity) * 2.55;
+    }
+
+    // Compare two RGBA frames of equal size. Pixels whose zone index is
+    // negative are skipped. Returns a 0/1 mask of changed pixels.
+    function diffFrames(current, previous, options) {
+        const pixelCount = current.length / 4;
+        const zoneMap = options.zoneMap || null;
+        const threshold = options.threshold;
+
+        const mask = new Uint8Array(pixelCount);
+
+        for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+            if (zoneMap && zoneMap[p] < 0) continue;
+
+            const rDiff = Math.abs(current[i] - previous[i]);
+            const gDiff = Math.abs(current[i + 1] - previous[i + 1]);
+            const bDiff = Math.abs(current[i + 2] - previous[i + 2]);
+
+            if ((rDiff + gDiff + bDiff) / 3 > threshold) {
+                mask[p] = 1;
+            }
+        }
+
+        return mask;
+    }
+
+    function toLuminance(frame, out) {
+        const pixelCount = frame.length / 4;
+        const luma = out || new Float32Array(pixelCount);
+        for (let p = 0, i = 0; p < pixelCount; p++, i += 4) {
+            luma[p] = 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+        }
+        return luma;
+    }
+
+    // Same as diffFrames, on single-channel luminance frames. Used in night
+    // mode, where colour carries mostly sensor noise (or nothing, under IR).
+    function diffLuminance(current, previous, options) {
+        const pixelCount = current.length;
+        const zoneMap = options.zoneMap || null;
+        const threshold = options.threshold;
+
+        const mask = new Uint8Array(pixelCount);
+
+        for (let p = 0; p < pixelCount; p++) {
+            if (zoneMap && zoneMap[p] < 0) continue;
+            if (Math.abs(current[p] - previous[p]) > threshold) {
+                mask[p] = 1;
+            }
+        }
+
+        return mask;
+    }
+
+    // Mean scene luminance (0-255) from a sample of an RGBA frame
+    function measureBrightness(frame, stride = BRIGHTNESS_STRIDE) {
+        const step = stride * 4;
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < frame.length; i += step) {
+            sum += 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    }
+
+    // What the tamper checks need from a frame: contrast (luminance standard
+    // deviation), sharpness (mean absolute Laplacian, drops when the image is
+    // out of focus or smeared) and a coarse grid of mean luminance with the
+    // overall brightness removed, so a moved camera stands out from a
+    // lighting change
+    function measureScene(frame, width, height, step = SCENE_STEP) {
+        const luma = (x, y) => {
+            const i = (y * width + x) * 4;
+            return 0.299 * frame[i] + 0.587 * frame[i + 1] + 0.114 * frame[i + 2];
+        };
+
+        const cells = SIGNATURE_COLS * SIGNATURE_ROWS;
+        const cellSums = new Float64Array(cells);
+        const cellCounts = new Uint32Array(cells);
+        let sum = 0;
+        let sumSquares = 0;
+        let laplacian = 0;
+        let count = 0;
+
+        for (let y = step; y < height - step; y += step) {
+            const row = Math.min(SIGNATURE_ROWS - 1, Math.floor(y * SIGNATURE_ROWS / height));
+            for (let x = step; x < width - step; x += step) {
+                const value = luma(x, y);
+                sum += value;
+                sumSquares += value * value;
+                laplacian += Math.abs(4 * value - luma(x - step, y) - luma(x + step, y) -
+                    luma(x, y - step) - luma(x, y + step));
+                count++;
+
+                const cell = row * SIGNATURE_COLS + Math.min(SIGNATURE_COLS - 1, Math.floor(x * SIGNATURE_COLS / width));
+                cellSums[cell] += value;
+                cellCounts[cell]++;
+            }
+        }
+
+        if (count === 0) {
+            return { contrast: 0, sharpness: 0, signature: new Array(cells).fill(0) };
+        }
+
+        const mean = sum / count;
+        const signature = [];
+        for (let c = 0; c < cells; c++) {
+            signature.push(cellCounts[c] > 0 ? Math.round(cellSums[c] / cellCounts[c] - mean) : 0);
+        }
+
+        return {
+            contrast: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+            sharpness: laplacian / count,
+            signature
+        };
+    }
+
+    // Running mean of the last `size` luminance frames. Averaging a few
+    // frames cancels most of the grain a sensor produces in low light.
+    function createFrameAverager(size) {
+        let frames = [];
+        let sum = null;
+
+        function add(luma) {
+            if (!sum || sum.length !== luma.length) {
+                frames = [];
+                sum = new Float32Array(luma.length);
+            }
+
+            frames.push(luma);
+            for (let p = 0; p < luma.length; p++) sum[p] += luma[p];
+
+            if (frames.length > size) {
+                const oldest = frames.shift();
+                for (let p = 0; p < oldest.length; p++) sum[p] -= oldest[p];
+            }
+
+            const average = new Float32Array(sum.length);
+            for (let p = 0; p < sum.length; p++) average[p] = sum[p] / frames.length;
+            return average;
+        }
+
+        function reset() {
+            frames = [];
+            sum = null;
+        }
+
+        return { add, reset };
+    }
+
+    // Exponential running-average background with a per-pixel variance
+    function createBackgroundModel(luma) {
+        return {
+            mean: Float32Array.from(luma),
+            variance: new Float32Array(luma.length).fill(MIN_VARIANCE)
+        };
+    }
+
+    // Classify pixels against the background model and update it in place.
+    // The threshold adapts per pixel to how noisy it has been, and the mean
+    // brightness shift of the scene is discounted so gradual lighting changes
+    // (sunrise, clouds) do not register as motion.
+    function subtractBackground(luma, model, options) {
+        const pixelCount = luma.length;
+        const zoneMap = options.zoneMap || null;
+        const learningRate = options.learningRate;
+        const { mean, variance } = model;
+
+        let shiftSum = 0;
+        let shiftCount = 0;
+        for (let p = 0; p < pixelCount; p++) {
+            if (zoneMap && zoneMap[p] < 0) continue;
+            shiftSum += luma[p] - mean[p];
+            shiftCount++;
+        }
+        const shift = shiftCount > 0 ? shiftSum / shiftCount : 0;
+
+        const mask = new Uint8Array(pixelCount);
+
+        for (let p = 0; p < pixelCount; p++) {
+            const delta = luma[p] - mean[p] - shift;
+            const threshold = Math.max(options.threshold, VARIANCE_FACTOR * Math.sqrt(variance[p]));
+            const foreground = Math.abs(delta) > threshold;
+
+            if (foreground && !(zoneMap && zoneMap[p] < 0)) {
+                mask[p] = 1;
+            }
+
+            // Foreground pixels are absorbed slowly so slow-moving objects
+            // stay visible, while parked objects eventually become background
+            const rate = foreground ? learningRate * FOREGROUND_RATE : learningRate;
+            mean[p] += rate * (luma[p] - mean[p]);
+            variance[p] = Math.max(MIN_VARIANCE, variance[p] + rate * (delta * delta - variance[p]));
+        }
+
+        return mask;
+    }
+
+    // 3x3 morphological erosion - a pixel survives only if all neighbours are set
+    function erode(mask, width, height) {
+        const out = new Uint8Array(mask.length);
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const p = y * width + x;
+                if (!mask[p]) continue;
+                if (mask[p - width - 1] && mask[p - width] && mask[p - width + 1] &&
+                    mask[p - 1] && mask[p + 1] &&
+                    mask[p + width - 1] && mask[p + width] && mask[p + width + 1]) {
+                    out[p] = 1;
+                }
+            }
+        }
+        return out;
+    }
+
+    // 3x3 morphological dilation - a pixel is set if any neighbour is set
+    function dilate(mask, width, height) {
+        const out = new Uint8Array(mask.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!mask[y * width + x]) continue;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx >= 0 && nx < width) out[ny * width + nx] = 1;
+                    }
+                }
+            }
+        }
+        return out;
+    }
+
+    // Clear 4-connected blobs smaller than `minSize` pixels (in place)
+    function removeSmallBlobs(mask, width, height, minSize) {
+        if (minSize <= 1) return mask;
+
+        const visited = new Uint8Array(mask.length);
+        const stack = new Int32Array(mask.length);
+        const blob = new Int32Array(mask.length);
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || visited[start]) continue;
+
+            let stackSize = 0;
+            let blobSize = 0;
+            stack[stackSize++] = start;
+            visited[start] = 1;
+
+            while (stackSize > 0) {
+                const p = stack[--stackSize];
+                blob[blobSize++] = p;
+                const x = p % width;
+
+                const neighbours = [
+                    x > 0 ? p - 1 : -1,
+                    x < width - 1 ? p + 1 : -1,
+                    p - width,
+                    p + width
+                ];
+                for (const n of neighbours) {
+                    if (n >= 0 && n < mask.length && mask[n] && !visited[n]) {
+                        visited[n] = 1;
+                        stack[stackSize++] = n;
+                    }
+                }
+            }
+
+            if (blobSize < minSize) {
+                for (let i = 0; i < blobSize; i++) mask[blob[i]] = 0;
+            }
+        }
+
+        return mask;
+    }
+
+    // Opening (erode then dilate) removes speckle, then tiny blobs are dropped.
+    // Pixels outside the monitored zones are cleared again after dilation.
+    function suppressNoise(mask, width, height, options) {
+        const filtered = dilate(erode(mask, width, height), width, height);
+        if (options.zoneMap) {
+            for (let p = 0; p < filtered.length; p++) {
+                if (options.zoneMap[p] < 0) filtered[p] = 0;
+            }
+        }
+        return removeSmallBlobs(filtered, width, height, options.minBlobSize);
+    }
+
+    function countByZone(mask, zoneMap, zoneCount) {
+        const changedCounts = new Array(zoneCount).fill(0);
+        for (let p = 0; p < mask.length; p++) {
+            if (mask[p]) changedCounts[zoneMap ? zoneMap[p] : 0]++;
+        }
+        return changedCounts;
+    }
+
+    // Stateful analyzer: feed it consecutive RGBA frames at the configured
+    // analysis resolution and it reports motion against the previous frame
+    // ('simple') or a learned background ('background').
+    function createMotionAnalyzer(initialSettings) {
+        const settings = {
+            width: 0,
+            height: 0,
+            sensitivity: 30,
+            zones: [],
+            algorithm: 'simple',
+            learningRate: 0.05,
+            noiseSuppression: false,
+            minBlobPercent: 0.1,
+            nightMode: false,
+            averageFrames: 4,
+            measureScene: false // Adds contrast/sharpness/signature for tamper detection
+        };
+        let zoneMask = null;
+        let previous = null;
+        let background = null;
+        let averager = createFrameAverager(settings.averageFrames);
+
+        function configure(next) {
+            if (!next) return;
+
+            const resized = (next.width !== undefined && next.width !== settings.width) ||
+                (next.height !== undefined && next.height !== settings.height);
+            const algorithmChanged = (next.algorithm !== undefined && next.algorithm !== settings.algorithm) ||
+                (next.nightMode !== undefined && next.nightMode !== settings.nightMode);
+
+            if (next.averageFrames !== undefined && next.averageFrames !== settings.averageFrames) {
+                averager = createFrameAverager(next.averageFrames);
+            }
+
+            Object.keys(settings).forEach(key => {
+                if (next[key] !== undefined) settings[key] = next[key];
+            });
+
+            if (resized || algorithmChanged) {
+                reset();
+            }
+            if (resized || next.zones !== undefined) {
+                zoneMask = null;
+            }
+        }
+
+        function reset() {
+            previous = null;
+            background = null;
+            averager.reset();
+        }
+
+        // In 'simple' mode the analyzer keeps a reference to `frame` as the
+        // next reference frame, so callers must not reuse the buffer.
+        function process(frame) {
+            const { width, height } = settings;
+            if (!width || !height || frame.length !== width * height * 4) {
+                throw new Error(`Frame does not match analysis size ${width}x${height}`);
+            }
+
+            if (!zoneMask) {
+                zoneMask = Zones.buildMask(settings.zones, width, height);
+            }
+
+            const threshold = sensitivityToThreshold(settings.sensitivity);
+            const brightness = measureBrightness(frame);
+            let mask = null;
+
+            // Night mode compares averaged grayscale frames
+            const luma = settings.nightMode
+                ? averager.add(toLuminance(frame))
+                : (settings.algorithm === 'background' ? toLuminance(frame) : null);
+
+            if (settings.algorithm === 'background') {
+                if (background) {
+                    mask = subtractBackground(luma, background, {
+                        threshold,
+                        learningRate: settings.learningRate,
+                        zoneMap: zoneMask.map
+                    });
+                } else {
+                    background = createBackgroundModel(luma);
+                }
+            } else if (settings.nightMode) {
+                if (previous) {
+                    mask = diffLuminance(luma, previous, { threshold, zoneMap: zoneMask.map });
+                }
+                previous = luma;
+            } else {
+                if (previous) {
+                    mask = diffFrames(frame, previous, { threshold, zoneMap: zoneMask.map });
+                }
+                previous = frame;
+            }
+
+            if (!mask) return null;
+
+            if (settings.noiseSuppression) {
+                mask = suppressNoise(mask, width, height, {
+                    zoneMap: zoneMask.map,
+                    minBlobSize: Math.ceil(width * height * settings.minBlobPercent / 100)
+                });
+            }
+
+            const changedCounts = countByZone(mask, zoneMask.map, zoneMask.zones.length);
+            const summary = Zones.summarize(zoneMask, changedCounts);
+            const scene = settings.measureScene ? measureScene(frame, width, height) : null;
+
+            return {
+                width,
+                height,
+                percentage: summary.percentage,
+                zones: summary.zones,
+                peakZone: summary.peakZone,
+                brightness,
+                scene,
+                mask
+            };
+        }
+
+        configure(initialSettings);
+
+        return { configure, reset, process };
+    }
+
+    // Scale a video size down so its width is at most `maxWidth` (0 = full size)
+    function getAnalysisSize(videoWidth, videoHeight, maxWidth) {
+        if (!maxWidth || videoWidth <= maxWidth) {
+            return { width: videoWidth, height: videoHeight };
+        }
+        return {
+            width: maxWidth,
+            height: Math.max(1, Math.round(videoHeight * (maxWidth / videoWidth)))
+        };
+    }
+
+    const MotionAnalysis = {
+        ALGORITHMS,
+        sensitivityToThreshold,
+        diffFrames,
+        diffLuminance,
+        toLuminance,
+        measureBrightness,
+        measureScene,
+        createFrameAverager,
+        createBackgroundModel,
+        subtractBackground,
+        erode,
+        dilate,
+        removeSmallBlobs,
+        suppressNoise,
+        countByZone,
+        createMotionAnalyzer,
+        getAnalysisSize
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MotionAnalysis;
+    } else {
+        global.MotionAnalysis = MotionAnalysis;
+    }
+})(typeof self !== 'undefined' ? self : this);
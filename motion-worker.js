@@ -0,0 +1,50 @@
+// Motion Worker - runs frame analysis off the UI thread
+importScripts('zones.js', 'motion-analysis.js');
+
+const analyzer = MotionAnalysis.createMotionAnalyzer();
+let canvas = null;
+let context = null;
+
+function getFramePixels(message) {
+    // Raw RGBA pixels already scaled on the main thread
+    if (message.buffer) {
+        return new Uint8ClampedArray(message.buffer);
+    }
+
+    // ImageBitmap transfer - scale it down on an OffscreenCanvas
+    const { width, height } = message;
+    if (!canvas || canvas.width !== width || canvas.height !== height) {
+        canvas = new OffscreenCanvas(width, height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(message.bitmap, 0, 0, width, height);
+    message.bitmap.close();
+    return context.getImageData(0, 0, width, height).data;
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    try {
+        if (message.type === 'configure') {
+            analyzer.configure(message.settings);
+        } else if (message.type === 'reset') {
+            analyzer.reset();
+        } else if (message.type === 'frame') {
+            const result = analyzer.process(getFramePixels(message));
+            if (result) {
+                self.postMessage({ type: 'result', result }, [result.mask.buffer]);
+            } else {
+                self.postMessage({ type: 'result', result: null });
+            }
+        }
+    } catch (error) {
+        if (message.bitmap) message.bitmap.close();
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+self.postMessage({
+    type: 'ready',
+    offscreen: typeof OffscreenCanvas !== 'undefined'
+});
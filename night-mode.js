@@ -0,0 +1,77 @@
+// Night Mode - low-light switching and enhancement of captured frames
+(function (global) {
+    const DEFAULT_THRESHOLD = 40; // Mean luminance (0-255) below which the scene counts as dark
+    const HYSTERESIS = 10;        // Extra brightness needed to switch back, so dusk does not flap
+    const BRIGHTNESS_SMOOTHING = 0.1;
+    const TARGET_MEAN = 110;      // Mean luminance enhanced captures are lifted towards
+    const CLIP_PERCENT = 0.5;     // Histogram tails ignored when stretching levels
+
+    // Exponentially smoothed brightness, so a passing headlight does not count
+    function smoothBrightness(previous, brightness) {
+        if (previous === null || previous === undefined) return brightness;
+        return previous + (brightness - previous) * BRIGHTNESS_SMOOTHING;
+    }
+
+    // Whether auto night mode should be on, given whether it is on now
+    function shouldUseNightMode(active, brightness, threshold = DEFAULT_THRESHOLD) {
+        if (brightness === null || brightness === undefined) return active;
+        return active ? brightness < threshold + HYSTERESIS : brightness < threshold;
+    }
+
+    // Auto gain for a dark RGBA image, in place: stretch the luminance range
+    // between the clipped histogram ends to the full range, then lift the
+    // midtones with a gamma curve until the mean reaches TARGET_MEAN.
+    // Returns the applied { low, high, gamma }.
+    function enhanceLowLight(data) {
+        const pixelCount = data.length / 4;
+        if (pixelCount === 0) return { low: 0, high: 255, gamma: 1 };
+
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+        }
+
+        const clip = pixelCount * CLIP_PERCENT / 100;
+        let low = 0;
+        let high = 255;
+        for (let seen = 0; low < 255 && seen + histogram[low] <= clip; low++) seen += histogram[low];
+        for (let seen = 0; high > 0 && seen + histogram[high] <= clip; high--) seen += histogram[high];
+        if (high - low < 16) high = Math.min(255, low + 16);
+
+        // Mean after stretching, to pick the gamma
+        let sum = 0;
+        for (let v = 0; v < 256; v++) {
+            sum += histogram[v] * Math.min(1, Math.max(0, (v - low) / (high - low)));
+        }
+        const mean = Math.max(sum / pixelCount, 1 / 255);
+        const gamma = Math.min(1, Math.max(0.4, Math.log(TARGET_MEAN / 255) / Math.log(mean)));
+
+        const lut = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            const normalized = Math.min(1, Math.max(0, (v - low) / (high - low)));
+            lut[v] = Math.round(255 * Math.pow(normalized, gamma));
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = lut[data[i]];
+            data[i + 1] = lut[data[i + 1]];
+            data[i + 2] = lut[data[i + 2]];
+        }
+
+        return { low, high, gamma };
+    }
+
+    const NightMode = {
+        DEFAULT_THRESHOLD,
+        HYSTERESIS,
+        smoothBrightness,
+        shouldUseNightMode,
+        enhanceLowLight
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NightMode;
+    } else {
+        global.NightMode = NightMode;
+    }
+})(typeof self !== 'undefined' ? self : this);
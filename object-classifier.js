@@ -0,0 +1,179 @@
+// Object Classifier - labels motion captures as person / vehicle / animal
+(function (global) {
+    const CLASSES = ['person', 'vehicle', 'animal'];
+    const CLASS_LABELS = { person: 'Person', vehicle: 'Vehicle', animal: 'Animal' };
+    const OTHER = 'other'; // Motion where nothing was recognised
+    const DEFAULT_MIN_SCORE = 0.5;
+    const LOAD_TIMEOUT = 30000;
+    const CLASSIFY_TIMEOUT = 10000;
+
+    // COCO-SSD class names folded into the classes alerts care about
+    const COCO_CLASSES = {
+        person: 'person',
+        bicycle: 'vehicle',
+        car: 'vehicle',
+        motorcycle: 'vehicle',
+        bus: 'vehicle',
+        truck: 'vehicle',
+        train: 'vehicle',
+        bird: 'animal',
+        cat: 'animal',
+        dog: 'animal',
+        horse: 'animal',
+        sheep: 'animal',
+        cow: 'animal',
+        bear: 'animal'
+    };
+
+    const BOX_COLORS = { person: '#e74c3c', vehicle: '#4a90e2', animal: '#f39c12' };
+
+    // Model output ({ class, score, bbox: [x, y, w, h] } in pixels) to our
+    // detections, dropping unrelated classes and weak guesses, best first
+    function mapDetections(predictions, minScore = DEFAULT_MIN_SCORE) {
+        return (predictions || [])
+            .filter(p => COCO_CLASSES[p.class] && p.score >= minScore)
+            .map(p => ({
+                label: COCO_CLASSES[p.class],
+                source: p.class,
+                score: Math.round(p.score * 100) / 100,
+                box: p.bbox.map(v => Math.round(v))
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Distinct labels in CLASSES order, or ['other'] when nothing was found
+    function getLabels(detections) {
+        const found = CLASSES.filter(label => detections.some(d => d.label === label));
+        return found.length > 0 ? found : [OTHER];
+    }
+
+    // Title for an alert: 'Person', 'Person & Vehicle', or 'Motion'
+    function describe(labels) {
+        const known = (labels || []).filter(label => CLASS_LABELS[label]);
+        return known.length > 0 ? known.map(label => CLASS_LABELS[label]).join(' & ') : 'Motion';
+    }
+
+    // Unlabelled alerts (classifier off or unavailable) always pass
+    function matchesFilter(labels, allowed) {
+        if (!labels || labels.length === 0 || !allowed) return true;
+        return labels.some(label => allowed.includes(label));
+    }
+
+    function drawDetections(context, detections) {
+        context.save();
+        context.lineWidth = Math.max(2, Math.round(context.canvas.width / 320));
+        context.font = `${Math.max(14, Math.round(context.canvas.width / 50))}px sans-serif`;
+        context.textBaseline = 'top';
+
+        detections.forEach(({ label, score, box }) => {
+            const [x, y, width, height] = box;
+            const color = BOX_COLORS[label] || '#ffffff';
+            const text = `${CLASS_LABELS[label]} ${Math.round(score * 100)}%`;
+            const textHeight = parseInt(context.font) + 4;
+
+            context.strokeStyle = color;
+            context.strokeRect(x, y, width, height);
+
+            context.fillStyle = color;
+            context.fillRect(x, Math.max(0, y - textHeight), context.measureText(text).width + 8, textHeight);
+            context.fillStyle = 'white';
+            context.fillText(text, x + 4, Math.max(0, y - textHeight) + 2);
+        });
+
+        context.restore();
+    }
+
+    // Runs the model in classifier-worker.js so inference stays off the UI
+    // thread. load() rejects if the worker, WASM runtime or model weights
+    // cannot be loaded - callers fall back to plain motion alerts.
+    function createClassifier(options = {}) {
+        const workerUrl = options.workerUrl || 'classifier-worker.js';
+        let worker = null;
+        let nextId = 1;
+        const pending = new Map();
+
+        function request(message, transfer, timeout) {
+            return new Promise((resolve, reject) => {
+                const id = nextId++;
+                const timer = setTimeout(() => {
+                    pending.delete(id);
+                    reject(new Error('Classifier timed out'));
+                }, timeout);
+                pending.set(id, { resolve, reject, timer });
+                worker.postMessage({ ...message, id }, transfer || []);
+            });
+        }
+
+        function failAll(error) {
+            pending.forEach(({ reject, timer }) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            pending.clear();
+        }
+
+        const classifier = {
+            ready: false,
+
+            async load() {
+                worker = new Worker(workerUrl);
+                worker.onmessage = (e) => {
+                    const { id, error, result } = e.data;
+                    const entry = pending.get(id);
+                    if (!entry) return;
+                    pending.delete(id);
+                    clearTimeout(entry.timer);
+                    if (error) entry.reject(new Error(error));
+                    else entry.resolve(result);
+                };
+                worker.onerror = (e) => {
+                    e.preventDefault();
+                    classifier.ready = false;
+                    failAll(new Error(e.message || 'Classifier worker failed'));
+                };
+
+                const info = await request({ type: 'load', modelUrl: options.modelUrl }, null, LOAD_TIMEOUT);
+                classifier.ready = true;
+                return info;
+            },
+
+            // Takes (and closes) an ImageBitmap; resolves to mapped detections
+            async classify(bitmap, minScore = DEFAULT_MIN_SCORE) {
+                if (!classifier.ready) {
+                    bitmap.close();
+                    throw new Error('Classifier not loaded');
+                }
+                const predictions = await request({ type: 'classify', bitmap }, [bitmap], CLASSIFY_TIMEOUT);
+                return mapDetections(predictions, minScore);
+            },
+
+            close() {
+                classifier.ready = false;
+                failAll(new Error('Classifier closed'));
+                if (worker) worker.terminate();
+                worker = null;
+            }
+        };
+
+        return classifier;
+    }
+
+    const ObjectClassifier = {
+        CLASSES,
+        CLASS_LABELS,
+        OTHER,
+        DEFAULT_MIN_SCORE,
+        mapDetections,
+        getLabels,
+        describe,
+        matchesFilter,
+        drawDetections,
+        createClassifier
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ObjectClassifier;
+    } else {
+        global.ObjectClassifier = ObjectClassifier;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,382 @@
+// QR Code - byte-mode QR encoder (ISO/IEC 18004) for showing pairing codes on screen
+(function (global) {
+    const ECC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+    const FORMAT_BITS = [1, 0, 3, 2]; // L, M, Q, H as encoded in the format information
+
+    // Indexed by [level][version]
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, level) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    // GF(2^8) multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z & 0xff;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // Mode indicator, length and data, terminated and padded to capacity
+    function buildDataCodewords(bytes, version, level) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // Byte mode
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = getNumDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Split into blocks, append error correction and interleave
+    function addErrorCorrection(data, version, level) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(k, k + length);
+            k += length;
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder, skipped when interleaving
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = [];
+        const isFunction = [];
+        for (let y = 0; y < size; y++) {
+            modules.push(new Array(size).fill(false));
+            isFunction.push(new Array(size).fill(false));
+        }
+
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap finders
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Version information
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, dark);
+                setFunction(b, a, dark);
+            }
+        }
+
+        // Reserve the format areas; the bits are drawn once the mask is known
+        drawFormatBits({ size, modules, isFunction }, 0, 0);
+
+        return { size, modules, isFunction };
+    }
+
+    function drawFormatBits(matrix, level, mask) {
+        const { size, modules, isFunction } = matrix;
+        const data = (FORMAT_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // Always-dark module
+    }
+
+    // Place codewords in the zig-zag order, two columns at a time
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, isFunction } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(matrix, mask) {
+        const { size, modules, isFunction } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Standard penalty rules; the lowest-scoring mask is the easiest to scan
+    function getPenalty(matrix) {
+        const { size, modules } = matrix;
+        let penalty = 0;
+        let dark = 0;
+
+        const line = (get) => {
+            let score = 0;
+            let runColor = null;
+            let runLength = 0;
+            const bits = [];
+            for (let i = 0; i < size; i++) {
+                const value = get(i);
+                bits.push(value ? 1 : 0);
+                if (value === runColor) {
+                    runLength++;
+                    if (runLength === 5) score += 3;
+                    else if (runLength > 5) score++;
+                } else {
+                    runColor = value;
+                    runLength = 1;
+                }
+            }
+            // Finder-like 1:1:3:1:1 runs next to four light modules
+            const text = '0000' + bits.join('') + '0000';
+            ['00001011101', '10111010000'].forEach(pattern => {
+                for (let from = text.indexOf(pattern); from !== -1; from = text.indexOf(pattern, from + 1)) {
+                    score += 40;
+                }
+            });
+            return score;
+        };
+
+        for (let i = 0; i < size; i++) {
+            penalty += line(x => modules[i][x]);
+            penalty += line(y => modules[y][i]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    }
+
+    function toBytes(data) {
+        if (typeof data === 'string') return Array.from(new TextEncoder().encode(data));
+        return Array.from(data);
+    }
+
+    // Encode text (UTF-8) or bytes. Picks the smallest version that fits and
+    // returns { version, size, modules } where modules[y][x] is true for dark.
+    function encode(data, options = {}) {
+        const level = ECC_LEVELS[options.level || 'L'];
+        if (level === undefined) throw new Error('Unknown error correction level');
+        const bytes = toBytes(data);
+
+        let version = 1;
+        for (; version <= 40; version++) {
+            const headerBits = 4 + (version <= 9 ? 8 : 16);
+            if (headerBits + bytes.length * 8 <= getNumDataCodewords(version, level) * 8) break;
+        }
+        if (version > 40) {
+            throw new Error('Data too long for a QR code');
+        }
+
+        const codewords = addErrorCorrection(buildDataCodewords(bytes, version, level), version, level);
+        const matrix = createMatrix(version);
+        drawCodewords(matrix, codewords);
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, level, mask);
+            const penalty = getPenalty(matrix);
+            if (penalty < bestPenalty) {
+                bestPenalty = penalty;
+                bestMask = mask;
+            }
+            applyMask(matrix, mask); // XOR again to undo
+        }
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, level, bestMask);
+
+        return { version, size: matrix.size, modules: matrix.modules };
+    }
+
+    const QRCode = {
+        ECC_LEVELS,
+        encode
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QRCode;
+    } else {
+        global.QRCode = QRCode;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,201 @@
+// Remote Link - peer-to-peer viewer connection over WebRTC with copy-paste signaling
+(function (global) {
+    const SIGNAL_PREFIX = 'MSC1';
+    const ICE_GATHER_TIMEOUT = 5000;
+    const COMMANDS = ['arm', 'disarm', 'capture'];
+    const MESSAGE_TYPES = ['status', 'motion', 'alert', 'command', 'result'];
+
+    function toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function transform(bytes, stream) {
+        const piped = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(piped).arrayBuffer());
+    }
+
+    // Session descriptions become one line of text (compressed when the
+    // browser can) short enough to paste into a chat or fit in a QR code:
+    // 'MSC1z:<base64url deflate>' or 'MSC1j:<base64url JSON>'
+    async function encodeSignal(description) {
+        const json = new TextEncoder().encode(JSON.stringify({ type: description.type, sdp: description.sdp }));
+        if (typeof CompressionStream !== 'undefined') {
+            return `${SIGNAL_PREFIX}z:` + toBase64Url(await transform(json, new CompressionStream('deflate-raw')));
+        }
+        return `${SIGNAL_PREFIX}j:` + toBase64Url(json);
+    }
+
+    function isSignal(text) {
+        return typeof text === 'string' && /^MSC1[zj]:[A-Za-z0-9_-]+$/.test(text.trim());
+    }
+
+    async function decodeSignal(text) {
+        const value = (text || '').replace(/\s+/g, '');
+        if (!isSignal(value)) {
+            throw new Error('Not a pairing code');
+        }
+
+        let bytes = fromBase64Url(value.slice(SIGNAL_PREFIX.length + 2));
+        if (value[SIGNAL_PREFIX.length] === 'z') {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed pairing codes');
+            }
+            bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+        }
+
+        const description = JSON.parse(new TextDecoder().decode(bytes));
+        if (!description || !['offer', 'answer'].includes(description.type) || typeof description.sdp !== 'string') {
+            throw new Error('Invalid pairing code');
+        }
+        return description;
+    }
+
+    // Messages on the control channel are JSON objects with a known `type`
+    function parseMessage(text) {
+        try {
+            const message = JSON.parse(text);
+            if (!message || !MESSAGE_TYPES.includes(message.type)) return null;
+            if (message.type === 'command' && !COMMANDS.includes(message.command)) return null;
+            return message;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Without a signaling server there is no trickle ICE: wait until all
+    // candidates are in the local description before handing it over
+    function waitForIceGathering(pc, timeout = ICE_GATHER_TIMEOUT) {
+        if (pc.iceGatheringState === 'complete') return Promise.resolve();
+
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                pc.removeEventListener('icegatheringstatechange', check);
+                resolve();
+            };
+            const check = () => {
+                if (pc.iceGatheringState === 'complete') done();
+            };
+            const timer = setTimeout(done, timeout);
+            pc.addEventListener('icegatheringstatechange', check);
+        });
+    }
+
+    // One end of a camera <-> viewer connection. The viewer creates the
+    // offer (receive-only video plus a control channel), the camera answers
+    // with its stream.
+    class RemotePeer {
+        constructor(role, options = {}) {
+            this.role = role; // 'camera' | 'viewer'
+            this.id = Date.now() + Math.random();
+            this.channel = null;
+            this.onMessage = options.onMessage || (() => {});
+            this.onStateChange = options.onStateChange || (() => {});
+            this.onOpen = options.onOpen || (() => {});
+            this.onTrack = options.onTrack || (() => {});
+
+            this.pc = new RTCPeerConnection({ iceServers: options.iceServers || [] });
+            this.pc.addEventListener('connectionstatechange', () => this.onStateChange(this.pc.connectionState));
+            this.pc.addEventListener('track', (event) => {
+                this.onTrack(event.streams[0] || new MediaStream([event.track]));
+            });
+            this.pc.addEventListener('datachannel', (event) => this.bindChannel(event.channel));
+        }
+
+        get state() {
+            return this.pc.connectionState;
+        }
+
+        bindChannel(channel) {
+            this.channel = channel;
+            channel.addEventListener('open', () => this.onOpen());
+            channel.addEventListener('message', (event) => {
+                const message = parseMessage(event.data);
+                if (message) this.onMessage(message);
+            });
+        }
+
+        // Viewer: returns the offer code to show to the camera
+        async createOffer() {
+            this.bindChannel(this.pc.createDataChannel('control'));
+            this.pc.addTransceiver('video', { direction: 'recvonly' });
+
+            await this.pc.setLocalDescription(await this.pc.createOffer());
+            await waitForIceGathering(this.pc);
+            return encodeSignal(this.pc.localDescription);
+        }
+
+        // Camera: takes the viewer's offer code, returns the answer code
+        async acceptOffer(code, stream) {
+            const offer = await decodeSignal(code);
+            if (offer.type !== 'offer') {
+                throw new Error('That is an answer code - paste the offer from the viewer');
+            }
+
+            await this.pc.setRemoteDescription(offer);
+            if (stream) {
+                stream.getVideoTracks().forEach(track => this.pc.addTrack(track, stream));
+            }
+
+            await this.pc.setLocalDescription(await this.pc.createAnswer());
+            await waitForIceGathering(this.pc);
+            return encodeSignal(this.pc.localDescription);
+        }
+
+        // Viewer: completes the connection with the camera's answer code
+        async acceptAnswer(code) {
+            const answer = await decodeSignal(code);
+            if (answer.type !== 'answer') {
+                throw new Error('That is an offer code - paste the answer from the camera');
+            }
+            await this.pc.setRemoteDescription(answer);
+        }
+
+        send(message) {
+            if (this.channel && this.channel.readyState === 'open') {
+                this.channel.send(JSON.stringify(message));
+                return true;
+            }
+            return false;
+        }
+
+        // Camera: keep streaming after the local camera was switched
+        async replaceVideoTrack(track) {
+            const sender = this.pc.getSenders().find(s => !s.track || s.track.kind === 'video');
+            if (sender) {
+                await sender.replaceTrack(track);
+            }
+        }
+
+        close() {
+            if (this.channel) this.channel.close();
+            this.pc.close();
+        }
+    }
+
+    const RemoteLink = {
+        COMMANDS,
+        encodeSignal,
+        decodeSignal,
+        isSignal,
+        parseMessage,
+        waitForIceGathering,
+        RemotePeer
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RemoteLink;
+    } else {
+        global.RemoteLink = RemoteLink;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,106 @@
+// Service worker - caches the app shell so the camera keeps working offline
+const CACHE_NAME = 'motion-security-camera-v16';
+
+const ASSETS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.json',
+    'assets/file_000000007d6061fd901ccfe963c7d569.png',
+    'zones.js',
+    'motion-analysis.js',
+    'motion-worker.js',
+    'clip-recorder.js',
+    'vault.js',
+    'capture-store.js',
+    'date-range.js',
+    'zip.js',
+    'evidence-log.js',
+    'event-model.js',
+    'capture-query.js',
+    'arming-schedule.js',
+    'camera-devices.js',
+    'night-mode.js',
+    'tamper-detection.js',
+    'trigger-rules.js',
+    'incidents.js',
+    'camera-core.js',
+    'timeline.js',
+    'activity-stats.js',
+    'audio-detection.js',
+    'object-classifier.js',
+    'classifier-worker.js',
+    'webhooks.js',
+    'qr-code.js',
+    'remote-link.js',
+    'hub-link.js',
+    'app.js'
+];
+
+// Object classifier runtime and model, put in place by tools/fetch-model.js.
+// Cached when present; without them the app works with classification off.
+// The model's weight shards are cached by the fetch handler on first load.
+const MODEL_ASSETS = [
+    'vendor/tfjs/tf.min.js',
+    'vendor/tfjs/tf-backend-wasm.min.js',
+    'vendor/tfjs/tfjs-backend-wasm.wasm',
+    'vendor/tfjs/tfjs-backend-wasm-simd.wasm',
+    'vendor/tfjs/tfjs-backend-wasm-threaded-simd.wasm',
+    'vendor/coco-ssd/coco-ssd.min.js',
+    'models/coco-ssd/model.json'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(ASSETS)
+                .then(() => Promise.all(MODEL_ASSETS.map(url => cache.add(url).catch(() => null)))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve from the cache straight away and refresh it from the network in
+// the background, so an update is picked up on the next load
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+            const network = fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => null);
+
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+
+            const response = await network;
+            if (response) return response;
+
+            // Offline and not cached: fall back to the app shell for page loads
+            if (request.mode === 'navigate') {
+                return cache.match('index.html');
+            }
+            return Response.error();
+        })
+    );
+});
@@ -0,0 +1,166 @@
+// Tamper Detection - notices the camera being covered, blinded, defocused or moved
+(function (global) {
+    const TYPES = ['blackout', 'whiteout', 'blur', 'scene-shift', 'track-ended', 'track-muted'];
+    const TYPE_LABELS = {
+        blackout: 'Lens covered or blacked out',
+        whiteout: 'Lens blinded by bright light',
+        blur: 'Image out of focus or smeared',
+        'scene-shift': 'Camera moved or turned',
+        'track-ended': 'Video feed lost',
+        'track-muted': 'Video feed interrupted'
+    };
+
+    // How long a condition must last before it counts (ms), so a hand
+    // waved past the lens or a car's headlights do not raise an alarm
+    const HOLD_TIMES = {
+        blackout: 1500,
+        whiteout: 1500,
+        blur: 3000,
+        'scene-shift': 5000
+    };
+
+    const MUTE_HOLD_TIME = 3000;    // A muted video track this long counts as interrupted
+    const DARK_LEVEL = 20;          // Mean luminance of a covered lens
+    const BRIGHT_LEVEL = 230;       // Mean luminance of a blinded lens
+    const SUDDEN_CHANGE = 30;       // Brightness jump from the usual scene that makes it sudden
+    const FLAT_CONTRAST = 12;       // Luminance standard deviation of a featureless frame
+    const BLUR_RATIO = 0.35;        // Sharpness, relative to the usual scene, of a defocused image
+    const MIN_SHARPNESS = 2;        // Scenes below this are too flat to judge focus
+    const SHIFT_DISTANCE = 20;      // Mean signature difference of a different view
+    const BASELINE_RATE = 0.02;     // How fast the usual scene follows gradual change
+    const WARMUP_FRAMES = 10;
+
+    function signatureDistance(a, b) {
+        if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += Math.abs(a[i] - b[i]);
+        return sum / a.length;
+    }
+
+    function blend(previous, value, rate) {
+        return previous + (value - previous) * rate;
+    }
+
+    // Feed it one analysis result per frame ({ brightness, scene: { contrast,
+    // sharpness, signature } }). It learns what the scene usually looks like
+    // and returns a { type, details } event once a condition has held for its
+    // hold time; each condition fires once until it clears.
+    function createTamperDetector() {
+        let baseline = null;
+        let frames = 0;
+        const since = {};
+        const fired = {};
+
+        function reset() {
+            baseline = null;
+            frames = 0;
+            Object.keys(HOLD_TIMES).forEach(type => {
+                since[type] = null;
+                fired[type] = false;
+            });
+        }
+
+        function check(result) {
+            const { brightness } = result;
+            const { contrast, sharpness, signature } = result.scene;
+            const blackout = brightness < DARK_LEVEL && contrast < FLAT_CONTRAST &&
+                baseline.brightness - brightness > SUDDEN_CHANGE;
+            const whiteout = brightness > BRIGHT_LEVEL && contrast < FLAT_CONTRAST &&
+                brightness - baseline.brightness > SUDDEN_CHANGE;
+            return {
+                blackout,
+                whiteout,
+                // A featureless frame is reported as covered/blinded, not as blur
+                blur: !blackout && !whiteout && baseline.sharpness > MIN_SHARPNESS &&
+                    sharpness < baseline.sharpness * BLUR_RATIO,
+                'scene-shift': signatureDistance(signature, baseline.signature) > SHIFT_DISTANCE
+            };
+        }
+
+        function learn(result) {
+            const { contrast, sharpness, signature } = result.scene;
+            if (!baseline) {
+                baseline = { brightness: result.brightness, contrast, sharpness, signature: signature.slice() };
+                return;
+            }
+            // Learn quickly at first, then follow the scene slowly
+            const rate = frames < WARMUP_FRAMES ? 1 / (frames + 1) : BASELINE_RATE;
+            baseline.brightness = blend(baseline.brightness, result.brightness, rate);
+            baseline.contrast = blend(baseline.contrast, contrast, rate);
+            baseline.sharpness = blend(baseline.sharpness, sharpness, rate);
+            baseline.signature = baseline.signature.map((v, i) => blend(v, signature[i], rate));
+        }
+
+        function update(result, now = Date.now()) {
+            if (!result || !result.scene || typeof result.brightness !== 'number') return null;
+
+            frames++;
+            if (!baseline || frames <= WARMUP_FRAMES) {
+                learn(result);
+                return null;
+            }
+
+            const conditions = check(result);
+            let event = null;
+
+            Object.keys(HOLD_TIMES).forEach(type => {
+                if (!conditions[type]) {
+                    since[type] = null;
+                    fired[type] = false;
+                    return;
+                }
+                if (since[type] === null) since[type] = now;
+                if (!fired[type] && !event && now - since[type] >= HOLD_TIMES[type]) {
+                    fired[type] = true;
+                    event = {
+                        type,
+                        details: {
+                            brightness: Math.round(result.brightness),
+                            baselineBrightness: Math.round(baseline.brightness),
+                            sharpness: Math.round(result.scene.sharpness * 10) / 10,
+                            baselineSharpness: Math.round(baseline.sharpness * 10) / 10,
+                            shift: Math.round(signatureDistance(result.scene.signature, baseline.signature))
+                        }
+                    };
+                }
+            });
+
+            // Only a normal-looking frame teaches the baseline. A moved camera is
+            // accepted as the new view once reported, so it does not alarm forever.
+            if (!Object.values(conditions).some(Boolean)) {
+                learn(result);
+            } else if (event && event.type === 'scene-shift') {
+                baseline = null;
+                frames = 0;
+                learn(result);
+            }
+
+            return event;
+        }
+
+        // Covered, blinded or defocused right now (even if not yet reported):
+        // motion in such frames is the obstruction itself, not a real event
+        function isObstructed() {
+            return since.blackout !== null || since.whiteout !== null || since.blur !== null;
+        }
+
+        reset();
+
+        return { update, reset, isObstructed };
+    }
+
+    const TamperDetection = {
+        TYPES,
+        TYPE_LABELS,
+        HOLD_TIMES,
+        MUTE_HOLD_TIME,
+        signatureDistance,
+        createTamperDetector
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TamperDetection;
+    } else {
+        global.TamperDetection = TamperDetection;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,376 @@
+// Camera Core tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const CameraCore = require('../camera-core.js');
+
+const SIZE = 8;
+
+// A fresh RGBA frame of one grey level (the analyzer keeps the buffer)
+function frame(level) {
+    return new Uint8ClampedArray(SIZE * SIZE * 4).fill(level);
+}
+
+// A frame with the top `rows` rows white and the rest black
+function partFrame(rows) {
+    const pixels = frame(0);
+    pixels.fill(255, 0, rows * SIZE * 4);
+    return pixels;
+}
+
+function createCore(options = {}) {
+    let clock = 0;
+    const core = CameraCore.createCameraCore({ now: () => clock, ...options });
+    core.configure({ analysis: { width: SIZE, height: SIZE } });
+    return {
+        core,
+        setTime(time) {
+            clock = time;
+        }
+    };
+}
+
+test('arm and disarm report changes of state only', () => {
+    const { core } = createCore();
+    const events = [];
+    core.on('armed', mode => events.push(`armed:${mode}`));
+    core.on('disarmed', () => events.push('disarmed'));
+
+    assert.strictEqual(core.isArmed(), false);
+    assert.strictEqual(core.getArmingMode(), 'disarmed');
+
+    core.arm();
+    core.arm('away');
+    core.arm('home');
+    assert.strictEqual(core.isArmed(), true);
+    assert.strictEqual(core.getArmingMode(), 'home');
+
+    core.disarm();
+    core.disarm();
+    assert.strictEqual(core.isArmed(), false);
+    assert.deepStrictEqual(events, ['armed:away', 'armed:home', 'disarmed']);
+
+    assert.throws(() => core.arm('night'), /Unknown arming mode/);
+});
+
+test('on() rejects unknown events and returns an unsubscribe function', () => {
+    const { core } = createCore();
+    assert.throws(() => core.on('nope', () => {}), /Unknown event/);
+
+    let calls = 0;
+    const off = core.on('armed', () => calls++);
+    core.arm();
+    off();
+    core.disarm();
+    core.arm();
+    assert.strictEqual(calls, 1);
+});
+
+test('processFrame ignores frames while disarmed', () => {
+    const { core } = createCore();
+    let frames = 0;
+    core.on('frame', () => frames++);
+
+    assert.strictEqual(core.processFrame(frame(0)), null);
+    assert.strictEqual(core.processFrame(frame(255)), null);
+    assert.strictEqual(frames, 0);
+});
+
+test('processFrame reports motion from synthetic frames and fires a trigger', () => {
+    const { core, setTime } = createCore();
+    const results = [];
+    const motion = [];
+    const triggers = [];
+    core.on('frame', result => results.push(result));
+    core.on('motion', result => motion.push(result));
+    core.on('trigger', trigger => triggers.push(trigger));
+    core.arm();
+
+    // The first frame only sets the baseline
+    setTime(1000);
+    assert.strictEqual(core.processFrame(frame(0)), null);
+    assert.strictEqual(results.length, 0);
+
+    // A quarter of the picture changes
+    setTime(1100);
+    const trigger = core.processFrame(partFrame(SIZE / 4));
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].percentage, 25);
+    assert.strictEqual(results[0].mask.length, SIZE * SIZE);
+    assert.strictEqual(motion.length, 1);
+
+    assert.ok(trigger);
+    assert.deepStrictEqual(triggers, [trigger]);
+    assert.strictEqual(trigger.time, 1100);
+    assert.strictEqual(trigger.motionLevel, 25);
+    assert.strictEqual(trigger.zone, null);
+    assert.strictEqual(trigger.event.type, 'motion');
+    assert.deepStrictEqual(trigger.rules.map(rule => rule.id), ['default']);
+    assert.ok(trigger.incidentId);
+});
+
+test('processFrame does not trigger below the threshold', () => {
+    const { core, setTime } = createCore();
+    core.configure({ threshold: 50 });
+    let motion = 0;
+    core.on('motion', () => motion++);
+    core.arm();
+
+    core.processFrame(frame(0));
+    setTime(100);
+    assert.strictEqual(core.processFrame(partFrame(SIZE / 4)), null);
+    assert.strictEqual(motion, 0);
+});
+
+test('motion exactly at the threshold is neither reported nor triggers', () => {
+    const { core } = createCore();
+    core.configure({ threshold: 25 });
+    let motion = 0;
+    core.on('motion', () => motion++);
+    core.arm();
+
+    const result = level => ({ percentage: level, zones: [{ id: null, name: 'Full Frame', percentage: level }] });
+    assert.strictEqual(core.handleResult(result(25), 0), null);
+    assert.strictEqual(motion, 0);
+
+    assert.ok(core.handleResult(result(25.1), 100));
+    assert.strictEqual(motion, 1);
+});
+
+test('normalizeSettings keeps saved rules that listed the disarmed mode', () => {
+    const triggerRules = [{ id: 'r', name: 'R', conditions: { armingModes: ['home', 'disarmed'] }, actions: [{ type: 'alert' }] }];
+    const normalized = CameraCore.normalizeSettings({ triggerRules });
+    assert.deepStrictEqual(normalized.triggerRules[0].conditions.armingModes, ['home']);
+});
+
+test('processFrame rejects frames of the wrong size', () => {
+    const { core } = createCore();
+    core.arm();
+    assert.throws(() => core.processFrame(new Uint8ClampedArray(4)), /analysis size/);
+});
+
+test('rule cooldowns follow the injected clock', () => {
+    const { core, setTime } = createCore();
+    core.configure({ cooldown: 5000 });
+    core.arm();
+
+    // Alternating frames are all motion after the first
+    let level = 0;
+    const next = (time) => {
+        setTime(time);
+        level = 255 - level;
+        return core.processFrame(frame(level));
+    };
+
+    next(0);
+    assert.ok(next(1000), 'first motion fires');
+    assert.strictEqual(next(2000), null, 'inside the cooldown');
+    assert.strictEqual(next(5999), null, 'one millisecond short of the cooldown');
+    assert.ok(next(6000), 'fires once the cooldown has passed');
+});
+
+test('a rule with its own cooldown ignores the configured one', () => {
+    const rules = [{ id: 'quick', conditions: { events: ['motion'] }, cooldown: 1 }];
+    const { core } = createCore({ rules });
+    core.configure({ cooldown: 60000 });
+    core.arm();
+
+    const event = { percentage: 10, zones: [{ id: null, name: 'Full frame', percentage: 10 }] };
+    assert.ok(core.handleResult(event, 0));
+    assert.strictEqual(core.handleResult(event, 999), null);
+    assert.ok(core.handleResult(event, 1000));
+});
+
+test('sound and tamper reports are ignored while disarmed', () => {
+    const { core } = createCore();
+    assert.strictEqual(core.reportSound({ type: 'glass', db: -20, peakDb: -12 }), null);
+    assert.strictEqual(core.reportTamper('blackout'), null);
+});
+
+test('sound and tamper reports go through the rules', () => {
+    const { core, setTime } = createCore();
+    const tampers = [];
+    core.on('tamper', tamper => tampers.push(tamper));
+    core.arm();
+
+    setTime(500);
+    const sound = core.reportSound({ type: 'glass', db: -20, peakDb: -12 });
+    assert.ok(sound);
+    assert.strictEqual(sound.time, 500);
+    assert.deepStrictEqual(sound.sound, { type: 'glass', db: -20, peakDb: -12 });
+
+    const tamper = core.reportTamper('blackout', { brightness: 2 });
+    assert.ok(tamper);
+    assert.deepStrictEqual(tamper.rules.map(rule => rule.id), ['default-tamper']);
+    assert.deepStrictEqual(tampers, [{ type: 'blackout', details: { brightness: 2 } }]);
+});
+
+test('a failing listener goes to the error listeners and the rest still run', () => {
+    const { core } = createCore();
+    const errors = [];
+    let reached = false;
+    core.on('armed', () => {
+        throw new Error('listener failed');
+    });
+    core.on('armed', () => {
+        reached = true;
+    });
+    core.on('error', error => errors.push(error));
+
+    core.arm();
+    assert.strictEqual(reached, true);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].message, 'listener failed');
+});
+
+test('listener errors are logged when nothing handles them', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const { core } = createCore();
+    core.on('armed', () => {
+        throw new Error('unhandled');
+    });
+    core.on('error', () => {
+        throw new Error('error listener failed');
+    });
+
+    // The error listener's own failure is logged rather than emitted again
+    core.arm();
+    assert.strictEqual(logged.mock.calls.length, 1);
+    assert.strictEqual(logged.mock.calls[0].arguments[1].message, 'error listener failed');
+
+    const bare = CameraCore.createCameraCore();
+    bare.on('armed', () => {
+        throw new Error('no error listeners');
+    });
+    bare.arm();
+    assert.strictEqual(logged.mock.calls.length, 2);
+    assert.strictEqual(logged.mock.calls[1].arguments[1].message, 'no error listeners');
+});
+
+test('capture() needs a capture source and reports what it took', async () => {
+    const { core: bare } = createCore();
+    await assert.rejects(bare.capture(), /No capture source/);
+
+    const still = { id: 1, timestamp: '2024-05-01T10:00:00.000Z' };
+    const { core } = createCore({ capture: async details => ({ ...still, details }) });
+    const captured = [];
+    core.on('capture', capture => captured.push(capture));
+
+    const result = await core.capture({ reason: 'test' });
+    assert.deepStrictEqual(result, { ...still, details: { reason: 'test' } });
+    assert.deepStrictEqual(captured, [result]);
+});
+
+test('applyStoragePolicy keeps the newest captures within the count limit', () => {
+    const now = new Date(2024, 4, 10, 12).getTime();
+    const captures = [1, 2, 3, 4].map(id => ({ id, timestamp: new Date(now - id * 60000).toISOString() }));
+
+    const { kept, removed } = CameraCore.applyStoragePolicy(captures, { maxImages: 2 }, now);
+    assert.deepStrictEqual(kept.map(c => c.id), [1, 2]);
+    assert.deepStrictEqual(removed.map(c => c.id), [3, 4]);
+
+    const all = CameraCore.applyStoragePolicy(captures, {}, now);
+    assert.strictEqual(all.kept.length, 4);
+    assert.strictEqual(all.removed.length, 0);
+});
+
+test('applyStoragePolicy removes captures past the retention cutoff', () => {
+    const now = new Date(2024, 4, 10, 12).getTime();
+    const daysAgo = days => {
+        const date = new Date(now);
+        date.setDate(date.getDate() - days);
+        return date;
+    };
+    const captures = [
+        { id: 'new', timestamp: daysAgo(1).toISOString() },
+        { id: 'edge', timestamp: new Date(daysAgo(7).getTime() + 1).toISOString() },
+        { id: 'cutoff', timestamp: daysAgo(7).toISOString() },
+        { id: 'old', timestamp: daysAgo(30).toISOString() }
+    ];
+
+    const { kept, removed } = CameraCore.applyStoragePolicy(captures, { maxImages: 100, retentionDays: 7 }, now);
+    assert.deepStrictEqual(kept.map(c => c.id), ['new', 'edge']);
+    assert.deepStrictEqual(removed.map(c => c.id), ['cutoff', 'old']);
+
+    const limited = CameraCore.applyStoragePolicy(captures, { maxImages: 1, retentionDays: 7 }, now);
+    assert.deepStrictEqual(limited.kept.map(c => c.id), ['new']);
+});
+
+test('validateSettings reports the first value out of range', () => {
+    assert.strictEqual(CameraCore.validateSettings({}), null);
+    assert.strictEqual(CameraCore.validateSettings({ motionThreshold: 2, cooldownPeriod: '5', retentionDays: 30 }), null);
+    assert.strictEqual(CameraCore.validateSettings(null), 'Settings must be an object');
+
+    assert.strictEqual(CameraCore.validateSettings({ motionThreshold: 20 }), 'Motion threshold must be between 0.5 and 10');
+    assert.strictEqual(CameraCore.validateSettings({ maxImages: '' }), 'Maximum images must be between 10 and 500');
+    assert.strictEqual(CameraCore.validateSettings({ cooldownPeriod: 'soon' }), 'Cooldown period must be between 1 and 30');
+    assert.strictEqual(CameraCore.validateSettings({ detectionAlgorithm: 'magic' }), 'Unknown detection algorithm "magic"');
+    assert.ok(CameraCore.validateSettings({ triggerRules: 'not rules' }));
+});
+
+test('normalizeSettings drops only the invalid fields', () => {
+    const normalized = CameraCore.normalizeSettings({
+        motionThreshold: 50,
+        cooldownPeriod: 5,
+        detectionAlgorithm: 'magic',
+        cameraName: 'Porch'
+    });
+    assert.deepStrictEqual(normalized, { cooldownPeriod: 5, cameraName: 'Porch' });
+    assert.deepStrictEqual(CameraCore.normalizeSettings('broken'), {});
+});
+
+test('buildAlert turns a motion trigger into an alert', () => {
+    const time = Date.UTC(2024, 4, 1, 10, 0, 0);
+    const alert = CameraCore.buildAlert({
+        event: { type: 'motion' },
+        time,
+        incidentId: 'inc_1',
+        motionLevel: 12.345,
+        zone: { id: 'door', name: 'Door' },
+        sound: null
+    }, { cameraId: 'cam-1', cameraName: 'Porch', armingMode: 'away', nightMode: true });
+
+    assert.strictEqual(typeof alert.id, 'number');
+    assert.deepStrictEqual({ ...alert, id: 0 }, {
+        id: 0,
+        type: 'motion',
+        incidentId: 'inc_1',
+        timestamp: '2024-05-01T10:00:00.000Z',
+        motionLevel: '12.3',
+        zoneId: 'door',
+        zone: 'Door',
+        cameraId: 'cam-1',
+        cameraName: 'Porch',
+        armingMode: 'away',
+        nightMode: true,
+        read: false
+    });
+});
+
+test('buildAlert adds the sound and tamper details', () => {
+    const sound = CameraCore.buildAlert({
+        event: { type: 'sound' },
+        time: 0,
+        incidentId: 'inc_2',
+        zone: null,
+        sound: { type: 'glass', db: -20, peakDb: -12 }
+    });
+    assert.strictEqual(sound.soundType, 'glass');
+    assert.strictEqual(sound.soundLevel, -12);
+    assert.strictEqual(sound.motionLevel, null);
+    assert.strictEqual(sound.armingMode, 'disarmed');
+    assert.strictEqual(sound.cameraId, null);
+
+    const tamper = CameraCore.buildAlert({
+        event: { type: 'tamper', tamperType: 'blackout', details: { brightness: 1 } },
+        time: 0,
+        incidentId: 'inc_3',
+        zone: null,
+        sound: null
+    });
+    assert.strictEqual(tamper.tamperType, 'blackout');
+    assert.strictEqual(tamper.description, 'Lens covered or blacked out');
+    assert.strictEqual(tamper.priority, 'high');
+    assert.deepStrictEqual(tamper.details, { brightness: 1 });
+
+    assert.notStrictEqual(sound.id, tamper.id);
+});
@@ -0,0 +1,102 @@
+// Capture Query and Date Range tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const CaptureQuery = require('../capture-query.js');
+const DateRange = require('../date-range.js');
+
+// Wednesday 15 May 2024, 14:30 local time
+const NOW = new Date(2024, 4, 15, 14, 30);
+
+function at(day, hours = 12, month = 4) {
+    return new Date(2024, month, day, hours).toISOString();
+}
+
+const ITEMS = [
+    { id: 1, timestamp: at(15, 9), motionLevel: '12.5', zone: 'Door', tags: ['person'], read: false, type: 'image' },
+    { id: 2, timestamp: at(14, 22), motionLevel: '3.0', zone: 'Yard', read: true, type: 'clip' },
+    { id: 3, timestamp: at(13, 8), motionLevel: '45.1', zone: 'Door', tags: ['car'], read: false },
+    { id: 4, timestamp: at(2), motionLevel: null, read: true },
+    { id: 5, timestamp: at(28, 12, 3), motionLevel: '8', zone: 'Door', read: false }
+];
+
+function ids(query) {
+    return CaptureQuery.filterItems(ITEMS, query, NOW).map(item => item.id);
+}
+
+test('DateRange presets resolve against the given day', () => {
+    assert.deepStrictEqual(DateRange.getRange('all', NOW), { start: null, end: null });
+    assert.deepStrictEqual(DateRange.getRange('today', NOW), { start: new Date(2024, 4, 15), end: null });
+    assert.deepStrictEqual(DateRange.getRange('yesterday', NOW), { start: new Date(2024, 4, 14), end: new Date(2024, 4, 15) });
+    assert.deepStrictEqual(DateRange.getRange('week', NOW), { start: new Date(2024, 4, 13), end: null });
+    assert.deepStrictEqual(DateRange.getRange('month', NOW), { start: new Date(2024, 4, 1), end: null });
+});
+
+test('DateRange weeks start on Monday', () => {
+    const sunday = new Date(2024, 4, 19, 10);
+    assert.deepStrictEqual(DateRange.getRange('week', sunday).start, new Date(2024, 4, 13));
+});
+
+test('DateRange.contains includes the start and excludes the end', () => {
+    const range = DateRange.getRange('yesterday', NOW);
+    assert.strictEqual(DateRange.contains(range, new Date(2024, 4, 14).toISOString()), true);
+    assert.strictEqual(DateRange.contains(range, new Date(2024, 4, 15).toISOString()), false);
+    assert.strictEqual(DateRange.contains({ start: null, end: null }, at(1)), true);
+});
+
+test('normalize drops empty and default values', () => {
+    assert.deepStrictEqual(CaptureQuery.normalize({
+        date: 'all',
+        from: '2024-05-01',
+        minLevel: '5',
+        maxLevel: 'abc',
+        zone: '  Door ',
+        tag: '',
+        read: 'all',
+        type: undefined
+    }), { minLevel: 5, zone: 'Door' });
+    assert.deepStrictEqual(CaptureQuery.normalize(null), {});
+});
+
+test('an empty query matches everything', () => {
+    assert.deepStrictEqual(ids({}), [1, 2, 3, 4, 5]);
+});
+
+test('items filter by date preset and custom range', () => {
+    assert.deepStrictEqual(ids({ date: 'today' }), [1]);
+    assert.deepStrictEqual(ids({ date: 'yesterday' }), [2]);
+    assert.deepStrictEqual(ids({ date: 'week' }), [1, 2, 3]);
+    assert.deepStrictEqual(ids({ date: 'month' }), [1, 2, 3, 4]);
+
+    const from = new Date(2024, 4, 13).toISOString();
+    const to = new Date(2024, 4, 14, 23).toISOString();
+    assert.deepStrictEqual(ids({ date: 'custom', from, to }), [2, 3]);
+    assert.deepStrictEqual(ids({ date: 'custom', from }), [1, 2, 3]);
+});
+
+test('items filter by motion level, zone, tag, read state and type', () => {
+    assert.deepStrictEqual(ids({ minLevel: 8 }), [1, 3, 5]);
+    assert.deepStrictEqual(ids({ minLevel: 5, maxLevel: 20 }), [1, 5]);
+    assert.deepStrictEqual(ids({ zone: 'Door' }), [1, 3, 5]);
+    assert.deepStrictEqual(ids({ tag: 'Person' }), [1]);
+    assert.deepStrictEqual(ids({ read: 'unread' }), [1, 3, 5]);
+    assert.deepStrictEqual(ids({ read: 'read' }), [2, 4]);
+    assert.deepStrictEqual(ids({ type: 'clip' }), [2]);
+    assert.deepStrictEqual(ids({ type: 'image' }), [1, 3, 4, 5]);
+    assert.deepStrictEqual(ids({ zone: 'Door', read: 'unread', date: 'week' }), [1, 3]);
+});
+
+test('queries round-trip through the URL hash', () => {
+    const query = { date: 'custom', from: '2024-05-01T08:00', to: '2024-05-02T08:00', minLevel: 5, zone: 'Front door', type: 'clip' };
+    const hash = CaptureQuery.buildHash('captures', query);
+    assert.strictEqual(hash, '#captures?date=custom&from=2024-05-01T08%3A00&to=2024-05-02T08%3A00&min=5&zone=Front+door&type=clip');
+
+    const parsed = CaptureQuery.parseHash(hash);
+    assert.strictEqual(parsed.tab, 'captures');
+    assert.deepStrictEqual(parsed.query, query);
+});
+
+test('parseHash copes with bare tabs and empty hashes', () => {
+    assert.deepStrictEqual(CaptureQuery.parseHash('#alerts'), { tab: 'alerts', query: {} });
+    assert.deepStrictEqual(CaptureQuery.parseHash(''), { tab: null, query: {} });
+    assert.strictEqual(CaptureQuery.buildHash('alerts', { date: 'all' }), '#alerts');
+});
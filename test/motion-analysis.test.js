@@ -0,0 +1,158 @@
+// Motion Analysis tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const MotionAnalysis = require('../motion-analysis.js');
+
+const SIZE = 16;
+
+function frame(level, size = SIZE) {
+    return new Uint8ClampedArray(size * size * 4).fill(level);
+}
+
+// A black frame with a white rectangle of whole pixels
+function withBox(x0, y0, x1, y1, size = SIZE) {
+    const pixels = frame(0, size);
+    for (let y = y0; y < y1; y++) {
+        pixels.fill(255, (y * size + x0) * 4, (y * size + x1) * 4);
+    }
+    return pixels;
+}
+
+function createAnalyzer(settings = {}) {
+    return MotionAnalysis.createMotionAnalyzer({ width: SIZE, height: SIZE, ...settings });
+}
+
+test('sensitivityToThreshold maps the slider onto a pixel difference', () => {
+    assert.strictEqual(MotionAnalysis.sensitivityToThreshold(100), 0);
+    assert.ok(Math.abs(MotionAnalysis.sensitivityToThreshold(0) - 255) < 0.001);
+    assert.ok(Math.abs(MotionAnalysis.sensitivityToThreshold(50) - 127.5) < 0.001);
+});
+
+test('getAnalysisSize scales wide video down and keeps the aspect ratio', () => {
+    assert.deepStrictEqual(MotionAnalysis.getAnalysisSize(1280, 720, 320), { width: 320, height: 180 });
+    assert.deepStrictEqual(MotionAnalysis.getAnalysisSize(640, 480, 0), { width: 640, height: 480 });
+    assert.deepStrictEqual(MotionAnalysis.getAnalysisSize(200, 100, 320), { width: 200, height: 100 });
+    assert.deepStrictEqual(MotionAnalysis.getAnalysisSize(4000, 1, 320), { width: 320, height: 1 });
+});
+
+test('diffFrames marks pixels that change by more than the threshold', () => {
+    const previous = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255]);
+    const current = new Uint8ClampedArray([30, 30, 30, 255, 90, 90, 90, 255, 90, 90, 90, 255]);
+
+    const mask = MotionAnalysis.diffFrames(current, previous, { threshold: 50 });
+    assert.deepStrictEqual(Array.from(mask), [0, 1, 1]);
+
+    // Pixels outside every zone are skipped
+    const zoned = MotionAnalysis.diffFrames(current, previous, { threshold: 50, zoneMap: new Int16Array([0, 0, -1]) });
+    assert.deepStrictEqual(Array.from(zoned), [0, 1, 0]);
+});
+
+test('measureBrightness averages the luminance', () => {
+    assert.ok(Math.abs(MotionAnalysis.measureBrightness(frame(100)) - 100) < 0.001);
+    assert.strictEqual(MotionAnalysis.measureBrightness(frame(0)), 0);
+});
+
+test('removeSmallBlobs clears blobs under the minimum size', () => {
+    const mask = new Uint8Array([
+        1, 0, 0, 0,
+        0, 0, 1, 1,
+        0, 0, 1, 1,
+        0, 0, 0, 0
+    ]);
+    MotionAnalysis.removeSmallBlobs(mask, 4, 4, 3);
+    assert.deepStrictEqual(Array.from(mask), [
+        0, 0, 0, 0,
+        0, 0, 1, 1,
+        0, 0, 1, 1,
+        0, 0, 0, 0
+    ]);
+});
+
+test('the analyzer rejects frames that are not the configured size', () => {
+    const analyzer = createAnalyzer();
+    assert.throws(() => analyzer.process(frame(0, 8)), /analysis size 16x16/);
+    assert.throws(() => MotionAnalysis.createMotionAnalyzer().process(frame(0)), /analysis size/);
+});
+
+test('the simple algorithm compares each frame with the one before', () => {
+    const analyzer = createAnalyzer();
+    assert.strictEqual(analyzer.process(frame(0)), null);
+
+    const result = analyzer.process(withBox(0, 0, SIZE, SIZE / 2));
+    assert.strictEqual(result.width, SIZE);
+    assert.strictEqual(result.height, SIZE);
+    assert.strictEqual(result.percentage, 50);
+    assert.strictEqual(result.mask.length, SIZE * SIZE);
+    assert.strictEqual(result.mask.reduce((sum, value) => sum + value, 0), SIZE * SIZE / 2);
+    assert.strictEqual(result.peakZone.id, null);
+    assert.strictEqual(result.scene, null);
+
+    // Nothing changed since the last frame
+    assert.strictEqual(analyzer.process(withBox(0, 0, SIZE, SIZE / 2)).percentage, 0);
+});
+
+test('reset and resizing drop the reference frame', () => {
+    const analyzer = createAnalyzer();
+    analyzer.process(frame(0));
+    analyzer.reset();
+    assert.strictEqual(analyzer.process(frame(255)), null);
+
+    analyzer.configure({ width: 8, height: 8 });
+    assert.strictEqual(analyzer.process(frame(0, 8)), null);
+    assert.strictEqual(analyzer.process(frame(255, 8)).percentage, 100);
+});
+
+test('include zones limit where motion counts', () => {
+    const zones = [{
+        id: 'left',
+        name: 'Left',
+        type: 'include',
+        points: [{ x: 0, y: 0 }, { x: 0.5, y: 0 }, { x: 0.5, y: 1 }, { x: 0, y: 1 }]
+    }];
+    const analyzer = createAnalyzer({ zones });
+    analyzer.process(frame(0));
+
+    const right = analyzer.process(withBox(SIZE / 2, 0, SIZE, SIZE));
+    assert.strictEqual(right.percentage, 0);
+    assert.deepStrictEqual(right.zones, [{ id: 'left', name: 'Left', percentage: 0 }]);
+
+    const left = analyzer.process(withBox(0, 0, SIZE / 4, SIZE));
+    assert.strictEqual(left.percentage, 50);
+    assert.deepStrictEqual(left.peakZone, { id: 'left', name: 'Left', percentage: 50 });
+});
+
+test('the background algorithm ignores an even change of light', () => {
+    const analyzer = createAnalyzer({ algorithm: 'background', sensitivity: 70 });
+    assert.strictEqual(analyzer.process(frame(60)), null);
+
+    assert.strictEqual(analyzer.process(frame(90)).percentage, 0);
+
+    const box = frame(90);
+    for (let y = 0; y < 4; y++) {
+        box.fill(255, (y * SIZE) * 4, (y * SIZE + 4) * 4);
+    }
+    assert.strictEqual(analyzer.process(box).percentage, 100 * 16 / (SIZE * SIZE));
+});
+
+test('noise suppression drops speckle and keeps solid motion', () => {
+    const analyzer = createAnalyzer({ noiseSuppression: true, minBlobPercent: 1 });
+    analyzer.process(frame(0));
+
+    const speckle = frame(0);
+    speckle.fill(255, (5 * SIZE + 5) * 4, (5 * SIZE + 6) * 4);
+    assert.strictEqual(analyzer.process(speckle).percentage, 0);
+
+    analyzer.reset();
+    analyzer.process(frame(0));
+    assert.strictEqual(analyzer.process(withBox(4, 4, 10, 10)).percentage, 100 * 36 / (SIZE * SIZE));
+});
+
+test('measureScene is only reported when asked for', () => {
+    const analyzer = createAnalyzer({ measureScene: true });
+    analyzer.process(frame(0));
+    const { scene } = analyzer.process(withBox(0, 0, SIZE / 2, SIZE));
+
+    assert.ok(scene.contrast > 0);
+    assert.ok(scene.sharpness > 0);
+    assert.strictEqual(scene.signature.length, 48);
+});
@@ -0,0 +1,211 @@
+// Trigger Rules tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const TriggerRules = require('../trigger-rules.js');
+
+// Wednesday 15 May 2024, 14:30 local time
+const NOON = new Date(2024, 4, 15, 14, 30).getTime();
+
+function motion(percentage, zoneId = 'door') {
+    return {
+        type: 'motion',
+        zones: [
+            { id: zoneId, name: zoneId === 'door' ? 'Door' : 'Yard', percentage },
+            { id: 'other', name: 'Other', percentage: 0 }
+        ]
+    };
+}
+
+const DOOR_RULE = {
+    id: 'door',
+    name: 'Door while away',
+    conditions: { events: ['motion'], minMotion: 10, zoneIds: ['door'], consecutive: 2, armingModes: ['away'] },
+    actions: [{ type: 'clip' }, { type: 'webhook' }, { type: 'siren', seconds: 30 }],
+    cooldown: 60
+};
+
+test('createRule fills in the defaults', () => {
+    const rule = TriggerRules.createRule({ name: 'Porch' });
+    assert.match(rule.id, /^rule_/);
+    assert.strictEqual(rule.enabled, true);
+    assert.strictEqual(rule.cooldown, null);
+    assert.deepStrictEqual(rule.conditions.events, ['motion']);
+    assert.strictEqual(rule.conditions.consecutive, 1);
+    assert.deepStrictEqual(rule.actions.map(a => a.type), ['capture', 'alert', 'notify']);
+});
+
+test('the default rules are valid', () => {
+    const rules = TriggerRules.createDefaultRules();
+    assert.deepStrictEqual(rules.map(rule => rule.id), ['default', 'default-tamper']);
+    assert.strictEqual(TriggerRules.validateRules(rules), null);
+});
+
+test('validateRules reports the first problem', () => {
+    const rule = (values) => ({ name: 'R', actions: [{ type: 'alert' }], ...values });
+    const problems = [
+        ['not an array', 'Rules must be a JSON array'],
+        [[null], 'Each rule must be an object'],
+        [[rule({ id: 'a' }), rule({ id: 'a' })], '"R": duplicate id a'],
+        [[rule({ conditions: { events: [] } })], '"R": events must list some of motion, sound, tamper'],
+        [[rule({ conditions: { minMotion: 150 } })], '"R": minMotion must be 0-100 or null'],
+        [[rule({ conditions: { minSound: 10 } })], '"R": minSound must be a dBFS value (0 or below) or null'],
+        [[rule({ conditions: { consecutive: 1.5 } })], '"R": consecutive must be a whole number of 1 or more'],
+        [[rule({ conditions: { armingModes: ['night'] } })], '"R": armingModes must list some of away, home'],
+        [[rule({ conditions: { armingModes: ['disarmed'] } })], '"R": armingModes must list some of away, home'],
+        [[rule({ conditions: { timeWindow: { start: '25:00', end: '06:00' } } })], '"R": timeWindow needs start and end as HH:MM'],
+        [[rule({ conditions: { timeWindow: { start: '22:00', end: '06:00', days: [7] } } })], '"R": timeWindow days must be 0-6 (Sunday = 0)'],
+        [[rule({ actions: [] })], '"R": needs at least one action'],
+        [[rule({ actions: [{ type: 'email' }] })], '"R": action type must be one of capture, clip, alert, notify, webhook, siren'],
+        [[rule({ actions: [{ type: 'siren', seconds: 900 }] })], '"R": siren seconds must be 1-300'],
+        [[rule({ cooldown: -1 })], '"R": cooldown must be 0 or more seconds, or null']
+    ];
+    problems.forEach(([rules, message]) => assert.strictEqual(TriggerRules.validateRules(rules), message));
+    assert.strictEqual(TriggerRules.validateRules([DOOR_RULE]), null);
+});
+
+test('a rule fires after the motion lasts the checks it asks for', () => {
+    const engine = TriggerRules.createEngine([DOOR_RULE]);
+    const context = { armingMode: 'away', threshold: 2, cooldown: 5000 };
+
+    assert.deepStrictEqual(engine.evaluate(motion(20), { ...context, now: NOON }), []);
+    const fired = engine.evaluate(motion(25), { ...context, now: NOON + 100 });
+    assert.strictEqual(fired.length, 1);
+    assert.strictEqual(fired[0].rule.id, 'door');
+    assert.strictEqual(fired[0].level, 25);
+    assert.deepStrictEqual(fired[0].zone, { id: 'door', name: 'Door' });
+});
+
+test('a quiet check breaks the run of motion', () => {
+    const engine = TriggerRules.createEngine([DOOR_RULE]);
+    const context = { armingMode: 'away', threshold: 2 };
+
+    engine.evaluate(motion(20), { ...context, now: NOON });
+    engine.evaluate(motion(5), { ...context, now: NOON + 100 });
+    assert.deepStrictEqual(engine.evaluate(motion(20), { ...context, now: NOON + 200 }), []);
+    assert.strictEqual(engine.evaluate(motion(20), { ...context, now: NOON + 300 }).length, 1);
+});
+
+test('zone and arming mode conditions must match', () => {
+    const engine = TriggerRules.createEngine([{ ...DOOR_RULE, conditions: { ...DOOR_RULE.conditions, consecutive: 1 } }]);
+
+    assert.deepStrictEqual(engine.evaluate(motion(50, 'yard'), { armingMode: 'away', now: NOON }), []);
+    assert.deepStrictEqual(engine.evaluate(motion(50), { armingMode: 'home', now: NOON }), []);
+    assert.strictEqual(engine.evaluate(motion(50), { armingMode: 'away', now: NOON }).length, 1);
+});
+
+test('minDuration waits for the motion to have lasted long enough', () => {
+    const engine = TriggerRules.createEngine([{ id: 'long', conditions: { minDuration: 3 } }]);
+
+    assert.deepStrictEqual(engine.evaluate(motion(20), { now: NOON }), []);
+    assert.deepStrictEqual(engine.evaluate(motion(20), { now: NOON + 2999 }), []);
+    assert.strictEqual(engine.evaluate(motion(20), { now: NOON + 3000 }).length, 1);
+});
+
+test('without minMotion the detection threshold applies', () => {
+    const engine = TriggerRules.createEngine([{ id: 'any' }]);
+    assert.deepStrictEqual(engine.evaluate(motion(2), { threshold: 2, now: NOON }), []);
+    assert.strictEqual(engine.evaluate(motion(2.1), { threshold: 2, now: NOON + 1 }).length, 1);
+});
+
+test('motion exactly at minMotion does not fire, as at the detection threshold', () => {
+    const engine = TriggerRules.createEngine([{ id: 'ten', conditions: { minMotion: 10 }, cooldown: 0 }]);
+    assert.deepStrictEqual(engine.evaluate(motion(10), { threshold: 2, now: NOON }), []);
+    assert.strictEqual(engine.evaluate(motion(10.01), { threshold: 2, now: NOON + 1 }).length, 1);
+});
+
+test('upgradeRules drops the disarmed mode from rules saved with it', () => {
+    const saved = [
+        { ...DOOR_RULE, id: 'both', conditions: { ...DOOR_RULE.conditions, armingModes: ['away', 'disarmed'] } },
+        { id: 'never', enabled: true, conditions: { armingModes: ['disarmed'] }, actions: [{ type: 'alert' }] },
+        DOOR_RULE
+    ];
+    const [both, never, untouched] = TriggerRules.upgradeRules(saved);
+
+    assert.deepStrictEqual(both.conditions.armingModes, ['away']);
+    assert.strictEqual(both.enabled, true);
+    assert.deepStrictEqual(never.conditions.armingModes, []);
+    assert.strictEqual(never.enabled, false, 'a rule that could never fire stays off');
+    assert.strictEqual(untouched, DOOR_RULE);
+    assert.strictEqual(TriggerRules.validateRules([both, never, untouched]), null);
+});
+
+test('cooldowns come from the rule or else from the context', () => {
+    const engine = TriggerRules.createEngine([
+        { id: 'own', conditions: { events: ['sound'] }, cooldown: 10 },
+        { id: 'shared', conditions: { events: ['sound'] } }
+    ]);
+    const sound = { type: 'sound', sound: { type: 'glass', peakDb: -10 } };
+    const fire = now => engine.evaluate(sound, { cooldown: 2000, now }).map(match => match.rule.id);
+
+    assert.deepStrictEqual(fire(NOON), ['own', 'shared']);
+    assert.deepStrictEqual(fire(NOON + 1999), []);
+    assert.deepStrictEqual(fire(NOON + 2000), ['shared']);
+    assert.deepStrictEqual(fire(NOON + 10000), ['own', 'shared']);
+});
+
+test('sound and tamper conditions filter by type and level', () => {
+    const engine = TriggerRules.createEngine([
+        { id: 'glass', conditions: { events: ['sound'], soundTypes: ['glass'], minSound: -20 }, cooldown: 0 },
+        { id: 'covered', conditions: { events: ['tamper'], tamperTypes: ['blackout'] }, cooldown: 0 }
+    ]);
+    const ids = (event) => engine.evaluate(event, { now: NOON }).map(match => match.rule.id);
+
+    assert.deepStrictEqual(ids({ type: 'sound', sound: { type: 'glass', peakDb: -10 } }), ['glass']);
+    assert.deepStrictEqual(ids({ type: 'sound', sound: { type: 'glass', peakDb: -30 } }), []);
+    assert.deepStrictEqual(ids({ type: 'sound', sound: { type: 'alarm', peakDb: -10 } }), []);
+    assert.deepStrictEqual(ids({ type: 'tamper', tamperType: 'blackout' }), ['covered']);
+    assert.deepStrictEqual(ids({ type: 'tamper', tamperType: 'blur' }), []);
+});
+
+test('disabled rules never fire and setRules keeps the survivors\' state', () => {
+    const engine = TriggerRules.createEngine([{ id: 'a', enabled: false }, { id: 'b' }]);
+    assert.deepStrictEqual(engine.evaluate(motion(50), { cooldown: 5000, now: NOON }).map(m => m.rule.id), ['b']);
+
+    engine.setRules([{ id: 'b' }, { id: 'c' }]);
+    assert.deepStrictEqual(engine.rules.map(rule => rule.id), ['b', 'c']);
+    assert.deepStrictEqual(engine.evaluate(motion(50), { cooldown: 5000, now: NOON + 1000 }).map(m => m.rule.id), ['c']);
+});
+
+test('reset forgets runs of motion but not cooldowns', () => {
+    const engine = TriggerRules.createEngine([{ id: 'twice', conditions: { consecutive: 2 } }]);
+    engine.evaluate(motion(50), { now: NOON });
+    engine.reset();
+    assert.deepStrictEqual(engine.evaluate(motion(50), { now: NOON + 100 }), []);
+    assert.strictEqual(engine.evaluate(motion(50), { now: NOON + 200 }).length, 1);
+
+    engine.reset();
+    engine.evaluate(motion(50), { cooldown: 5000, now: NOON + 300 });
+    assert.deepStrictEqual(engine.evaluate(motion(50), { cooldown: 5000, now: NOON + 400 }), []);
+});
+
+test('time windows can run past midnight', () => {
+    const window = { start: '22:00', end: '06:00', days: [5] }; // Starting Friday night
+    const friday = (hours, minutes = 0) => new Date(2024, 4, 17, hours, minutes);
+    const saturday = (hours) => new Date(2024, 4, 18, hours);
+
+    assert.strictEqual(TriggerRules.inTimeWindow(null, friday(12)), true);
+    assert.strictEqual(TriggerRules.inTimeWindow(window, friday(21, 59)), false);
+    assert.strictEqual(TriggerRules.inTimeWindow(window, friday(22)), true);
+    assert.strictEqual(TriggerRules.inTimeWindow(window, saturday(5)), true);
+    assert.strictEqual(TriggerRules.inTimeWindow(window, saturday(6)), false);
+    assert.strictEqual(TriggerRules.inTimeWindow(window, saturday(23)), false);
+    assert.strictEqual(TriggerRules.inTimeWindow({ start: '09:00', end: '17:00' }, friday(12)), true);
+});
+
+test('classesMatch waits for labels when the rule names classes', () => {
+    const anything = TriggerRules.createRule({});
+    const people = TriggerRules.createRule({ conditions: { classes: ['person'] } });
+
+    assert.strictEqual(TriggerRules.classesMatch(anything, null), true);
+    assert.strictEqual(TriggerRules.classesMatch(people, null), false);
+    assert.strictEqual(TriggerRules.classesMatch(people, ['cat']), false);
+    assert.strictEqual(TriggerRules.classesMatch(people, ['cat', 'person']), true);
+});
+
+test('describeRule summarises conditions and actions', () => {
+    const rule = TriggerRules.createRule(DOOR_RULE);
+    assert.strictEqual(
+        TriggerRules.describeRule(rule, [{ id: 'door', name: 'Door' }]),
+        'Motion > 10% in Door, 2 checks in a row, while away → Save clip, Webhooks, Siren 30s'
+    );
+});
@@ -0,0 +1,32 @@
+// Vault export tests - run from the repository root with `node --test`
+const test = require('node:test');
+const assert = require('node:assert');
+const Vault = require('../vault.js');
+
+const PASSPHRASE = 'correct horse battery';
+
+function withIterations(bytes, iterations) {
+    const copy = bytes.slice();
+    new DataView(copy.buffer).setUint32(4, iterations);
+    return copy;
+}
+
+test('an encrypted export opens with its passphrase only', async () => {
+    const data = new TextEncoder().encode('{"captures": []}');
+    const encrypted = await Vault.encryptExport(data, PASSPHRASE);
+
+    assert.strictEqual(Vault.isEncryptedExport(encrypted), true);
+    assert.deepStrictEqual(await Vault.decryptExport(encrypted, PASSPHRASE), data);
+    await assert.rejects(Vault.decryptExport(encrypted, 'wrong passphrase'), /^Error: Wrong export passphrase$/);
+});
+
+test('decryptExport rejects iteration counts outside the supported range', async () => {
+    const encrypted = await Vault.encryptExport(new Uint8Array([1, 2, 3]), PASSPHRASE);
+
+    for (const iterations of [0, 1000, 599999, 6000001, 0xFFFFFFFF]) {
+        await assert.rejects(
+            Vault.decryptExport(withIterations(encrypted, iterations), PASSPHRASE),
+            /bad key derivation settings/
+        );
+    }
+});
@@ -0,0 +1,223 @@
+// Webhooks tests - run from the repository root with `node --test`
+// Deliveries go to a stand-in HTTP server on localhost.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const Webhooks = require('../webhooks.js');
+
+const ALERT = {
+    id: 1714557600000,
+    type: 'motion',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    motionLevel: '12.5',
+    zone: 'Door',
+    zoneId: 'zone_door',
+    armingMode: 'away',
+    nightMode: false,
+    labels: ['person']
+};
+
+const SNAPSHOT = { mimeType: 'image/jpeg', data: 'AAEC' };
+
+// Answers each request with the next status in `statuses` (the last one
+// repeats); 'hang' never answers
+async function startServer(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, headers: req.headers, body });
+            const status = statuses[Math.min(requests.length, statuses.length) - 1];
+            if (status === 'hang') return;
+            res.writeHead(status);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Records the backoff instead of waiting it out
+function recordSleeps() {
+    const delays = [];
+    return { delays, sleep: async ms => { delays.push(ms); } };
+}
+
+test('isValidUrl accepts only http and https', () => {
+    assert.strictEqual(Webhooks.isValidUrl('https://example.com/hook'), true);
+    assert.strictEqual(Webhooks.isValidUrl('http://192.168.1.5:8080/'), true);
+    assert.strictEqual(Webhooks.isValidUrl('ftp://example.com'), false);
+    assert.strictEqual(Webhooks.isValidUrl('javascript:alert(1)'), false);
+    assert.strictEqual(Webhooks.isValidUrl('not a url'), false);
+});
+
+test('validateTemplate reports JSON errors and allows an empty template', () => {
+    assert.strictEqual(Webhooks.validateTemplate(''), null);
+    assert.strictEqual(Webhooks.validateTemplate('   '), null);
+    assert.strictEqual(Webhooks.validateTemplate('{"text": "{{message}}"}'), null);
+    assert.match(Webhooks.validateTemplate('{"text": '), /^Template is not valid JSON/);
+});
+
+test('renderTemplate keeps single placeholders typed and interpolates the rest', () => {
+    const rendered = Webhooks.renderTemplate(
+        '{"level": "{{motionLevel}}", "night": "{{ nightMode }}", "text": "{{event}} at {{zone}}{{missing}}", "list": ["{{id}}", 1], "none": "{{missing}}"}',
+        { motionLevel: 12.5, nightMode: false, event: 'motion', zone: 'Door', id: 7 }
+    );
+    assert.deepStrictEqual(rendered, {
+        level: 12.5,
+        night: false,
+        text: 'motion at Door',
+        list: [7, 1],
+        none: null
+    });
+});
+
+test('buildPayload sends the alert fields and a snapshot only when asked', () => {
+    const plain = Webhooks.buildPayload(Webhooks.createSink({ url: 'https://example.com' }), ALERT, SNAPSHOT);
+    assert.deepStrictEqual(plain, {
+        event: 'motion',
+        alert: {
+            id: ALERT.id,
+            timestamp: ALERT.timestamp,
+            motionLevel: 12.5,
+            zone: 'Door',
+            zoneId: 'zone_door',
+            armingMode: 'away',
+            nightMode: false,
+            labels: ['person'],
+            tamperType: null,
+            soundType: null,
+            soundLevel: null
+        },
+        message: 'Person detected in Door (12.5%)',
+        snapshot: null
+    });
+
+    const sink = Webhooks.createSink({ url: 'https://example.com', includeSnapshot: true });
+    assert.deepStrictEqual(Webhooks.buildPayload(sink, ALERT, SNAPSHOT).snapshot, SNAPSHOT);
+});
+
+test('buildPayload follows the sink template', () => {
+    const sink = Webhooks.createSink({ url: 'https://example.com', template: '{"content": "{{message}}", "image": "{{snapshot}}"}' });
+    assert.deepStrictEqual(Webhooks.buildPayload(sink, ALERT, SNAPSHOT), {
+        content: 'Person detected in Door (12.5%)',
+        image: null
+    });
+
+    const tamper = { id: 2, type: 'tamper', tamperType: 'blackout', description: 'Lens covered or blacked out' };
+    assert.strictEqual(Webhooks.buildPayload(sink, tamper).content, 'Camera tampering: Lens covered or blacked out');
+});
+
+test('deliver POSTs the payload as JSON', async () => {
+    const server = await startServer([204]);
+    try {
+        const sink = Webhooks.createSink({ name: 'Local', url: server.url });
+        const payload = Webhooks.buildPayload(sink, ALERT);
+        const entry = await Webhooks.deliver(sink, payload, { alertId: ALERT.id });
+
+        assert.strictEqual(entry.status, 'delivered');
+        assert.strictEqual(entry.attempts, 1);
+        assert.strictEqual(entry.httpStatus, 204);
+        assert.strictEqual(entry.error, null);
+        assert.strictEqual(entry.alertId, ALERT.id);
+        assert.strictEqual(entry.sinkName, 'Local');
+
+        assert.strictEqual(server.requests.length, 1);
+        assert.strictEqual(server.requests[0].method, 'POST');
+        assert.strictEqual(server.requests[0].headers['content-type'], 'application/json');
+        assert.deepStrictEqual(JSON.parse(server.requests[0].body), payload);
+    } finally {
+        await server.close();
+    }
+});
+
+test('deliver retries server errors with doubling delays', async () => {
+    const server = await startServer([503, 500, 200]);
+    try {
+        const { delays, sleep } = recordSleeps();
+        const entry = await Webhooks.deliver(Webhooks.createSink({ url: server.url }), {}, { sleep, retryDelay: 100 });
+
+        assert.strictEqual(entry.status, 'delivered');
+        assert.strictEqual(entry.attempts, 3);
+        assert.strictEqual(entry.error, null);
+        assert.deepStrictEqual(delays, [100, 200]);
+        assert.strictEqual(server.requests.length, 3);
+    } finally {
+        await server.close();
+    }
+});
+
+test('deliver gives up after the sink\'s retries', async () => {
+    const server = await startServer([500]);
+    try {
+        const { delays, sleep } = recordSleeps();
+        const sink = Webhooks.createSink({ url: server.url, maxRetries: 1 });
+        const entry = await Webhooks.deliver(sink, {}, { sleep });
+
+        assert.strictEqual(entry.status, 'failed');
+        assert.strictEqual(entry.attempts, 2);
+        assert.strictEqual(entry.httpStatus, 500);
+        assert.strictEqual(entry.error, 'HTTP 500');
+        assert.strictEqual(delays.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('deliver does not retry client errors other than 429', async () => {
+    const server = await startServer([404]);
+    try {
+        const { delays, sleep } = recordSleeps();
+        const entry = await Webhooks.deliver(Webhooks.createSink({ url: server.url }), {}, { sleep });
+
+        assert.strictEqual(entry.status, 'failed');
+        assert.strictEqual(entry.attempts, 1);
+        assert.strictEqual(entry.error, 'HTTP 404');
+        assert.deepStrictEqual(delays, []);
+    } finally {
+        await server.close();
+    }
+
+    const limited = await startServer([429, 200]);
+    try {
+        const entry = await Webhooks.deliver(Webhooks.createSink({ url: limited.url }), {}, recordSleeps());
+        assert.strictEqual(entry.status, 'delivered');
+        assert.strictEqual(entry.attempts, 2);
+    } finally {
+        await limited.close();
+    }
+});
+
+test('deliver times out a server that never answers', async () => {
+    const server = await startServer(['hang']);
+    try {
+        const sink = Webhooks.createSink({ url: server.url, maxRetries: 0 });
+        const entry = await Webhooks.deliver(sink, {}, { timeout: 100 });
+
+        assert.strictEqual(entry.status, 'failed');
+        assert.strictEqual(entry.httpStatus, null);
+        assert.strictEqual(entry.error, 'Timed out');
+    } finally {
+        await server.close();
+    }
+});
+
+test('deliver reports a server that cannot be reached', async () => {
+    const server = await startServer([200]);
+    const { url } = server;
+    await server.close();
+
+    const entry = await Webhooks.deliver(Webhooks.createSink({ url, maxRetries: 0 }), {});
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.attempts, 1);
+    assert.strictEqual(entry.httpStatus, null);
+    assert.ok(entry.error);
+});
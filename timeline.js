@@ -0,0 +1,98 @@
+// Timeline - time axis maths for the day view of incidents and frames
+(function (global) {
+    const ZOOM_LEVELS = [1, 2, 4, 8, 16, 48]; // Track width in multiples of the view: 1 shows the whole day
+    const TICK_MINUTES = [5, 10, 15, 30, 60, 120, 180, 360];
+    const TICKS_PER_VIEW = 12;
+    const MIN_INTENSITY = 0.2;
+
+    // Local midnight to midnight, so days with a DST change are 23 or 25 hours
+    function dayBounds(date) {
+        const start = new Date(date);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 1);
+        return { start: start.getTime(), end: end.getTime() };
+    }
+
+    function shiftDay(date, days) {
+        const next = new Date(dayBounds(date).start);
+        next.setDate(next.getDate() + days);
+        return next;
+    }
+
+    // <input type="date"> value for a local day, and back
+    function toDateInput(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    function fromDateInput(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // 0-100 along the day
+    function position(time, bounds) {
+        const value = (new Date(time).getTime() - bounds.start) / (bounds.end - bounds.start) * 100;
+        return Math.max(0, Math.min(100, value));
+    }
+
+    function timeAt(fraction, bounds) {
+        return bounds.start + Math.max(0, Math.min(1, fraction)) * (bounds.end - bounds.start);
+    }
+
+    // Axis ticks at the finest interval that keeps about TICKS_PER_VIEW on
+    // screen at this zoom. Major ticks fall on whole hours.
+    function getTicks(bounds, zoom) {
+        const span = (bounds.end - bounds.start) / zoom;
+        const minutes = TICK_MINUTES.find(value => span / (value * 60000) <= TICKS_PER_VIEW) ||
+            TICK_MINUTES[TICK_MINUTES.length - 1];
+
+        const ticks = [];
+        const time = new Date(bounds.start);
+        while (time.getTime() < bounds.end) {
+            ticks.push({ time: time.getTime(), major: time.getMinutes() === 0 });
+            time.setMinutes(time.getMinutes() + minutes);
+        }
+        return ticks;
+    }
+
+    // The item closest in time, if within maxDistance ms
+    function nearest(items, time, maxDistance = Infinity) {
+        let best = null;
+        let bestDistance = maxDistance;
+        items.forEach(item => {
+            const distance = Math.abs(new Date(item.timestamp).getTime() - time);
+            if (distance <= bestDistance) {
+                best = item;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Marker strength from a motion level, relative to the busiest of the day
+    function intensity(level, maxLevel) {
+        if (level === null || level === undefined || !maxLevel) return MIN_INTENSITY;
+        return MIN_INTENSITY + (1 - MIN_INTENSITY) * Math.min(1, level / maxLevel);
+    }
+
+    const Timeline = {
+        ZOOM_LEVELS,
+        dayBounds,
+        shiftDay,
+        toDateInput,
+        fromDateInput,
+        position,
+        timeAt,
+        getTicks,
+        nearest,
+        intensity
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Timeline;
+    } else {
+        global.Timeline = Timeline;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,134 @@
+// Fetch model - downloads the object classifier's runtime and model
+//
+//   node tools/fetch-model.js
+//
+// Object classification runs TensorFlow.js (WASM backend) with the COCO-SSD
+// lite_mobilenet_v2 model, served from this origin so it keeps working
+// offline. The files are too large to keep in the repository, so deploy them
+// next to the app after running this once:
+//   vendor/tfjs/       tf.min.js, tf-backend-wasm.min.js and the .wasm binaries
+//   vendor/coco-ssd/   coco-ssd.min.js
+//   models/coco-ssd/   model.json and its weight shards
+// These are the paths classifier-worker.js loads and sw.js caches (and
+// .gitignore leaves out of commits). The
+// libraries come from the npm registry at the versions below and the model
+// from TensorFlow.js model storage. Without them the app still runs; the
+// classifier reports itself unavailable and alerts stay plain motion.
+// No dependencies: the little of the tar format needed is built in.
+const https = require('https');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const REGISTRY = 'https://registry.npmjs.org';
+const MODEL_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/model.json';
+
+const PACKAGES = [
+    {
+        name: '@tensorflow/tfjs',
+        version: '4.22.0',
+        files: { 'dist/tf.min.js': 'vendor/tfjs/tf.min.js' }
+    },
+    {
+        name: '@tensorflow/tfjs-backend-wasm',
+        version: '4.22.0',
+        files: {
+            'dist/tf-backend-wasm.min.js': 'vendor/tfjs/tf-backend-wasm.min.js',
+            'dist/tfjs-backend-wasm.wasm': 'vendor/tfjs/tfjs-backend-wasm.wasm',
+            'dist/tfjs-backend-wasm-simd.wasm': 'vendor/tfjs/tfjs-backend-wasm-simd.wasm',
+            'dist/tfjs-backend-wasm-threaded-simd.wasm': 'vendor/tfjs/tfjs-backend-wasm-threaded-simd.wasm'
+        }
+    },
+    {
+        name: '@tensorflow-models/coco-ssd',
+        version: '2.2.3',
+        files: { 'dist/coco-ssd.min.js': 'vendor/coco-ssd/coco-ssd.min.js' }
+    }
+];
+
+function download(url, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(download(new URL(res.headers.location, url).toString(), redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`${url}: HTTP ${res.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+// Regular files in a tar archive: name -> contents
+function readTar(buffer) {
+    const files = {};
+    let offset = 0;
+
+    while (offset + 512 <= buffer.length) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const prefix = field(345, 155);
+        const name = (prefix ? `${prefix}/` : '') + field(0, 100);
+        const size = parseInt(field(124, 12).trim(), 8) || 0;
+        const type = field(156, 1);
+
+        offset += 512;
+        if (type === '0' || type === '') files[name] = buffer.subarray(offset, offset + size);
+        offset += Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+function write(target, contents) {
+    const file = path.join(ROOT, target);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+    console.log(`  ${target} (${Math.round(contents.length / 1024)} KB)`);
+}
+
+async function fetchPackage({ name, version, files }) {
+    const tarball = `${REGISTRY}/${name}/-/${name.split('/').pop()}-${version}.tgz`;
+    console.log(`${name}@${version}`);
+    const archive = readTar(zlib.gunzipSync(await download(tarball)));
+
+    Object.keys(files).forEach(source => {
+        const contents = archive[`package/${source}`];
+        if (!contents) throw new Error(`${name}@${version} has no ${source}`);
+        write(files[source], contents);
+    });
+}
+
+async function fetchModel() {
+    console.log('COCO-SSD lite_mobilenet_v2');
+    const manifest = await download(MODEL_URL);
+    const shards = [].concat(...JSON.parse(manifest).weightsManifest.map(group => group.paths));
+
+    for (const shard of shards) {
+        write(`models/coco-ssd/${shard}`, await download(new URL(shard, MODEL_URL).toString()));
+    }
+    write('models/coco-ssd/model.json', manifest);
+}
+
+async function main() {
+    for (const pkg of PACKAGES) {
+        await fetchPackage(pkg);
+    }
+    await fetchModel();
+    console.log('Done - reload the app and turn on object classification');
+}
+
+main().catch(error => {
+    console.error('Fetch failed:', error.message);
+    process.exit(1);
+});
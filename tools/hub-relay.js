@@ -0,0 +1,185 @@
+// Hub relay - local WebSocket relay between camera devices and hubs
+//
+//   node tools/hub-relay.js [port]
+//
+// A stand-in for whatever transport a real deployment uses. Cameras and hubs
+// connect to ws://<this machine>:<port>/ (default 8788) and introduce
+// themselves with { type: 'hello', role: 'camera' | 'hub', cameraId, name }.
+// Camera messages are stamped with `from` and `name` and sent to every hub;
+// hub messages with a `to` field go to that camera only. No dependencies:
+// the small subset of RFC 6455 needed for JSON text messages is built in.
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 8788;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const clients = new Set();
+
+function encodeFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the buffer; returns the unconsumed remainder
+function readFrames(client, buffer) {
+    while (buffer.length >= 2) {
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+        buffer = buffer.subarray(offset + length);
+
+        if (opcode === 0x8) {
+            client.socket.end(encodeFrame('', 0x8));
+            return Buffer.alloc(0);
+        }
+        if (opcode === 0x9) {
+            client.socket.write(encodeFrame(payload.toString(), 0xa));
+            continue;
+        }
+        if (opcode === 0x0 || opcode === 0x1) {
+            client.fragments.push(payload);
+            if (fin) {
+                const text = Buffer.concat(client.fragments).toString();
+                client.fragments = [];
+                handleMessage(client, text);
+            }
+        }
+    }
+    return buffer;
+}
+
+function send(client, message) {
+    if (!client.socket.destroyed) {
+        client.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+}
+
+function cameras() {
+    return [...clients].filter(c => c.role === 'camera');
+}
+
+function hubs() {
+    return [...clients].filter(c => c.role === 'hub');
+}
+
+function handleMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return;
+    }
+
+    if (message.type === 'hello') {
+        // Same id rule as the hub applies (hub-link.js)
+        if (message.role !== 'hub' && !/^[A-Za-z0-9_-]{1,64}$/.test(message.cameraId || '')) {
+            console.log('Refused a camera with an invalid id');
+            return;
+        }
+        client.role = message.role === 'hub' ? 'hub' : 'camera';
+        client.cameraId = message.cameraId || null;
+        client.name = typeof message.name === 'string' && message.name ? message.name.slice(0, 64) : message.cameraId || 'Camera';
+        console.log(`${client.role} joined${client.role === 'camera' ? `: ${client.name} (${client.cameraId})` : ''}`);
+
+        if (client.role === 'hub') {
+            send(client, {
+                type: 'cameras',
+                cameras: cameras().map(c => ({ cameraId: c.cameraId, name: c.name }))
+            });
+            // Ask cameras for their current status and alert history
+            cameras().forEach(camera => send(camera, { type: 'hub-joined' }));
+        } else if (hubs().length > 0) {
+            send(client, { type: 'hub-joined' });
+        }
+        return;
+    }
+
+    if (client.role === 'camera') {
+        const stamped = { ...message, from: client.cameraId, name: client.name };
+        hubs().forEach(hub => send(hub, stamped));
+    } else if (client.role === 'hub' && message.to) {
+        cameras()
+            .filter(camera => camera.cameraId === message.to)
+            .forEach(camera => send(camera, message));
+    }
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket relay - connect with ws://\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const client = { socket, role: null, cameraId: null, name: null, fragments: [] };
+    clients.add(client);
+    let pending = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+        pending = readFrames(client, Buffer.concat([pending, chunk]));
+    });
+    socket.on('close', () => {
+        clients.delete(client);
+        if (client.role === 'camera') {
+            console.log(`camera left: ${client.name}`);
+            hubs().forEach(hub => send(hub, { type: 'camera-left', cameraId: client.cameraId }));
+        }
+    });
+    socket.on('error', () => socket.destroy());
+});
+
+server.listen(port, () => {
+    console.log(`Hub relay listening on ws://localhost:${port}/`);
+});
@@ -0,0 +1,78 @@
+// Webhook test server - a local stand-in receiver for trying out webhook sinks
+//
+//   node tools/webhook-server.js [port] [--fail N]
+//
+// Logs every POSTed payload (snapshots are summarised, not printed) and
+// answers 200. With --fail N the first N requests get a 503 so the retry
+// and failure paths can be seen in the app. Point a sink at
+// http://localhost:<port>/ (default port 8787).
+const http = require('http');
+
+const args = process.argv.slice(2);
+const failIndex = args.indexOf('--fail');
+let failuresLeft = failIndex !== -1 ? parseInt(args[failIndex + 1]) || 0 : 0;
+const port = parseInt(args.find((arg, i) => /^\d+$/.test(arg) && args[i - 1] !== '--fail')) || 8787;
+
+function summarise(value) {
+    if (typeof value === 'string' && value.length > 120) {
+        return `<${value.length} chars>`;
+    }
+    if (Array.isArray(value)) return value.map(summarise);
+    if (value && typeof value === 'object') {
+        const out = {};
+        Object.keys(value).forEach(key => {
+            out[key] = summarise(value[key]);
+        });
+        return out;
+    }
+    return value;
+}
+
+const server = http.createServer((req, res) => {
+    // The app runs on another origin, so answer CORS preflights
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405);
+        res.end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        const time = new Date().toLocaleTimeString();
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`[${time}] ${req.url} -> 503 (simulated failure, ${failuresLeft} left)`);
+            res.writeHead(503);
+            res.end();
+            return;
+        }
+
+        try {
+            console.log(`[${time}] ${req.url}`, JSON.stringify(summarise(JSON.parse(body)), null, 2));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"ok":true}');
+        } catch (error) {
+            console.log(`[${time}] ${req.url} -> 400 (${error.message})`);
+            res.writeHead(400);
+            res.end();
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Webhook test server listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,335 @@
+// Trigger Rules - user-defined conditions and action steps that decide what an event does
+(function (global) {
+    const EVENT_TYPES = ['motion', 'sound', 'tamper'];
+    const EVENT_LABELS = { motion: 'Motion', sound: 'Sound', tamper: 'Tampering' };
+    const ACTION_TYPES = ['capture', 'clip', 'alert', 'notify', 'webhook', 'siren'];
+    const ACTION_LABELS = {
+        capture: 'Capture photo',
+        clip: 'Save clip',
+        alert: 'Log alert',
+        notify: 'Notify',
+        webhook: 'Webhooks',
+        siren: 'Siren'
+    };
+    const ARMING_MODES = ['away', 'home']; // Nothing is evaluated while disarmed
+    const DEFAULT_SIREN_SECONDS = 10;
+    const MAX_SIREN_SECONDS = 300;
+
+    const DEFAULT_CONDITIONS = {
+        events: ['motion'],
+        minMotion: null,   // Fires above this % changed in the zone; null = detection threshold from settings
+        minSound: null,    // dBFS peak of a sound event; null = any sound event
+        zoneIds: [],       // Motion in any of these zones; empty = any zone or the full frame
+        consecutive: 1,    // Motion checks in a row that must meet the conditions
+        minDuration: 0,    // Seconds the motion must have lasted
+        armingModes: [],   // Empty = any mode
+        timeWindow: null,  // { start: 'HH:MM', end: 'HH:MM', days: [0-6, Sunday = 0] }
+        classes: [],       // Steps after capture/clip wait for the classifier to see one of these
+        soundTypes: [],
+        tamperTypes: []
+    };
+
+    function createId() {
+        return 'rule_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    function createRule(values = {}) {
+        return {
+            id: values.id || createId(),
+            name: values.name || 'New rule',
+            enabled: values.enabled !== false,
+            conditions: { ...DEFAULT_CONDITIONS, ...(values.conditions || {}) },
+            actions: (values.actions || [{ type: 'capture' }, { type: 'alert' }, { type: 'notify' }]).map(action => ({ ...action })),
+            cooldown: values.cooldown !== undefined ? values.cooldown : null // Seconds; null = cooldown from settings
+        };
+    }
+
+    // The behaviour from before rules existed
+    function createDefaultRules() {
+        return [
+            createRule({
+                id: 'default',
+                name: 'Motion or sound',
+                conditions: { events: ['motion', 'sound'] },
+                actions: [{ type: 'capture' }, { type: 'clip' }, { type: 'alert' }, { type: 'webhook' }, { type: 'notify' }]
+            }),
+            createRule({
+                id: 'default-tamper',
+                name: 'Camera tampering',
+                conditions: { events: ['tamper'] },
+                actions: [{ type: 'alert' }, { type: 'notify' }, { type: 'capture' }, { type: 'webhook' }],
+                cooldown: 0 // The tamper detector reports each condition once
+            })
+        ];
+    }
+
+    // Rules saved when 'disarmed' was still accepted. One limited to it never
+    // fired, so it stays switched off rather than firing in every mode.
+    function upgradeRules(rules) {
+        if (!Array.isArray(rules)) return rules;
+
+        return rules.map(rule => {
+            const modes = rule && rule.conditions && rule.conditions.armingModes;
+            if (!Array.isArray(modes) || !modes.includes('disarmed')) return rule;
+
+            const armingModes = modes.filter(mode => mode !== 'disarmed');
+            return {
+                ...rule,
+                enabled: rule.enabled !== false && armingModes.length > 0,
+                conditions: { ...rule.conditions, armingModes }
+            };
+        });
+    }
+
+    function isTime(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+
+    function isStringList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    // First problem with a list of rules (e.g. pasted JSON), or null
+    function validateRules(rules) {
+        if (!Array.isArray(rules)) return 'Rules must be a JSON array';
+
+        const ids = new Set();
+        for (const rule of rules) {
+            const name = rule && rule.name ? `"${rule.name}"` : 'A rule';
+            if (!rule || typeof rule !== 'object') return 'Each rule must be an object';
+            if (rule.id !== undefined) {
+                if (ids.has(rule.id)) return `${name}: duplicate id ${rule.id}`;
+                ids.add(rule.id);
+            }
+
+            const c = { ...DEFAULT_CONDITIONS, ...(rule.conditions || {}) };
+            if (!isStringList(c.events) || c.events.length === 0 || !c.events.every(e => EVENT_TYPES.includes(e))) {
+                return `${name}: events must list some of ${EVENT_TYPES.join(', ')}`;
+            }
+            if (c.minMotion !== null && !(typeof c.minMotion === 'number' && c.minMotion >= 0 && c.minMotion <= 100)) {
+                return `${name}: minMotion must be 0-100 or null`;
+            }
+            if (c.minSound !== null && !(typeof c.minSound === 'number' && c.minSound <= 0)) {
+                return `${name}: minSound must be a dBFS value (0 or below) or null`;
+            }
+            if (!Number.isInteger(c.consecutive) || c.consecutive < 1) return `${name}: consecutive must be a whole number of 1 or more`;
+            if (typeof c.minDuration !== 'number' || c.minDuration < 0) return `${name}: minDuration must be 0 or more seconds`;
+            if (!isStringList(c.zoneIds)) return `${name}: zoneIds must be a list of zone ids`;
+            if (!isStringList(c.armingModes) || !c.armingModes.every(m => ARMING_MODES.includes(m))) {
+                return `${name}: armingModes must list some of ${ARMING_MODES.join(', ')}`;
+            }
+            if (!isStringList(c.classes) || !isStringList(c.soundTypes) || !isStringList(c.tamperTypes)) {
+                return `${name}: classes, soundTypes and tamperTypes must be lists`;
+            }
+            if (c.timeWindow !== null) {
+                const w = c.timeWindow;
+                if (!w || !isTime(w.start) || !isTime(w.end)) return `${name}: timeWindow needs start and end as HH:MM`;
+                if (w.days !== undefined && !(Array.isArray(w.days) && w.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+                    return `${name}: timeWindow days must be 0-6 (Sunday = 0)`;
+                }
+            }
+
+            if (!Array.isArray(rule.actions) || rule.actions.length === 0) return `${name}: needs at least one action`;
+            for (const action of rule.actions) {
+                if (!action || !ACTION_TYPES.includes(action.type)) {
+                    return `${name}: action type must be one of ${ACTION_TYPES.join(', ')}`;
+                }
+                if (action.seconds !== undefined && !(typeof action.seconds === 'number' && action.seconds > 0 && action.seconds <= MAX_SIREN_SECONDS)) {
+                    return `${name}: siren seconds must be 1-${MAX_SIREN_SECONDS}`;
+                }
+            }
+            if (rule.cooldown !== undefined && rule.cooldown !== null && !(typeof rule.cooldown === 'number' && rule.cooldown >= 0)) {
+                return `${name}: cooldown must be 0 or more seconds, or null`;
+            }
+        }
+        return null;
+    }
+
+    function minutesOf(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Windows whose end is not after their start run past midnight; their
+    // days are the days they start on
+    function inTimeWindow(window, date) {
+        if (!window) return true;
+
+        const now = date.getHours() * 60 + date.getMinutes();
+        const start = minutesOf(window.start);
+        const end = minutesOf(window.end);
+        const days = window.days && window.days.length > 0 ? window.days : null;
+        const today = date.getDay();
+        const yesterday = (today + 6) % 7;
+
+        if (start < end) {
+            return now >= start && now < end && (!days || days.includes(today));
+        }
+        if (now >= start) return !days || days.includes(today);
+        if (now < end) return !days || days.includes(yesterday);
+        return false;
+    }
+
+    // The strongest motion among the rule's zones, or null if it is not enough.
+    // event.zones: [{ id, name, percentage }] with id null for the full frame.
+    function matchMotion(conditions, event, context) {
+        const zones = (event.zones || []).filter(zone =>
+            conditions.zoneIds.length === 0 || conditions.zoneIds.includes(zone.id));
+        const peak = zones.reduce((best, zone) => (!best || zone.percentage > best.percentage ? zone : best), null);
+        const minimum = conditions.minMotion !== null ? conditions.minMotion : (context.threshold || 0);
+
+        if (!peak || !(peak.percentage > minimum)) return null;
+        return { level: peak.percentage, zone: peak.id ? { id: peak.id, name: peak.name } : null };
+    }
+
+    function matchEvent(conditions, event, context) {
+        if (event.type === 'motion') return matchMotion(conditions, event, context);
+
+        if (event.type === 'sound') {
+            const sound = event.sound || {};
+            if (conditions.soundTypes.length > 0 && !conditions.soundTypes.includes(sound.type)) return null;
+            if (conditions.minSound !== null && !(sound.peakDb >= conditions.minSound)) return null;
+            return { level: sound.peakDb, zone: null };
+        }
+
+        if (event.type === 'tamper') {
+            if (conditions.tamperTypes.length > 0 && !conditions.tamperTypes.includes(event.tamperType)) return null;
+            return { level: null, zone: null };
+        }
+        return null;
+    }
+
+    // Rules that want certain classes only run their later steps once the
+    // capture's labels are known; no labels means no match
+    function classesMatch(rule, labels) {
+        const classes = rule.conditions.classes;
+        if (!classes || classes.length === 0) return true;
+        return !!labels && labels.some(label => classes.includes(label));
+    }
+
+    // Feed it every event - including motion checks below the threshold, so
+    // runs of consecutive checks break. evaluate() returns the rules that
+    // fire now as [{ rule, level, zone }].
+    // context: { armingMode, threshold (%), cooldown (ms), now (ms) }
+    function createEngine(initialRules = []) {
+        let rules = [];
+        const state = new Map(); // rule id -> { streak, since, lastFired }
+
+        function setRules(next) {
+            rules = next.map(createRule);
+            const ids = new Set(rules.map(rule => rule.id));
+            [...state.keys()].forEach(id => {
+                if (!ids.has(id)) state.delete(id);
+            });
+        }
+
+        function stateFor(id) {
+            if (!state.has(id)) state.set(id, { streak: 0, since: null, lastFired: null });
+            return state.get(id);
+        }
+
+        // Forget runs of motion (e.g. when monitoring stops); cooldowns stay
+        function reset() {
+            state.forEach(s => {
+                s.streak = 0;
+                s.since = null;
+            });
+        }
+
+        function evaluate(event, context = {}) {
+            const now = context.now !== undefined ? context.now : Date.now();
+            const date = new Date(now);
+            const fired = [];
+
+            rules.forEach(rule => {
+                const c = rule.conditions;
+                if (!rule.enabled || !c.events.includes(event.type)) return;
+
+                const s = stateFor(rule.id);
+                const inContext = (c.armingModes.length === 0 || c.armingModes.includes(context.armingMode)) &&
+                    inTimeWindow(c.timeWindow, date);
+                const match = inContext ? matchEvent(c, event, context) : null;
+
+                if (event.type === 'motion') {
+                    if (!match) {
+                        s.streak = 0;
+                        s.since = null;
+                        return;
+                    }
+                    s.streak++;
+                    if (s.since === null) s.since = now;
+                    if (s.streak < c.consecutive || now - s.since < c.minDuration * 1000) return;
+                } else if (!match) {
+                    return;
+                }
+
+                const cooldown = rule.cooldown !== null ? rule.cooldown * 1000 : (context.cooldown || 0);
+                if (s.lastFired !== null && now - s.lastFired < cooldown) return;
+
+                s.lastFired = now;
+                fired.push({ rule, level: match.level, zone: match.zone });
+            });
+
+            return fired;
+        }
+
+        setRules(initialRules);
+
+        return {
+            setRules,
+            reset,
+            evaluate,
+            get rules() {
+                return rules;
+            }
+        };
+    }
+
+    // One-line summary, e.g. 'Motion > 10% in Door, 2 checks in a row, while
+    // away → Save clip, Webhooks, Siren 30s'. zones: [{ id, name }]
+    function describeRule(rule, zones = []) {
+        const c = rule.conditions;
+        const parts = [c.events.map(e => EVENT_LABELS[e]).join(' or ')];
+
+        if (c.events.includes('motion')) {
+            parts[0] += c.minMotion !== null ? ` > ${c.minMotion}%` : '';
+            if (c.zoneIds.length > 0) {
+                parts[0] += ' in ' + c.zoneIds.map(id => (zones.find(z => z.id === id) || { name: id }).name).join('/');
+            }
+        }
+        if (c.events.includes('sound') && c.minSound !== null) parts.push(`sound ≥ ${c.minSound} dB`);
+        if (c.soundTypes.length > 0) parts.push(c.soundTypes.join('/'));
+        if (c.tamperTypes.length > 0) parts.push(c.tamperTypes.join('/'));
+        if (c.consecutive > 1) parts.push(`${c.consecutive} checks in a row`);
+        if (c.minDuration > 0) parts.push(`for ${c.minDuration}s`);
+        if (c.classes.length > 0) parts.push(`seeing ${c.classes.join('/')}`);
+        if (c.armingModes.length > 0) parts.push(`while ${c.armingModes.join('/')}`);
+        if (c.timeWindow) parts.push(`${c.timeWindow.start}-${c.timeWindow.end}`);
+
+        const actions = rule.actions.map(action =>
+            action.type === 'siren' ? `Siren ${action.seconds || DEFAULT_SIREN_SECONDS}s` : ACTION_LABELS[action.type]);
+        return `${parts.join(', ')} → ${actions.join(', ')}`;
+    }
+
+    const TriggerRules = {
+        EVENT_TYPES,
+        EVENT_LABELS,
+        ACTION_TYPES,
+        ACTION_LABELS,
+        DEFAULT_SIREN_SECONDS,
+        createRule,
+        createDefaultRules,
+        validateRules,
+        upgradeRules,
+        inTimeWindow,
+        classesMatch,
+        createEngine,
+        describeRule
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TriggerRules;
+    } else {
+        global.TriggerRules = TriggerRules;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,342 @@
+// Vault - passphrase-protected encryption of captures, alerts and exports
+(function (global) {
+    const FORMAT_VERSION = 1;
+    const ITERATIONS = 600000;      // PBKDF2-SHA-256 rounds for passphrase keys
+    const MAX_ITERATIONS = ITERATIONS * 10; // Most an export header may ask for
+    const MIN_PASSPHRASE = 8;
+    const ENVELOPE_MAGIC = [0x4d, 0x53, 0x56, 0x31]; // 'MSV1' - item sealed with the vault key
+    const EXPORT_MAGIC = [0x4d, 0x53, 0x45, 0x31];   // 'MSE1' - export sealed with a passphrase
+    const RSA_PARAMS = {
+        name: 'RSA-OAEP',
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: 'SHA-256'
+    };
+
+    const subtle = () => crypto.subtle;
+
+    function randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    function toBase64(bytes) {
+        const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        let binary = '';
+        for (let i = 0; i < view.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function hasMagic(bytes, magic) {
+        return bytes.length > magic.length && magic.every((value, i) => bytes[i] === value);
+    }
+
+    async function toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        return new Uint8Array(await data.arrayBuffer()); // Blob
+    }
+
+    // AES-GCM key from a passphrase, used to wrap other keys
+    async function deriveKey(passphrase, salt, iterations = ITERATIONS) {
+        const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle().deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+        );
+    }
+
+    async function wrapPrivateKey(privateKey, wrappingKey) {
+        const iv = randomBytes(12);
+        const wrapped = await subtle().wrapKey('pkcs8', privateKey, wrappingKey, { name: 'AES-GCM', iv });
+        return { iv: toBase64(iv), wrappedKey: toBase64(wrapped) };
+    }
+
+    // Only re-wrapping (new passphrase, authenticator) needs an extractable key
+    function unwrapPrivateKey(wrapped, wrappingKey, extractable = false) {
+        return subtle().unwrapKey(
+            'pkcs8',
+            fromBase64(wrapped.wrappedKey),
+            wrappingKey,
+            { name: 'AES-GCM', iv: fromBase64(wrapped.iv) },
+            RSA_PARAMS,
+            extractable,
+            ['unwrapKey']
+        );
+    }
+
+    // Items are sealed with a fresh AES-GCM key, wrapped with the vault's
+    // RSA public key. The public key is stored in the clear, so a locked
+    // device can keep saving captures; reading them back needs the private
+    // key, which is only stored wrapped with the passphrase-derived key.
+    async function createVault(passphrase, options = {}) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+        }
+
+        const iterations = options.iterations || ITERATIONS;
+        const keys = await subtle().generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+        const salt = randomBytes(16);
+        const wrappingKey = await deriveKey(passphrase, salt, iterations);
+
+        const record = {
+            version: FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+            publicKey: toBase64(await subtle().exportKey('spki', keys.publicKey)),
+            passphrase: await wrapPrivateKey(keys.privateKey, wrappingKey),
+            authenticator: null
+        };
+
+        return { record, publicKey: keys.publicKey, privateKey: await reimportPrivateKey(keys.privateKey) };
+    }
+
+    // The generated key is extractable so it can be wrapped; keep a
+    // non-extractable copy in memory
+    async function reimportPrivateKey(privateKey) {
+        const pkcs8 = await subtle().exportKey('pkcs8', privateKey);
+        return subtle().importKey('pkcs8', pkcs8, RSA_PARAMS, false, ['unwrapKey']);
+    }
+
+    function importPublicKey(record) {
+        return subtle().importKey('spki', fromBase64(record.publicKey), RSA_PARAMS, false, ['wrapKey']);
+    }
+
+    async function unlock(record, passphrase, extractable = false) {
+        const wrappingKey = await deriveKey(passphrase, fromBase64(record.kdf.salt), record.kdf.iterations);
+        try {
+            return await unwrapPrivateKey(record.passphrase, wrappingKey, extractable);
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+    }
+
+    // Re-wrap the private key under a new passphrase
+    async function changePassphrase(record, oldPassphrase, newPassphrase) {
+        if (!newPassphrase || newPassphrase.length < MIN_PASSPHRASE) {
+            throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE} characters`);
+        }
+
+        const privateKey = await unlock(record, oldPassphrase, true);
+        const salt = randomBytes(16);
+        const newKey = await deriveKey(newPassphrase, salt, record.kdf.iterations);
+        return {
+            ...record,
+            kdf: { ...record.kdf, salt: toBase64(salt) },
+            passphrase: await wrapPrivateKey(privateKey, newKey)
+        };
+    }
+
+    // --- Optional unlock with a platform authenticator (WebAuthn PRF) ---
+    // The PRF extension gives a secret that only the authenticator can
+    // reproduce, after the user verifies with fingerprint/face/PIN. That
+    // secret wraps a second copy of the private key.
+
+    function authenticatorKey(secret) {
+        return subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']).then(material =>
+            subtle().deriveKey(
+                { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('msc-vault') },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['wrapKey', 'unwrapKey']
+            ));
+    }
+
+    async function isAuthenticatorAvailable() {
+        return !!(global.PublicKeyCredential &&
+            PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable &&
+            await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable());
+    }
+
+    async function evaluatePrf(credentialId, prfSalt) {
+        const assertion = await navigator.credentials.get({
+            publicKey: {
+                challenge: randomBytes(32),
+                allowCredentials: [{ type: 'public-key', id: credentialId }],
+                userVerification: 'required',
+                extensions: { prf: { eval: { first: prfSalt } } }
+            }
+        });
+        const results = assertion.getClientExtensionResults().prf;
+        if (!results || !results.results || !results.results.first) {
+            throw new Error('This authenticator cannot unlock the vault (no PRF support)');
+        }
+        return new Uint8Array(results.results.first);
+    }
+
+    // Adds authenticator unlock to a vault; the passphrase is needed to get
+    // a copy of the private key that can be wrapped again
+    async function registerAuthenticator(record, passphrase, options = {}) {
+        const privateKey = await unlock(record, passphrase, true);
+
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: randomBytes(32),
+                rp: { name: options.rpName || 'Motion Security Camera' },
+                user: { id: randomBytes(16), name: 'vault', displayName: options.userName || 'Camera vault' },
+                pubKeyCredParams: [{ type: 'public-key', alg: -7 }, { type: 'public-key', alg: -257 }],
+                authenticatorSelection: { authenticatorAttachment: 'platform', userVerification: 'required' },
+                extensions: { prf: {} }
+            }
+        });
+        const prf = credential.getClientExtensionResults().prf;
+        if (!prf || !prf.enabled) {
+            throw new Error('This authenticator cannot unlock the vault (no PRF support)');
+        }
+
+        const credentialId = new Uint8Array(credential.rawId);
+        const prfSalt = randomBytes(32);
+        const secret = await evaluatePrf(credentialId, prfSalt);
+
+        return {
+            ...record,
+            authenticator: {
+                credentialId: toBase64(credentialId),
+                prfSalt: toBase64(prfSalt),
+                ...(await wrapPrivateKey(privateKey, await authenticatorKey(secret)))
+            }
+        };
+    }
+
+    async function unlockWithAuthenticator(record) {
+        if (!record.authenticator) throw new Error('No authenticator registered');
+
+        const secret = await evaluatePrf(fromBase64(record.authenticator.credentialId), fromBase64(record.authenticator.prfSalt));
+        try {
+            return await unwrapPrivateKey(record.authenticator, await authenticatorKey(secret));
+        } catch (error) {
+            throw new Error('Authenticator did not unlock the vault');
+        }
+    }
+
+    // --- Sealing items ---
+    // Envelope: 'MSV1' | wrapped key length (2 bytes) | wrapped key | IV (12) | ciphertext
+
+    async function seal(publicKey, data) {
+        const key = await subtle().generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+        const iv = randomBytes(12);
+        const ciphertext = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, await toBytes(data)));
+        const wrappedKey = new Uint8Array(await subtle().wrapKey('raw', key, publicKey, { name: 'RSA-OAEP' }));
+
+        const out = new Uint8Array(4 + 2 + wrappedKey.length + 12 + ciphertext.length);
+        out.set(ENVELOPE_MAGIC, 0);
+        out[4] = wrappedKey.length >> 8;
+        out[5] = wrappedKey.length & 0xff;
+        out.set(wrappedKey, 6);
+        out.set(iv, 6 + wrappedKey.length);
+        out.set(ciphertext, 6 + wrappedKey.length + 12);
+        return out;
+    }
+
+    async function open(privateKey, envelope) {
+        const bytes = await toBytes(envelope);
+        if (!hasMagic(bytes, ENVELOPE_MAGIC)) throw new Error('Not a vault item');
+
+        const keyLength = (bytes[4] << 8) | bytes[5];
+        const wrappedKey = bytes.subarray(6, 6 + keyLength);
+        const iv = bytes.subarray(6 + keyLength, 6 + keyLength + 12);
+        const key = await subtle().unwrapKey('raw', wrappedKey, privateKey, { name: 'RSA-OAEP' },
+            { name: 'AES-GCM', length: 256 }, false, ['decrypt']);
+        return new Uint8Array(await subtle().decrypt({ name: 'AES-GCM', iv }, key, bytes.subarray(6 + keyLength + 12)));
+    }
+
+    async function sealBlob(publicKey, blob) {
+        return new Blob([await seal(publicKey, blob)], { type: 'application/octet-stream' });
+    }
+
+    async function openBlob(privateKey, blob, type) {
+        return new Blob([await open(privateKey, blob)], { type: type || '' });
+    }
+
+    async function sealJSON(publicKey, value) {
+        return toBase64(await seal(publicKey, JSON.stringify(value)));
+    }
+
+    async function openJSON(privateKey, text) {
+        return JSON.parse(new TextDecoder().decode(await open(privateKey, fromBase64(text))));
+    }
+
+    // --- Encrypted exports ---
+    // 'MSE1' | iterations (4 bytes) | salt (16) | IV (12) | AES-GCM ciphertext,
+    // readable anywhere with the export passphrase alone
+
+    async function encryptExport(data, passphrase, iterations = ITERATIONS) {
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE) {
+            throw new Error(`Export passphrase must be at least ${MIN_PASSPHRASE} characters`);
+        }
+
+        const salt = randomBytes(16);
+        const iv = randomBytes(12);
+        const key = await deriveKey(passphrase, salt, iterations);
+        const ciphertext = new Uint8Array(await subtle().encrypt({ name: 'AES-GCM', iv }, key, await toBytes(data)));
+
+        const out = new Uint8Array(4 + 4 + 16 + 12 + ciphertext.length);
+        out.set(EXPORT_MAGIC, 0);
+        new DataView(out.buffer).setUint32(4, iterations);
+        out.set(salt, 8);
+        out.set(iv, 24);
+        out.set(ciphertext, 36);
+        return out;
+    }
+
+    function isEncryptedExport(bytes) {
+        return hasMagic(bytes, EXPORT_MAGIC);
+    }
+
+    async function decryptExport(bytes, passphrase) {
+        if (!isEncryptedExport(bytes)) throw new Error('Not an encrypted export');
+
+        // The count comes from the file: too few would be weak, too many
+        // would lock up the page while deriving the key
+        const iterations = new DataView(bytes.buffer, bytes.byteOffset).getUint32(4);
+        if (iterations < ITERATIONS || iterations > MAX_ITERATIONS) {
+            throw new Error('Unsupported export: bad key derivation settings');
+        }
+        const key = await deriveKey(passphrase, bytes.subarray(8, 24), iterations);
+        try {
+            return new Uint8Array(await subtle().decrypt({ name: 'AES-GCM', iv: bytes.subarray(24, 36) }, key, bytes.subarray(36)));
+        } catch (error) {
+            throw new Error('Wrong export passphrase');
+        }
+    }
+
+    const Vault = {
+        FORMAT_VERSION,
+        MIN_PASSPHRASE,
+        createVault,
+        importPublicKey,
+        unlock,
+        changePassphrase,
+        isAuthenticatorAvailable,
+        registerAuthenticator,
+        unlockWithAuthenticator,
+        seal,
+        open,
+        sealBlob,
+        openBlob,
+        sealJSON,
+        openJSON,
+        encryptExport,
+        isEncryptedExport,
+        decryptExport
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Vault;
+    } else {
+        global.Vault = Vault;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,216 @@
+// Webhooks - outbound HTTP sinks that receive motion events as JSON
+(function (global) {
+    const ObjectClassifier = typeof module !== 'undefined' && module.exports
+        ? require('./object-classifier.js')
+        : global.ObjectClassifier;
+
+    const DEFAULT_RETRIES = 3;
+    const RETRY_DELAY = 1000; // Doubled after every failed attempt
+    const TIMEOUT = 10000;
+
+    function createSink(options) {
+        return {
+            id: 'hook_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: options.name || options.url,
+            url: options.url,
+            enabled: true,
+            includeSnapshot: !!options.includeSnapshot,
+            template: options.template || '', // JSON with {{placeholders}}, empty for the default payload
+            maxRetries: options.maxRetries !== undefined ? options.maxRetries : DEFAULT_RETRIES
+        };
+    }
+
+    function isValidUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Returns an error message, or null if the template is usable
+    function validateTemplate(template) {
+        if (!template || !template.trim()) return null;
+        try {
+            JSON.parse(template);
+            return null;
+        } catch (error) {
+            return 'Template is not valid JSON: ' + error.message;
+        }
+    }
+
+    function describeAlert(alert) {
+        if (alert.type === 'tamper') {
+            return `Camera tampering: ${alert.description}`;
+        }
+        if (alert.type === 'sound') {
+            return `Sound detected: ${alert.soundType} (${alert.soundLevel} dB)`;
+        }
+        return `${ObjectClassifier.describe(alert.labels)} detected${alert.zone ? ' in ' + alert.zone : ''} (${alert.motionLevel}%)`;
+    }
+
+    // Values available to templates as {{name}}
+    function buildContext(alert, snapshot) {
+        const level = parseFloat(alert.motionLevel);
+        return {
+            event: alert.type || 'motion',
+            id: alert.id,
+            timestamp: alert.timestamp,
+            motionLevel: isNaN(level) ? null : level,
+            zone: alert.zone || null,
+            zoneId: alert.zoneId || null,
+            armingMode: alert.armingMode || null,
+            nightMode: !!alert.nightMode,
+            labels: alert.labels || [],
+            tamperType: alert.tamperType || null,
+            soundType: alert.soundType || null,
+            soundLevel: typeof alert.soundLevel === 'number' ? alert.soundLevel : null,
+            message: describeAlert(alert),
+            snapshot: snapshot ? snapshot.data : null,
+            snapshotMimeType: snapshot ? snapshot.mimeType : null
+        };
+    }
+
+    // A string that is exactly one placeholder takes the raw value (so numbers
+    // and booleans stay typed); placeholders inside longer strings are
+    // interpolated as text. Unknown placeholders render as null / ''.
+    function renderTemplate(template, context) {
+        const placeholder = /\{\{\s*(\w+)\s*\}\}/g;
+        const single = /^\{\{\s*(\w+)\s*\}\}$/;
+
+        function render(value) {
+            if (typeof value === 'string') {
+                const match = single.exec(value);
+                if (match) {
+                    return context[match[1]] !== undefined ? context[match[1]] : null;
+                }
+                return value.replace(placeholder, (_, key) =>
+                    context[key] === undefined || context[key] === null ? '' : String(context[key])
+                );
+            }
+            if (Array.isArray(value)) return value.map(render);
+            if (value && typeof value === 'object') {
+                const out = {};
+                Object.keys(value).forEach(key => {
+                    out[key] = render(value[key]);
+                });
+                return out;
+            }
+            return value;
+        }
+
+        return render(typeof template === 'string' ? JSON.parse(template) : template);
+    }
+
+    function buildPayload(sink, alert, snapshot) {
+        const context = buildContext(alert, sink.includeSnapshot ? snapshot : null);
+
+        if (sink.template && sink.template.trim()) {
+            return renderTemplate(sink.template, context);
+        }
+
+        return {
+            event: context.event,
+            alert: {
+                id: context.id,
+                timestamp: context.timestamp,
+                motionLevel: context.motionLevel,
+                zone: context.zone,
+                zoneId: context.zoneId,
+                armingMode: context.armingMode,
+                nightMode: context.nightMode,
+                labels: context.labels,
+                tamperType: context.tamperType,
+                soundType: context.soundType,
+                soundLevel: context.soundLevel
+            },
+            message: context.message,
+            snapshot: context.snapshot ? { mimeType: context.snapshotMimeType, data: context.snapshot } : null
+        };
+    }
+
+    // Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+    function isRetryable(status) {
+        return status === null || status === 429 || status >= 500;
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // POST the payload, retrying with exponential backoff. Never throws;
+    // resolves to a delivery log entry.
+    async function deliver(sink, payload, options = {}) {
+        const fetchImpl = options.fetch || ((url, init) => fetch(url, init));
+        const sleep = options.sleep || wait;
+        const retryDelay = options.retryDelay !== undefined ? options.retryDelay : RETRY_DELAY;
+        const maxAttempts = 1 + Math.max(0, sink.maxRetries !== undefined ? sink.maxRetries : DEFAULT_RETRIES);
+        const body = JSON.stringify(payload);
+
+        const entry = {
+            id: Date.now() + Math.random(),
+            sinkId: sink.id,
+            sinkName: sink.name,
+            url: sink.url,
+            alertId: options.alertId !== undefined ? options.alertId : null,
+            timestamp: new Date().toISOString(),
+            status: 'failed',
+            attempts: 0,
+            httpStatus: null,
+            error: null
+        };
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            entry.attempts = attempt;
+            let status = null;
+
+            const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), options.timeout || TIMEOUT) : null;
+
+            try {
+                const response = await fetchImpl(sink.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    signal: controller ? controller.signal : undefined
+                });
+                status = response.status;
+                entry.httpStatus = status;
+
+                if (response.ok) {
+                    entry.status = 'delivered';
+                    entry.error = null;
+                    return entry;
+                }
+                entry.error = `HTTP ${status}`;
+            } catch (error) {
+                entry.error = error.name === 'AbortError' ? 'Timed out' : (error.message || 'Network error');
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+
+            if (!isRetryable(status) || attempt === maxAttempts) break;
+            await sleep(retryDelay * Math.pow(2, attempt - 1));
+        }
+
+        return entry;
+    }
+
+    const Webhooks = {
+        DEFAULT_RETRIES,
+        createSink,
+        isValidUrl,
+        validateTemplate,
+        buildContext,
+        renderTemplate,
+        buildPayload,
+        deliver
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Webhooks;
+    } else {
+        global.Webhooks = Webhooks;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,206 @@
+// Zip - minimal in-browser ZIP archive writer/reader (stored entries, no network)
+(function (global) {
+    const LOCAL_HEADER = 0x04034b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIR = 0x06054b50;
+    const UTF8_FLAG = 0x0800;
+    const MAX_SIZE = 0xffffffff; // No ZIP64 support
+
+    let crcTable = null;
+
+    function crc32(data) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function toDosDateTime(date) {
+        const d = date instanceof Date && !isNaN(date) ? date : new Date();
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+
+    function toBytes(data) {
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        throw new Error('Zip entry data must be a string, Uint8Array or ArrayBuffer');
+    }
+
+    // Build an archive from [{ name, data, date }] entries. Returns the archive
+    // as an array of Uint8Array parts, ready for `new Blob(parts)`, so large
+    // captures are not copied into one buffer.
+    function createZipParts(entries) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        entries.forEach(entry => {
+            const name = encoder.encode(entry.name);
+            const data = toBytes(entry.data);
+            const crc = crc32(data);
+            const { time, date } = toDosDateTime(entry.date);
+
+            if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+                throw new Error('Archive too large');
+            }
+
+            const header = new Uint8Array(30 + name.length);
+            const view = new DataView(header.buffer);
+            view.setUint32(0, LOCAL_HEADER, true);
+            view.setUint16(4, 20, true);            // Version needed
+            view.setUint16(6, UTF8_FLAG, true);
+            view.setUint16(8, 0, true);             // Stored
+            view.setUint16(10, time, true);
+            view.setUint16(12, date, true);
+            view.setUint32(14, crc, true);
+            view.setUint32(18, data.length, true);  // Compressed size
+            view.setUint32(22, data.length, true);  // Uncompressed size
+            view.setUint16(26, name.length, true);
+            view.setUint16(28, 0, true);            // Extra length
+            header.set(name, 30);
+
+            const record = new Uint8Array(46 + name.length);
+            const cview = new DataView(record.buffer);
+            cview.setUint32(0, CENTRAL_HEADER, true);
+            cview.setUint16(4, 20, true);           // Version made by
+            cview.setUint16(6, 20, true);           // Version needed
+            cview.setUint16(8, UTF8_FLAG, true);
+            cview.setUint16(10, 0, true);
+            cview.setUint16(12, time, true);
+            cview.setUint16(14, date, true);
+            cview.setUint32(16, crc, true);
+            cview.setUint32(20, data.length, true);
+            cview.setUint32(24, data.length, true);
+            cview.setUint16(28, name.length, true);
+            cview.setUint32(42, offset, true);      // Local header offset
+            record.set(name, 46);
+
+            parts.push(header, data);
+            central.push(record);
+            offset += header.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, record) => sum + record.length, 0);
+        const end = new Uint8Array(22);
+        const eview = new DataView(end.buffer);
+        eview.setUint32(0, END_OF_CENTRAL_DIR, true);
+        eview.setUint16(8, entries.length, true);
+        eview.setUint16(10, entries.length, true);
+        eview.setUint32(12, centralSize, true);
+        eview.setUint32(16, offset, true);
+
+        return parts.concat(central, [end]);
+    }
+
+    function createZip(entries) {
+        const parts = createZipParts(entries);
+        const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            out.set(part, offset);
+            offset += part.length;
+        });
+        return out;
+    }
+
+    async function inflateRaw(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Compressed ZIP entries are not supported in this browser');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Read an archive into [{ name, data }]. Stored entries are always
+    // supported; deflated ones need DecompressionStream.
+    async function readZip(input) {
+        const bytes = toBytes(input);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(pointer, true) !== CENTRAL_HEADER) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const crc = view.getUint32(pointer + 16, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const raw = bytes.subarray(start, start + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = raw;
+            } else if (method === 8) {
+                data = await inflateRaw(raw);
+            } else {
+                throw new Error(`Unsupported compression method ${method} for ${name}`);
+            }
+
+            if (crc32(data) !== crc) {
+                throw new Error(`Checksum mismatch for ${name}`);
+            }
+
+            if (!name.endsWith('/')) {
+                entries.push({ name, data });
+            }
+            pointer += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    const Zip = {
+        crc32,
+        createZipParts,
+        createZip,
+        readZip
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Zip;
+    } else {
+        global.Zip = Zip;
+    }
+})(typeof self !== 'undefined' ? self : this);
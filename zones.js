@@ -0,0 +1,138 @@
+// Motion Zones - include/exclude polygons that restrict where motion is counted
+(function (global) {
+    const ZONE_TYPES = ['include', 'exclude'];
+    const FULL_FRAME = { id: null, name: 'Full Frame', type: 'include' };
+
+    function createZone(name, type, points) {
+        return {
+            id: 'zone_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            name: (name || '').trim() || 'Zone',
+            type: ZONE_TYPES.includes(type) ? type : 'include',
+            active: true,
+            // Points are normalized (0-1) so zones survive resolution changes
+            points: points.map(p => ({ x: clamp01(p.x), y: clamp01(p.y) }))
+        };
+    }
+
+    function clamp01(value) {
+        return Math.min(1, Math.max(0, Number(value) || 0));
+    }
+
+    function isValidZone(zone) {
+        return !!zone &&
+            typeof zone.name === 'string' &&
+            ZONE_TYPES.includes(zone.type) &&
+            Array.isArray(zone.points) &&
+            zone.points.length >= 3;
+    }
+
+    // Ray casting point-in-polygon test
+    function pointInPolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const xi = points[i].x, yi = points[i].y;
+            const xj = points[j].x, yj = points[j].y;
+            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    function getBounds(points, width, height) {
+        const xs = points.map(p => p.x * width);
+        const ys = points.map(p => p.y * height);
+        return {
+            minX: Math.max(0, Math.floor(Math.min(...xs))),
+            maxX: Math.min(width - 1, Math.ceil(Math.max(...xs))),
+            minY: Math.max(0, Math.floor(Math.min(...ys))),
+            maxY: Math.min(height - 1, Math.ceil(Math.max(...ys)))
+        };
+    }
+
+    function fillPolygon(map, width, height, points, value) {
+        const bounds = getBounds(points, width, height);
+        for (let y = bounds.minY; y <= bounds.maxY; y++) {
+            const ny = (y + 0.5) / height;
+            for (let x = bounds.minX; x <= bounds.maxX; x++) {
+                if (pointInPolygon((x + 0.5) / width, ny, points)) {
+                    map[y * width + x] = value;
+                }
+            }
+        }
+    }
+
+    // Build a per-pixel zone map for a frame of the given size.
+    // map[pixel] is the index into mask.zones, or -1 when the pixel is ignored.
+    // Without active include zones the whole frame counts as one pseudo-zone.
+    function buildMask(zones, width, height) {
+        const active = (zones || []).filter(z => z.active !== false && isValidZone(z));
+        const includes = active.filter(z => z.type === 'include');
+        const excludes = active.filter(z => z.type === 'exclude');
+
+        const map = new Int16Array(width * height);
+        let maskZones;
+
+        if (includes.length === 0) {
+            maskZones = [FULL_FRAME];
+            map.fill(0);
+        } else {
+            maskZones = includes;
+            map.fill(-1);
+            // Earlier zones win where include zones overlap
+            for (let i = includes.length - 1; i >= 0; i--) {
+                fillPolygon(map, width, height, includes[i].points, i);
+            }
+        }
+
+        excludes.forEach(zone => fillPolygon(map, width, height, zone.points, -1));
+
+        const pixelCounts = new Array(maskZones.length).fill(0);
+        for (let i = 0; i < map.length; i++) {
+            if (map[i] >= 0) pixelCounts[map[i]]++;
+        }
+
+        return { width, height, map, zones: maskZones, pixelCounts };
+    }
+
+    // Turn per-zone changed pixel counts into percentages and pick the zone
+    // with the strongest motion.
+    function summarize(mask, changedCounts) {
+        let totalChanged = 0;
+        let totalPixels = 0;
+        let peak = null;
+
+        const zones = mask.zones.map((zone, index) => {
+            const pixels = mask.pixelCounts[index];
+            const changed = changedCounts[index] || 0;
+            const percentage = pixels > 0 ? (changed / pixels) * 100 : 0;
+            totalChanged += changed;
+            totalPixels += pixels;
+
+            const result = { id: zone.id, name: zone.name, percentage };
+            if (!peak || percentage > peak.percentage) peak = result;
+            return result;
+        });
+
+        return {
+            percentage: totalPixels > 0 ? (totalChanged / totalPixels) * 100 : 0,
+            zones,
+            peakZone: peak
+        };
+    }
+
+    const MotionZones = {
+        ZONE_TYPES,
+        createZone,
+        isValidZone,
+        pointInPolygon,
+        buildMask,
+        summarize
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MotionZones;
+    } else {
+        global.MotionZones = MotionZones;
+    }
+})(typeof self !== 'undefined' ? self : this);